@@ -8,6 +8,7 @@ import { behaviors } from './behaviors';
 import { modes } from './modes';
 import { services } from './services';
 import { systems } from './core';
+import { PublicApi } from './PublicApi';
 
 import { utilKeybinding } from './util';
 
@@ -59,6 +60,9 @@ export class Context extends EventEmitter {
     // "Services" are components that get data from other places
     this.services = {};
 
+    // The stable interface for scripts and plugins, see API.md
+    this.api = new PublicApi(this);
+
 
     // User interface and keybinding
     // AFAICT `lastPointerType` is just used to localize the intro? for now - instead get this from pixi?
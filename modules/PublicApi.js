@@ -0,0 +1,295 @@
+import { Difference } from './core/lib/Difference';
+import * as Operations from './operations/index';
+
+
+/**
+ * `PublicApi` is the stable, documented interface for driving Rapid from scripts,
+ *  browser extensions, and plugins.  It is available as `context.api` once `context.initAsync()`
+ *  has been called.  Prefer it over reaching into the systems directly, as their internals
+ *  may change between releases.  See API.md for the full list of methods.
+ *
+ *  Methods that change the map or the selection return Promises, and reject with an `Error`
+ *  if the request can't be carried out.
+ */
+export class PublicApi {
+
+  /**
+   * @constructor
+   * @param  context  Global shared application context
+   */
+  constructor(context) {
+    this.context = context;
+  }
+
+
+  /**
+   * version
+   * @readonly
+   */
+  get version() {
+    return this.context.version;
+  }
+
+
+  /**
+   * graph
+   * @return  The current Graph, including the user's edits
+   */
+  graph() {
+    return this.context.graph();
+  }
+
+
+  /**
+   * entity
+   * @param   entityID  The entityID to look up, e.g. 'n123'
+   * @return  The Entity, or `undefined` if it isn't loaded
+   */
+  entity(entityID) {
+    return this.context.hasEntity(entityID);
+  }
+
+
+  /**
+   * loadEntityAsync
+   * Downloads an entity from OSM (if it isn't already loaded)
+   * @param   entityID  The entityID to load, e.g. 'n123'
+   * @return  Promise resolved with the Entity
+   */
+  loadEntityAsync(entityID) {
+    const context = this.context;
+    const entity = context.hasEntity(entityID);
+    if (entity) return Promise.resolve(entity);
+    if (!context.services.osm) return Promise.reject(new Error('No OSM Service'));
+
+    // `loadEntity` calls back twice, once for the entity and once for its parent relations.
+    // Either reply may contain the entity, so only give up after both have arrived.
+    return new Promise((resolve, reject) => {
+      let remaining = 2;
+      context.loadEntity(entityID, (err) => {
+        remaining--;
+        const entity = context.hasEntity(entityID);
+        if (entity) {
+          resolve(entity);
+        } else if (err) {
+          reject(err);
+        } else if (remaining === 0) {
+          reject(new Error(`Could not load ${entityID}`));
+        }
+      });
+    });
+  }
+
+
+  /**
+   * selectedIDs
+   * @return  Array of the selected entityIDs
+   */
+  selectedIDs() {
+    return this.context.selectedIDs();
+  }
+
+
+  /**
+   * selectAsync
+   * Selects the given entities, or clears the selection if none are given
+   * @param   entityIDs  Array of entityIDs to select
+   * @return  Promise resolved with the Array of selected entityIDs
+   */
+  selectAsync(entityIDs = []) {
+    const context = this.context;
+    if (!entityIDs.length) {
+      context.enter('browse');
+      return Promise.resolve([]);
+    }
+
+    const mode = context.enter('select-osm', { selectedIDs: entityIDs });
+    if (mode.id !== 'select-osm') {
+      return Promise.reject(new Error(`Could not select ${entityIDs.join(', ')}`));
+    }
+    return Promise.resolve(context.selectedIDs());
+  }
+
+
+  /**
+   * operations
+   * Lists the operations that can be run on the given entities.
+   * @param   entityIDs  Array of entityIDs (defaults to the current selection)
+   * @return  Array of Objects like `{ id, title, disabled }`,
+   *            where `disabled` is `false` or a String explaining why the operation can't be run
+   */
+  operations(entityIDs = this.context.selectedIDs()) {
+    return this._availableOperations(entityIDs)
+      .map(operation => ({ id: operation.id, title: operation.title, disabled: operation.disabled() }));
+  }
+
+
+  /**
+   * runOperationAsync
+   * Runs an operation from `modules/operations` on the given entities, as if the user had chosen it
+   * from the edit menu.  The entities are selected first.
+   * Some operations (e.g. 'move', 'rotate') start an interactive mode rather than finishing right away.
+   * @param   operationID  The operation's id, e.g. 'delete', 'reverse', 'reflect-long'
+   * @param   entityIDs    Array of entityIDs (defaults to the current selection)
+   * @return  Promise resolved with an Object like `{ created, modified, deleted }` listing the changed entityIDs
+   */
+  runOperationAsync(operationID, entityIDs = this.context.selectedIDs()) {
+    return this.selectAsync(entityIDs)
+      .then(selectedIDs => {
+        const operation = this._availableOperations(selectedIDs).find(operation => operation.id === operationID);
+        if (!operation) {
+          throw new Error(`Operation '${operationID}' is not available for ${selectedIDs.join(', ')}`);
+        }
+        const disabled = operation.disabled();
+        if (disabled) {
+          throw new Error(`Operation '${operationID}' is disabled: ${disabled}`);
+        }
+
+        const before = this.context.graph();
+        operation();
+        return this._summary(before);
+      });
+  }
+
+
+  /**
+   * performAsync
+   * Applies an action (e.g. one of the `Rapid.action*` functions) as a new edit.
+   * If the action has a `disabled` function that returns a reason, the action is not performed.
+   * @param   action      The action to perform
+   * @param   annotation  String describing the edit, shown in the undo history
+   * @return  Promise resolved with an Object like `{ created, modified, deleted }` listing the changed entityIDs
+   */
+  performAsync(action, annotation) {
+    const context = this.context;
+    if (typeof action !== 'function') {
+      return Promise.reject(new Error('Expected an action function'));
+    }
+    if (!context.editable()) {
+      return Promise.reject(new Error('Rapid is not editable right now'));
+    }
+
+    const before = context.graph();
+    const disabled = action.disabled?.(before);
+    if (disabled) {
+      return Promise.reject(new Error(`Action is disabled: ${disabled}`));
+    }
+
+    context.perform(action, annotation);
+    return Promise.resolve(this._summary(before));
+  }
+
+
+  /**
+   * undoAsync
+   * @return  Promise resolved after the last edit has been undone
+   */
+  undoAsync() {
+    this.context.undo();
+    return Promise.resolve();
+  }
+
+
+  /**
+   * redoAsync
+   * @return  Promise resolved after the last undone edit has been redone
+   */
+  redoAsync() {
+    this.context.redo();
+    return Promise.resolve();
+  }
+
+
+  /**
+   * issues
+   * @param   options  Options passed to `ValidationSystem.getIssues()`, e.g. `{ what: 'edited', where: 'all' }`
+   * @return  Array of ValidationIssues
+   */
+  issues(options) {
+    return this.context.systems.validator.getIssues(options);
+  }
+
+
+  /**
+   * validateAsync
+   * Validates the user's edits
+   * @param   options  Options passed to `ValidationSystem.getIssues()`
+   * @return  Promise resolved with the Array of ValidationIssues once validation has finished
+   */
+  validateAsync(options) {
+    return this.context.systems.validator.validateAsync()
+      .then(() => this.issues(options));
+  }
+
+
+  /**
+   * on
+   * Subscribes to an event.  Available events:
+   *   'change'      The graph changed - receives a Difference
+   *   'undone'      An edit was undone
+   *   'redone'      An edit was redone
+   *   'merge'       New data was loaded - receives a Set of the new entityIDs
+   *   'restore'     Saved edits were restored
+   *   'validated'   Validation has finished
+   *   'modechange'  The mode changed - receives the new mode
+   * @param   eventName  One of the events listed above
+   * @param   callback   Function called when the event fires
+   * @return  Function to call to unsubscribe
+   */
+  on(eventName, callback) {
+    const emitter = this._emitterFor(eventName);
+    emitter.on(eventName, callback);
+    return () => emitter.off(eventName, callback);
+  }
+
+
+  /**
+   * off
+   * Unsubscribes from an event
+   * @param  eventName  One of the events listed in `on()`
+   * @param  callback   The Function passed to `on()`
+   */
+  off(eventName, callback) {
+    this._emitterFor(eventName).off(eventName, callback);
+  }
+
+
+  _emitterFor(eventName) {
+    const context = this.context;
+    switch (eventName) {
+      case 'change':
+      case 'undone':
+      case 'redone':
+      case 'merge':
+      case 'restore':
+        return context.systems.edits;
+      case 'validated':
+        return context.systems.validator;
+      case 'modechange':
+        return context;
+      default:
+        throw new Error(`Unknown event: ${eventName}`);
+    }
+  }
+
+
+  _availableOperations(entityIDs) {
+    const context = this.context;
+    if (!entityIDs.length || !entityIDs.every(entityID => context.hasEntity(entityID))) return [];
+
+    const pluginOperations = context.systems.plugins?.operations ?? [];
+    return [...Object.values(Operations), ...pluginOperations]
+      .map(fn => fn(context, entityIDs))
+      .filter(operation => typeof operation.available === 'function' && operation.available());
+  }
+
+
+  _summary(before) {
+    const difference = new Difference(before, this.context.graph());
+    return {
+      created: difference.created().map(entity => entity.id),
+      modified: difference.modified().map(entity => entity.id),
+      deleted: difference.deleted().map(entity => entity.id)
+    };
+  }
+}
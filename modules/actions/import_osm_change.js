@@ -0,0 +1,120 @@
+import { osmEntity } from '../osm/entity';
+
+
+/**
+ * actionImportOsmChange
+ * Applies the changes from a parsed osmChange document (see `OsmService.parseOsmChange`) to the graph.
+ * Entities to create get new local ids, and references to them are updated to match.
+ * Entities to modify or delete are expected to already be in the graph, at the version given in the file.
+ * An entity is left alone and counted as a conflict if:
+ *  - it is missing from the graph, or its version differs from the version in the file, or
+ *  - it is a way that uses nodes that are neither in the file nor in the graph, or
+ *  - it would be deleted while something that is not also being deleted still uses it
+ * Conflicting entityIDs can be read from `action.conflicts()` after the action has run.
+ *
+ * @param  osmChange  Object with `create`, `modify`, and `delete` Arrays of entities
+ */
+export function actionImportOsmChange(osmChange) {
+  let _conflicts = [];
+  let _idMap;   // Map(file entityID -> local entityID) for created entities
+
+  const action = (graph) => {
+    // Assign new ids only once, so that running the action again gives the same result.
+    if (!_idMap) {
+      _idMap = new Map();
+      for (const entity of osmChange.create) {
+        _idMap.set(entity.id, osmEntity.id(entity.type));
+      }
+    }
+
+    const conflicts = new Set();
+
+    // Create nodes before ways, so we can check that the ways' nodes exist.
+    for (const entity of sortByType(osmChange.create, ['node', 'way', 'relation'])) {
+      const created = remap(entity).update({ id: _idMap.get(entity.id), version: undefined });
+      if (hasMissingNodes(graph, created)) {
+        conflicts.add(entity.id);
+      } else {
+        graph = graph.replace(created);
+      }
+    }
+
+    for (const entity of osmChange.modify) {
+      const current = graph.hasEntity(entity.id);
+      const modified = remap(entity);
+      if (!current || current.version !== entity.version || hasMissingNodes(graph, modified)) {
+        conflicts.add(entity.id);
+      } else {
+        graph = graph.replace(modified);
+      }
+    }
+
+    // Delete last, so the check for parents sees the created and modified entities.
+    // Files often delete a way's nodes before the way itself, so the parents are checked
+    // against everything being deleted, rather than in file order.
+    let toDelete = new Map();   // Map(entityID -> entity)
+    for (const entity of osmChange.delete) {
+      const current = graph.hasEntity(entity.id);
+      if (!current || current.version !== entity.version) {
+        conflicts.add(entity.id);
+      } else {
+        toDelete.set(entity.id, current);
+      }
+    }
+
+    // A conflict can leave other entities still in use, so repeat until nothing changes.
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const [entityID, entity] of toDelete) {
+        const parents = graph.parentWays(entity).concat(graph.parentRelations(entity));
+        if (parents.some(parent => !toDelete.has(parent.id))) {
+          toDelete.delete(entityID);
+          conflicts.add(entityID);
+          changed = true;
+        }
+      }
+    }
+
+    for (const entity of sortByType([...toDelete.values()], ['relation', 'way', 'node'])) {
+      graph = graph.remove(entity);
+    }
+
+    _conflicts = [...conflicts];
+    return graph;
+  };
+
+
+  // Point any references to created entities at their new local ids
+  function remap(entity) {
+    if (entity.type === 'way') {
+      return entity.update({ nodes: entity.nodes.map(nodeID => _idMap.get(nodeID) ?? nodeID) });
+    } else if (entity.type === 'relation') {
+      return entity.update({
+        members: entity.members.map(member => Object.assign({}, member, { id: _idMap.get(member.id) ?? member.id }))
+      });
+    }
+    return entity;
+  }
+
+
+  function sortByType(entities, order) {
+    return entities.slice().sort((a, b) => order.indexOf(a.type) - order.indexOf(b.type));
+  }
+
+
+  function hasMissingNodes(graph, entity) {
+    return entity.type === 'way' && entity.nodes.some(nodeID => !graph.hasEntity(nodeID));
+  }
+
+
+  action.conflicts = () => _conflicts;
+
+  action.disabled = () => {
+    const count = osmChange.create.length + osmChange.modify.length + osmChange.delete.length;
+    return count ? false : 'no_changes';
+  };
+
+
+  return action;
+}
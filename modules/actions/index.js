@@ -16,6 +16,7 @@ export { actionDeleteWay } from './delete_way';
 export { actionDiscardTags } from './discard_tags';
 export { actionDisconnect } from './disconnect';
 export { actionExtract } from './extract';
+export { actionImportOsmChange } from './import_osm_change';
 export { actionJoin } from './join';
 export { actionMerge } from './merge';
 export { actionMergeNodes } from './merge_nodes';
@@ -29,8 +30,10 @@ export { actionOrthogonalize } from './orthogonalize';
 export { actionRestrictTurn } from './restrict_turn';
 export { actionReverse } from './reverse';
 export { actionRevert } from './revert';
+export { actionRevertEdit } from './revert_edit';
 export { actionRotate } from './rotate';
 export { actionScale } from './scale';
+export { actionSortMembers } from './sort_members';
 export { actionSplit } from './split';
 export { actionStraightenNodes } from './straighten_nodes';
 export { actionStraightenWay } from './straighten_way';
@@ -39,3 +42,4 @@ export { actionReflect } from './reflect.js';
 export { actionUpgradeTags } from './upgrade_tags';
 
 export { actionRapidAcceptFeature } from './rapid_accept_feature';
+export { actionRapidReplaceGeometry } from './rapid_replace_geometry';
@@ -7,18 +7,46 @@ import { actionDeleteMultiple } from './delete_multiple';
 import { osmEntity } from '../osm';
 
 
+/**
+ * actionMergeRemoteChanges
+ * The 'custom' strategy merges field by field, using `options.choices` to decide each field
+ * that differs between the local and remote versions (see `action.fields()`).
+ * `options.choices` is an Object like `{ fieldID: 'local' | 'remote' }`, and it is read each time
+ * the action runs, so the caller can change it and run the action again.
+ * Fields without a choice use the remote value only if the local value is unchanged from the base.
+ */
 export function actionMergeRemoteChanges(id, options = {}) {
   const localGraph = options.localGraph;
   const remoteGraph = options.remoteGraph;
   const discardTags = options.discardTags ?? {};
   const formatUser = options.formatUser ?? (d => d);
   const localize = options.localize ?? (d => d);
-  const strategy = options.strategy ?? 'safe';   // 'safe', 'force_local', 'force_remote'
+  const strategy = options.strategy ?? 'safe';   // 'safe', 'force_local', 'force_remote', 'custom'
+  const choices = options.choices ?? {};          // for 'custom', Object(fieldID -> 'local' | 'remote')
 
   let _conflicts = [];
 
 
-  function mergeLocation(remote, target) {
+  // For the 'custom' strategy, whether to use the remote value of a field
+  function useRemote(fieldID, o, a, b) {
+    if (deepEqual(a, b)) return false;
+    const choice = choices[fieldID] ?? (deepEqual(o, a) ? 'remote' : 'local');
+    return choice === 'remote';
+  }
+
+
+  // Key each member by its entity id, counting repeats, so members can be matched across versions
+  function keyMembers(members) {
+    const counts = new Map();
+    return (members ?? []).map(member => {
+      const n = counts.get(member.id) ?? 0;
+      counts.set(member.id, n + 1);
+      return { key: n ? `${member.id}@${n}` : member.id, member: member };
+    });
+  }
+
+
+  function mergeLocation(base, remote, target) {
     const EPSILON = 1e-6;
     if (strategy === 'force_local' || vecEqual(target.loc, remote.loc, EPSILON)) {
       return target;
@@ -26,6 +54,9 @@ export function actionMergeRemoteChanges(id, options = {}) {
     if (strategy === 'force_remote') {
       return target.update({ loc: remote.loc });
     }
+    if (strategy === 'custom') {
+      return useRemote('loc', base?.loc, target.loc, remote.loc) ? target.update({ loc: remote.loc }) : target;
+    }
 
     _conflicts.push(
       localize('merge_remote_changes.conflict.location', { user: formatUser(remote.user) })
@@ -41,6 +72,9 @@ export function actionMergeRemoteChanges(id, options = {}) {
     if (strategy === 'force_remote') {
       return target.update({ nodes: remote.nodes });
     }
+    if (strategy === 'custom') {
+      return useRemote('nodes', base.nodes, target.nodes, remote.nodes) ? target.update({ nodes: remote.nodes }) : target;
+    }
 
     const origLength = _conflicts.length;
     const o = base.nodes || [];
@@ -107,10 +141,19 @@ export function actionMergeRemoteChanges(id, options = {}) {
         }
         updates.replacements.push(target);
 
+      } else if (strategy === 'custom' && local && remote && local.version !== remote.version) {
+        // child nodes aren't offered as fields, so keep the local node unless only the remote one moved
+        const base = graph.base.entities.get(id);
+        target = osmEntity(local, { version: remote.version });
+        if (remote.visible && useRemote(undefined, base?.loc, local.loc, remote.loc)) {
+          target = target.update({ loc: remote.loc });
+        }
+        updates.replacements.push(target);
+
       } else if (strategy === 'safe' && local && remote && local.version !== remote.version) {
         target = osmEntity(local, { version: remote.version });
         if (remote.visible) {
-          target = mergeLocation(remote, target);
+          target = mergeLocation(graph.base.entities.get(id), remote, target);
         } else {
           _conflicts.push(
             localize('merge_remote_changes.conflict.deleted', { user: formatUser(remote.user) })
@@ -137,13 +180,42 @@ export function actionMergeRemoteChanges(id, options = {}) {
   }
 
 
-  function mergeMembers(remote, target) {
+  function mergeMembers(base, remote, target) {
     if (strategy === 'force_local' || deepEqual(target.members, remote.members)) {
       return target;
     }
     if (strategy === 'force_remote') {
       return target.update({ members: remote.members });
     }
+    if (strategy === 'custom') {
+      const o = new Map(keyMembers(base.members).map(d => [d.key, d.member]));
+      const b = keyMembers(remote.members);
+      const bMembers = new Map(b.map(d => [d.key, d.member]));
+
+      // Start from the local members in their local order..
+      let result = [];
+      for (const { key, member } of keyMembers(target.members)) {
+        if (!useRemote(`member/${key}`, o.get(key), member, bMembers.get(key))) {
+          result.push({ key: key, member: member });
+        } else if (bMembers.has(key)) {
+          result.push({ key: key, member: bMembers.get(key) });
+        }
+      }
+
+      // ..then add chosen remote-only members after the member that comes before them remotely
+      const localKeys = new Set(keyMembers(target.members).map(d => d.key));
+      let insertAt = 0;
+      for (const { key, member } of b) {
+        if (localKeys.has(key)) {
+          const index = result.findIndex(d => d.key === key);
+          if (index !== -1) insertAt = index + 1;
+        } else if (useRemote(`member/${key}`, o.get(key), undefined, member)) {
+          result.splice(insertAt++, 0, { key: key, member: member });
+        }
+      }
+
+      return target.update({ members: result.map(d => d.member) });
+    }
 
     _conflicts.push(
       localize('merge_remote_changes.conflict.memberlist', { user: formatUser(remote.user) })
@@ -159,6 +231,20 @@ export function actionMergeRemoteChanges(id, options = {}) {
     if (strategy === 'force_remote') {
       return target.update({tags: remote.tags});
     }
+    if (strategy === 'custom') {
+      const o = base.tags ?? {};
+      const b = remote.tags ?? {};
+      let tags = Object.assign({}, target.tags);   // shallow copy
+      for (const k of utilArrayUnion(Object.keys(tags), Object.keys(b))) {
+        if (discardTags[k] || !useRemote(`tag/${k}`, o[k], tags[k], b[k])) continue;
+        if (b.hasOwnProperty(k)) {
+          tags[k] = b[k];
+        } else {
+          delete tags[k];
+        }
+      }
+      return target.update({ tags: tags });
+    }
 
     const origLength = _conflicts.length;
     const o = base.tags ?? {};
@@ -217,7 +303,7 @@ export function actionMergeRemoteChanges(id, options = {}) {
       if (strategy === 'force_remote') {
         return actionDeleteMultiple([id])(graph);
 
-      } else if (strategy === 'force_local') {
+      } else if (strategy === 'force_local' || strategy === 'custom') {
         if (target.type === 'way') {
           target = mergeChildren(target, utilArrayUniq(local.nodes), updates, graph);
           graph = updateChildren(updates, graph);
@@ -234,7 +320,7 @@ export function actionMergeRemoteChanges(id, options = {}) {
 
     // merge
     if (target.type === 'node') {
-      target = mergeLocation(remote, target);
+      target = mergeLocation(base, remote, target);
 
     } else if (target.type === 'way') {
       // pull in any child nodes that may not be present locally..
@@ -243,7 +329,7 @@ export function actionMergeRemoteChanges(id, options = {}) {
       target = mergeChildren(target, utilArrayUnion(local.nodes, remote.nodes), updates, graph);
 
     } else if (target.type === 'relation') {
-      target = mergeMembers(remote, target);
+      target = mergeMembers(base, remote, target);
     }
 
     target = mergeTags(base, remote, target);
@@ -261,5 +347,50 @@ export function actionMergeRemoteChanges(id, options = {}) {
   };
 
 
+  // Returns the fields where the local and remote versions differ, for the 'custom' strategy.
+  // Each field is an Object like `{ id, type, key, base, local, remote, choice }`, where
+  // `type` is one of 'loc', 'nodes', 'member', 'tag', and `choice` is 'local' or 'remote'.
+  action.fields = function(graph) {
+    const base = graph.base.entities.get(id);
+    const local = localGraph.entity(id);
+    const remote = remoteGraph.entity(id);
+    let fields = [];
+    if (!remote.visible) return fields;
+
+    const addField = (type, key, o, a, b) => {
+      const fieldID = key === undefined ? type : `${type}/${key}`;
+      if (deepEqual(a, b)) return;
+      fields.push({
+        id: fieldID, type: type, key: key, base: o, local: a, remote: b,
+        choice: useRemote(fieldID, o, a, b) ? 'remote' : 'local'
+      });
+    };
+
+    if (local.type === 'node') {
+      if (!vecEqual(local.loc, remote.loc, 1e-6)) {
+        addField('loc', undefined, base?.loc, local.loc, remote.loc);
+      }
+    } else if (local.type === 'way') {
+      addField('nodes', undefined, base?.nodes, local.nodes, remote.nodes);
+    } else if (local.type === 'relation') {
+      const o = new Map(keyMembers(base?.members).map(d => [d.key, d.member]));
+      const a = new Map(keyMembers(local.members).map(d => [d.key, d.member]));
+      const b = new Map(keyMembers(remote.members).map(d => [d.key, d.member]));
+      for (const key of utilArrayUnion([...a.keys()], [...b.keys()])) {
+        addField('member', key, o.get(key), a.get(key), b.get(key));
+      }
+    }
+
+    const baseTags = base?.tags ?? {};
+    const keys = utilArrayUnion(Object.keys(local.tags), Object.keys(remote.tags))
+      .filter(k => !discardTags[k]);
+    for (const k of keys) {
+      addField('tag', k, baseTags[k], local.tags[k], remote.tags[k]);
+    }
+
+    return fields;
+  };
+
+
   return action;
 }
@@ -1,5 +1,6 @@
 import { vecInterp } from '@rapid-sdk/math';
 import { osmNode, osmRelation, osmWay } from '../osm';
+import { utilApplyTagTemplate } from '../util';
 
 
 function findConnectionPoint(graph, newNode, targetWay, nodeA, nodeB) {
@@ -68,17 +69,24 @@ function removeMetadata(entity) {
 }
 
 
-export function actionRapidAcceptFeature(entityID, extGraph) {
+// `tagTemplate` optionally changes the tags of the accepted feature, see `utilApplyTagTemplate`.
+// It only applies to the feature itself, not to its nodes or members.
+export function actionRapidAcceptFeature(entityID, extGraph, tagTemplate) {
     return function(graph) {
         var seenRelations = {};    // keep track of seen relations to avoid infinite recursion
         var extEntity = extGraph.entity(entityID);
+        var accepted;
 
         if (extEntity.type === 'node') {
-            acceptNode(extEntity);
+            accepted = acceptNode(extEntity);
         } else if (extEntity.type === 'way') {
-            acceptWay(extEntity);
+            accepted = acceptWay(extEntity);
         } else if (extEntity.type === 'relation') {
-            acceptRelation(extEntity);
+            accepted = acceptRelation(extEntity);
+        }
+
+        if (accepted && tagTemplate) {
+            graph = graph.replace(accepted.update({ tags: utilApplyTagTemplate(tagTemplate, accepted.tags) }));
         }
 
         return graph;
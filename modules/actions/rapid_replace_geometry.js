@@ -0,0 +1,148 @@
+import { geoSphericalDistance, vecEqual, vecProject } from '@rapid-sdk/math';
+import { utilArrayUniq } from '@rapid-sdk/util';
+
+import { osmNode } from '../osm';
+
+var CONNECT_DISTANCE = 5;   // meters
+
+
+// `actionRapidReplaceGeometry` gives an OSM node or way the geometry of a Rapid feature.
+//
+// The OSM entity keeps its ID, tags, and history.  For ways:
+// 1. Nodes that something else depends on (tags, other ways, relations) are kept,
+//    in place of the new node closest to them (if there is one nearby).
+//    Otherwise they are moved onto the nearest point of the new geometry, so that
+//    the other ways and relations stay connected to the way.
+// 2. The way's other nodes are moved to the new locations, so they keep their history too.
+// 3. New nodes are added if more are needed, and old nodes that are left over are deleted.
+
+export function actionRapidReplaceGeometry(targetID, extEntityID, extGraph) {
+
+    function isInteresting(node, graph) {
+        return node.hasInterestingTags() ||
+            graph.parentWays(node).length > 1 ||
+            graph.parentRelations(node).length > 0;
+    }
+
+
+    var action = function(graph) {
+        var target = graph.entity(targetID);
+        var extEntity = extGraph.entity(extEntityID);
+
+        if (target.type === 'node') {
+            return graph.replace(target.move(extEntity.loc));
+        }
+
+        var isClosed = extEntity.isClosed();
+        var extLocs = extEntity.nodes.map(function(nodeID) { return extGraph.entity(nodeID).loc; });
+        if (isClosed) extLocs = extLocs.slice(0, -1);   // the last node is the first node again
+
+        var oldNodes = utilArrayUniq(target.nodes).map(function(nodeID) { return graph.entity(nodeID); });
+        var kept = oldNodes.filter(function(node) { return isInteresting(node, graph); });
+        var reusable = oldNodes.filter(function(node) { return !isInteresting(node, graph); });
+        var nodeIDs = new Array(extLocs.length);
+        var farNodes = [];
+
+        kept.forEach(function(node) {
+            var best = -1;
+            var bestDist = CONNECT_DISTANCE;
+            extLocs.forEach(function(loc, i) {
+                if (nodeIDs[i]) return;
+                var dist = geoSphericalDistance(node.loc, loc);
+                if (dist <= bestDist) {
+                    best = i;
+                    bestDist = dist;
+                }
+            });
+            if (best === -1) {   // too far away, snap it to the new geometry below
+                farNodes.push(node);
+                return;
+            }
+
+            // Don't move nodes that other ways use
+            if (graph.parentWays(node).length <= 1) {
+                graph = graph.replace(node.move(extLocs[best]));
+            }
+            nodeIDs[best] = node.id;
+        });
+
+        farNodes.forEach(function(node) {
+            var snap = snapToGeometry(node.loc, extLocs, isClosed);
+            if (snap.vertex !== -1 && !nodeIDs[snap.vertex]) {
+                nodeIDs[snap.vertex] = node.id;
+            } else {
+                extLocs.splice(snap.index, 0, snap.loc);
+                nodeIDs.splice(snap.index, 0, node.id);
+            }
+            graph = graph.replace(node.move(snap.loc));
+        });
+
+        var unused = reusable.slice();
+        extLocs.forEach(function(loc, i) {
+            if (nodeIDs[i]) return;
+            var node = unused.shift();
+            if (node) {
+                node = node.move(loc);
+            } else {
+                node = osmNode({ loc: loc });
+            }
+            graph = graph.replace(node);
+            nodeIDs[i] = node.id;
+        });
+
+        if (isClosed) nodeIDs.push(nodeIDs[0]);
+        graph = graph.replace(target.update({ nodes: nodeIDs }));
+
+        unused.forEach(function(node) {
+            if (!graph.parentWays(node).length) {
+                graph = graph.remove(node);
+            }
+        });
+
+        return graph;
+    };
+
+
+    // Finds the point of the geometry `locs` closest to `loc`.
+    // Returns an Object like `{ loc, index, vertex }`, where `index` is where to insert a node
+    // at `loc` into `locs`, and `vertex` is the index of the vertex at `loc`, or -1 if it is on a segment
+    function snapToGeometry(loc, locs, isClosed) {
+        // Work in a plane where a degree of longitude is as long as a degree of latitude
+        var scale = Math.cos(loc[1] * Math.PI / 180);
+        function toPlane(loc) { return [loc[0] * scale, loc[1]]; }
+        function fromPlane(point) { return [point[0] / scale, point[1]]; }
+
+        var points = locs.map(toPlane);
+        if (isClosed) points.push(points[0]);
+
+        var edge = vecProject(toPlane(loc), points);
+        if (!edge) {   // a single point
+            return { loc: locs[0], index: 0, vertex: 0 };
+        }
+
+        var vertex = -1;
+        if (vecEqual(edge.target, points[edge.index - 1])) {
+            vertex = edge.index - 1;
+        } else if (vecEqual(edge.target, points[edge.index])) {
+            vertex = edge.index % locs.length;
+        }
+        return {
+            loc: (vertex !== -1) ? locs[vertex] : fromPlane(edge.target),
+            index: edge.index,
+            vertex: vertex
+        };
+    }
+
+
+    action.disabled = function(graph) {
+        var target = graph.hasEntity(targetID);
+        var extEntity = extGraph.hasEntity(extEntityID);
+        if (!target || !extEntity || target.type !== extEntity.type) return 'not_eligible';
+        if (target.type === 'relation') return 'not_eligible';
+        if (target.type === 'way' && target.isClosed() !== extEntity.isClosed()) return 'not_eligible';
+        return false;
+    };
+
+
+    return action;
+}
@@ -0,0 +1,93 @@
+import { Difference } from '../core/lib/Difference';
+
+
+/**
+ * actionRevertEdit
+ * Undoes the changes made by one earlier edit, while keeping the edits that were performed after it.
+ * Each entity changed by that edit is put back to how it was before the edit, unless it conflicts:
+ *  - a later edit also changed the entity, or
+ *  - reverting it would break a reference (e.g. removing a node that a way still uses,
+ *    or restoring a way whose nodes are gone)
+ * Conflicting entities are left alone, and can be read from `action.conflicts()` after the action has run.
+ *
+ * @param  beforeGraph  Graph from just before the edit to revert
+ * @param  afterGraph   Graph from just after the edit to revert
+ */
+export function actionRevertEdit(beforeGraph, afterGraph) {
+  let _conflicts = [];
+
+  const action = (graph) => {
+    const editDifference = new Difference(beforeGraph, afterGraph);
+    const laterDifference = new Difference(afterGraph, graph);
+
+    const conflicts = new Set();
+    const candidateIDs = new Set();
+    for (const entityID of editDifference.changes.keys()) {
+      if (laterDifference.changes.has(entityID)) {
+        conflicts.add(entityID);
+      } else {
+        candidateIDs.add(entityID);
+      }
+    }
+
+    // Revert the candidates, and keep dropping any that would break references until stable.
+    let result = applyReverts(graph, candidateIDs);
+    let brokenIDs = findBroken(graph, result, candidateIDs);
+    while (brokenIDs.length) {
+      for (const entityID of brokenIDs) {
+        candidateIDs.delete(entityID);
+        conflicts.add(entityID);
+      }
+      result = applyReverts(graph, candidateIDs);
+      brokenIDs = findBroken(graph, result, candidateIDs);
+    }
+
+    _conflicts = [...conflicts];
+    return result;
+  };
+
+
+  function applyReverts(graph, entityIDs) {
+    let result = graph;
+    for (const entityID of entityIDs) {
+      const target = beforeGraph.hasEntity(entityID);
+      const current = result.hasEntity(entityID);
+      if (target === result.base.entities.get(entityID)) {
+        result = result.revert(entityID);   // back to the original, or gone if it was never there
+      } else if (target) {
+        result = result.replace(target);
+      } else if (current) {
+        result = result.remove(current);
+      }
+    }
+    return result;
+  }
+
+
+  function findBroken(graph, result, entityIDs) {
+    return [...entityIDs].filter(entityID => {
+      const target = beforeGraph.hasEntity(entityID);
+      if (target) {   // restored entity must have its child nodes
+        return target.type === 'way' && !target.nodes.every(nodeID => result.hasEntity(nodeID));
+      } else {        // removed entity must not be used by anything
+        const removed = graph.hasEntity(entityID);
+        return removed && (result.parentWays(removed).length > 0 || result.parentRelations(removed).length > 0);
+      }
+    });
+  }
+
+
+  action.conflicts = () => _conflicts;
+
+  action.disabled = (graph) => {
+    const editDifference = new Difference(beforeGraph, afterGraph);
+    const laterDifference = new Difference(afterGraph, graph);
+    for (const entityID of editDifference.changes.keys()) {
+      if (!laterDifference.changes.has(entityID)) return false;
+    }
+    return 'all_conflicted';
+  };
+
+
+  return action;
+}
@@ -0,0 +1,6 @@
+export function actionSortMembers(relationId) {
+    return function(graph) {
+        var relation = graph.entity(relationId);
+        return graph.replace(relation.sortRouteMembers(graph));
+    };
+}
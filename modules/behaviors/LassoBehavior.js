@@ -10,6 +10,10 @@ import { AbstractBehavior } from './AbstractBehavior';
  *
  * If it's able to do this, it sends the lasso polygon data to the map ui layer
  * and on completeion enters select mode with the OSM features selected.
+ *
+ * Events available:
+ *   `lasso`   Fires on completion with the lasso polygon, an Array of [lon,lat] coords.
+ *             If anything is listening for it, the OSM features are not selected.
  */
 export class LassoBehavior extends AbstractBehavior {
 
@@ -125,6 +129,18 @@ export class LassoBehavior extends AbstractBehavior {
     this._lassoing = false;
     const mapUILayer = this.context.scene().layers.get('map-ui');
 
+    // Something else (e.g. the Rapid review mode) wants the polygon
+    if (this.listenerCount('lasso')) {
+      const coords = this._coords;
+      this._coords = [];
+      this._extent = null;
+      mapUILayer.lassoPolygonData = this._coords;
+      if (coords.length > 2) {
+        this.emit('lasso', coords);
+      }
+      return;
+    }
+
     const ids = this._lassoed();
     this._coords = [];
     mapUILayer.lassoPolygonData = this._coords;
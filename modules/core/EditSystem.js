@@ -1,9 +1,12 @@
 import { easeLinear as d3_easeLinear } from 'd3-ease';
 import { select as d3_select } from 'd3-selection';
-import { utilArrayDifference, utilArrayGroupBy, utilArrayUnion, utilObjectOmit, utilSessionMutex } from '@rapid-sdk/util';
+import { Extent } from '@rapid-sdk/math';
+import { utilArrayChunk, utilArrayDifference, utilArrayGroupBy, utilArrayUnion, utilObjectOmit, utilSessionMutex } from '@rapid-sdk/util';
 
 import { AbstractSystem } from './AbstractSystem';
 import { Difference, Graph, Tree } from './lib';
+import { actionImportOsmChange } from '../actions/import_osm_change';
+import { actionRevertEdit } from '../actions/revert_edit';
 import { osmEntity } from '../osm/entity';
 import { uiLoading } from '../ui/loading';
 
@@ -15,12 +18,21 @@ const DURATION = 150;
  * `EditSystem` maintains the stack of user edits
  *  (it used to be called 'history')
  *
+ * The `_stack` is the current path of edits, from the base graph to the furthest redo-able edit,
+ * and `_index` is the position of the current edit in it.
+ * All edits are also kept in a history tree (`_edits`), where each edit knows the `parentID`
+ * of the edit that it was performed on top of.  When the user undoes some edits and then
+ * performs a new edit, the undone edits are not thrown away, they remain in the tree as
+ * an abandoned branch that can be returned to with `checkout()`.
+ * (Only the current path is saved to storage, abandoned branches are not.)
+ *
  * Events available:
  *   'change'
  *   'merge'
  *   'restore'
  *   'undone'
  *   'redone'
+ *   'checkout'
  *   'storage_error'
  */
 export class EditSystem extends AbstractSystem {
@@ -44,8 +56,17 @@ export class EditSystem extends AbstractSystem {
     this._stack = [];
     this._tree = null;
     this._index = 0;
+    this._edits = new Map();   // Map(editID -> edit), the history tree
+    this._nextEditID = 0;
     this._initPromise = null;
 
+    // Edit sessions are stored in indexedDB, if available
+    this._sessionID = null;        // identifier of the session we are saving to
+    this._sessionName = null;
+    this._sessionCreated = null;
+    this._persisted = [];          // stack entries already written to the session
+    this._savePromise = Promise.resolve();
+
     // When called like `context.graph`, don't lose `this`
     this.graph = this.graph.bind(this);
     this.pauseChangeDispatch = this.pauseChangeDispatch.bind(this);
@@ -73,9 +94,11 @@ export class EditSystem extends AbstractSystem {
     const prerequisites = storage.initAsync();
 
     return this._initPromise = prerequisites
-      .then(() => {
-        // changes are restorable if Rapid is not open in another window/tab and a saved history exists in localStorage
-        this._hasRestorableChanges = this._mutex.lock() && storage.hasItem(this._historyKey());
+      .then(() => storage.hasDatabase ? storage.getSessionsAsync() : [])
+      .then(sessions => {
+        // changes are restorable if Rapid is not open in another window/tab and
+        // a saved edit session exists in indexedDB, or a saved history exists in localStorage
+        this._hasRestorableChanges = this._mutex.lock() && (sessions.length > 0 || storage.hasItem(this._historyKey()));
       });
   }
 
@@ -109,10 +132,15 @@ export class EditSystem extends AbstractSystem {
   reset() {
     d3_select(document).interrupt('editTransition');
     const base = new Graph();
-    this._stack = [{ graph: base }];
+    const root = { id: 0, graph: base };
+    this._stack = [root];
     this._tree = new Tree(base);
     this._index = 0;
+    this._edits = new Map([[root.id, root]]);
+    this._nextEditID = 1;
     this._checkpoints = {};
+    this._sessionID = null;
+    this._persisted = [];
   }
 
 
@@ -156,8 +184,9 @@ export class EditSystem extends AbstractSystem {
    *
    *  @param  entities   Entities to merge into the history (usually only the new ones)
    *  @param  seenIDs?   Optional - All entity IDs on the tile (including previously seen ones)
+   *  @param  force?     Optional - If `true`, replace entities already in the base graph (e.g. after uploading them)
    */
-  merge(entities, seenIDs) {
+  merge(entities, seenIDs, force = false) {
     const baseGraph = this.base();
     const headGraph = this.graph();
 
@@ -185,9 +214,9 @@ export class EditSystem extends AbstractSystem {
       }
     }
 
-    const graphs = this._stack.map(state => state.graph);
-    baseGraph.rebase(entities, graphs, false);
-    this._tree.rebase(entities, false);
+    const graphs = this._historyGraphs();
+    baseGraph.rebase(entities, graphs, force);
+    this._tree.rebase(entities, force);
 
     this.emit('merge', seenIDs);
   }
@@ -242,6 +271,31 @@ export class EditSystem extends AbstractSystem {
   }
 
 
+  /**
+   * squash
+   * Performs the actions as the only edit after the base graph, replacing the whole history.
+   * This is for when the base graph has changed in a way that the earlier edits can't follow,
+   * for example after some of the edits were uploaded.  Undo can't return to the earlier edits.
+   * @param   args  Actions to perform, optionally followed by an annotation (like `perform`)
+   * @return  Difference between the previous graph and the new current graph
+   */
+  squash(...args) {
+    d3_select(document).interrupt('editTransition');
+
+    const previous = this._stack[this._index].graph;
+    const root = this._stack[0];
+    const edit = this._act(args, 1);
+    this._stack = [root];
+    this._index = 0;
+    this._edits = new Map([[root.id, root]]);
+    this._checkpoints = {};
+    this._addHistoryEdit(edit, root);
+    this._stack.push(edit);
+    this._index++;
+    return this._change(previous);
+  }
+
+
   pop(n) {
     d3_select(document).interrupt('editTransition');
 
@@ -250,9 +304,10 @@ export class EditSystem extends AbstractSystem {
       n = 1;
     }
     while (n-- > 0 && this._index > 0) {
+      this._removeHistoryEdit(this._stack[this._index]);   // also removes any undone edits after it
       this._index--;
-      this._stack.pop();
     }
+    this._stack = this._stack.slice(0, this._index + 1);
     return this._change(previous);
   }
 
@@ -326,6 +381,200 @@ export class EditSystem extends AbstractSystem {
   }
 
 
+  /**
+   * historyEdits
+   * Returns all the edits in the history tree, in the order they were performed.
+   * Each edit has an `id`, `parentID` (`undefined` for the base), `graph` and maybe an `annotation`.
+   * @return  Array of edit Objects
+   */
+  historyEdits() {
+    return [...this._edits.values()];
+  }
+
+
+  /**
+   * historyEdit
+   * @param   editID  The edit identifier to get
+   * @return  The edit Object from the history tree, or `undefined` if not found
+   */
+  historyEdit(editID) {
+    return this._edits.get(editID);
+  }
+
+
+  /**
+   * currentEdit
+   * @return  The current edit Object (the one at `_index` in the stack)
+   */
+  currentEdit() {
+    return this._stack[this._index];
+  }
+
+
+  /**
+   * isOnCurrentPath
+   * @param   editID  The edit identifier to check
+   * @return  `true` if the edit is on the current stack (i.e. can be reached with undo/redo)
+   */
+  isOnCurrentPath(editID) {
+    return this._stack.some(edit => edit.id === editID);
+  }
+
+
+  /**
+   * checkout
+   * Jumps to any edit in the history tree, including edits in abandoned branches.
+   * The stack becomes the path from the base to that edit, continuing with its most
+   * recently performed descendants, so that they can be redone afterward.
+   * @param   editID  The edit identifier to jump to
+   * @return  Difference between the previous graph and the new current graph
+   */
+  checkout(editID) {
+    d3_select(document).interrupt('editTransition');
+
+    const target = this._edits.get(editID);
+    if (!target) return;
+
+    const previousEdit = this._stack[this._index];
+    const path = [];
+    for (let edit = target; edit; edit = this._edits.get(edit.parentID)) {
+      path.unshift(edit);
+    }
+    const index = path.length - 1;
+
+    // follow the most recent child down to the tip of this branch
+    let tip = target;
+    while (tip) {
+      let next;
+      for (const edit of this._edits.values()) {
+        if (edit.parentID === tip.id) next = edit;   // keep the last one
+      }
+      if (next) path.push(next);
+      tip = next;
+    }
+
+    this._stack = path;
+    this._index = index;
+    this.emit('checkout', this._stack[this._index], previousEdit);
+    return this._change(previousEdit.graph);
+  }
+
+
+  /**
+   * compareEdits
+   * @param   fromID  The edit identifier to compare from
+   * @param   toID    The edit identifier to compare to
+   * @return  Difference between the graphs of these two edits, or `undefined` if not found
+   */
+  compareEdits(fromID, toID) {
+    const from = this._edits.get(fromID);
+    const to = this._edits.get(toID);
+    if (!from || !to) return;
+    return new Difference(from.graph, to.graph);
+  }
+
+
+  /**
+   * revertEditAction
+   * Gets an action that reverts the changes of one earlier annotated edit on the current path.
+   * Performing it adds a new edit - the edits performed after the reverted one are kept,
+   * see `actionRevertEdit` for how conflicting entities are handled.
+   * @param   editID  The edit identifier to revert
+   * @return  The action, or `undefined` if this edit can't be reverted
+   */
+  revertEditAction(editID) {
+    const index = this._stack.findIndex(edit => edit.id === editID);
+    if (index < 1 || index > this._index || !this._stack[index].annotation) return;
+
+    // An annotated edit includes any unannotated edits performed just before it.
+    let prevIndex = index - 1;
+    while (prevIndex > 0 && !this._stack[prevIndex].annotation) {
+      prevIndex--;
+    }
+    return actionRevertEdit(this._stack[prevIndex].graph, this._stack[index].graph);
+  }
+
+
+  /**
+   * osmChangeActionAsync
+   * Gets an action that applies an osmChange file, for example one produced by a script,
+   * so that its changes can be reviewed in Rapid before uploading.
+   * The entities that the file modifies or deletes, and any existing nodes used by its ways,
+   * are loaded from the OSM API first.  See `actionImportOsmChange` for how conflicts are handled.
+   * @param   text  The osmChange XML
+   * @return  {Promise} Promise resolved with the action once the entities it needs are loaded
+   */
+  osmChangeActionAsync(text) {
+    const osm = this.context.services.osm;
+    if (!osm) return Promise.reject(new Error('No OSM service'));
+
+    let osmChange;
+    try {
+      osmChange = osm.parseOsmChange(text);
+    } catch (err) {
+      return Promise.reject(err);
+    }
+
+    const graph = this.graph();
+    const isNew = (entityID) => parseInt(osmEntity.id.toOSM(entityID), 10) < 0;
+    const toLoadIDs = new Set();
+    for (const entity of [...osmChange.modify, ...osmChange.delete]) {
+      toLoadIDs.add(entity.id);
+    }
+    for (const entity of [...osmChange.create, ...osmChange.modify]) {
+      if (entity.type !== 'way') continue;
+      for (const nodeID of entity.nodes) {
+        toLoadIDs.add(nodeID);
+      }
+    }
+    for (const entityID of toLoadIDs) {
+      if (isNew(entityID) || graph.hasEntity(entityID)) {
+        toLoadIDs.delete(entityID);
+      }
+    }
+
+    // Load at most 150 entities of one type per call, so that each call makes one request
+    // and calls back once, also if the request fails (even without a response from the server).
+    // We can't wait for every requested id to come back, because the ones that were deleted or never existed won't.
+    const chunks = Object.values(utilArrayGroupBy([...toLoadIDs], osmEntity.id.type))
+      .flatMap(entityIDs => utilArrayChunk(entityIDs, 150));
+
+    return new Promise((resolve, reject) => {
+      let pending = 0;
+
+      const load = (entityIDs) => {
+        pending++;
+        osm.loadMultiple(entityIDs, (err, result) => {
+          const isMissing = (err?.status === 404 || err?.status === 410);
+          if (isMissing && entityIDs.length > 1) {
+            // The API fails the whole request if any of them is missing, so ask for each one separately
+            for (const entityID of entityIDs) {
+              load([entityID]);
+            }
+          } else if (err && !isMissing) {
+            reject(err);
+            return;
+          } else if (result) {
+            this.merge(result.data.filter(entity => entity.visible), result.seenIDs);  // deleted ones will conflict
+          }
+          if (--pending === 0) {
+            resolve();
+          }
+        });
+      };
+
+      if (!chunks.length) {
+        resolve();
+        return;
+      }
+      for (const chunk of chunks) {
+        load(chunk);
+      }
+    })
+    .then(() => actionImportOsmChange(osmChange));
+  }
+
+
   // Returns the entities from the active graph with bounding boxes
   // overlapping the given `extent`.
   intersects(extent) {
@@ -407,7 +656,8 @@ export class EditSystem extends AbstractSystem {
 
     this._checkpoints[key] = {
       stack: this._stack,
-      index: this._index
+      index: this._index,
+      edits: new Map(this._edits)
     };
     return this;
   }
@@ -422,6 +672,7 @@ export class EditSystem extends AbstractSystem {
 
       this._stack = this._checkpoints[key].stack;
       this._index = this._checkpoints[key].index;
+      this._edits = new Map(this._checkpoints[key].edits);
 
       const toGraph = this._stack[this._index].graph;
       const difference = new Difference(fromGraph, toGraph);
@@ -584,7 +835,7 @@ export class EditSystem extends AbstractSystem {
 
 
   //
-  //
+  // `json` may be either a JSON String or an already parsed Object
   //
   fromJSON(json, loadChildNodes) {
     const context = this.context;
@@ -592,7 +843,7 @@ export class EditSystem extends AbstractSystem {
     const mapSystem = context.systems.map;
 
     const baseGraph = this.base();   // The initial unedited graph
-    const hist = JSON.parse(json);
+    const hist = (typeof json === 'string') ? JSON.parse(json) : json;
     let loadComplete = true;
 
     osmEntity.id.next = hist.nextIDs;
@@ -614,7 +865,7 @@ export class EditSystem extends AbstractSystem {
 
       // Merge originals into base graph, note that the force parameter is `true` here
       // to replace any that might have been loaded from the API.
-      const graphs = this._stack.map(s => s.graph);
+      const graphs = this._historyGraphs();
       baseGraph.rebase(baseEntities, graphs, true);
       this._tree.rebase(baseEntities, true);
 
@@ -641,7 +892,7 @@ export class EditSystem extends AbstractSystem {
 
               if (visibles.length) {
                 const visibleIDs = visibles.map(entity => entity.id);
-                const graphs = this._stack.map(s => s.graph);
+                const graphs = this._historyGraphs();
                 missing = utilArrayDifference(missing, visibleIDs);
                 baseGraph.rebase(visibles, graphs, true);   // force = true
                 this._tree.rebase(visibles, true);          // force = true
@@ -688,15 +939,17 @@ export class EditSystem extends AbstractSystem {
       }
 
       // restore Rapid sources
-      if (rapidSystem && s.annotation?.type === 'rapid_accept_feature') {
-        const sourceTag = s.annotation.source;
+      if (rapidSystem && /^rapid_(accept_features?|replace_geometry|add_tags)$/.test(s.annotation?.type)) {
+        const sourceTags = s.annotation.sources ?? [s.annotation.source];   // batches have `sources`
         rapidSystem.sources.add('mapwithai');      // always add 'mapwithai'
-        if (sourceTag && /^esri/.test(sourceTag)) {
+        if (sourceTags.some(sourceTag => sourceTag && /^esri/.test(sourceTag))) {
           rapidSystem.sources.add('esri');       // add 'esri' for esri sources
         }
       }
 
       return {
+        id: this._nextEditID++,
+        parentID: undefined,   // assigned below
         graph: new Graph(baseGraph).load(entities),
         annotation: s.annotation,
         imageryUsed: s.imageryUsed,
@@ -706,6 +959,13 @@ export class EditSystem extends AbstractSystem {
       };
     });
 
+    // The restored stack replaces the history tree.
+    this._edits = new Map();
+    this._stack.forEach((edit, index) => {
+      if (index > 0) edit.parentID = this._stack[index - 1].id;
+      this._edits.set(edit.id, edit);
+    });
+
 
     const transform = this._stack[this._index].transform;
     if (transform) {
@@ -721,6 +981,79 @@ export class EditSystem extends AbstractSystem {
   }
 
 
+  /**
+   * toSessionFile
+   * Exports the current edit session as a portable file that can be loaded with `fromSessionFile()`,
+   * for example to continue the edits in another browser.  In addition to the history from `toJSON()`,
+   * it contains the changeset comment, hashtags, and source, and the enabled Rapid datasets.
+   * @return  JSON String, or `undefined` if there are no changes to export
+   */
+  toSessionFile() {
+    const json = this.toJSON();
+    if (!json) return;
+
+    const storage = this.context.systems.storage;
+    const rapidSystem = this.context.systems.rapid;
+    const datasetIDs = [...(rapidSystem?.datasets?.values() ?? [])]
+      .filter(ds => ds.added && ds.enabled)
+      .map(ds => ds.id);
+
+    return JSON.stringify({
+      type: 'rapid_edit_session',
+      version: 1,
+      history: JSON.parse(json),
+      changeset: {
+        comment: storage.getItem('comment') ?? undefined,
+        hashtags: storage.getItem('hashtags') ?? undefined,
+        source: storage.getItem('source') ?? undefined
+      },
+      datasets: datasetIDs
+    });
+  }
+
+
+  /**
+   * fromSessionFile
+   * Loads an edit session exported by `toSessionFile()`, replacing the current edit history.
+   * Base entities missing from the file are fetched from the OSM API.
+   * The loaded edits will be saved as a new edit session.
+   * @param   text  The file contents
+   * @throws  if the file is not a Rapid edit session file
+   */
+  fromSessionFile(text) {
+    const file = JSON.parse(text);
+    if (file?.type !== 'rapid_edit_session' || !file.history) {
+      throw new Error('Not a Rapid edit session file');
+    }
+    if (file.version !== 1) {
+      throw new Error(`Edit session file version ${file.version} not supported.`);
+    }
+
+    const storage = this.context.systems.storage;
+    const urlhash = this.context.systems.urlhash;
+
+    this._hasRestorableChanges = false;
+    this._sessionID = null;    // save to a new session
+    this._persisted = [];
+    this.fromJSON(file.history, true);
+
+    const changeset = file.changeset ?? {};
+    for (const k of ['comment', 'hashtags', 'source']) {
+      if (changeset[k]) {
+        storage.setItem(k, changeset[k]);
+      } else {
+        storage.removeItem(k);
+      }
+    }
+    storage.setItem('commentDate', Date.now());
+
+    // Enabling the datasets through the urlhash will also load any Esri datasets that aren't known yet.
+    if (urlhash && Array.isArray(file.datasets)) {
+      urlhash.setParam('datasets', file.datasets.length ? file.datasets.join(',') : null);
+    }
+  }
+
+
   lock() {
     return this._mutex.lock();
   }
@@ -732,10 +1065,18 @@ export class EditSystem extends AbstractSystem {
 
 
   save() {
-    // bail out if another browser tab has locked the mutex, or changes exist that the user may want to restore.
-    if (!this._mutex.locked() || this._hasRestorableChanges) return;
+    // bail out if another browser tab has locked the mutex
+    if (!this._mutex.locked()) return;
 
     const storage = this.context.systems.storage;
+    if (storage.hasDatabase) {   // Each edit session is saved to its own place in indexedDB
+      this._saveSession();
+      return;
+    }
+
+    // bail out if changes exist that the user may want to restore.
+    if (this._hasRestorableChanges) return;
+
     const json = this.toJSON();
     if (json) {
       const success = storage.setItem(this._historyKey(), json);
@@ -746,7 +1087,7 @@ export class EditSystem extends AbstractSystem {
   }
 
 
-  // delete the history version saved in localStorage
+  // delete the current edit session saved in indexedDB, and the history version saved in localStorage
   clearSaved() {
     this.context.debouncedSave.cancel();
 
@@ -757,6 +1098,15 @@ export class EditSystem extends AbstractSystem {
     const storage = this.context.systems.storage;
     storage.removeItem(this._historyKey());
 
+    if (this._sessionID) {
+      const sessionID = this._sessionID;
+      this._sessionID = null;
+      this._persisted = [];
+      this._savePromise = this._savePromise
+        .then(() => storage.removeSessionAsync(sessionID))
+        .catch(e => console.error(e));  // eslint-disable-line no-console
+    }
+
     // clear the changeset metadata associated with the saved history
     storage.removeItem('comment');
     storage.removeItem('hashtags');
@@ -775,13 +1125,316 @@ export class EditSystem extends AbstractSystem {
   }
 
 
-  // load history from a version stored in localStorage
+  // load history from the most recent edit session, or a version stored in localStorage
   restore() {
-    if (this._mutex.locked()) {
-      this._hasRestorableChanges = false;
+    return this.getRestorableSessionsAsync()
+      .then(sessions => {
+        if (sessions.length) {
+          return this.restoreSessionAsync(sessions[0].id);
+        }
+      });
+  }
+
+
+  /**
+   * getRestorableSessionsAsync
+   * Gets the metadata for all saved edit sessions that the user could restore, most recent first.
+   * A history saved in localStorage by an older version of Rapid is included as the 'legacy' session.
+   * Each session Object contains:
+   *   `id`         String identifier for the session
+   *   `name`       Display name for the session
+   *   `created`    Timestamp when the session was started
+   *   `updated`    Timestamp when the session was last saved
+   *   `editCount`  Number of annotated edits in the session
+   *   `counts`     Object with the counts of `created`, `modified`, `deleted` entities
+   *   `extent`     Array `[[minX, minY], [maxX, maxY]]` of the edited entities, or `null`
+   * @return  {Promise} Promise resolved with an Array of session Objects
+   */
+  getRestorableSessionsAsync() {
+    if (!this._mutex.locked()) return Promise.resolve([]);
+
+    const storage = this.context.systems.storage;
+    return storage.getSessionsAsync()
+      .then(sessions => {
+        sessions = sessions.filter(session => session.id !== this._sessionID);
+
+        const json = this.savedHistoryJSON();
+        if (json) {
+          try {
+            sessions.push(this._legacySessionSummary(JSON.parse(json)));
+          } catch (e) {
+            console.error(e);  // eslint-disable-line no-console
+          }
+        }
+        return sessions;
+      });
+  }
+
+
+  /**
+   * restoreSessionAsync
+   * Restores the given saved edit session, replacing the current edit history.
+   * Edits made from now on will continue to be saved to that session.
+   * @param   sessionID  String identifier of the session to restore
+   * @return  {Promise} Promise resolved when the session has been restored
+   */
+  restoreSessionAsync(sessionID) {
+    if (!this._mutex.locked()) return Promise.reject(new Error('Rapid is open in another window'));
+
+    const storage = this.context.systems.storage;
+
+    if (sessionID === 'legacy') {
       const json = this.savedHistoryJSON();
-      if (json) this.fromJSON(json, true);
+      if (!json) return Promise.reject(new Error('No saved history'));
+      this._hasRestorableChanges = false;
+      this.fromJSON(json, true);
+      storage.removeItem(this._historyKey());  // it will be saved to indexedDB from now on
+      return Promise.resolve();
     }
+
+    return Promise.all([
+      storage.getSessionsAsync(),
+      storage.getSessionEditsAsync(sessionID)
+    ])
+    .then(([sessions, edits]) => {
+      const session = sessions.find(s => s.id === sessionID);
+      if (!session) throw new Error(`No saved edit session ${sessionID}`);
+
+      this._hasRestorableChanges = false;
+      this.fromJSON(this._sessionToHistory(session, edits), true);
+      this._sessionID = session.id;
+      this._sessionCreated = session.created;
+      this._sessionName = session.name;
+      this._persisted = this._stack.slice();
+    });
+  }
+
+
+  /**
+   * discardSessionAsync
+   * Deletes the given saved edit session without restoring it.
+   * @param   sessionID  String identifier of the session to discard
+   * @return  {Promise} Promise resolved when the session has been deleted
+   */
+  discardSessionAsync(sessionID) {
+    const storage = this.context.systems.storage;
+
+    if (sessionID === 'legacy') {
+      storage.removeItem(this._historyKey());
+      return Promise.resolve();
+    } else {
+      return storage.removeSessionAsync(sessionID);
+    }
+  }
+
+
+  // Save the current edit stack to indexedDB.
+  // Only the stack entries that have changed since the previous save are written.
+  _saveSession() {
+    const storage = this.context.systems.storage;
+    const stack = this._stack;
+
+    if (!this.hasChanges()) {   // nothing to save, remove the session if we had one
+      if (this._sessionID) {
+        const sessionID = this._sessionID;
+        this._sessionID = null;
+        this._persisted = [];
+        this._savePromise = this._savePromise
+          .then(() => storage.removeSessionAsync(sessionID))
+          .catch(e => console.error(e));  // eslint-disable-line no-console
+      }
+      return;
+    }
+
+    if (!this._sessionID || this._persisted[0] !== stack[0]) {
+      const now = Date.now();
+      this._sessionID = `${now}-${Math.random().toString(36).slice(2, 8)}`;
+      this._sessionCreated = now;
+      this._sessionName = new Date(now).toLocaleString(this.context.systems.l10n?.localeCode());
+      this._persisted = [];
+    }
+
+    // Find the first stack entry that hasn't been persisted yet..
+    let fromIndex = 1;
+    while (fromIndex < stack.length && stack[fromIndex] === this._persisted[fromIndex]) {
+      fromIndex++;
+    }
+
+    const edits = [];
+    for (let i = fromIndex; i < stack.length; i++) {
+      edits.push(this._editRecord(stack[i - 1], stack[i]));
+    }
+
+    const difference = this.difference();
+    const session = {
+      id: this._sessionID,
+      name: this._sessionName,
+      created: this._sessionCreated,
+      updated: Date.now(),
+      index: this._index,
+      nextIDs: Object.assign({}, osmEntity.id.next),
+      editCount: this.peekAllAnnotations().length,
+      counts: {
+        created: difference.created().length,
+        modified: difference.modified().length,
+        deleted: difference.deleted().length
+      },
+      extent: this._differenceExtent(difference)
+    };
+
+    this._persisted = stack.slice();
+
+    this._savePromise = this._savePromise
+      .then(() => storage.putSessionEditsAsync(session, edits, fromIndex))
+      .catch(e => {
+        console.error(e);  // eslint-disable-line no-console
+        this._persisted = [];   // try writing everything again next time
+        this.emit('storage_error');
+      });
+  }
+
+
+  // Returns the data needed to store one entry of the edit stack,
+  // as a delta from the entry before it.
+  _editRecord(prevEdit, currEdit) {
+    const baseGraph = this.base();
+    const prevLocal = prevEdit.graph.local.entities;
+    const currLocal = currEdit.graph.local.entities;
+    const modified = [];
+    const deleted = [];
+    const reverted = [];
+    const baseEntities = new Map();   // Map(entityID -> Entity)
+
+    const preserveOriginal = (entityID) => {
+      const original = baseGraph.hasEntity(entityID);
+      if (!original || baseEntities.has(entityID)) return;
+      baseEntities.set(entityID, original);
+      for (const child of baseGraph.childNodes(original)) {
+        baseEntities.set(child.id, child);
+      }
+      for (const parent of baseGraph.parentWays(original)) {
+        baseEntities.set(parent.id, parent);
+      }
+    };
+
+    for (const [entityID, entity] of currLocal) {
+      if (prevLocal.has(entityID) && prevLocal.get(entityID) === entity) continue;  // unchanged
+      preserveOriginal(entityID);
+      if (entity) {
+        modified.push(entity);
+      } else {
+        deleted.push(entityID);
+      }
+    }
+    for (const entityID of prevLocal.keys()) {
+      if (!currLocal.has(entityID)) {
+        reverted.push(entityID);
+      }
+    }
+
+    const record = { baseEntities: [...baseEntities.values()] };
+    if (modified.length)       record.modified = modified;
+    if (deleted.length)        record.deleted = deleted;
+    if (reverted.length)       record.reverted = reverted;
+    if (currEdit.imageryUsed)  record.imageryUsed = currEdit.imageryUsed;
+    if (currEdit.photosUsed)   record.photosUsed = currEdit.photosUsed;
+    if (currEdit.annotation)   record.annotation = currEdit.annotation;
+    if (currEdit.transform)    record.transform = currEdit.transform;
+    if (currEdit.selectedIDs)  record.selectedIDs = currEdit.selectedIDs;
+    return record;
+  }
+
+
+  // Converts a stored session and its edit records into the
+  // same (version 3) format that `toJSON()` produces.
+  _sessionToHistory(session, edits) {
+    const locals = new Map();         // Map(entityID -> Entity or undefined)
+    const entities = new Map();       // Map(Entity.key -> Entity)
+    const baseEntities = new Map();   // Map(entityID -> Entity)
+    const stack = [{}];
+
+    for (const edit of edits) {
+      for (const entity of edit.modified ?? []) {
+        locals.set(entity.id, entity);
+        entities.set(osmEntity.key(entity), entity);
+      }
+      for (const entityID of edit.deleted ?? []) {
+        locals.set(entityID, undefined);
+      }
+      for (const entityID of edit.reverted ?? []) {
+        locals.delete(entityID);
+      }
+      for (const entity of edit.baseEntities ?? []) {
+        if (!baseEntities.has(entity.id)) {
+          baseEntities.set(entity.id, entity);
+        }
+      }
+
+      const modified = [];
+      const deleted = [];
+      for (const [entityID, entity] of locals) {
+        if (entity) {
+          modified.push(osmEntity.key(entity));
+        } else {
+          deleted.push(entityID);
+        }
+      }
+
+      const item = {};
+      if (modified.length)    item.modified = modified;
+      if (deleted.length)     item.deleted = deleted;
+      if (edit.imageryUsed)   item.imageryUsed = edit.imageryUsed;
+      if (edit.photosUsed)    item.photosUsed = edit.photosUsed;
+      if (edit.annotation)    item.annotation = edit.annotation;
+      if (edit.transform)     item.transform = edit.transform;
+      if (edit.selectedIDs)   item.selectedIDs = edit.selectedIDs;
+      stack.push(item);
+    }
+
+    return {
+      version: 3,
+      entities: [...entities.values()],
+      baseEntities: [...baseEntities.values()],
+      stack: stack,
+      nextIDs: session.nextIDs,
+      index: Math.min(session.index, stack.length - 1),
+      timestamp: session.updated
+    };
+  }
+
+
+  // Returns the extent of everything in the given base -> head difference, as `[[minX, minY], [maxX, maxY]]`
+  _differenceExtent(difference) {
+    let extent = new Extent();
+    for (const change of difference.changes.values()) {
+      const entity = change.head ?? change.base;
+      const graph = change.head ? this.graph() : this.base();
+      if (entity.type === 'relation') continue;   // relation extents can be huge, skip them
+      extent = extent.extend(entity.extent(graph));
+    }
+    return isFinite(extent.min[0]) ? [extent.min, extent.max] : null;
+  }
+
+
+  // Summarizes a history saved in localStorage, so it can be offered alongside the indexedDB sessions
+  _legacySessionSummary(hist) {
+    let extent = new Extent();
+    for (const entity of hist.entities ?? []) {
+      if (Array.isArray(entity.loc)) {
+        extent = extent.extend(new Extent(entity.loc));
+      }
+    }
+    const annotated = (hist.stack ?? []).slice(1, hist.index + 1).filter(s => s.annotation);
+
+    return {
+      id: 'legacy',
+      name: new Date(hist.timestamp).toLocaleString(this.context.systems.l10n?.localeCode()),
+      created: hist.timestamp,
+      updated: hist.timestamp,
+      editCount: annotated.length,
+      counts: null,
+      extent: isFinite(extent.min[0]) ? [extent.min, extent.max] : null
+    };
   }
 
 
@@ -817,10 +1470,13 @@ export class EditSystem extends AbstractSystem {
 
 
   // internal _perform with eased time
+  // Any undone edits past `_index` are dropped from the stack, but remain in the history tree.
   _perform(args, t) {
     const previous = this._stack[this._index].graph;
+    const parent = this._stack[this._index];
     this._stack = this._stack.slice(0, this._index + 1);
     const edit = this._act(args, t);
+    this._addHistoryEdit(edit, parent);
     this._stack.push(edit);
     this._index++;
     return this._change(previous);
@@ -828,9 +1484,14 @@ export class EditSystem extends AbstractSystem {
 
 
   // internal _replace with eased time
+  // The new edit takes the place of the current edit in the history tree.
   _replace(args, t) {
     const previous = this._stack[this._index].graph;
+    const current = this._stack[this._index];
     const edit = this._act(args, t);
+    edit.id = current.id;
+    edit.parentID = current.parentID;
+    this._edits.set(edit.id, edit);
     this._stack[this._index] = edit;
     return this._change(previous);
   }
@@ -840,17 +1501,53 @@ export class EditSystem extends AbstractSystem {
   _overwrite(args, t) {
     const previous = this._stack[this._index].graph;
     if (this._index > 0) {
+      this._removeHistoryEdit(this._stack[this._index]);   // also removes any undone edits after it
       this._index--;
-      this._stack.pop();
     }
     this._stack = this._stack.slice(0, this._index + 1);
     const edit = this._act(args, t);
+    this._addHistoryEdit(edit, this._stack[this._index]);
     this._stack.push(edit);
     this._index++;
     return this._change(previous);
   }
 
 
+  // Adds the new edit to the history tree, as a child of `parent`
+  _addHistoryEdit(edit, parent) {
+    edit.id = this._nextEditID++;
+    edit.parentID = parent.id;
+    this._edits.set(edit.id, edit);
+  }
+
+
+  // Removes the edit and all of its descendants from the history tree
+  _removeHistoryEdit(edit) {
+    if (!edit || edit.id === 0) return;
+    const toRemove = new Set([edit.id]);
+    for (const other of this._edits.values()) {   // edits are kept in creation order, parents first
+      if (toRemove.has(other.parentID)) {
+        toRemove.add(other.id);
+      }
+    }
+    for (const editID of toRemove) {
+      this._edits.delete(editID);
+    }
+  }
+
+
+  // Returns the graphs of every edit in the history tree, with the current stack last.
+  // (`Graph.rebase` treats the last graph as the head)
+  _historyGraphs() {
+    const onStack = new Set(this._stack);
+    const graphs = [];
+    for (const edit of this._edits.values()) {
+      if (!onStack.has(edit)) graphs.push(edit.graph);
+    }
+    return graphs.concat(this._stack.map(edit => edit.graph));
+  }
+
+
   // determine difference and dispatch a change event
   _change(previous) {
     const difference = new Difference(previous, this.graph());
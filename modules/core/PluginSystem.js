@@ -0,0 +1,355 @@
+import { AbstractSystem } from './AbstractSystem';
+
+const STORAGE_KEY = 'plugins';
+
+
+/**
+ * `PluginSystem` loads third-party plugins, which are ES modules that can add
+ *  operations, validation rules, map layers, info panels, and modes to Rapid.
+ *
+ * Plugins are loaded from:
+ *  - the URLs saved in the user's preferences (see `uiSectionPlugins`), and
+ *  - the `plugins` url hash parameter, a comma-separated list of URLs.
+ *    These run code from somewhere else, so the user is asked to allow them first.
+ *
+ * A plugin module should export (as `default`) an Object like:
+ *   {
+ *     id:          'my-plugin',              // required, unique
+ *     name:        'My Plugin',              // optional, shown in the preferences
+ *     register:    function(plugin) {},      // required, called with a `PluginContext`
+ *     unregister:  function(plugin) {}       // optional, called when the plugin is removed
+ *   }
+ * Anything added through the `PluginContext` is removed automatically when the plugin is removed.
+ *
+ * Properties you can access:
+ *   `plugins`     `Map(url -> plugin info)` of the plugins that were requested
+ *   `operations`  `Array` of operation functions added by plugins, called like `fn(context, selectedIDs)`
+ *
+ * Events available:
+ *   `pluginschange`   Fires when a plugin is loaded, fails to load, or is removed
+ */
+export class PluginSystem extends AbstractSystem {
+
+  /**
+   * @constructor
+   * @param  `context`  Global shared application context
+   */
+  constructor(context) {
+    super(context);
+    this.id = 'plugins';
+    this.dependencies = new Set(['map', 'storage', 'ui', 'urlhash', 'validator']);
+
+    this.plugins = new Map();      // Map(url -> { url, id, name, status, error, module, context })
+    this.operations = [];
+
+    this._startPromise = null;
+  }
+
+
+  /**
+   * startAsync
+   * Called after all core objects have been initialized.
+   * Plugins are loaded once the map and the user interface exist, so they can add to them.
+   * @return {Promise} Promise resolved when this component has completed startup
+   */
+  startAsync() {
+    if (this._startPromise) return this._startPromise;
+
+    const context = this.context;
+    const map = context.systems.map;
+    const ui = context.systems.ui;
+    const urlhash = context.systems.urlhash;
+    const prerequisites = Promise.all([map.startAsync(), ui.startAsync(), urlhash.startAsync()]);
+
+    return this._startPromise = prerequisites
+      .then(() => {
+        this._started = true;
+
+        const saved = this.savedURLs();
+        const requested = (urlhash.initialHashParams.get('plugins') ?? '')
+          .split(',')
+          .map(s => s.trim())
+          .filter(url => url && !saved.includes(url));
+
+        let urls = saved;
+        if (requested.length) {
+          const l10n = context.systems.l10n;
+          if (window.confirm(l10n.t('plugins.confirm', { urls: requested.join('\n') }))) {
+            urls = urls.concat(requested);
+          }
+        }
+
+        // Plugins that fail to load are reported in `plugins`, they shouldn't stop Rapid from starting.
+        return Promise.all(urls.map(url => this.loadAsync(url).catch(() => null)));
+      });
+  }
+
+
+  /**
+   * resetAsync
+   * Called after completing an edit session to reset any internal state
+   * @return {Promise} Promise resolved when this component has completed resetting
+   */
+  resetAsync() {
+    return Promise.resolve();
+  }
+
+
+  /**
+   * savedURLs
+   * @return  Array of the plugin URLs saved in the user's preferences
+   */
+  savedURLs() {
+    try {
+      const urls = JSON.parse(this.context.systems.storage.getItem(STORAGE_KEY));
+      return Array.isArray(urls) ? urls : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+
+  /**
+   * addAsync
+   * Saves a plugin URL in the user's preferences, then loads the plugin
+   * @param   url  URL of the plugin module
+   * @return  Promise resolved with the plugin info once the plugin is loaded
+   */
+  addAsync(url) {
+    const urls = this.savedURLs();
+    if (!urls.includes(url)) {
+      this.context.systems.storage.setItem(STORAGE_KEY, JSON.stringify(urls.concat(url)));
+    }
+    return this.loadAsync(url);
+  }
+
+
+  /**
+   * remove
+   * Removes a plugin from the user's preferences, and unloads it if it was loaded
+   * @param  url  URL of the plugin module
+   */
+  remove(url) {
+    const urls = this.savedURLs().filter(d => d !== url);
+    this.context.systems.storage.setItem(STORAGE_KEY, JSON.stringify(urls));
+
+    const plugin = this.plugins.get(url);
+    if (!plugin) return;
+
+    if (plugin.status === 'loaded') {
+      try {
+        plugin.module.unregister?.(plugin.context);
+      } catch (e) {
+        console.error(e);  // eslint-disable-line no-console
+      }
+      plugin.context._cleanup();
+    }
+    this.plugins.delete(url);
+    this.emit('pluginschange');
+  }
+
+
+  /**
+   * loadAsync
+   * Loads and registers the plugin module at the given URL
+   * @param   url  URL of the plugin module
+   * @return  Promise resolved with the plugin info once the plugin is loaded, or rejected if it fails
+   */
+  loadAsync(url) {
+    const existing = this.plugins.get(url);
+    if (existing?.status === 'loaded' || existing?.status === 'loading') {
+      return existing.promise;
+    }
+
+    const plugin = { url: url, id: null, name: url, status: 'loading', error: null, module: null, context: null };
+    this.plugins.set(url, plugin);
+    this.emit('pluginschange');
+
+    return plugin.promise = import(url)
+      .then(exports => {
+        if (this.plugins.get(url) !== plugin) {
+          throw new Error(`Plugin ${url} was removed while loading`);
+        }
+        const module = exports.default ?? exports;
+        if (!module.id || typeof module.register !== 'function') {
+          throw new Error(`${url} is not a Rapid plugin, it should export an 'id' and a 'register' function`);
+        }
+        const other = [...this.plugins.values()].find(d => d !== plugin && d.id === module.id);
+        if (other) {
+          throw new Error(`A plugin with id '${module.id}' is already loaded from ${other.url}`);
+        }
+
+        plugin.id = module.id;
+        plugin.name = module.name ?? module.id;
+        plugin.module = module;
+        plugin.context = new PluginContext(this, module.id);
+
+        try {
+          module.register(plugin.context);
+        } catch (e) {
+          plugin.context._cleanup();   // undo anything it managed to add
+          throw e;
+        }
+
+        plugin.status = 'loaded';
+        this.emit('pluginschange');
+        return plugin;
+      })
+      .catch(err => {
+        console.error(`Could not load plugin ${url}:`, err);  // eslint-disable-line no-console
+        plugin.status = 'error';
+        plugin.error = err;
+        this.emit('pluginschange');
+        throw err;
+      });
+  }
+}
+
+
+/**
+ * `PluginContext` is what each plugin gets passed to its `register` function.
+ *  Everything a plugin adds through it is tracked, so it can be removed along with the plugin,
+ *  and the plugin's preferences are kept separate from Rapid's and other plugins'.
+ *
+ * Properties you can access:
+ *   `id`       `String`     The plugin's id
+ *   `api`      `PublicApi`  The stable scripting API, see API.md
+ *   `context`  `Context`    The global context, for things the API doesn't cover yet.
+ *                           Its internals may change between releases.
+ */
+class PluginContext {
+
+  /**
+   * @constructor
+   * @param  `pluginSystem`  The PluginSystem that loaded the plugin
+   * @param  `pluginID`      The plugin's id
+   */
+  constructor(pluginSystem, pluginID) {
+    this.id = pluginID;
+    this.context = pluginSystem.context;
+    this.api = pluginSystem.context.api;
+
+    this._pluginSystem = pluginSystem;
+    this._cleanups = [];
+  }
+
+
+  /**
+   * t
+   * Translates a string, see `LocalizationSystem.t()`
+   */
+  t(...args) {
+    return this.context.t(...args);
+  }
+
+
+  /**
+   * getPreference
+   * @param   key  String key of the plugin's preference
+   * @return  The stored value, or `null` if not found
+   */
+  getPreference(key) {
+    return this.context.systems.storage.getItem(`plugin.${this.id}.${key}`);
+  }
+
+
+  /**
+   * setPreference
+   * @param   key  String key of the plugin's preference
+   * @param   val  String value to store
+   * @return  `true` if it succeeded, `false` if it failed
+   */
+  setPreference(key, val) {
+    return this.context.systems.storage.setItem(`plugin.${this.id}.${key}`, val);
+  }
+
+
+  /**
+   * addOperation
+   * Adds an operation to the edit menu.  The function is called like the functions in `modules/operations`,
+   * each time something is selected, and should return an operation with an `id`, `title`, `keys`, `available()`,
+   * `disabled()`, `tooltip()`, and `annotation()`.  It may also have an `icon`, the id of an SVG icon.
+   * @param  operationFn  Function like `fn(context, selectedIDs)`
+   */
+  addOperation(operationFn) {
+    const operations = this._pluginSystem.operations;
+    operations.push(operationFn);
+    this._cleanups.push(() => {
+      const index = operations.indexOf(operationFn);
+      if (index !== -1) operations.splice(index, 1);
+    });
+  }
+
+
+  /**
+   * addValidation
+   * Adds a validation rule.  The function is called like the functions in `modules/validations`,
+   * and should return a rule function with a unique `type`.
+   * @param  validationFn  Function like `fn(context)`
+   */
+  addValidation(validationFn) {
+    const validator = this.context.systems.validator;
+    const rule = validationFn(this.context);
+    validator.addRule(rule);
+    this._cleanups.push(() => validator.removeRule(rule.type));
+  }
+
+
+  /**
+   * addLayer
+   * Adds a layer to the map.  The layer should inherit from `AbstractLayer`.
+   * @param  layerFn  Function like `fn(scene)` that returns the layer
+   */
+  addLayer(layerFn) {
+    const scene = this.context.systems.map.scene;
+    const layer = layerFn(scene);
+    scene.addLayer(layer);
+    this._cleanups.push(() => scene.removeLayer(layer.id));
+  }
+
+
+  /**
+   * addPanel
+   * Adds an info panel.  The panel should inherit from `AbstractUiPanel`,
+   * and may have a `key` to toggle it with ⌘⇧ + key.
+   * @param  panelID  Unique id for the panel
+   * @param  panel    The panel
+   */
+  addPanel(panelID, panel) {
+    const info = this.context.systems.ui.info;
+    info.addPanel(panelID, panel);
+    this._cleanups.push(() => info.removePanel(panelID));
+  }
+
+
+  /**
+   * addMode
+   * Adds a mode that can be entered with `context.enter(modeID)`.  The mode should inherit from `AbstractMode`.
+   * @param  modeID     Unique id for the mode
+   * @param  ModeClass  The mode's class, constructed like `new ModeClass(context)`
+   */
+  addMode(modeID, ModeClass) {
+    const context = this.context;
+    if (context.modes[modeID]) {
+      throw new Error(`Mode '${modeID}' already exists`);
+    }
+    context.modes[modeID] = new ModeClass(context);
+    this._cleanups.push(() => {
+      if (context.mode?.id === modeID) context.enter('browse');
+      delete context.modes[modeID];
+    });
+  }
+
+
+  // Removes everything the plugin added, newest first
+  _cleanup() {
+    while (this._cleanups.length) {
+      const cleanup = this._cleanups.pop();
+      try {
+        cleanup();
+      } catch (e) {
+        console.error(e);  // eslint-disable-line no-console
+      }
+    }
+  }
+}
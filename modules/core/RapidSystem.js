@@ -1,8 +1,12 @@
 import { gpx } from '@tmcw/togeojson';
-import { Extent } from '@rapid-sdk/math';
+import { Extent, geomPointInPolygon } from '@rapid-sdk/math';
+import { utilGetAllNodes } from '@rapid-sdk/util';
 
 import { AbstractSystem } from './AbstractSystem';
+import { ConflationAnalyzer } from './lib/ConflationAnalyzer';
 
+const ACCEPT_FEATURES_LIMIT = 50;   // per session, for mappers who aren't power users or working on a task
+const FEEDBACK_REASONS = ['not_a_feature', 'already_mapped', 'bad_geometry', 'bad_tags', 'unsure'];
 const RAPID_MAGENTA = '#da26d3';
 const RAPID_COLORS = [
   '#ff0000',  // red
@@ -21,8 +25,20 @@ const RAPID_COLORS = [
 /**
  * `RapidSystem` maintains all the Rapid datasets
  *
+ * It also classifies Rapid features against the OSM data, so that the user can see
+ * which suggestions are new, and which ones improve or duplicate something already mapped.
+ *
+ * It also keeps a log of the user's decisions about Rapid features, which is saved between sessions,
+ * so that ignored features stay hidden, and so that the decisions can be exported to measure how good the data is.
+ *
+ * It also knows the task the user is working on, if any.  The task comes from either a task GPX file
+ * (the `gpx` url param), or from a task manager (the `task` and `task_api` url params, see `TaskingManagerService`).
+ * Rapid features outside of the task polygon are not offered to the user, and edits that leave it are warned about.
+ *
  * Events available:
  *  `taskchanged`
+ *  `outsidetask`       Fires with the nodes that the user just added or moved outside of the task area
+ *  `feedbackchanged`
  */
 export class RapidSystem extends AbstractSystem {
 
@@ -33,19 +49,36 @@ export class RapidSystem extends AbstractSystem {
   constructor(context) {
     super(context);
     this.id = 'rapid';
-    this.dependencies = new Set(['l10n', 'urlhash']);
+    this.dependencies = new Set(['l10n', 'storage', 'urlhash']);
 
     this.sources = new Set();
 
     this._datasets = new Map();   // Map(datasetID -> dataset)
+    this._task = null;              // task from a task manager, see `TaskingManagerService.loadTaskAsync()`
+    this._taskError = null;
+    this._taskPolygon = null;       // MultiPolygon coordinates of the task area
     this._taskExtent = null;
     this._isTaskBoundsRect = null;
+    this._inTask = new WeakMap();   // WeakMap(entity -> boolean)
     this._hadPoweruser = false;   // true if the user had poweruser mode at any point in their editing
 
+    this._conflation = new ConflationAnalyzer();
+    this._classified = new Map();   // Map(entityID -> { entity, extent, result })
+
+    this._feedback = [];                   // Array of feedback entries, see `recordFeedback()`, saved in indexedDB
+    this._ignoredKeys = new Set();         // Set of `datasetID/featureID` for ignored features, saved in localStorage
+    this._sessionFeedback = new Map();     // Map(entityID -> { entry, locs }) for decisions made in this session
+    this._undoneFeedback = new Map();      // Map(entityID -> { entry, locs }) for decisions that were undone
+    this._tagTemplates = new Map();        // Map(datasetID -> tag template), see `utilApplyTagTemplate`
+
     this._initPromise = null;
 
     // Ensure methods used as callbacks always have `this` bound correctly.
     this._hashchange = this._hashchange.bind(this);
+    this._editsChange = this._editsChange.bind(this);
+    this._editsMerge = this._editsMerge.bind(this);
+    this._editsUndone = this._editsUndone.bind(this);
+    this._editsRedone = this._editsRedone.bind(this);
   }
 
 
@@ -66,11 +99,13 @@ export class RapidSystem extends AbstractSystem {
     const context = this.context;
     const map = context.systems.map;
     const l10n = context.systems.l10n;
+    const storage = context.systems.storage;
     const urlhash = context.systems.urlhash;
 
     const prerequisites = Promise.all([
       map.initAsync(),   // RapidSystem should listen for hashchange after MapSystem
       l10n.initAsync(),
+      storage.initAsync(),
       urlhash.initAsync()
     ]);
 
@@ -78,6 +113,15 @@ export class RapidSystem extends AbstractSystem {
       .then(() => {
         urlhash.on('hashchange', this._hashchange);
 
+        // EditSystem depends on us, so we can't depend on it, but it exists by now.
+        context.systems.edits
+          .on('change', this._editsChange)
+          .on('merge', this._editsMerge)
+          .on('undone', this._editsUndone)
+          .on('redone', this._editsRedone);
+
+        this._loadTagTemplates();
+
         this._datasets.set('fbRoads', {
           id: 'fbRoads',
           beta: false,
@@ -101,6 +145,8 @@ export class RapidSystem extends AbstractSystem {
           label: l10n.t('rapid_feature_toggle.msBuildings.label'),
           license_markdown: l10n.t('rapid_feature_toggle.msBuildings.license_markdown')
         });
+
+        return this._loadFeedbackAsync();
       });
   }
 
@@ -123,6 +169,9 @@ export class RapidSystem extends AbstractSystem {
    */
   resetAsync() {
     this.sources = new Set();
+    this._classified.clear();
+    this._sessionFeedback.clear();
+    this._undoneFeedback.clear();
     return Promise.resolve();
   }
 
@@ -139,11 +188,80 @@ export class RapidSystem extends AbstractSystem {
     return this._taskExtent;
   }
 
+  /**
+   * task
+   * The task from a task manager that the user is working on, or `null`
+   * @readonly
+   */
+  get task() {
+    return this._task;
+  }
+
+  /**
+   * taskError
+   * The error message, if the task could not be loaded from the task manager
+   * @readonly
+   */
+  get taskError() {
+    return this._taskError;
+  }
+
+  /**
+   * taskPolygon
+   * MultiPolygon coordinates of the task area, or `null` if there is no task
+   * @readonly
+   */
+  get taskPolygon() {
+    return this._taskPolygon;
+  }
+
   isTaskRectangular() {
     return (!!this._taskExtent && this._isTaskBoundsRect);
   }
 
 
+  /**
+   * acceptLimit
+   * The number of Rapid features a new mapper can accept per session
+   * @readonly
+   */
+  get acceptLimit() {
+    return ACCEPT_FEATURES_LIMIT;
+  }
+
+
+  /**
+   * acceptedCount
+   * @return  The number of Rapid features accepted in the user's edit history
+   */
+  acceptedCount() {
+    let count = 0;
+    for (const annotation of this.context.systems.edits.peekAllAnnotations()) {
+      if (annotation.type === 'rapid_accept_feature') {
+        count++;
+      } else if (annotation.type === 'rapid_accept_features') {
+        count += annotation.ids.length;
+      }
+    }
+    return count;
+  }
+
+
+  /**
+   * remainingAccepts
+   * Mappers working on a task (a task is in the url) and power users can accept any number of features.
+   * @return  The number of Rapid features the user can still accept, maybe `Infinity`
+   */
+  remainingAccepts() {
+    const urlhash = this.context.systems.urlhash;
+    const hasTask = urlhash.initialHashParams.has('gpx') || urlhash.initialHashParams.has('task');
+    const isPowerUser = urlhash.getParam('poweruser') === 'true';
+    if (hasTask || isPowerUser) return Infinity;
+
+    return Math.max(0, ACCEPT_FEATURES_LIMIT - this.acceptedCount());
+  }
+
+
   /**
    * hadPoweruser
    * true if the user had poweruser mode at any point in their editing
@@ -154,62 +272,752 @@ export class RapidSystem extends AbstractSystem {
   }
 
 
+  /**
+   * classify
+   * Compares a Rapid feature with the OSM data around it, see `ConflationAnalyzer` for the results.
+   * Results are cached until the OSM data near the feature changes.
+   * @param   entity    The Rapid feature
+   * @param   dsGraph   Graph of the dataset containing the feature
+   * @return  Object like `{ type, matchID, tags }`
+   */
+  classify(entity, dsGraph) {
+    const cached = this._classified.get(entity.id);
+    if (cached?.entity === entity) return cached.result;
+
+    const edits = this.context.systems.edits;
+    const result = this._conflation.classify(entity, dsGraph, edits.graph(), edits.tree());
+    const extent = entity.extent(dsGraph).padByMeters(this._conflation.matchDistance);
+    this._classified.set(entity.id, { entity: entity, extent: extent, result: result });
+    return result;
+  }
+
+
+  /**
+   * feedbackReasons
+   * The reasons the user can give for ignoring a Rapid feature
+   * @readonly
+   */
+  get feedbackReasons() {
+    return FEEDBACK_REASONS;
+  }
+
+
+  /**
+   * feedback
+   * All the recorded feedback entries, oldest first
+   * @readonly
+   */
+  get feedback() {
+    return this._feedback;
+  }
+
+
+  /**
+   * recordFeedback
+   * Records the user's decision about a Rapid feature.
+   * Call this after performing the edit for the decision, so that undo and redo can find it.
+   * While the session lasts, later edits to an accepted feature are recorded in the entry's `edits`.
+   * @param  entity    The Rapid feature
+   * @param  decision  `accept` or `ignore`
+   * @param  reason    Optional reason, one of `feedbackReasons`
+   */
+  recordFeedback(entity, decision, reason) {
+    const dsGraph = this.context.services[entity.__service__]?.graph(entity.__datasetid__);
+    const entry = {
+      dataset: (entity.__datasetid__ || '').replace('-conflated', ''),
+      featureID: entity.__origid__ || entity.id,
+      decision: decision,
+      reason: reason || null,
+      tags: Object.assign({}, entity.tags),
+      edits: null,
+      timestamp: new Date().toISOString(),
+      task: this._taskID()
+    };
+
+    this._feedback.push(entry);
+    if (decision === 'ignore') {
+      this._ignoredKeys.add(`${entry.dataset}/${entry.featureID}`);
+    }
+    this._sessionFeedback.set(entity.id, { entry: entry, locs: dsGraph ? locsKey(entity, dsGraph) : null });
+    this._feedbackChanged([entry]);
+  }
+
+
+  /**
+   * isIgnored
+   * @param   entity  A Rapid feature
+   * @return  `true` if the user ignored it, in this session or an earlier one
+   */
+  isIgnored(entity) {
+    if (!this._ignoredKeys.size) return false;
+    const datasetID = (entity.__datasetid__ || '').replace('-conflated', '');
+    return this._ignoredKeys.has(`${datasetID}/${entity.__origid__ || entity.id}`);
+  }
+
+
+  /**
+   * exportFeedback
+   * @return  The feedback entries as JSON Lines, one entry per line
+   */
+  exportFeedback() {
+    return this._feedback.map(entry => JSON.stringify(entry) + '\n').join('');
+  }
+
+
+  /**
+   * clearFeedback
+   * Forgets all the feedback, so ignored features will be shown again
+   */
+  clearFeedback() {
+    const storage = this.context.systems.storage;
+    if (storage.hasDatabase) {
+      storage.clearFeedbackAsync()
+        .catch(e => console.error(e));  // eslint-disable-line no-console
+    }
+
+    this._feedback = [];
+    this._ignoredKeys.clear();
+    this._sessionFeedback.clear();
+    this._undoneFeedback.clear();
+    this._feedbackChanged();
+  }
+
+
+  /**
+   * getTagTemplate
+   * @param   datasetID  The dataset ID
+   * @return  The tag template used when accepting features from the dataset, or `null` if there isn't one
+   */
+  getTagTemplate(datasetID) {
+    return this._tagTemplates.get(datasetID) ?? null;
+  }
+
+
+  /**
+   * setTagTemplate
+   * Sets the tag template used when accepting features from a dataset, it is saved between sessions.
+   * @param  datasetID  The dataset ID
+   * @param  template   The tag template, or `null` to remove it
+   */
+  setTagTemplate(datasetID, template) {
+    if (template) {
+      this._tagTemplates.set(datasetID, template);
+    } else {
+      this._tagTemplates.delete(datasetID);
+    }
+
+    const storage = this.context.systems.storage;
+    storage.setItem('rapid-tag-templates', JSON.stringify(Object.fromEntries(this._tagTemplates)));
+  }
+
+
+  /**
+   * tagTemplateFor
+   * @param   entity  A Rapid feature
+   * @return  The tag template to use when accepting the feature, or `null` if there isn't one
+   */
+  tagTemplateFor(entity) {
+    const datasetID = (entity.__datasetid__ || '').replace('-conflated', '');
+    return this.getTagTemplate(datasetID);
+  }
+
+
+  /**
+   * addLocalDatasetAsync
+   * Adds a file from the user's computer as a Rapid dataset, see `LocalDataService` for the supported files.
+   * The dataset is added enabled, with the next unused color.
+   * @param   file  A File (or Blob with a `name`)
+   * @return  Promise resolved with the new dataset, or rejected if the file can't be used
+   */
+  addLocalDatasetAsync(file) {
+    const context = this.context;
+    const service = context.services.local;
+    if (!service) return Promise.reject(new Error('No Local Data Service'));
+
+    const match = file.name.toLowerCase().match(/\.\w+$/);
+    const extension = match && match[0];
+    const isBinary = (extension === '.fgb');
+
+    return Promise.all([service.startAsync(), isBinary ? file.arrayBuffer() : file.text()])
+      .then(([, data]) => {
+        let n = 1;
+        while (this._datasets.has(`local-${n}`)) n++;
+        const datasetID = `local-${n}`;
+
+        const extent = service.addData(datasetID, extension, data);
+        const nextColor = this._datasets.size % RAPID_COLORS.length;
+        const l10n = context.systems.l10n;
+
+        const dataset = {
+          id: datasetID,
+          beta: false,
+          added: true,         // whether it should appear in the list
+          enabled: true,       // whether the user has checked it on
+          conflated: false,
+          service: 'local',
+          color: RAPID_COLORS[nextColor],
+          label: file.name,
+          description: l10n.t('rapid_feature_toggle.local.description'),
+          extent: extent
+        };
+
+        this._datasets.set(datasetID, dataset);
+        return dataset;
+      });
+  }
+
+
+  /**
+   * addOgcDatasetAsync
+   * Adds an OGC API - Features collection or WFS feature type as a Rapid dataset, see `OgcFeaturesService`.
+   * The dataset is added enabled, with the next unused color.
+   * @param   url  URL of the collection or feature type
+   * @return  Promise resolved with the new dataset, or rejected if the URL can't be used
+   */
+  addOgcDatasetAsync(url) {
+    const context = this.context;
+    const service = context.services.ogc;
+    if (!service) return Promise.reject(new Error('No OGC Features Service'));
+
+    return service.startAsync()
+      .then(() => service.addDatasetAsync(url))
+      .then(info => {
+        const nextColor = this._datasets.size % RAPID_COLORS.length;
+        const l10n = context.systems.l10n;
+
+        const dataset = {
+          id: info.id,
+          beta: false,
+          added: true,         // whether it should appear in the list
+          enabled: true,       // whether the user has checked it on
+          conflated: false,
+          service: 'ogc',
+          color: RAPID_COLORS[nextColor],
+          label: info.title,
+          description: l10n.t('rapid_feature_toggle.ogc.description'),
+          url: url
+        };
+        if (info.extent) {
+          dataset.extent = info.extent;
+        }
+
+        this._datasets.set(info.id, dataset);
+        return dataset;
+      });
+  }
+
+
+  /**
+   * addVectorTileDatasetAsync
+   * Adds a source layer of vector tile data as a Rapid dataset, see `VectorTileDataService`.
+   * The dataset is added enabled, with the next unused color.
+   * @param   template    A url template for fetching data (e.g. a z/x/y tileserver or .pmtiles)
+   * @param   layerID     The name of the source layer to use
+   * @param   tagMapping  Optional tag mapping, see `utilApplyTagMapping`
+   * @return  Promise resolved with the new dataset, or rejected if the source can't be used
+   */
+  addVectorTileDatasetAsync(template, layerID, tagMapping) {
+    const context = this.context;
+    const service = context.services.vectortiledata;
+    if (!service) return Promise.reject(new Error('No Vector Tile Data Service'));
+
+    return service.startAsync()
+      .then(() => service.addDatasetAsync(template, layerID))
+      .then(info => {
+        service.setTagMapping(info.id, tagMapping ?? null);
+
+        const existing = this._datasets.get(info.id);
+        if (existing) {   // added before, just show it again
+          existing.added = true;
+          existing.enabled = true;
+          return existing;
+        }
+
+        const nextColor = this._datasets.size % RAPID_COLORS.length;
+        const l10n = context.systems.l10n;
+
+        const dataset = {
+          id: info.id,
+          beta: false,
+          added: true,         // whether it should appear in the list
+          enabled: true,       // whether the user has checked it on
+          conflated: false,
+          service: 'vectortiledata',
+          color: RAPID_COLORS[nextColor],
+          label: info.title,
+          description: l10n.t('rapid_feature_toggle.vectortile.description'),
+          url: template
+        };
+
+        this._datasets.set(info.id, dataset);
+        return dataset;
+      });
+  }
+
+
+  /**
+   * loadTaskAsync
+   * Loads a task from a task manager, and makes its area the task area.
+   * @param   apiBase     The task manager's API base url
+   * @param   projectID   The project ID
+   * @param   taskID      The task ID
+   * @return  Promise resolved with the task
+   */
+  loadTaskAsync(apiBase, projectID, taskID) {
+    const service = this.context.services.taskingmanager;
+    if (!service) return Promise.reject(new Error('No Tasking Manager Service'));
+
+    this._taskError = null;
+    return service.loadTaskAsync(apiBase, projectID, taskID)
+      .then(task => {
+        this._task = task;
+        this.setTaskPolygon(task.geometry.coordinates);   // emits 'taskchanged'
+        return task;
+      })
+      .catch(err => {
+        this._taskError = err.message ?? String(err);
+        this.emit('taskchanged');
+        throw err;
+      });
+  }
+
+
+  /**
+   * markTaskDoneAsync
+   * Tells the task manager that the user has finished mapping the task
+   * @param   comment  Optional comment to leave on the task
+   * @return  Promise resolved when the task has been marked done
+   */
+  markTaskDoneAsync(comment) {
+    const service = this.context.services.taskingmanager;
+    if (!service || !this._task) return Promise.reject(new Error('No task'));
+
+    return service.markDoneAsync(this._task, comment)
+      .then(status => {
+        this._task.status = status;
+        this.emit('taskchanged');
+      });
+  }
+
+
+  /**
+   * invalidateTaskAsync
+   * Tells the task manager that the task needs more mapping
+   * @param   comment  Optional comment to leave on the task
+   * @return  Promise resolved when the task has been invalidated
+   */
+  invalidateTaskAsync(comment) {
+    const service = this.context.services.taskingmanager;
+    if (!service || !this._task) return Promise.reject(new Error('No task'));
+
+    return service.invalidateAsync(this._task, comment)
+      .then(status => {
+        this._task.status = status;
+        this.emit('taskchanged');
+      });
+  }
+
+
+  /**
+   * setTaskPolygon
+   * Sets the task area
+   * @param  coords  MultiPolygon coordinates of the task area, or `null` to remove it
+   */
+  setTaskPolygon(coords) {
+    this._inTask = new WeakMap();
+
+    if (!coords?.length) {
+      this._taskPolygon = null;
+      this._taskExtent = null;
+      this._isTaskBoundsRect = null;
+      this.emit('taskchanged');
+      return;
+    }
+
+    let extent = new Extent();
+    for (const polygon of coords) {
+      for (const loc of polygon[0] ?? []) {
+        extent = extent.extend(new Extent(loc));
+      }
+    }
+
+    this._taskPolygon = coords;
+    this._taskExtent = extent;
+    this._isTaskBoundsRect = (coords.length === 1 && coords[0].length === 1 && isRectangle(coords[0][0]));
+    this.emit('taskchanged');
+  }
+
+
+  /**
+   * taskContains
+   * @param   loc  The location to check as [lon,lat]
+   * @return  `true` if there is no task area, or if the location is inside of it
+   */
+  taskContains(loc) {
+    if (!this._taskPolygon) {
+      return !this._taskExtent || this._taskExtent.contains(new Extent(loc));
+    }
+    if (!this._taskExtent.contains(new Extent(loc))) return false;
+
+    return this._taskPolygon.some(polygon => {
+      const [outer, ...inners] = polygon;
+      return geomPointInPolygon(loc, outer) && !inners.some(inner => geomPointInPolygon(loc, inner));
+    });
+  }
+
+
+  /**
+   * isInTask
+   * Whether a Rapid feature is at least partly inside the task area.
+   * @param   entity    The Rapid feature
+   * @param   dsGraph   Graph of the dataset containing the feature
+   * @return  `true` if there is no task area, or if any node of the feature is inside of it
+   */
+  isInTask(entity, dsGraph) {
+    if (!this._taskExtent) return true;
+
+    let result = this._inTask.get(entity);
+    if (result === undefined) {
+      if (!entity.extent(dsGraph).intersects(this._taskExtent)) {
+        result = false;
+      } else {
+        const nodes = (entity.type === 'node') ? [entity] : utilGetAllNodes([entity.id], dsGraph);
+        result = nodes.some(node => this.taskContains(node.loc));
+      }
+      this._inTask.set(entity, result);
+    }
+    return result;
+  }
+
+
+  /**
+   * nodesOutsideTask
+   * Finds the nodes that a change added or moved outside of the task area.
+   * Nodes that were already outside of it, like those of a road leading away, are not included.
+   * @param   difference  The `Difference` to check
+   * @return  Array of nodes
+   */
+  nodesOutsideTask(difference) {
+    if (!this._taskExtent) return [];
+
+    let result = [];
+    for (const change of difference.changes.values()) {
+      const head = change.head;
+      const base = change.base;
+      if (head?.type !== 'node') continue;
+      if (base && (base.loc === head.loc || !this.taskContains(base.loc))) continue;
+      if (!this.taskContains(head.loc)) {
+        result.push(head);
+      }
+    }
+    return result;
+  }
+
+
   /**
    * setTaskExtentByGpxData
+   * Sets the task area from a task GPX file.
+   * The closed tracks in the file are the task polygon. If there are only waypoints, their bounding box is used.
+   * @param  gpxData  The GPX file contents
    */
   setTaskExtentByGpxData(gpxData) {
     const dom = (new DOMParser()).parseFromString(gpxData, 'text/xml');
     const gj = gpx(dom);
-    const lineStringCount = gj.features.reduce((accumulator, currentValue) =>  {
-      return accumulator + (currentValue.geometry.type === 'LineString' ? 1 : 0);
-    }, 0);
-
-    if (gj.type === 'FeatureCollection') {
-      let minlat, minlon, maxlat, maxlon;
-
-      gj.features.forEach(f => {
-        if (f.geometry.type === 'Point') {
-          const lon = f.geometry.coordinates[0];
-          const lat = f.geometry.coordinates[1];
-          if (minlat === undefined || lat < minlat) minlat = lat;
-          if (minlon === undefined || lon < minlon) minlon = lon;
-          if (maxlat === undefined || lat > maxlat) maxlat = lat;
-          if (maxlon === undefined || lon > maxlon) maxlon = lon;
-
-        } else if (f.geometry.type === 'LineString' && lineStringCount === 1) {
-          const lats = f.geometry.coordinates.map(f => f[0]);
-          const lngs = f.geometry.coordinates.map(f => f[1]);
-          const uniqueLats = lats.filter(distinct);
-          const uniqueLngs = lngs.filter(distinct);
-          let eachLatHas2Lngs = true;
-
-          uniqueLats.forEach(lat => {
-            const lngsForThisLat = f.geometry.coordinates
-              .filter(coord => coord[0] === lat)   // Filter the coords to the ones with this lat
-              .map(coord => coord[1])              // Make an array of lngs that associate with that lat
-              .filter(distinct);                   // Finally, filter for uniqueness
-
-            if (lngsForThisLat.length !== 2) {
-              eachLatHas2Lngs = false;
-            }
-          });
-          // Check for exactly two unique latitudes, two unique longitudes,
-          // and that each latitude was associated with exactly 2 longitudes,
-          if (uniqueLats.length === 2 && uniqueLngs.length === 2 && eachLatHas2Lngs) {
-            this._isTaskBoundsRect = true;
-          } else {
-            this._isTaskBoundsRect = false;
+    if (gj.type !== 'FeatureCollection') return;
+
+    let rings = [];
+    let points = [];
+
+    for (const f of gj.features) {
+      const geometry = f.geometry;
+      if (!geometry) continue;
+
+      if (geometry.type === 'Point') {
+        points.push(geometry.coordinates);
+      } else if (geometry.type === 'LineString') {
+        rings.push(geometry.coordinates);
+      } else if (geometry.type === 'MultiLineString') {
+        rings.push(...geometry.coordinates);
+      }
+    }
+
+    // Each track is a ring of the task polygon, close it if needed
+    rings = rings
+      .filter(ring => ring.length >= 3)
+      .map(ring => {
+        const first = ring[0];
+        const last = ring[ring.length - 1];
+        return (first[0] === last[0] && first[1] === last[1]) ? ring : [...ring, first];
+      });
+
+    if (rings.length) {
+      this.setTaskPolygon(rings.map(ring => [ring]));
+    } else if (points.length) {
+      const extent = points.reduce((acc, loc) => acc.extend(new Extent(loc)), new Extent());
+      this.setTaskPolygon([[extent.polygon()]]);
+    }
+  }
+
+
+  /**
+   * _loadFeedbackAsync
+   * Loads the feedback saved in earlier sessions.
+   * The ignored features are kept in localStorage, so they are hidden right away.
+   * The feedback log can grow large, so it is kept in indexedDB, or only for this session if that isn't available.
+   * @return  {Promise} Promise resolved when the feedback log has been loaded
+   */
+  _loadFeedbackAsync() {
+    const storage = this.context.systems.storage;
+    try {
+      this._ignoredKeys = new Set(JSON.parse(storage.getItem('rapid-feedback-ignored')) || []);
+    } catch (e) {
+      this._ignoredKeys = new Set();
+    }
+
+    return storage.getFeedbackAsync()
+      .then(records => {
+        const loaded = records.map(record => {
+          const entry = Object.assign({}, record);
+          delete entry.key;
+          return entry;
+        });
+        this._feedback = loaded.concat(this._feedback);
+      })
+      .catch(e => console.error(e));  // eslint-disable-line no-console
+  }
+
+
+  /**
+   * _feedbackChanged
+   * Saves the feedback, and lets listeners know that it changed
+   * @param  saved    Array of feedback entries that were added or changed
+   * @param  removed  Array of feedback entries that were removed
+   */
+  _feedbackChanged(saved = [], removed = []) {
+    const storage = this.context.systems.storage;
+    storage.setItem('rapid-feedback-ignored', JSON.stringify([...this._ignoredKeys]));
+
+    if (storage.hasDatabase && (saved.length || removed.length)) {
+      const records = saved.map(entry => Object.assign({ key: feedbackKey(entry) }, entry));
+      storage.updateFeedbackAsync(records, removed.map(feedbackKey))
+        .catch(e => console.error(e));  // eslint-disable-line no-console
+    }
+
+    this.emit('feedbackchanged');
+  }
+
+
+  /**
+   * _loadTagTemplates
+   * Loads the tag templates saved in earlier sessions
+   */
+  _loadTagTemplates() {
+    const storage = this.context.systems.storage;
+    try {
+      const templates = JSON.parse(storage.getItem('rapid-tag-templates')) || {};
+      this._tagTemplates = new Map(Object.entries(templates));
+    } catch (e) {
+      this._tagTemplates = new Map();
+    }
+  }
+
+
+  /**
+   * _taskID
+   * @return  An identifier for the task the user is working on, like `1234/56` for
+   *           Tasking Manager project 1234 task 56, or `null` if there isn't one
+   */
+  _taskID() {
+    if (this._task) return `${this._task.projectID}/${this._task.taskID}`;
+
+    const gpxURL = this.context.systems.urlhash.initialHashParams.get('gpx');
+    if (!gpxURL) return null;
+    const match = gpxURL.match(/projects\/(\d+)\/tasks\/queries\/gpx\/?\?tasks=(\d+)/);
+    return match ? `${match[1]}/${match[2]}` : gpxURL;
+  }
+
+
+  /**
+   * _updateFeedbackEdits
+   * Records how the user changed the accepted features that are touched by an edit
+   * @param  difference  The Difference of the edit
+   */
+  _updateFeedbackEdits(difference) {
+    const graph = this.context.systems.edits.graph();
+    let touchedIDs = new Set();
+    for (const [entityID, change] of difference.changes) {
+      touchedIDs.add(entityID);
+      if (change.head?.type === 'node') {
+        for (const way of graph.parentWays(change.head)) {
+          touchedIDs.add(way.id);
+        }
+      }
+    }
+
+    let changed = [];
+    for (const entityID of touchedIDs) {
+      const session = this._sessionFeedback.get(entityID);
+      if (session?.entry.decision !== 'accept') continue;
+
+      const entry = session.entry;
+      const entity = graph.hasEntity(entityID);
+      let edits = null;
+      if (!entity) {
+        edits = { deleted: true };
+      } else {
+        let tags = {};
+        for (const k of new Set([...Object.keys(entry.tags), ...Object.keys(entity.tags)])) {
+          if (entry.tags[k] !== entity.tags[k]) {
+            tags[k] = entity.tags[k] ?? null;   // `null` for removed tags
           }
         }
-      });
+        const geometry = !!session.locs && locsKey(entity, graph) !== session.locs;
+        if (Object.keys(tags).length || geometry) {
+          edits = { tags: tags, geometry: geometry };
+        }
+      }
 
-      this._taskExtent = new Extent([minlon, minlat], [maxlon, maxlat]);
-      this.emit('taskchanged');
+      if (JSON.stringify(edits) !== JSON.stringify(entry.edits)) {
+        entry.edits = edits;
+        changed.push(entry);
+      }
+    }
+
+    if (changed.length) {
+      this._feedbackChanged(changed);
+    }
+  }
+
+
+  /**
+   * _editsUndone
+   * Undoing a decision removes its feedback, until it is redone
+   * @param  currEdit  The edit that is now current
+   * @param  prevEdit  The edit that was undone
+   */
+  _editsUndone(currEdit, prevEdit) {
+    const annotation = prevEdit?.annotation;
+    if (!/^rapid/.test(annotation?.type)) return;
+
+    let removed = [];
+    for (const entityID of annotation.ids ?? [annotation.id]) {
+      const session = this._sessionFeedback.get(entityID);
+      if (!session) continue;
+      this._sessionFeedback.delete(entityID);
+      this._undoneFeedback.set(entityID, session);
+      this._feedback = this._feedback.filter(entry => entry !== session.entry);
+      if (session.entry.decision === 'ignore') {
+        this._ignoredKeys.delete(`${session.entry.dataset}/${session.entry.featureID}`);
+      }
+      removed.push(session.entry);
+    }
+
+    if (removed.length) {
+      this._feedbackChanged([], removed);
+    }
+  }
+
+
+  /**
+   * _editsRedone
+   * Redoing a decision restores its feedback
+   * @param  currEdit  The edit that was redone
+   */
+  _editsRedone(currEdit) {
+    const annotation = currEdit?.annotation;
+    if (!/^rapid/.test(annotation?.type)) return;
+
+    let saved = [];
+    for (const entityID of annotation.ids ?? [annotation.id]) {
+      const session = this._undoneFeedback.get(entityID);
+      if (!session) continue;
+      this._undoneFeedback.delete(entityID);
+      this._sessionFeedback.set(entityID, session);
+      this._feedback.push(session.entry);
+      if (session.entry.decision === 'ignore') {
+        this._ignoredKeys.add(`${session.entry.dataset}/${session.entry.featureID}`);
+      }
+      saved.push(session.entry);
+    }
+
+    if (saved.length) {
+      this._feedbackChanged(saved);
+    }
+  }
+
+
+  /**
+   * _invalidateClassified
+   * Forgets the classifications that could be affected by changes to the OSM data in the given extent
+   * @param  extent  Extent that changed, or `null` if anything could have changed
+   */
+  _invalidateClassified(extent) {
+    for (const [entityID, cached] of this._classified) {
+      if (!extent || cached.extent.intersects(extent)) {
+        this._classified.delete(entityID);
+      }
+    }
+  }
+
+
+  /**
+   * _editsChange
+   * Respond to edits.  Without a difference (e.g. restoring history), anything could have changed.
+   * @param  difference  The Difference between the previous graph and the current graph
+   */
+  _editsChange(difference) {
+    if (difference && this._sessionFeedback.size) {
+      this._updateFeedbackEdits(difference);
     }
 
-    function distinct(value, index, self) {
-      return self.indexOf(value) === index;
+    if (difference && this._taskExtent) {
+      const outside = this.nodesOutsideTask(difference);
+      if (outside.length) {
+        this.emit('outsidetask', outside);
+      }
+    }
+
+    if (!this._classified.size) return;
+    if (!difference) {
+      this._invalidateClassified(null);
+      return;
+    }
+
+    const graph = this.context.systems.edits.graph();
+    let extent = new Extent();
+    for (const change of difference.changes.values()) {
+      for (const entity of [change.base, change.head]) {
+        if (entity?.type === 'node') {
+          extent = extent.extend(new Extent(entity.loc));
+        } else if (entity?.type === 'way') {
+          for (const nodeID of entity.nodes) {
+            const node = graph.hasEntity(nodeID);
+            if (node) extent = extent.extend(new Extent(node.loc));
+          }
+        }
+      }
     }
+    this._invalidateClassified(extent);
+  }
+
+
+  /**
+   * _editsMerge
+   * Respond to OSM data being loaded
+   * @param  seenIDs  Set of entityIDs that were loaded
+   */
+  _editsMerge(seenIDs) {
+    if (!this._classified.size) return;
+
+    const graph = this.context.systems.edits.graph();
+    let extent = new Extent();
+    for (const entityID of seenIDs) {
+      const node = graph.hasEntity(entityID);
+      if (node?.type === 'node') {
+        extent = extent.extend(new Extent(node.loc));
+      }
+    }
+    this._invalidateClassified(extent);
   }
 
 
@@ -226,6 +1034,25 @@ export class RapidSystem extends AbstractSystem {
       this._hadPoweruser = true;
     }
 
+    // task
+    const newTask = currParams.get('task');
+    const newTaskAPI = currParams.get('task_api');
+    if (newTask !== prevParams.get('task') || newTaskAPI !== prevParams.get('task_api')) {
+      this._task = null;
+      this._taskError = null;
+      this.setTaskPolygon(null);   // the old task area doesn't apply any more
+      const match = (newTask || '').match(/^(\d+)\/(\d+)$/);   // like `1234/56`
+      if (match && newTaskAPI) {
+        const token = currParams.get('task_token');
+        if (token) {    // don't leave the token in the url
+          this.context.services.taskingmanager?.setToken(token);
+          this.context.systems.urlhash.setParam('task_token', null);
+        }
+        this.loadTaskAsync(newTaskAPI, match[1], match[2])
+          .catch(e => console.error(e));  // eslint-disable-line no-console
+      }
+    }
+
     // datasets
     let toEnable = new Set();
     const newDatasets = currParams.get('datasets');
@@ -294,3 +1121,25 @@ export class RapidSystem extends AbstractSystem {
       });
   }
 }
+
+
+// A string that changes when the geometry of an entity changes
+function locsKey(entity, graph) {
+  if (entity.type === 'node') return entity.loc.join(',');
+  if (entity.type === 'way') return graph.childNodes(entity).map(node => node.loc.join(',')).join(';');
+  return '';
+}
+
+
+// The indexedDB key of a feedback entry, which sorts the entries oldest first
+function feedbackKey(entry) {
+  return `${entry.timestamp}|${entry.dataset}/${entry.featureID}`;
+}
+
+
+// Whether a closed ring is an axis-aligned rectangle
+function isRectangle(ring) {
+  const lons = new Set(ring.map(loc => loc[0]));
+  const lats = new Set(ring.map(loc => loc[1]));
+  return ring.length === 5 && lons.size === 2 && lats.size === 2;
+}
@@ -1,15 +1,26 @@
 import { AbstractSystem } from './AbstractSystem';
 
+const DB_NAME = 'Rapid';
+const DB_VERSION = 2;
+const MAX_SESSIONS = 10;                              // keep at most this many edit sessions
+const MAX_SESSION_AGE = 90 * 24 * 60 * 60 * 1000;     // remove edit sessions that were not saved for 90 days
+
+
 /**
- * `StorageSystem` is a wrapper around `window.localStorage`
- * It is used to store user preferences (good)
- * and the user's edit history (not good)
+ * `StorageSystem` is a wrapper around `window.localStorage` and `window.indexedDB`
+ *
+ * `localStorage` is a _synchronous_ API.
+ * It is used to store user preferences and other small values.
  *
- * n.b.:  `localStorage` is a _synchronous_ API.
- * We should add another system for wrapping `indexedDB`,
- * which is an _asynchronous_ API, but would allow us to store
- * a whole lot more data, and share it with worker processes.
- * (The user's edit history should go there instead.)
+ * `indexedDB` is an _asynchronous_ API, but allows us to store a whole lot more data.
+ * It is used to store the user's edit sessions.  Each session is stored as a
+ * 'sessions' record containing its metadata, and a list of 'edits' records,
+ * one per entry in the edit stack, so that we can save edits incrementally.
+ * Old sessions are removed on startup, see `pruneSessionsAsync`.
+ * It also stores the log of the user's decisions about Rapid features as 'feedback' records.
+ *
+ * If `indexedDB` is not available (e.g. some private browsing modes),
+ * the `...Async` methods will resolve with empty results and `hasDatabase` will be `false`.
  */
 export class StorageSystem extends AbstractSystem {
 
@@ -23,6 +34,9 @@ export class StorageSystem extends AbstractSystem {
     this.dependencies = new Set();
 
     this._storage = null;
+    this._db = null;
+    this._dbPromise = null;
+    this._initPromise = null;
 
     // Note that accessing localStorage may throw a `SecurityError`, so wrap in a try/catch.
     try {
@@ -46,12 +60,17 @@ export class StorageSystem extends AbstractSystem {
    * @return {Promise} Promise resolved when this component has completed initialization
    */
   initAsync() {
+    if (this._initPromise) return this._initPromise;
+
     for (const id of this.dependencies) {
       if (!this.context.systems[id]) {
         return Promise.reject(`Cannot init:  ${this.id} requires ${id}`);
       }
     }
-    return Promise.resolve();
+
+    return this._initPromise = this._openDatabaseAsync()
+      .then(() => this.pruneSessionsAsync())
+      .catch(e => console.error(e));  // eslint-disable-line no-console
   }
 
 
@@ -129,4 +148,222 @@ export class StorageSystem extends AbstractSystem {
   clear() {
     this._storage.clear();
   }
+
+
+  /**
+   * hasDatabase
+   * @readonly
+   * @return  `true` if the indexedDB database is open and usable, `false` if not
+   */
+  get hasDatabase() {
+    return !!this._db;
+  }
+
+
+  /**
+   * getSessionsAsync
+   * Gets the metadata records for all the stored edit sessions, most recently updated first.
+   * @return  {Promise} Promise resolved with an Array of session Objects
+   */
+  getSessionsAsync() {
+    if (!this._db) return Promise.resolve([]);
+
+    return this._requestAsync('sessions', 'readonly', store => store.getAll())
+      .then(sessions => sessions.sort((a, b) => b.updated - a.updated));
+  }
+
+
+  /**
+   * getSessionEditsAsync
+   * Gets the edit records stored for the given session, in stack order.
+   * @param   sessionID  String identifier of the session
+   * @return  {Promise} Promise resolved with an Array of edit Objects
+   */
+  getSessionEditsAsync(sessionID) {
+    if (!this._db) return Promise.resolve([]);
+
+    const range = IDBKeyRange.bound([sessionID, 0], [sessionID, Infinity]);
+    return this._requestAsync('edits', 'readonly', store => store.getAll(range));
+  }
+
+
+  /**
+   * putSessionEditsAsync
+   * Stores the session metadata and replaces its edit records starting at `fromIndex`.
+   * All of this happens in a single transaction, so a failed write leaves the previous data intact.
+   * @param   session    Session metadata Object (must contain an `id`)
+   * @param   edits      Array of edit Objects to store, the first one at `fromIndex`
+   * @param   fromIndex  Stack index of the first edit record to replace
+   * @return  {Promise} Promise resolved when the data has been written, rejected if it failed
+   */
+  putSessionEditsAsync(session, edits, fromIndex) {
+    if (!this._db) return Promise.reject(new Error('indexedDB not available'));
+
+    return this._transactionAsync(['sessions', 'edits'], 'readwrite', tx => {
+      const editStore = tx.objectStore('edits');
+      editStore.delete(IDBKeyRange.bound([session.id, fromIndex], [session.id, Infinity]));
+      edits.forEach((edit, i) => {
+        editStore.put(Object.assign({}, edit, { sessionID: session.id, index: fromIndex + i }));
+      });
+      tx.objectStore('sessions').put(session);
+    });
+  }
+
+
+  /**
+   * removeSessionAsync
+   * Removes the session metadata and all of its edit records.
+   * @param   sessionID  String identifier of the session
+   * @return  {Promise} Promise resolved when the session has been removed
+   */
+  removeSessionAsync(sessionID) {
+    if (!this._db) return Promise.resolve();
+
+    return this._transactionAsync(['sessions', 'edits'], 'readwrite', tx => {
+      tx.objectStore('edits').delete(IDBKeyRange.bound([sessionID, 0], [sessionID, Infinity]));
+      tx.objectStore('sessions').delete(sessionID);
+    });
+  }
+
+
+  /**
+   * pruneSessionsAsync
+   * Removes the edit sessions that were not saved for a long time, and the ones beyond the
+   * most recent few, so that the stored sessions don't grow without bound.
+   * @return  {Promise} Promise resolved with the Array of removed session identifiers
+   */
+  pruneSessionsAsync() {
+    if (!this._db) return Promise.resolve([]);
+
+    const oldest = Date.now() - MAX_SESSION_AGE;
+    return this.getSessionsAsync()
+      .then(sessions => {
+        const sessionIDs = sessions
+          .filter((session, i) => i >= MAX_SESSIONS || session.updated < oldest)
+          .map(session => session.id);
+        return Promise.all(sessionIDs.map(sessionID => this.removeSessionAsync(sessionID)))
+          .then(() => sessionIDs);
+      });
+  }
+
+
+  /**
+   * getFeedbackAsync
+   * Gets the stored Rapid feedback records, in key order.
+   * @return  {Promise} Promise resolved with an Array of feedback Objects
+   */
+  getFeedbackAsync() {
+    if (!this._db) return Promise.resolve([]);
+
+    return this._requestAsync('feedback', 'readonly', store => store.getAll());
+  }
+
+
+  /**
+   * updateFeedbackAsync
+   * Stores and removes Rapid feedback records, in a single transaction.
+   * @param   records  Array of feedback Objects to store (each must contain a `key`)
+   * @param   keys     Array of keys of the feedback records to remove
+   * @return  {Promise} Promise resolved when the data has been written, rejected if it failed
+   */
+  updateFeedbackAsync(records, keys = []) {
+    if (!this._db) return Promise.reject(new Error('indexedDB not available'));
+
+    return this._transactionAsync(['feedback'], 'readwrite', tx => {
+      const store = tx.objectStore('feedback');
+      keys.forEach(key => store.delete(key));
+      records.forEach(record => store.put(record));
+    });
+  }
+
+
+  /**
+   * clearFeedbackAsync
+   * Removes all of the Rapid feedback records.
+   * @return  {Promise} Promise resolved when the records have been removed
+   */
+  clearFeedbackAsync() {
+    if (!this._db) return Promise.resolve();
+
+    return this._requestAsync('feedback', 'readwrite', store => store.clear());
+  }
+
+
+  /**
+   * _openDatabaseAsync
+   * Opens (and creates or upgrades, if needed) the indexedDB database.
+   * This promise always resolves - if the database can't be opened, `this._db` stays `null`.
+   * @return  {Promise} Promise resolved when the database is ready
+   */
+  _openDatabaseAsync() {
+    if (this._dbPromise) return this._dbPromise;
+
+    return this._dbPromise = new Promise(resolve => {
+      let request;
+      try {
+        request = window.indexedDB.open(DB_NAME, DB_VERSION);
+      } catch (e) {   // indexedDB missing, or access denied with a `SecurityError`
+        resolve();
+        return;
+      }
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains('sessions')) {
+          db.createObjectStore('sessions', { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains('edits')) {
+          db.createObjectStore('edits', { keyPath: ['sessionID', 'index'] });
+        }
+        if (!db.objectStoreNames.contains('feedback')) {
+          db.createObjectStore('feedback', { keyPath: 'key' });
+        }
+      };
+      request.onsuccess = () => {
+        this._db = request.result;
+        resolve();
+      };
+      request.onerror = () => {
+        console.error('indexedDB not available', request.error);  // eslint-disable-line no-console
+        resolve();
+      };
+      request.onblocked = () => resolve();
+    });
+  }
+
+
+  /**
+   * _transactionAsync
+   * Runs `fn` within a new transaction on the given object stores.
+   * @param   storeNames  Array of object store names
+   * @param   mode        'readonly' or 'readwrite'
+   * @param   fn          Function that receives the transaction and issues requests on it
+   * @return  {Promise} Promise resolved when the transaction completes, rejected if it fails
+   */
+  _transactionAsync(storeNames, mode, fn) {
+    return new Promise((resolve, reject) => {
+      const tx = this._db.transaction(storeNames, mode);
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+      fn(tx);
+    });
+  }
+
+
+  /**
+   * _requestAsync
+   * Runs a single request on the given object store.
+   * @param   storeName  Object store name
+   * @param   mode       'readonly' or 'readwrite'
+   * @param   fn         Function that receives the object store and returns an `IDBRequest`
+   * @return  {Promise} Promise resolved with the request result
+   */
+  _requestAsync(storeName, mode, fn) {
+    let request;
+    return this._transactionAsync([storeName], mode, tx => {
+      request = fn(tx.objectStore(storeName));
+    })
+    .then(() => request.result);
+  }
 }
@@ -317,6 +317,33 @@ this.didRender = true;
     overMap
       .call(this.info);
 
+    // Show the task instructions when the user starts working on a task from a task manager
+    const rapid = context.systems.rapid;
+    let shownTask = null;
+    rapid.on('taskchanged', () => {
+      const task = rapid.task ?? rapid.taskError;
+      if (task && task !== shownTask) {
+        shownTask = task;
+        if (!this.info.isActive('task')) {
+          this.info.toggle('task');
+        }
+      }
+    });
+
+    // Warn the user when they add or move nodes outside of their task area, but not on every change while dragging
+    let lastOutsideWarning = 0;
+    rapid.on('outsidetask', () => {
+      const now = Date.now();
+      if (now - lastOutsideWarning < 4000) return;
+      lastOutsideWarning = now;
+
+      this.flash
+        .duration(4000)
+        .iconName('#rapid-icon-alert')
+        .iconClass('disabled')
+        .label(l10n.t('info_panels.task.outside'))();
+    });
+
     overMap
       .append('div')
       .attr('class', 'photoviewer')
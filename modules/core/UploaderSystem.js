@@ -5,8 +5,10 @@ import { actionDiscardTags } from '../actions/discard_tags';
 import { actionMergeRemoteChanges } from '../actions/merge_remote_changes';
 import { actionNoop } from '../actions/noop';
 import { actionRevert } from '../actions/revert';
-import { Graph } from './lib';
+import { Graph, UploadPlanner } from './lib';
 
+const OPEN_CHANGESET_KEY = 'uploader.open_changeset';
+const UPLOADED_DELETES_KEY = 'uploader.uploaded_deletes';
 
 
 /**
@@ -18,13 +20,21 @@ import { Graph } from './lib';
  *   'saveStarted'        // dispatched as soon as a call to `save` has been deemed legitimate
  *   'saveEnded'          // dispatched after the result event has been dispatched
  *   'willAttemptUpload'  // dispatched before the actual upload call occurs, if it will
- *   'progressChanged'
+ *   'progressChanged'        // dispatched while checking for conflicts
+ *   'uploadProgressChanged'  // dispatched before uploading each changeset, when the changes are split into several
  *
  *   // Each save results in one of these outcomes:
  *   'resultNoChanges'   // upload wasn't attempted since there were no edits
  *   'resultErrors'      // upload failed due to errors
  *   'resultConflicts'   // upload failed due to data conflicts
  *   'resultSuccess'     // upload completed without errors
+ *
+ * Large uploads are split into several changesets by an `UploadPlanner`, see `maxElements` and `maxSize`.
+ * If one of them fails, the ones already uploaded are reported along with the error.
+ * Their changes become part of the base graph, using the diffResults to assign the new entity ids
+ * and versions, so that retrying will upload only what's left.  The edits before that can't be undone anymore.
+ * If the failed changeset was left open, its id is remembered and uploading will continue in it,
+ * even after a reload, as long as it is still open.  The uploaded deletions are remembered the same way.
  */
 export class UploaderSystem extends AbstractSystem {
 
@@ -35,9 +45,10 @@ export class UploaderSystem extends AbstractSystem {
   constructor(context) {
     super(context);
     this.id = 'uploader';
-    this.dependencies = new Set(['data', 'edits', 'l10n']);
+    this.dependencies = new Set(['data', 'edits', 'l10n', 'storage']);
 
     this.changeset = null;    // uiCommit will create it
+    this.changesets = [];     // all changesets uploaded by this save
 
     this._origChanges = null;
     this._discardTags = {};
@@ -53,6 +64,11 @@ export class UploaderSystem extends AbstractSystem {
     this._errors = [];
     this._initPromise = null;
 
+    // variables for uploading in several changesets
+    this._chunks = [];
+    this._chunkIndex = 0;
+    this._uploaded = [];             // Array of { chunk, diffResult } uploaded, but not yet applied locally
+
     // Ensure methods used as callbacks always have `this` bound correctly.
     this._loadedSome = this._loadedSome.bind(this);
     this._uploadCallback = this._uploadCallback.bind(this);
@@ -100,10 +116,53 @@ export class UploaderSystem extends AbstractSystem {
    */
   resetAsync() {
     this.changeset = null;
+    this.changesets = [];
+    this._uploaded = [];
     return Promise.resolve();
   }
 
 
+  /**
+   * maxElements
+   * The maximum number of elements to upload in a single changeset.
+   * This is the user's preference, capped at the limit of the OSM API.
+   */
+  get maxElements() {
+    const apiMax = this.context.services.osm?.maxChangesetElements ?? 10000;
+    const pref = parseInt(this.context.systems.storage.getItem('preferences.upload.max_elements'), 10);
+    return (pref > 0) ? Math.min(pref, apiMax) : apiMax;
+  }
+
+  set maxElements(val) {
+    const storage = this.context.systems.storage;
+    if (val > 0) {
+      storage.setItem('preferences.upload.max_elements', String(val));
+    } else {
+      storage.removeItem('preferences.upload.max_elements');
+    }
+  }
+
+
+  /**
+   * maxSize
+   * The maximum width or height of the bounding box of a single changeset, in degrees.
+   * (`Infinity` if not limited)
+   */
+  get maxSize() {
+    const pref = parseFloat(this.context.systems.storage.getItem('preferences.upload.max_size'));
+    return (pref > 0) ? pref : Infinity;
+  }
+
+  set maxSize(val) {
+    const storage = this.context.systems.storage;
+    if (val > 0 && isFinite(val)) {
+      storage.setItem('preferences.upload.max_size', String(val));
+    } else {
+      storage.removeItem('preferences.upload.max_size');
+    }
+  }
+
+
   /**
    * isSaving
    */
@@ -138,6 +197,9 @@ export class UploaderSystem extends AbstractSystem {
       this._isSaving = true;
       this.emit('saveStarted');
     }
+    if (!tryAgain) {
+      this.changesets = [];
+    }
 
     // reset variables
     this._localGraph = null;
@@ -320,10 +382,22 @@ export class UploaderSystem extends AbstractSystem {
         strategy: 'force_remote'
       });
 
+      // The user can also pick local or remote values field by field, see `uiConflicts`
+      const mergeChoices = {};
+      const actionCustom = actionMergeRemoteChanges(entityID, {
+        localGraph: localGraph,
+        remoteGraph: remoteGraph,
+        discardTags: this._discardTags,
+        formatUser: formatUser,
+        localize: l10n.t,
+        strategy: 'custom',
+        choices: mergeChoices
+      });
+
       const keepMine = l10n.t('save.conflict.' + (remote.visible ? 'keep_local' : 'restore'));
       const keepTheirs = l10n.t('save.conflict.' + (remote.visible ? 'keep_remote' : 'delete'));
 
-      this._conflicts.push({
+      const conflict = {
         id: entityID,
         name: entityName(local),
         details: mergeConflicts,
@@ -332,7 +406,20 @@ export class UploaderSystem extends AbstractSystem {
           { id: entityID, text: keepMine, action: () => editSystem.replace(actionForceLocal) },
           { id: entityID, text: keepTheirs, action: () => editSystem.replace(actionForceRemote) }
         ]
-      });
+      };
+
+      const fields = actionCustom.fields(localGraph);
+      if (fields.length) {
+        conflict.merge = { fields: fields, choices: mergeChoices };
+        conflict.choices.push({
+          id: entityID,
+          text: l10n.t('save.conflict.merge.title'),
+          merge: true,
+          action: () => editSystem.replace(actionCustom)
+        });
+      }
+
+      this._conflicts.push(conflict);
     }
 
 
@@ -380,9 +467,15 @@ export class UploaderSystem extends AbstractSystem {
     } else {
       const editSystem = context.systems.edits;
       const changes = editSystem.changes(actionDiscardTags(editSystem.difference(), this._discardTags));
+      const deletedIDs = this._uploadedDeletes();
+      changes.deleted = changes.deleted.filter(entity => !deletedIDs.has(entity.id));
+
       if (changes.modified.length || changes.created.length || changes.deleted.length) {
+        const planner = new UploadPlanner({ maxElements: this.maxElements, maxSize: this.maxSize });
+        this._chunks = planner.plan(changes, editSystem.graph(), editSystem.base());
+        this._chunkIndex = 0;
         this.emit('willAttemptUpload');
-        osm.sendChangeset(this.changeset, changes, this._uploadCallback);
+        this._resumeChangeset(() => this._uploadChunk());
       } else {
         // changes were insignificant or reverted by user
         this._didResultInNoChanges();
@@ -391,25 +484,216 @@ export class UploaderSystem extends AbstractSystem {
   }
 
 
-  _uploadCallback(err, updatedChangeset) {
+  // If an earlier upload failed and left a changeset open, try to continue uploading in it.
+  // If that upload did go through after all (the changeset has changes already), we can't tell
+  // which ids it assigned.  Report it, rather than risk uploading the same changes twice.
+  // This check is needed even if the changeset is still open from an upload in this session,
+  // because the server may have applied an upload whose response never arrived.
+  _resumeChangeset(done) {
+    const osm = this.context.services.osm;
+    const storage = this.context.systems.storage;
+    const l10n = this.context.systems.l10n;
+    const changesetID = storage.getItem(OPEN_CHANGESET_KEY);
+
+    if (!changesetID) {
+      done();
+      return;
+    }
+
+    osm.resumeChangeset(changesetID, (err, details) => {
+      // If we can't check the changeset, don't upload anything.
+      // Keep the changeset id, so that it will be checked again when the user retries.
+      if (err && err.status !== 404) {
+        this._errors.push({
+          msg: err.message || err.responseText,
+          details: [ err.status ? l10n.t('save.status_code', { code: err.status }) : l10n.t('save.unknown_error_details') ]
+        });
+        this._didResultInErrors();
+        return;
+      }
+
+      storage.removeItem(OPEN_CHANGESET_KEY);   // it is either resumed now, or can't be used
+
+      if (details?.resumed && details.changes_count > 0) {
+        osm.closeChangeset({ id: changesetID }, () => {});
+        this._errors.push({
+          msg: l10n.t('save.resume.not_empty', { id: changesetID }),
+          details: [ osm.changesetURL(changesetID) ]
+        });
+        this._didResultInErrors();
+      } else {
+        done();   // if it couldn't be resumed, a new changeset will be created
+      }
+    });
+  }
+
+
+  // Upload the current chunk of changes as a new changeset
+  _uploadChunk() {
+    const osm = this.context.services.osm;
+    const chunk = this._chunks[this._chunkIndex];
+
+    // Each chunk after the first gets a new changeset with the same tags
+    if (this.changesets.length) {
+      this.changeset = this.changeset.update({ id: undefined });
+    }
+
+    if (this._chunks.length > 1) {
+      this.emit('uploadProgressChanged', this._chunkIndex + 1, this._chunks.length);
+    }
+    osm.sendChangeset(this.changeset, chunk, this._uploadCallback);
+  }
+
+
+  _uploadCallback(err, updatedChangeset, diffResult) {
+    const osm = this.context.services.osm;
+    const storage = this.context.systems.storage;
+
     if (updatedChangeset) {
       this.changeset = updatedChangeset;  // it may have a changeset id now
     }
 
     if (err) {
+      this._applyUploaded();
+
+      // Remember the changeset if it was left open, so that we can continue uploading in it later
+      const openChangesetID = osm?.openChangesetID;
+      if (openChangesetID) {
+        storage.setItem(OPEN_CHANGESET_KEY, openChangesetID);
+      }
+
       if (err.status === 409) {  // 409 Conflict
         this.save(true, true);   // tryAgain = true, checkConflicts = true
       } else {
         const l10n = this.context.systems.l10n;
-        this._errors.push({
-          msg: err.message || err.responseText,
-          details: [ l10n.t('save.status_code', { code: err.status }) ]
+        const total = this._chunks.length;
+        // Network failures have no status code
+        const details = [ err.status ? l10n.t('save.status_code', { code: err.status }) : l10n.t('save.unknown_error_details') ];
+        if (total > 1) {
+          details.push(l10n.t('save.chunk.failed', { num: this._chunkIndex + 1, total: total }));
+        }
+        if (openChangesetID) {
+          details.push(l10n.t('save.resume.open', { id: openChangesetID }));
+        }
+        this._errors.push({ msg: err.message || err.responseText, details: details });
+
+        // Report which changesets did make it
+        this.changesets.forEach(changeset => {
+          this._errors.push({
+            msg: l10n.t('save.chunk.uploaded', { id: changeset.id }),
+            details: [ this.context.services.osm?.changesetURL(changeset.id) ]
+          });
         });
         this._didResultInErrors();
       }
 
     } else {
-      this._didResultInSuccess();
+      if (storage.getItem(OPEN_CHANGESET_KEY) === this.changeset.id) {
+        storage.removeItem(OPEN_CHANGESET_KEY);
+      }
+      this._uploaded.push({ chunk: this._chunks[this._chunkIndex], diffResult: diffResult ?? new Map() });
+      this.changesets.push(this.changeset);
+
+      this._chunkIndex++;
+      if (this._chunkIndex < this._chunks.length) {
+        this._uploadChunk();
+      } else {
+        this._didResultInSuccess();
+      }
+    }
+  }
+
+
+  // When an upload fails after some of the changesets were uploaded, those changes are on OSM now.
+  // Use the diffResults to make them part of the base graph, as if they had been loaded from OSM:
+  // created entities get their new ids (references to them are updated), and all get their new versions.
+  // This way they are no longer edits, and will not be uploaded a second time.
+  // The earlier edits still have the uploaded changes as edits, so the history is squashed into
+  // a single annotated edit, followed by a new no-op edit to continue saving with.
+  // Deleted entities can't be removed from the base graph, their ids are remembered instead.
+  _applyUploaded() {
+    if (!this._uploaded.length) return;
+
+    const editSystem = this.context.systems.edits;
+    const l10n = this.context.systems.l10n;
+    const storage = this.context.systems.storage;
+    const deletedIDs = this._uploadedDeletes();
+
+    const idMap = new Map();   // Map(placeholder entityID -> new entityID)
+    for (const { diffResult } of this._uploaded) {
+      for (const [oldID, result] of diffResult) {
+        if (result.newID && result.newID !== oldID) {
+          idMap.set(oldID, result.newID);
+        }
+      }
+    }
+
+    const remap = (entity) => {
+      if (entity.type === 'way') {
+        return entity.update({ nodes: entity.nodes.map(nodeID => idMap.get(nodeID) ?? nodeID) });
+      } else if (entity.type === 'relation') {
+        return entity.update({
+          members: entity.members.map(member => Object.assign({}, member, { id: idMap.get(member.id) ?? member.id }))
+        });
+      }
+      return entity;
+    };
+
+    const uploaded = [];          // entities as they are on OSM now
+    const localIDs = new Set();   // entityIDs to put back to the (updated) base graph
+    for (const { chunk, diffResult } of this._uploaded) {
+      for (const entity of [...chunk.created, ...chunk.modified]) {
+        const result = diffResult.get(entity.id);
+        if (!result?.newID) continue;
+        uploaded.push(remap(entity).update({ id: result.newID, version: result.newVersion }));
+        localIDs.add(entity.id);
+        localIDs.add(result.newID);
+      }
+      for (const entity of chunk.deleted) {
+        deletedIDs.add(entity.id);
+      }
+    }
+
+    if (deletedIDs.size) {
+      storage.setItem(UPLOADED_DELETES_KEY, JSON.stringify([...deletedIDs]));
+    }
+
+    editSystem.merge(uploaded, undefined, true);   // force = true, replace the old versions
+    const action = (graph) => {
+      // Edits that were not uploaded yet may use the created entities, so point them at the new ids
+      const parentIDs = new Set();
+      for (const oldID of idMap.keys()) {
+        const entity = graph.hasEntity(oldID);
+        if (!entity) continue;
+        for (const parent of graph.parentWays(entity).concat(graph.parentRelations(entity))) {
+          if (!localIDs.has(parent.id)) {
+            parentIDs.add(parent.id);
+          }
+        }
+      }
+
+      for (const entityID of localIDs) {
+        graph = graph.revert(entityID);
+      }
+      for (const entityID of parentIDs) {
+        graph = graph.replace(remap(graph.entity(entityID)));
+      }
+      return graph;
+    };
+
+    editSystem.squash(action, l10n.t('save.chunk.annotation', { n: this._uploaded.length }));
+    editSystem.perform(actionNoop());
+    this._uploaded = [];
+  }
+
+
+  // The entityIDs that were deleted on OSM by an earlier upload which didn't complete.
+  // They are kept in storage, so that they are not deleted again after a reload.
+  _uploadedDeletes() {
+    try {
+      return new Set(JSON.parse(this.context.systems.storage.getItem(UPLOADED_DELETES_KEY)) || []);
+    } catch (e) {
+      return new Set();
     }
   }
 
@@ -436,7 +720,9 @@ export class UploaderSystem extends AbstractSystem {
 
   _didResultInSuccess() {
     this.context.systems.edits.clearSaved();   // clear edits saved in localstorage
-    this.emit('resultSuccess', this.changeset);
+    this._uploaded = [];
+    this.context.systems.storage.removeItem(UPLOADED_DELETES_KEY);
+    this.emit('resultSuccess', this.changeset, this.changesets);
     this._endSave();
   }
 
@@ -3,6 +3,7 @@ import { utilArrayChunk, utilArrayGroupBy, utilEntityAndDeepMemberIDs } from '@r
 
 import { AbstractSystem } from './AbstractSystem';
 import { Difference } from './lib/Difference';
+import { utilFetchResponse } from '../util';
 import * as Validations from '../validations/index';
 
 const RETRY = 5000;    // wait 5 sec before revalidating provisional entities
@@ -34,7 +35,7 @@ export class ValidationSystem extends AbstractSystem {
   constructor(context) {
     super(context);
     this.id = 'validator';
-    this.dependencies = new Set(['edits', 'storage', 'map', 'urlhash']);
+    this.dependencies = new Set(['edits', 'rapid', 'storage', 'map', 'urlhash']);
 
     this._rules = new Map();    // Map(ruleID -> validator)
     this._base = new ValidationCache('base');   // issues before any user edits
@@ -100,6 +101,10 @@ export class ValidationSystem extends AbstractSystem {
 //      });
       // but not on 'change' (e.g. while drawing)
 
+    // When the task area changes, the user's edits may have left it (or come back into it)
+    context.systems.rapid
+      .on('taskchanged', () => this.revalidateTask());
+
     // When merging fetched data, validate base graph:
     editSystem
       .on('merge', entityIDs => {
@@ -144,6 +149,21 @@ export class ValidationSystem extends AbstractSystem {
           const ruleIDs = disabledRules.split(',').map(s => s.trim()).filter(Boolean);
           this._disabledRuleIDs = new Set(ruleIDs);
         }
+
+        // Custom rules can come from a url, like `validationRules=https://example.com/rules.mapcss`,
+        // or else from the rules that the user chose before, see `setUserRules()`
+        const rulesURL = urlhash.initialHashParams.get('validationRules');
+        const savedRules = storage.getItem('validate-userRules');
+        if (rulesURL) {
+          this.loadUserRulesAsync(rulesURL)
+            .catch(e => console.error(e));  // eslint-disable-line no-console
+        } else if (savedRules) {
+          try {
+            this._rules.get('user_rules').setRules(savedRules);
+          } catch (e) {
+            console.error(e);  // eslint-disable-line no-console
+          }
+        }
       });
   }
 
@@ -246,21 +266,133 @@ export class ValidationSystem extends AbstractSystem {
    * It reruns just the "unsquare_way" validation on all buildings.
    */
   revalidateUnsquare() {
-    const checkUnsquareWay = this._rules.get('unsquare_way');
-    if (typeof checkUnsquareWay !== 'function') return;
+    this._revalidateRule('unsquare_way', entity => {
+      return entity.type === 'way' && entity.tags.building && entity.tags.building !== 'no';
+    });
+  }
+
+
+  /**
+   * revalidateOverlap
+   * Called whenever the user changes the building overlap threshold
+   * It reruns just the "overlapping_buildings" validation on all buildings.
+   */
+  revalidateOverlap() {
+    this._revalidateRule('overlapping_buildings', entity => {
+      return entity.type === 'way' && entity.tags.building && entity.tags.building !== 'no';
+    });
+  }
+
+
+  /**
+   * revalidateTask
+   * Called whenever the task area changes
+   * It reruns just the "outside_task" validation on everything.
+   */
+  revalidateTask() {
+    this._revalidateRule('outside_task');
+  }
+
+
+  /**
+   * userRules
+   * @return  Array of the custom rules that the user loaded, see `validationUserRules`
+   */
+  get userRules() {
+    return this._rules.get('user_rules')?.rules() ?? [];
+  }
+
+
+  /**
+   * setUserRules
+   * Replaces the custom rules, and reruns them on everything.
+   * The rules are saved, so they are used again in later sessions.
+   * @param   text  The rules as JSON or MapCSS, see `validationUserRules`, or `null` to remove them
+   * @throws  if the rules can't be parsed
+   */
+  setUserRules(text) {
+    this._rules.get('user_rules').setRules(text);
+
+    const storage = this.context.systems.storage;
+    if (text) {
+      storage.setItem('validate-userRules', text);
+    } else {
+      storage.removeItem('validate-userRules');
+    }
+    this._revalidateRule('user_rules');
+  }
+
+
+  /**
+   * loadUserRulesAsync
+   * Fetches custom rules from a url, and uses them for this session.
+   * @param   url  The url of the rules, as JSON or MapCSS
+   * @return  Promise resolved when the rules are in use, or rejected if they can't be loaded or parsed
+   */
+  loadUserRulesAsync(url) {
+    return fetch(url)
+      .then(utilFetchResponse)
+      .then(result => {
+        const text = (typeof result === 'string') ? result : JSON.stringify(result);   // JSON rules arrive parsed
+        this._rules.get('user_rules').setRules(text);
+        this._revalidateRule('user_rules');
+      });
+  }
+
+
+  /**
+   * addRule
+   * Adds a validation rule after the validator has started (e.g. from a plugin),
+   * then runs it on everything that has already been validated.
+   * @param   rule  Validation function like the ones in `modules/validations`, with a unique `type`
+   */
+  addRule(rule) {
+    if (typeof rule !== 'function' || !rule.type) {
+      throw new Error('A validation rule must be a function with a `type`');
+    }
+    if (this._rules.has(rule.type)) {
+      throw new Error(`Validation rule '${rule.type}' already exists`);
+    }
+    this._rules.set(rule.type, rule);
+    this._revalidateRule(rule.type);
+  }
+
+
+  /**
+   * removeRule
+   * Removes a validation rule and any issues it found
+   * @param   ruleID  the rule to remove (e.g. 'crossing_ways')
+   */
+  removeRule(ruleID) {
+    if (!this._rules.delete(ruleID)) return;
+    this._head.uncacheIssuesOfType(ruleID);
+    this._base.uncacheIssuesOfType(ruleID);
+    this.emit('validated');
+  }
+
+
+  /**
+   * _revalidateRule
+   * Reruns just one validation rule on all loaded entities
+   * @param   ruleID  the rule to rerun (e.g. 'unsquare_way')
+   * @param   filter  Optional function to choose which entities to run it on
+   */
+  _revalidateRule(ruleID, filter = () => true) {
+    const rule = this._rules.get(ruleID);
+    if (typeof rule !== 'function') return;
 
     const revalidate = (cache) => {
       if (!cache.graph) return;
 
-      cache.uncacheIssuesOfType('unsquare_way');   // uncache existing
+      cache.uncacheIssuesOfType(ruleID);   // uncache existing
 
-      // rerun for all buildings
+      // rerun for all matching entities
       const tree = this.context.systems.edits.tree();
-      const buildings = tree.intersects(new Extent([-180,-90],[180, 90]), cache.graph)  // everywhere
-        .filter(entity => (entity.type === 'way' && entity.tags.building && entity.tags.building !== 'no'));
+      const entities = tree.intersects(new Extent([-180,-90],[180, 90]), cache.graph)  // everywhere
+        .filter(filter);
 
-      for (const entity of buildings) {
-        const detected = checkUnsquareWay(entity, cache.graph);
+      for (const entity of entities) {
+        const detected = rule(entity, cache.graph);
         if (!detected.length) continue;
         cache.cacheIssues(detected);
       }
@@ -625,6 +757,20 @@ export class ValidationSystem extends AbstractSystem {
   }
 
 
+  /**
+   * validateEntity
+   * Runs the enabled validation rules on a single entity, in any graph, without caching the issues.
+   * This lets us preview the issues an edit would have before the user makes it.
+   * @param   entity  The entity
+   * @param   graph   Graph containing the entity
+   * @return  Array of detected issues
+   */
+  validateEntity(entity, graph) {
+    return this._validateEntity(entity, graph).issues
+      .filter(issue => this.isRuleEnabled(issue.type));
+  }
+
+
   /**
    * _validateEntity
    * Runs all validation rules on a single entity.
@@ -10,6 +10,7 @@ import { LocationSystem } from './LocationSystem';
 import { MapSystem } from './MapSystem';
 import { Map3dSystem } from './Map3dSystem';
 import { PhotoSystem } from './PhotoSystem';
+import { PluginSystem } from './PluginSystem';
 import { PresetSystem } from './PresetSystem';
 import { RapidSystem } from './RapidSystem';
 import { StorageSystem } from './StorageSystem';
@@ -29,6 +30,7 @@ export {
   MapSystem,
   Map3dSystem,
   PhotoSystem,
+  PluginSystem,
   PresetSystem,
   RapidSystem,
   StorageSystem,
@@ -52,6 +54,7 @@ systems.available.set('locations', LocationSystem);
 systems.available.set('map', MapSystem);
 systems.available.set('map3d', Map3dSystem);
 systems.available.set('photos', PhotoSystem);
+systems.available.set('plugins', PluginSystem);
 systems.available.set('presets', PresetSystem);
 systems.available.set('rapid', RapidSystem);
 systems.available.set('storage', StorageSystem);
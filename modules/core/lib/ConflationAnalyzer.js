@@ -0,0 +1,174 @@
+import { geoSphericalDistance } from '@rapid-sdk/math';
+
+// A suggestion and an OSM feature can only be the same thing if they share one of these keys
+const FEATURE_KEYS = [
+  'aeroway', 'amenity', 'barrier', 'building', 'highway', 'landuse', 'leisure',
+  'man_made', 'natural', 'power', 'railway', 'shop', 'tourism', 'waterway'
+];
+
+// Tags that the Rapid services add for their own use
+const IGNORE_KEYS = new Set(['conn', 'dupe', 'source']);
+
+
+/**
+ *  ConflationAnalyzer
+ *  ConflationAnalyzer compares a Rapid suggestion with the OSM data around it, and classifies it as:
+ *   - `new`        Nothing like it is mapped yet
+ *   - `duplicate`  It matches an OSM feature, and has nothing to add
+ *   - `tags`       It matches an OSM feature, and has tags that the OSM feature doesn't have
+ *   - `geometry`   It looks like an OSM feature, but its geometry is different
+ *
+ *  Geometry is compared by sampling points along both outlines, and measuring how far each sample is from the other shape.
+ *  A line suggestion that lies along a longer OSM way is a duplicate, but it's only offered as a geometry
+ *  improvement if the two are about the same size, so that replacing the geometry can't drop part of the OSM way.
+ */
+export class ConflationAnalyzer {
+
+  /**
+   * @constructor
+   * @param  options
+   * @param  options.sameDistance   Features whose shapes are never further apart than this, in meters, have the same geometry
+   * @param  options.matchDistance  Features whose shapes are this close on average, in meters, are the same thing
+   */
+  constructor(options = {}) {
+    this.sameDistance = options.sameDistance ?? 2;
+    this.matchDistance = options.matchDistance ?? 10;
+  }
+
+
+  /**
+   * classify
+   * @param   entity    The suggestion, a node or way with a `__fbid__`
+   * @param   extGraph  Graph containing the suggestion
+   * @param   graph     The OSM graph to compare against
+   * @param   tree      Tree for the OSM graph
+   * @return  Object like `{ type, matchID, tags }`, where `type` is one of the types above,
+   *            `matchID` is the entityID of the matching OSM feature (or `null` for `new`), and
+   *            `tags` are the suggestion's tags that the OSM feature doesn't have
+   */
+  classify(entity, extGraph, graph, tree) {
+    const geometry = entity.geometry(extGraph);
+    const result = { type: 'new', matchID: null, tags: {} };
+    if (!['point', 'line', 'area'].includes(geometry)) return result;
+
+    const kinds = FEATURE_KEYS.filter(k => entity.tags[k]);
+    const extent = entity.extent(extGraph).padByMeters(this.matchDistance);
+    const candidates = tree.intersects(extent, graph)
+      .filter(other => other.id !== entity.id && other.geometry(graph) === geometry)
+      .filter(other => !kinds.length || kinds.some(k => other.tags[k]));
+
+    let best = null;
+    for (const other of candidates) {
+      const match = this._compare(entity, extGraph, other, graph, geometry);
+      if (match && (!best || match.score < best.score)) {
+        best = Object.assign(match, { other: other });
+      }
+    }
+    if (!best) return result;
+
+    result.matchID = best.other.id;
+    for (const [k, v] of Object.entries(entity.tags)) {
+      if (!IGNORE_KEYS.has(k) && best.other.tags[k] === undefined) {
+        result.tags[k] = v;
+      }
+    }
+
+    if (!best.same) {
+      result.type = 'geometry';
+    } else if (Object.keys(result.tags).length) {
+      result.type = 'tags';
+    } else {
+      result.type = 'duplicate';
+    }
+    return result;
+  }
+
+
+  /**
+   * _compare
+   * @return  `null` if the features don't match, or an Object like `{ same, score }`, where
+   *            `same` is `true` if they have the same geometry, and a lower `score` is a closer match
+   */
+  _compare(entity, extGraph, other, graph, geometry) {
+    if (geometry === 'point') {
+      const dist = geoSphericalDistance(entity.loc, other.loc);
+      if (dist > this.matchDistance) return null;
+      return { same: dist <= this.sameDistance, score: dist };
+    }
+
+    const a = entity.nodes.map(nodeID => extGraph.entity(nodeID).loc);
+    const b = other.nodes.map(nodeID => graph.entity(nodeID).loc);
+    const project = projector(a[0]);
+    const pa = a.map(project);
+    const pb = b.map(project);
+
+    const distA = sample(pa).map(p => distanceToPolyline(p, pb));   // suggestion to OSM
+    const distB = sample(pb).map(p => distanceToPolyline(p, pa));   // OSM to suggestion
+    const maxA = Math.max(...distA);
+    const meanA = mean(distA);
+    const meanB = mean(distB);
+
+    // A line can duplicate part of a longer OSM way
+    const covered = (geometry === 'line') ? maxA : Math.max(maxA, ...distB);
+    if (covered <= this.sameDistance) {
+      return { same: true, score: meanA };
+    }
+    if (meanA <= this.matchDistance && meanB <= this.matchDistance) {
+      return { same: false, score: (meanA + meanB) / 2 };
+    }
+    return null;
+  }
+}
+
+
+// Project [lon,lat] to approximate meters around an origin, which is close enough for comparing nearby shapes
+function projector(origin) {
+  const kx = 111320 * Math.cos(origin[1] * Math.PI / 180);
+  const ky = 110540;
+  return (loc) => [(loc[0] - origin[0]) * kx, (loc[1] - origin[1]) * ky];
+}
+
+// Points along a polyline, at least every few meters, including its vertices
+function sample(points) {
+  let length = 0;
+  for (let i = 1; i < points.length; i++) {
+    length += dist(points[i - 1], points[i]);
+  }
+  const step = Math.max(3, length / 50);
+
+  let results = [points[0]];
+  for (let i = 1; i < points.length; i++) {
+    const [a, b] = [points[i - 1], points[i]];
+    const n = Math.ceil(dist(a, b) / step);
+    for (let j = 1; j <= n; j++) {
+      const t = j / n;
+      results.push([a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t]);
+    }
+  }
+  return results;
+}
+
+function distanceToPolyline(p, points) {
+  if (points.length === 1) return dist(p, points[0]);
+  let min = Infinity;
+  for (let i = 1; i < points.length; i++) {
+    min = Math.min(min, distanceToSegment(p, points[i - 1], points[i]));
+  }
+  return min;
+}
+
+function distanceToSegment(p, a, b) {
+  const dx = b[0] - a[0];
+  const dy = b[1] - a[1];
+  const len2 = dx * dx + dy * dy;
+  const t = len2 ? Math.max(0, Math.min(1, ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / len2)) : 0;
+  return dist(p, [a[0] + t * dx, a[1] + t * dy]);
+}
+
+function dist(a, b) {
+  return Math.hypot(a[0] - b[0], a[1] - b[1]);
+}
+
+function mean(values) {
+  return values.reduce((sum, val) => sum + val, 0) / values.length;
+}
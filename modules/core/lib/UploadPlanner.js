@@ -0,0 +1,135 @@
+import { Extent } from '@rapid-sdk/math';
+
+
+/**
+ *  UploadPlanner
+ *  UploadPlanner splits a set of changes into several smaller changesets,
+ *  so that each one stays under the OSM API's element limit and covers a reasonably small area.
+ *
+ *  Entities that depend on each other are always kept together in the same changeset:
+ *   - a way or relation and any new entities it references (their placeholder ids only mean
+ *     something within a single upload), and
+ *   - a deleted entity and any changed ways or relations that used to reference it.
+ *  The osmChange for each changeset is ordered as usual, so nodes go before the ways that need them.
+ *  A group of dependent entities is never split, even if it is bigger than the limits.
+ */
+export class UploadPlanner {
+
+  /**
+   * @constructor
+   * @param  options
+   * @param  options.maxElements  Maximum number of entities in a changeset
+   * @param  options.maxSize      Maximum width or height of a changeset's bounding box, in degrees
+   */
+  constructor(options = {}) {
+    this.maxElements = options.maxElements ?? 10000;
+    this.maxSize = options.maxSize ?? Infinity;
+  }
+
+
+  /**
+   * plan
+   * @param   changes    Object with `created`, `modified`, and `deleted` Arrays of entities, as returned by `EditSystem.changes()`
+   * @param   headGraph  Graph containing the created and modified entities
+   * @param   baseGraph  Graph containing the deleted entities
+   * @return  Array of changes Objects, each with `created`, `modified`, and `deleted` Arrays of entities
+   */
+  plan(changes, headGraph, baseGraph) {
+    const changeTypes = new Map();   // Map(entityID -> 'created', 'modified', 'deleted')
+    const entities = new Map();      // Map(entityID -> Entity)
+    for (const changeType of ['created', 'modified', 'deleted']) {
+      for (const entity of changes[changeType]) {
+        changeTypes.set(entity.id, changeType);
+        entities.set(entity.id, entity);
+      }
+    }
+
+    // Union-find to gather the entities that must be uploaded together
+    const parents = new Map();
+    const find = (entityID) => {
+      let root = entityID;
+      while (parents.has(root)) {
+        root = parents.get(root);
+      }
+      return root;
+    };
+    const union = (a, b) => {
+      const rootA = find(a);
+      const rootB = find(b);
+      if (rootA !== rootB) parents.set(rootB, rootA);
+    };
+
+    for (const [entityID, entity] of entities) {
+      const changeType = changeTypes.get(entityID);
+      if (changeType === 'deleted') {
+        const parentEntities = [...baseGraph.parentWays(entity), ...baseGraph.parentRelations(entity)];
+        for (const parent of parentEntities) {
+          if (changeTypes.has(parent.id)) union(parent.id, entityID);
+        }
+      } else if (entity.type === 'way') {
+        for (const nodeID of entity.nodes) {
+          if (changeTypes.get(nodeID) === 'created') union(entityID, nodeID);
+        }
+      } else if (entity.type === 'relation') {
+        for (const member of entity.members) {
+          if (changeTypes.get(member.id) === 'created') union(entityID, member.id);
+        }
+      }
+    }
+
+    // Build the groups, with their extents
+    const groups = new Map();   // Map(root entityID -> group)
+    for (const [entityID, entity] of entities) {
+      const root = find(entityID);
+      let group = groups.get(root);
+      if (!group) {
+        group = { entityIDs: [], extent: new Extent() };
+        groups.set(root, group);
+      }
+      const graph = changeTypes.get(entityID) === 'deleted' ? baseGraph : headGraph;
+      group.entityIDs.push(entityID);
+      group.extent = group.extent.extend(entity.extent(graph));
+    }
+
+    // Sort the groups into rows and columns of a grid, so that neighboring groups end up in the same changeset
+    const cellSize = isFinite(this.maxSize) ? this.maxSize : 1;
+    const cell = (group) => {
+      const [x, y] = isFinite(group.extent.min[0]) ? group.extent.center() : [0, 0];
+      return [Math.floor(y / cellSize), Math.floor(x / cellSize)];
+    };
+    const sorted = [...groups.values()]
+      .map(group => ({ group: group, cell: cell(group) }))
+      .sort((a, b) => (a.cell[0] - b.cell[0]) || (a.cell[1] - b.cell[1]))
+      .map(d => d.group);
+
+    // Pack the groups into changesets
+    const results = [];
+    let current = null;
+    for (const group of sorted) {
+      if (current) {
+        const extent = current.extent.extend(group.extent);
+        const size = Math.max(extent.max[0] - extent.min[0], extent.max[1] - extent.min[1]);
+        if (current.entityIDs.length + group.entityIDs.length > this.maxElements || size > this.maxSize) {
+          results.push(current);
+          current = null;
+        } else {
+          current.entityIDs.push(...group.entityIDs);
+          current.extent = extent;
+          continue;
+        }
+      }
+      current = { entityIDs: [...group.entityIDs], extent: group.extent };
+    }
+    if (current) {
+      results.push(current);
+    }
+
+    return results.map(chunk => {
+      let result = { created: [], modified: [], deleted: [] };
+      for (const entityID of chunk.entityIDs) {
+        result[changeTypes.get(entityID)].push(entities.get(entityID));
+      }
+      return result;
+    });
+  }
+}
@@ -1,5 +1,6 @@
 export { Category } from './Category';
 export { Collection } from './Collection';
+export { ConflationAnalyzer } from './ConflationAnalyzer';
 export { Difference } from './Difference';
 
 export {
@@ -14,5 +15,6 @@ export { Field } from './Field';
 export { Graph } from './Graph';
 export { Preset } from './Preset';
 export { Tree } from './Tree';
+export { UploadPlanner } from './UploadPlanner';
 export { ValidationFix } from './ValidationFix';
 export { ValidationIssue } from './ValidationIssue';
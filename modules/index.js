@@ -17,6 +17,13 @@ export * from './util/index';
 export * from './validations/index';
 
 export { Context } from './Context';
+export { PublicApi } from './PublicApi';
+
+// Base classes for plugins to build on, see API.md
+export { AbstractLayer } from './pixi/AbstractLayer';
+export { PixiFeatureLine } from './pixi/PixiFeatureLine';
+export { PixiFeaturePoint } from './pixi/PixiFeaturePoint';
+export { PixiFeaturePolygon } from './pixi/PixiFeaturePolygon';
 
 // Reexport only what our tests use, see iD#4379
 import * as D3 from 'd3';
@@ -0,0 +1,312 @@
+import { select as d3_select } from 'd3-selection';
+import { Extent, geomPointInPolygon } from '@rapid-sdk/math';
+
+import { AbstractMode } from './AbstractMode';
+import { actionRapidAcceptFeature } from '../actions/rapid_accept_feature';
+import { uiRapidReviewRegion } from '../ui/rapid_review_region';
+import { utilApplyTagTemplate, utilKeybinding } from '../util';
+
+const DEBUG = false;
+
+
+/**
+ * `RapidReviewMode`
+ *  In this mode, the user reviews all the Rapid features in a region, and can accept many of them at once.
+ *  The region is drawn with the lasso (⇧ + drag), or is the task area.
+ *  - `features` contains the Rapid features in the region, along with their validation issues.
+ *  - Each batch of accepted features is a single edit, so it can be undone in one step.
+ *  - Mappers who are limited in how many features they can accept are still limited.
+ */
+export class RapidReviewMode extends AbstractMode {
+
+  /**
+   * @constructor
+   * @param  `context`  Global shared application context
+   */
+  constructor(context) {
+    super(context);
+    this.id = 'rapid-review';
+
+    this.polygon = null;     // Array of [lon,lat] coords of the region
+    this.features = [];      // Array of Objects like `{ id, entity, graph, dataset, issues }`
+
+    this._isTaskArea = false;   // `true` if the region is the task area, see `useTaskArea()`
+
+    this._keybinding = null;
+    this._sidebarContent = null;
+
+    // Make sure the event handlers have `this` bound correctly
+    this._lasso = this._lasso.bind(this);
+    this._refresh = this._refresh.bind(this);
+  }
+
+
+  /**
+   * enter
+   * @param  `options`  Optional `Object` of options passed to the new mode
+   *    `polygon`   Array of [lon,lat] coords of the region to review
+   *    `task`      `true` to review the task area
+   */
+  enter(options = {}) {
+    if (DEBUG) {
+      console.log('RapidReviewMode: entering');  // eslint-disable-line no-console
+    }
+
+    const context = this.context;
+    this._active = true;
+    this.polygon = null;
+    this.features = [];
+    this._isTaskArea = false;
+
+    context.enableBehaviors(['hover', 'map-interaction', 'lasso']);
+    context.behaviors.lasso.on('lasso', this._lasso);
+
+    context.systems.edits
+      .on('change', this._refresh)
+      .on('undone', this._refresh)
+      .on('redone', this._refresh);
+
+    this._keybinding = utilKeybinding('rapid-review');
+    this._keybinding.on('⎋', () => context.enter('browse'), true);
+    d3_select(document).call(this._keybinding);
+
+    this._sidebarContent = uiRapidReviewRegion(context, this);
+    context.systems.ui.sidebar.show(this._sidebarContent);
+
+    if (options.task) {
+      this.useTaskArea();
+    } else if (options.polygon) {
+      this.setPolygon(options.polygon);
+    }
+
+    return true;
+  }
+
+
+  /**
+   * exit
+   */
+  exit() {
+    if (!this._active) return;
+    this._active = false;
+
+    if (DEBUG) {
+      console.log('RapidReviewMode: exiting');  // eslint-disable-line no-console
+    }
+
+    const context = this.context;
+    context.behaviors.lasso.off('lasso', this._lasso);
+
+    context.systems.edits
+      .off('change', this._refresh)
+      .off('undone', this._refresh)
+      .off('redone', this._refresh);
+
+    if (this._keybinding) {
+      d3_select(document).call(this._keybinding.unbind);
+      this._keybinding = null;
+    }
+
+    this.polygon = null;
+    this.features = [];
+    this._isTaskArea = false;
+    this._sidebarContent = null;
+    this._setMapPolygon(null);
+    context.systems.ui.sidebar.hide();
+  }
+
+
+  /**
+   * setPolygon
+   * Sets the region to review, and finds the Rapid features in it
+   * @param  polygon  Array of [lon,lat] coords
+   */
+  setPolygon(polygon) {
+    this._isTaskArea = false;
+    this.polygon = polygon;
+    this._setMapPolygon(polygon);
+    this._refresh();
+  }
+
+
+  /**
+   * useTaskArea
+   * Sets the region to review to the task area, if there is one
+   */
+  useTaskArea() {
+    const rapid = this.context.systems.rapid;
+    if (!rapid.taskExtent) return;
+
+    // The task area can have several parts and holes, so the features are checked with
+    // `RapidSystem.taskContains()`, and `polygon` is just its bounding box.
+    // The task area is already drawn on the map.
+    this._isTaskArea = true;
+    this.polygon = rapid.taskExtent.polygon();
+    this._setMapPolygon(null);
+    this._refresh();
+  }
+
+
+  /**
+   * accept
+   * Accepts the given features as a single edit.
+   * If the user can't accept that many, only the first ones are accepted.
+   * @param   features  Array of items from `features`
+   * @return  The number of features accepted
+   */
+  accept(features) {
+    const context = this.context;
+    const rapid = context.systems.rapid;
+    const toAccept = features.slice(0, rapid.remainingAccepts());
+    if (!toAccept.length) return 0;
+
+    const sources = new Set();
+    const templateSources = new Set();
+    for (const item of toAccept) {
+      const tagTemplate = rapid.tagTemplateFor(item.entity);
+      const sourceTag = utilApplyTagTemplate(tagTemplate, item.entity.tags).source;
+      if (sourceTag) sources.add(sourceTag);
+      if (tagTemplate?.set?.source) templateSources.add(tagTemplate.set.source);
+    }
+
+    // see `uiRapidFeatureInspector` for the single feature version of this annotation
+    const annotation = {
+      type: 'rapid_accept_features',
+      description: context.t('rapid_review.annotation', { n: toAccept.length }),
+      ids: toAccept.map(item => item.id),
+      origids: toAccept.map(item => item.entity.__origid__).filter(Boolean),
+      sources: [...sources]
+    };
+
+    context.perform(graph => {
+      for (const item of toAccept) {
+        graph = actionRapidAcceptFeature(item.id, item.graph, rapid.tagTemplateFor(item.entity))(graph);
+      }
+      return graph;
+    }, annotation);
+
+    for (const item of toAccept) {
+      rapid.recordFeedback(item.entity, 'accept');
+    }
+
+    // remember sources for later when we prepare the changeset
+    rapid.sources.add('mapwithai');    // always add 'mapwithai'
+    if ([...sources].some(sourceTag => /^esri/.test(sourceTag))) {
+      rapid.sources.add('esri');       // add 'esri' for esri sources
+    }
+    for (const source of templateSources) {
+      rapid.sources.add(source);       // add the sources that the datasets' tag templates set
+    }
+
+    return toAccept.length;
+  }
+
+
+  /**
+   * _lasso
+   * Receives the polygon drawn with the lasso behavior
+   * @param  polygon  Array of [lon,lat] coords
+   */
+  _lasso(polygon) {
+    this.setPolygon(polygon);
+  }
+
+
+  /**
+   * _refresh
+   * Finds the Rapid features in the region again, and updates the sidebar.
+   * Called when the region changes, and after edits (accepted features leave the list)
+   */
+  _refresh() {
+    if (!this._active) return;
+    this.features = this.polygon ? this._gatherFeatures(this.polygon) : [];
+    this._sidebarContent?.rerender();
+  }
+
+
+  _setMapPolygon(polygon) {
+    const mapUILayer = this.context.scene().layers.get('map-ui');
+    if (!mapUILayer) return;
+    mapUILayer.lassoPolygonData = polygon;
+    this.context.systems.map.immediateRedraw();
+  }
+
+
+  /**
+   * _gatherFeatures
+   * Finds the Rapid features from the enabled datasets that are completely inside the polygon,
+   * and haven't already been accepted or ignored.
+   * @param   polygon  Array of [lon,lat] coords
+   * @return  Array of Objects like `{ id, entity, graph, dataset, issues }`
+   */
+  _gatherFeatures(polygon) {
+    const context = this.context;
+    const rapid = context.systems.rapid;
+    const validator = context.systems.validator;
+    const extent = polygon.reduce((extent, loc) => extent.extend(new Extent(loc)), new Extent());
+    const contains = this._isTaskArea ? (loc => rapid.taskContains(loc)) : (loc => geomPointInPolygon(loc, polygon));
+    const currGraph = context.graph();
+
+    // Features that the user already accepted or ignored, see `PixiLayerRapid._onRestore()`
+    let handledIDs = new Set();
+    for (const annotation of context.systems.edits.peekAllAnnotations()) {
+      if (!/^rapid/.test(annotation?.type)) continue;
+      for (const id of [...(annotation.ids ?? [annotation.id]), ...(annotation.origids ?? [annotation.origid])]) {
+        if (id) handledIDs.add(id);
+      }
+    }
+
+    let results = [];
+    for (const dataset of rapid.datasets.values()) {
+      if (!dataset.added || !dataset.enabled) continue;
+
+      const service = context.services[dataset.service];
+      if (!service?.started) continue;
+
+      const datasetID = dataset.id + (dataset.conflated ? '-conflated' : '');
+      const dsGraph = service.graph(datasetID);
+      if (!dsGraph) continue;
+
+      for (const entity of service.getData(datasetID, extent)) {
+        if (!entity.__fbid__) continue;
+        if (handledIDs.has(entity.id) || handledIDs.has(entity.__origid__) || rapid.isIgnored(entity)) continue;
+        if (!['point', 'line', 'area'].includes(entity.geometry(dsGraph))) continue;
+        if (!locsOf(entity, dsGraph).every(contains)) continue;
+
+        // Preview the issues the feature would have once accepted
+        let issues = [];
+        try {
+          const acceptedGraph = actionRapidAcceptFeature(entity.id, dsGraph, rapid.tagTemplateFor(entity))(currGraph);
+          const accepted = acceptedGraph.hasEntity(entity.id);
+          if (accepted) {
+            issues = validator.validateEntity(accepted, acceptedGraph);
+          }
+        } catch (e) {
+          console.error(e);  // eslint-disable-line no-console
+        }
+
+        results.push({ id: entity.id, entity: entity, graph: dsGraph, dataset: dataset, issues: issues });
+      }
+    }
+
+    return results;
+
+
+    function locsOf(entity, graph, seen = new Set()) {
+      if (seen.has(entity.id)) return [];
+      seen.add(entity.id);
+
+      if (entity.type === 'node') {
+        return [entity.loc];
+      } else if (entity.type === 'way') {
+        return graph.childNodes(entity).map(node => node.loc);
+      } else {
+        return entity.members
+          .map(member => graph.hasEntity(member.id))
+          .filter(Boolean)
+          .flatMap(member => locsOf(member, graph, seen));
+      }
+    }
+  }
+
+}
@@ -34,6 +34,7 @@ export class SaveMode extends AbstractMode {
     this._keybindingOn = this._keybindingOn.bind(this);
     this._prepareForSuccess = this._prepareForSuccess.bind(this);
     this._progressChanged = this._progressChanged.bind(this);
+    this._uploadProgressChanged = this._uploadProgressChanged.bind(this);
     this._resultConflicts = this._resultConflicts.bind(this);
     this._resultErrors = this._resultErrors.bind(this);
     this._resultNoChanges = this._resultNoChanges.bind(this);
@@ -90,6 +91,7 @@ export class SaveMode extends AbstractMode {
 
     context.systems.uploader
       .on('progressChanged', this._progressChanged)
+      .on('uploadProgressChanged', this._uploadProgressChanged)
       .on('resultConflicts', this._resultConflicts)
       .on('resultErrors', this._resultErrors)
       .on('resultNoChanges', this._resultNoChanges)
@@ -118,6 +120,7 @@ export class SaveMode extends AbstractMode {
 
     this.context.systems.uploader
       .off('progressChanged', this._progressChanged)
+      .off('uploadProgressChanged', this._uploadProgressChanged)
       .off('resultConflicts', this._resultConflicts)
       .off('resultErrors', this._resultErrors)
       .off('resultNoChanges', this._resultNoChanges)
@@ -149,6 +152,24 @@ export class SaveMode extends AbstractMode {
    * _progressChanged handler
    */
   _progressChanged(num, total) {
+    this._showProgress(this.context.t('save.conflict_progress', { num: num, total: total }));
+  }
+
+
+  /**
+   * _uploadProgressChanged handler
+   * Called before uploading each changeset, when the changes are split into several
+   */
+  _uploadProgressChanged(num, total) {
+    this._showProgress(this.context.t('save.upload_progress', { num: num, total: total }));
+  }
+
+
+  /**
+   * _showProgress
+   * Shows the given progress message in the loading modal
+   */
+  _showProgress(message) {
     const modal = this.context.container().select('.loading-modal .modal-section');
     const progress = modal.selectAll('.progress')
       .data([0]);
@@ -158,7 +179,7 @@ export class SaveMode extends AbstractMode {
       .append('div')
       .attr('class', 'progress')
       .merge(progress)
-      .text(this.context.t('save.conflict_progress', { num: num, total: total }));
+      .text(message);
   }
 
 
@@ -284,10 +305,11 @@ export class SaveMode extends AbstractMode {
   /**
    * _resultSuccess handler
    */
-  _resultSuccess(changeset) {
+  _resultSuccess(changeset, changesets) {
     const context = this.context;
     const successContent = this._uiSuccess
       .changeset(changeset)
+      .changesets(changesets)
       .location(this._location)
       .on('cancel', () => context.systems.ui.sidebar.hide());
 
@@ -101,7 +101,8 @@ export class SelectOsmMode extends AbstractMode {
       }
     });
 
-    this.operations = Object.values(Operations)
+    const pluginOperations = context.systems.plugins?.operations ?? [];
+    this.operations = [...Object.values(Operations), ...pluginOperations]
       .map(o => o(context, selectedIDs))
       .filter(o => (o.id !== 'delete' && o.id !== 'downgrade' && o.id !== 'copy'))
       .concat([
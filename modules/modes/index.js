@@ -6,6 +6,7 @@ import { DragNodeMode } from './DragNodeMode';
 import { DrawAreaMode } from './DrawAreaMode';
 import { DrawLineMode } from './DrawLineMode';
 import { MoveMode } from './MoveMode';
+import { RapidReviewMode } from './RapidReviewMode';
 import { RotateMode } from './RotateMode';
 import { SaveMode } from './SaveMode';
 import { SelectMode } from './SelectMode';
@@ -20,6 +21,7 @@ export {
   DrawAreaMode,
   DrawLineMode,
   MoveMode,
+  RapidReviewMode,
   RotateMode,
   SaveMode,
   SelectMode,
@@ -41,6 +43,7 @@ modes.available.set('drag-node', DragNodeMode);
 modes.available.set('draw-area', DrawAreaMode);
 modes.available.set('draw-line', DrawLineMode);
 modes.available.set('move', MoveMode);
+modes.available.set('rapid-review', RapidReviewMode);
 modes.available.set('rotate', RotateMode);
 modes.available.set('save', SaveMode);
 modes.available.set('select', SelectMode);
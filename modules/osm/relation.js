@@ -28,6 +28,12 @@ osmRelation.creationOrder = function(a, b) {
 };
 
 
+// Roles of the stop positions and platforms in a public transport route (PTv2)
+osmRelation.isStopRole = function(role) {
+    return /^(stop|platform)(_entry_only|_exit_only)?$/.test(role || '');
+};
+
+
 Object.assign(osmRelation.prototype, {
     type: 'relation',
     members: [],
@@ -166,6 +172,130 @@ Object.assign(osmRelation.prototype, {
     },
 
 
+    // Return an updated route relation with the members in route order:
+    // stops and platforms first (in their current order), then the ways
+    // joined end to end in the direction of travel, then everything else.
+    //
+    // Ways are joined where they share a node. A closed way (e.g. a roundabout)
+    // can be entered and left at any of its nodes. When there is a choice, the
+    // member that came first in the current order wins, so an already sorted
+    // route keeps its order. Ways that can't be joined start a new sequence.
+    //
+    // Where the route splits into `forward` and `backward` ways, the two directions
+    // are kept together: after a forward or backward way, another one is preferred.
+    // Once they are all joined, the route continues from any node of the split section.
+    //
+    // Way members that aren't downloaded can't be joined, they are kept at the end.
+    //
+    sortRouteMembers: function(resolver) {
+        var stops = [];
+        var ways = [];
+        var others = [];
+
+        this.members.forEach(function(member) {
+            if (osmRelation.isStopRole(member.role)) {
+                stops.push(member);
+            } else if (member.type === 'way' && resolver.hasEntity(member.id)) {
+                ways.push(member);
+            } else {
+                others.push(member);
+            }
+        });
+
+        // index which ways pass through each node
+        var waysAtNode = new Map();   // Map(nodeID -> Array of indexes into `ways`)
+        var nodesOfWay = ways.map(function(member, i) {
+            var way = resolver.entity(member.id);
+            way.nodes.forEach(function(nodeID) {
+                var indexes = waysAtNode.get(nodeID);
+                if (!indexes) {
+                    waysAtNode.set(nodeID, [i]);
+                } else if (indexes[indexes.length - 1] !== i) {
+                    indexes.push(i);
+                }
+            });
+            return way.nodes;
+        });
+
+        var remaining = ways.map(function() { return true; });
+        var sorted = [];
+
+        function isOneDirection(i) {
+            return ways[i].role === 'forward' || ways[i].role === 'backward';
+        }
+
+        // Find the first remaining way that passes through any of the `nodeIDs`,
+        // preferring forward and backward ways if we are coming from way `fromIndex` that is one
+        function findNext(nodeIDs, fromIndex) {
+            var preferOneDirection = isOneDirection(fromIndex);
+            var found = null;
+
+            function isBetter(i) {
+                if (found === null) return true;
+                if (preferOneDirection && isOneDirection(i) !== isOneDirection(found.index)) {
+                    return isOneDirection(i);
+                }
+                return i < found.index;
+            }
+
+            nodeIDs.forEach(function(nodeID) {
+                (waysAtNode.get(nodeID) || []).forEach(function(i) {
+                    if (remaining[i] && isBetter(i)) {
+                        found = { index: i, nodeID: nodeID };
+                    }
+                });
+            });
+            return found;
+        }
+
+        // The nodes where the route can continue, after entering a way at `nodeID`
+        function exitNodes(nodes, nodeID) {
+            if (nodes[0] === nodes[nodes.length - 1]) return nodes;   // closed way
+            return [nodeID === nodes[nodes.length - 1] ? nodes[0] : nodes[nodes.length - 1]];
+        }
+
+        for (var start = 0; start < ways.length; start++) {
+            if (!remaining[start]) continue;
+
+            // start a new sequence
+            remaining[start] = false;
+            var sequence = [ways[start]];
+            var nodes = nodesOfWay[start];
+            var tail = exitNodes(nodes, nodes[0]);
+            var head = exitNodes(nodes, nodes[nodes.length - 1]);
+            var tailIndex = start;
+            var headIndex = start;
+            var tailSplit = isOneDirection(start) ? nodes : [];   // nodes of the forward/backward ways at each end
+            var headSplit = tailSplit;
+
+            var found = true;
+            while (found) {
+                var next = findNext(tail, tailIndex) || findNext(tailSplit, tailIndex);
+                var prev = next ? null : (findNext(head, headIndex) || findNext(headSplit, headIndex));
+                if (next) {          // continue at the end
+                    remaining[next.index] = false;
+                    sequence.push(ways[next.index]);
+                    tail = exitNodes(nodesOfWay[next.index], next.nodeID);
+                    tailIndex = next.index;
+                    tailSplit = isOneDirection(next.index) ? tailSplit.concat(nodesOfWay[next.index]) : [];
+                } else if (prev) {   // continue at the beginning
+                    remaining[prev.index] = false;
+                    sequence.unshift(ways[prev.index]);
+                    head = exitNodes(nodesOfWay[prev.index], prev.nodeID);
+                    headIndex = prev.index;
+                    headSplit = isOneDirection(prev.index) ? headSplit.concat(nodesOfWay[prev.index]) : [];
+                } else {
+                    found = false;
+                }
+            }
+
+            sorted = sorted.concat(sequence);
+        }
+
+        return this.update({ members: stops.concat(sorted, others) });
+    },
+
+
     // Wherever a member appears with id `needle.id`, replace it with a member
     // with id `replacement.id`, type `replacement.type`, and the original role,
     // By default, adding a duplicate member (by id and role) is prevented.
@@ -196,7 +196,7 @@ export class PixiLayerCustomData extends AbstractLayer {
     let gridLines = [];
 
     //'isTaskRectangular' implies one and only one rectangular linestring.
-    if (this.context.systems.rapid.isTaskRectangular && numSplits > 0) {
+    if (this.context.systems.rapid.isTaskRectangular() && numSplits > 0) {
       const box = lines[0];
 
       const lats = box.geometry.coordinates.map((f) => f[0]);
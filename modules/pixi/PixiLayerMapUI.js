@@ -14,6 +14,7 @@ import { DashLine } from '@rapideditor/pixi-dashed-line';
  * - geolocation aura
  * - tile debugging grid
  * - lasso selection polygon
+ * - task area mask
  * - others?
  *
  * @class
@@ -81,7 +82,17 @@ groupContainer.addChild(container);
     lassoContainer.addChild(this._lassoLineGraphics, this._lassoFillGraphics);
     this.lassoContainer = lassoContainer;
 
-    this.container.addChild(geolocationContainer, tileDebugContainer, selectedContainer, lassoContainer);
+    // Task area mask, dims everything outside of the task polygon
+    this._taskMaskGraphics = new PIXI.Graphics();
+    const taskContainer = new PIXI.Container();
+    taskContainer.name = 'task';
+    taskContainer.eventMode = 'none';
+    taskContainer.sortableChildren = false;
+    taskContainer.visible = false;
+    taskContainer.addChild(this._taskMaskGraphics);
+    this.taskContainer = taskContainer;
+
+    this.container.addChild(taskContainer, geolocationContainer, tileDebugContainer, selectedContainer, lassoContainer);
   }
 
 
@@ -145,6 +156,66 @@ groupContainer.addChild(container);
       this.renderLasso(frame, projection);
     }
 
+    this.renderTaskMask(frame, projection);
+  }
+
+
+  /**
+   * renderTaskMask
+   * Render the mask over everything outside of the task polygon, see `RapidSystem.taskPolygon`
+   * The mask covers the visible map, so it is redrawn every frame while there is a task.
+   * @param  frame        Integer frame being rendered
+   * @param  projection   Pixi projection to use for rendering
+   */
+  renderTaskMask(frame, projection) {
+    const context = this.context;
+    const taskPolygon = context.systems.rapid.taskPolygon;
+    const graphics = this._taskMaskGraphics;
+
+    graphics.clear();
+    if (!taskPolygon) {
+      this.taskContainer.visible = false;
+      return;
+    }
+
+    // The mask should cover both the view and the task, with some room to spare
+    const mapExtent = context.systems.map.extent();
+    const extent = mapExtent.extend(context.systems.rapid.taskExtent);
+    const [minX, minY, maxX, maxY] = extent.rectangle();
+    const padX = (maxX - minX) || 1;
+    const padY = (maxY - minY) || 1;
+    const mask = [[minX - padX, minY - padY], [maxX + padX, maxY + padY]];
+    const [x1, y1] = projection.project(mask[0]);
+    const [x2, y2] = projection.project(mask[1]);
+
+    const project = (ring) => ring.map(loc => projection.project(loc)).flat();
+
+    // Fill everything outside of the outer rings..
+    graphics.beginFill(0x000000, 0.3);
+    graphics.drawRect(Math.min(x1, x2), Math.min(y1, y2), Math.abs(x2 - x1), Math.abs(y2 - y1));
+    graphics.beginHole();
+    for (const polygon of taskPolygon) {
+      graphics.drawPolygon(project(polygon[0]));
+    }
+    graphics.endHole();
+    graphics.endFill();
+
+    // ..and inside of the holes
+    for (const polygon of taskPolygon) {
+      for (const inner of polygon.slice(1)) {
+        graphics.beginFill(0x000000, 0.3).drawPolygon(project(inner)).endFill();
+      }
+    }
+
+    // Outline the task boundary
+    graphics.lineStyle(2, 0xffffff, 0.8);
+    for (const polygon of taskPolygon) {
+      for (const ring of polygon) {
+        graphics.drawPolygon(project(ring));
+      }
+    }
+
+    this.taskContainer.visible = true;
   }
 
   /**
@@ -124,11 +124,19 @@ export class PixiLayerRapid extends AbstractLayer {
   }
 
 
+  // Batch edits (e.g. 'rapid_accept_features') list their features in `ids` and `origids`
+  _annotationIDs(annotation) {
+    return annotation.ids ?? [annotation.id];
+  }
+
+
   _onUndone(currentStack, previousStack) {
     const annotation = previousStack.annotation;
     if (!this._wasRapidEdit(annotation)) return;
 
-    this._acceptedIDs.delete(annotation.id);
+    for (const id of this._annotationIDs(annotation)) {
+      this._acceptedIDs.delete(id);
+    }
     this.context.systems.map.immediateRedraw();
   }
 
@@ -137,7 +145,9 @@ export class PixiLayerRapid extends AbstractLayer {
     const annotation = this.context.systems.edits.peekAnnotation();
     if (!this._wasRapidEdit(annotation)) return;
 
-    this._acceptedIDs.add(annotation.id);
+    for (const id of this._annotationIDs(annotation)) {
+      this._acceptedIDs.add(id);
+    }
     this.context.systems.map.immediateRedraw();
   }
 
@@ -148,7 +158,9 @@ export class PixiLayerRapid extends AbstractLayer {
     this.context.systems.edits.peekAllAnnotations().forEach(annotation => {
       if (!this._wasRapidEdit(annotation)) return;
 
-      this._acceptedIDs.add(annotation.id);
+      for (const id of this._annotationIDs(annotation)) {
+        this._acceptedIDs.add(id);
+      }
 
       // `origid` (the original entity ID), a.k.a. datum.__origid__,
       // is a hack used to deal with non-deterministic way-splitting
@@ -158,8 +170,8 @@ export class PixiLayerRapid extends AbstractLayer {
       // prevent new splits (possibly different from before the page
       // reload) from being displayed by storing the origid and
       // checking against it in render().
-      if (annotation.origid) {
-        this._acceptedIDs.add(annotation.origid);
+      for (const origid of annotation.origids ?? [annotation.origid]) {
+        if (origid) this._acceptedIDs.add(origid);
       }
     });
 
@@ -173,7 +185,7 @@ export class PixiLayerRapid extends AbstractLayer {
    */
   get supported() {
     const service = this.context.services;
-    return !!service.mapwithai || !!service.esri;
+    return !!service.mapwithai || !!service.esri || !!service.local || !!service.ogc || !!service.vectortiledata;
   }
 
 
@@ -197,6 +209,9 @@ export class PixiLayerRapid extends AbstractLayer {
       this.dirtyLayer();
       this.context.services.mapwithai.startAsync();
       this.context.services.esri.startAsync();
+      this.context.services.local?.startAsync();
+      this.context.services.ogc?.startAsync();
+      this.context.services.vectortiledata?.startAsync();
     }
   }
 
@@ -238,29 +253,40 @@ export class PixiLayerRapid extends AbstractLayer {
     const dsEnabled = (dataset.added && dataset.enabled);
     if (!dsEnabled) return;
 
-    const service = context.services[dataset.service];  // 'mapwithai' or 'esri'
+    const service = context.services[dataset.service];  // 'mapwithai', 'esri', 'local', 'ogc', or 'vectortiledata'
     if (!service?.started) return;
 
     // Adjust the dataset id for whether we want the data conflated or not.
     const datasetID = dataset.id + (dataset.conflated ? '-conflated' : '');
     const dsGraph = service.graph(datasetID);
 
+    const rapid = context.systems.rapid;
     let acceptedIDs = this._acceptedIDs;
     function isAccepted(entity) {
       return acceptedIDs.has(entity.id) || acceptedIDs.has(entity.__origid__);
     }
+    // Suggestions that were ignored in an earlier session, that are outside of the task area,
+    // or that are already mapped with nothing to add, are not worth showing
+    function isHidden(entity) {
+      return isAccepted(entity) || rapid.isIgnored(entity) || !rapid.isInTask(entity, dsGraph) ||
+        rapid.classify(entity, dsGraph).type === 'duplicate';
+    }
+
+    // When working on a task, don't fetch data for views outside of it
+    const taskExtent = rapid.taskExtent;
+    const wantsData = !taskExtent || taskExtent.intersects(context.systems.map.extent());
 
     // Gather data
     let data = { points: [], vertices: new Set(), lines: [], polygons: [] };
 
     /* Facebook AI/ML */
     if (dataset.service === 'mapwithai') {
-      if (zoom >= 15) { // avoid firing off too many API requests
+      if (zoom >= 15 && wantsData) { // avoid firing off too many API requests
         service.loadTiles(datasetID);  // fetch more
       }
 
       const entities = service.getData(datasetID)
-        .filter(d => d.type === 'way' && !isAccepted(d));  // see this._onRestore()
+        .filter(d => d.type === 'way' && !isHidden(d));  // see this._onRestore()
 
       // fb_ai service gives us roads and buildings together,
       // so filter further according to which dataset we're drawing
@@ -279,17 +305,18 @@ export class PixiLayerRapid extends AbstractLayer {
         data.polygons = entities.filter(d => d.geometry(dsGraph) === 'area');
       }
 
-    /* ESRI ArcGIS */
-    } else if (dataset.service === 'esri') {
-      if (zoom >= 14) { // avoid firing off too many API requests
+    /* ESRI ArcGIS, OGC API - Features / WFS, vector tiles, or a local file (which has all its data already) */
+    } else if (['esri', 'ogc', 'vectortiledata', 'local'].includes(dataset.service)) {
+      if (zoom >= 14 && wantsData) { // avoid firing off too many API requests
         service.loadTiles(datasetID);  // fetch more
       }
 
       const entities = service.getData(datasetID);
 
       for (const entity of entities) {
-        if (isAccepted(entity)) continue;   // skip features already accepted, see this._onRestore()
         const geom = entity.geometry(dsGraph);
+        if (geom === 'vertex') continue;
+        if (isHidden(entity)) continue;   // skip features already handled (see this._onRestore()) or mapped
         if (geom === 'point' && !!entity.__fbid__) {  // standalone points only (not vertices/childnodes)
           data.points.push(entity);
         } else if (geom === 'line') {
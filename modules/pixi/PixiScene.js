@@ -137,6 +137,38 @@ export class PixiScene extends EventEmitter {
   }
 
 
+  /**
+   * addLayer
+   * Adds a Layer to the scene, after the built-in ones (e.g. from a plugin)
+   * @param  layer  A Layer derived from `AbstractLayer`, with a unique `id`
+   */
+  addLayer(layer) {
+    if (this.layers.has(layer.id)) {
+      throw new Error(`Layer '${layer.id}' already exists`);
+    }
+    this.layers.set(layer.id, layer);
+    this.emit('layerchange');
+  }
+
+
+  /**
+   * removeLayer
+   * Removes a Layer and destroys its Features
+   * @param  layerID  The layerID to remove
+   */
+  removeLayer(layerID) {
+    const layer = this.layers.get(layerID);
+    if (!layer) return;
+
+    layer.enabled = false;
+    for (const feature of [...layer.features.values()]) {
+      feature.destroy();
+    }
+    this.layers.delete(layerID);
+    this.emit('layerchange');
+  }
+
+
   /**
    * enableLayers
    * Enables the layers with the given layerIDs, other layers will not be affected
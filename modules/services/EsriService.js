@@ -4,8 +4,7 @@ import { utilQsString } from '@rapid-sdk/util';
 
 import { AbstractSystem } from '../core/AbstractSystem';
 import { Graph, Tree } from '../core/lib';
-import { osmNode, osmRelation, osmWay } from '../osm';
-import { utilFetchResponse } from '../util';
+import { utilApplyTagMapping, utilFetchResponse, utilGeoJSONToEntities, utilValidateTagMapping } from '../util';
 
 
 const GROUPID = 'bdf6c800b3ae453b9db239e03d7c1727';
@@ -17,8 +16,13 @@ const TILEZOOM = 14;
 /**
  * `EsriService`
  *
+ * Features are turned into OSM entities with a "tag mapping", which says how each field of the layer becomes a tag.
+ * The default mapping comes from the layer metadata, and the user can replace it with their own, see `setTagMapping()`.
+ * See `utilApplyTagMapping` for the tag mapping format.
+ *
  * Events available:
  *   `loadedData`
+ *   `tagmappingchanged`
  */
 export class EsriService extends AbstractSystem {
 
@@ -35,6 +39,7 @@ export class EsriService extends AbstractSystem {
     this._datasets = {};
     this._gotDatasets = false;
     this._off = false;
+    this._tagMappings = null;   // Map(datasetID -> custom tag mapping), loaded from storage when needed
 
     // Ensure methods used as callbacks always have `this` bound correctly.
     this._parseDataset = this._parseDataset.bind(this);
@@ -85,13 +90,14 @@ export class EsriService extends AbstractSystem {
    * getData
    * Get already loaded data that appears in the current map view
    * @param   {string}  datasetID - datasetID to get data for
+   * @param   {Extent}  extent - optional extent to get data for (defaults to the current map view)
    * @return  {Array}   Array of data (OSM Entities)
    */
-  getData(datasetID) {
+  getData(datasetID, extent) {
     const ds = this._datasets[datasetID];
     if (!ds || !ds.tree || !ds.graph) return [];
 
-    const extent = this.context.systems.map.extent();
+    extent = extent ?? this.context.systems.map.extent();
     return ds.tree.intersects(extent, ds.graph);
   }
 
@@ -150,6 +156,155 @@ export class EsriService extends AbstractSystem {
   }
 
 
+  /**
+   * defaultTagMapping
+   * @param   {string}  datasetID
+   * @return  {Object}  The tag mapping from the layer metadata, or `null` if the layer isn't loaded yet
+   */
+  defaultTagMapping(datasetID) {
+    const layer = this._datasets[datasetID]?.layer;
+    if (!layer) return null;
+
+    let fields = {};
+    for (const f of layer.fields) {
+      fields[f.name] = { key: layer.tagmap[f.name] || null };
+    }
+    return { fields: fields, constants: {} };
+  }
+
+
+  /**
+   * getTagMapping
+   * @param   {string}  datasetID
+   * @return  {Object}  The user's tag mapping for the dataset if they have one, otherwise the default tag mapping
+   */
+  getTagMapping(datasetID) {
+    return this._customTagMappings().get(datasetID) ?? this.defaultTagMapping(datasetID);
+  }
+
+
+  /**
+   * hasCustomTagMapping
+   * @param   {string}   datasetID
+   * @return  {boolean}  `true` if the user has their own tag mapping for the dataset
+   */
+  hasCustomTagMapping(datasetID) {
+    return this._customTagMappings().has(datasetID);
+  }
+
+
+  /**
+   * setTagMapping
+   * Saves the user's tag mapping for the dataset, and reloads the dataset's features with it.
+   * @param  {string}  datasetID
+   * @param  {Object}  mapping - the tag mapping, or `null` to go back to the default
+   */
+  setTagMapping(datasetID, mapping) {
+    const mappings = this._customTagMappings();
+    if (mapping) {
+      mappings.set(datasetID, utilValidateTagMapping(mapping));
+    } else {
+      mappings.delete(datasetID);
+    }
+
+    const storage = this.context.systems.storage;
+    storage.setItem('esri-tag-mappings', JSON.stringify(Object.fromEntries(mappings)));
+
+    // Features already loaded have tags from the old mapping
+    const ds = this._datasets[datasetID];
+    if (ds?.cache) {
+      Object.values(ds.cache.inflight).forEach(controller => this._abortRequest(controller));
+      ds.graph = new Graph();
+      ds.tree = new Tree(ds.graph);
+      ds.cache = { inflight: {}, loaded: {}, seen: {}, origIdTile: {} };
+    }
+
+    this.emit('tagmappingchanged', datasetID);
+    this.context.deferredRedraw();
+  }
+
+
+  /**
+   * exportTagMapping
+   * @param   {string}  datasetID
+   * @return  {string}  The dataset's tag mapping as JSON, to share with other mappers
+   */
+  exportTagMapping(datasetID) {
+    const mapping = this.getTagMapping(datasetID);
+    if (!mapping) return null;
+    return JSON.stringify(Object.assign({ dataset: datasetID }, mapping), null, 2);
+  }
+
+
+  /**
+   * importTagMapping
+   * Uses a tag mapping that was shared as JSON for the dataset
+   * @param   {string}  datasetID
+   * @param   {string}  json - JSON like what `exportTagMapping` returns
+   * @throws  Will throw if the JSON is not a tag mapping
+   */
+  importTagMapping(datasetID, json) {
+    const mapping = JSON.parse(json);
+    this.setTagMapping(datasetID, { fields: mapping.fields, constants: mapping.constants });
+  }
+
+
+  /**
+   * previewTags
+   * @param   {string}  datasetID
+   * @param   {Object}  props - the properties (attributes) of a feature
+   * @param   {Object}  mapping - optional tag mapping to use, defaults to the dataset's tag mapping
+   * @return  {Object}  The tags the feature would have
+   */
+  previewTags(datasetID, props, mapping) {
+    const ds = this._datasets[datasetID];
+    mapping = mapping ?? this.getTagMapping(datasetID);
+    if (!ds || !mapping) return {};
+    return utilApplyTagMapping(mapping, props, `esri/${ds.name}`);
+  }
+
+
+  /**
+   * loadSamplesAsync
+   * Fetches the attributes of a few features of the dataset, for previewing tag mappings
+   * @param   {string}   datasetID
+   * @return  {Promise}  Promise resolved with an Array of feature properties
+   */
+  loadSamplesAsync(datasetID) {
+    const ds = this._datasets[datasetID];
+    if (!ds) return Promise.reject(new Error(`Unknown datasetID: ${datasetID}`));
+    if (ds.samples) return Promise.resolve(ds.samples);
+
+    return this.loadLayerAsync(datasetID)
+      .then(layer => {
+        if (!layer) throw new Error(`Missing layer info for datasetID: ${datasetID}`);
+        return fetch(this._sampleURL(ds));
+      })
+      .then(utilFetchResponse)
+      .then(json => {
+        ds.samples = (json.features ?? []).map(f => f.attributes).filter(Boolean);
+        return ds.samples;
+      });
+  }
+
+
+  _customTagMappings() {
+    if (!this._tagMappings) {
+      this._tagMappings = new Map();
+      const storage = this.context.systems.storage;
+      try {
+        const stored = JSON.parse(storage?.getItem('esri-tag-mappings') || '{}');
+        for (const [datasetID, mapping] of Object.entries(stored)) {
+          this._tagMappings.set(datasetID, utilValidateTagMapping(mapping));
+        }
+      } catch (e) {
+        console.error(e);  // eslint-disable-line no-console
+      }
+    }
+    return this._tagMappings;
+  }
+
+
   loadDatasetsAsync() {
     if (this._gotDatasets) {
       return Promise.resolve(this._datasets);
@@ -258,6 +413,17 @@ export class EsriService extends AbstractSystem {
     //   .geometryType   "esriGeometryPoint" or "esriGeometryPolygon" ?
   }
 
+  _sampleURL(ds) {
+    const params = {
+      f: 'json',
+      where: '1=1',
+      outFields: '*',
+      returnGeometry: false,
+      resultRecordCount: 5
+    };
+    return `${ds.url}/${ds.layer.id}/query?` + utilQsString(params);
+  }
+
   _itemURL(itemID) {
     return `${HOMEROOT}/item.html?id=${itemID}`;
   }
@@ -345,9 +511,10 @@ export class EsriService extends AbstractSystem {
     if (!geojson) return callback({ message: 'No GeoJSON', status: -1 });
 
     // expect a FeatureCollection with `features` array
+    const mapping = this.getTagMapping(dataset.id);
     let results = [];
     for (const f of geojson.features ?? []) {
-      const entities = this._parseFeature(f, dataset);
+      const entities = this._parseFeature(f, dataset, mapping);
       if (entities) results.push.apply(results, entities);
     }
 
@@ -355,7 +522,7 @@ export class EsriService extends AbstractSystem {
   }
 
 
-  _parseFeature(feature, dataset) {
+  _parseFeature(feature, dataset, mapping) {
     const geom = feature.geometry;
     const props = feature.properties;
     if (!geom || !props) return null;
@@ -369,88 +536,10 @@ export class EsriService extends AbstractSystem {
 
     const id = `${dataset.id}-${featureID}`;
     const metadata = { __fbid__: id, __origid__: id, __service__: 'esri', __datasetid__: dataset.id };
-    let entities = [];
-    let nodemap = new Map();
-
-    // Point:  make a single node
-    if (geom.type === 'Point') {
-      return [ new osmNode({ loc: geom.coordinates, tags: parseTags(props) }, metadata) ];
-
-    // LineString:  make nodes, single way
-    } else if (geom.type === 'LineString') {
-      const nodelist = parseCoordinates(geom.coordinates);
-      if (nodelist.length < 2) return null;
-
-      const w = new osmWay({ nodes: nodelist, tags: parseTags(props) }, metadata);
-      entities.push(w);
-      return entities;
-
-    // Polygon:  make nodes, way(s), possibly a relation
-    } else if (geom.type === 'Polygon') {
-      let ways = [];
-      for (const ring of geom.coordinates ?? []) {
-        const nodelist = parseCoordinates(ring);
-        if (nodelist.length < 3) continue;
-
-        const first = nodelist[0];
-        const last = nodelist[nodelist.length - 1];
-        if (first !== last) nodelist.push(first);   // sanity check, ensure rings are closed
-
-        const w = new osmWay({ nodes: nodelist });
-        ways.push(w);
-      }
-
-      if (ways.length === 1) {  // single ring, assign tags and return
-        entities.push(
-          ways[0].update( Object.assign({ tags: parseTags(props) }, metadata) )
-        );
-      } else {  // multiple rings, make a multipolygon relation with inner/outer members
-        const members = ways.map((w, i) => {
-          entities.push(w);
-          return { id: w.id, role: (i === 0 ? 'outer' : 'inner'), type: 'way' };
-        });
-        const tags = Object.assign(parseTags(props), { type: 'multipolygon' });
-        const r = new osmRelation({ members: members, tags: tags }, metadata);
-        entities.push(r);
-      }
-
-      return entities;
-    }
-    // no Multitypes for now (maybe not needed)
-
-    function parseCoordinates(coords) {
-      let nodelist = [];
-      for (const coord of coords) {
-        const key = coord.toString();
-        let n = nodemap.get(key);
-        if (!n) {
-          n = new osmNode({ loc: coord });
-          entities.push(n);
-          nodemap.set(key, n);
-        }
-        nodelist.push(n.id);
-      }
-      return nodelist;
-    }
-
-    function parseTags(props) {
-      let tags = {};
-      for (const prop of Object.keys(props)) {
-        const k = clean(dataset.layer.tagmap[prop]);
-        const v = clean(props[prop]);
-        if (k && v) {
-          tags[k] = v;
-        }
-      }
-
-      tags.source = `esri/${dataset.name}`;
-      return tags;
-    }
-
-    function clean(val) {
-      return val ? val.toString().trim() : null;
-    }
+    const tags = utilApplyTagMapping(mapping, props, `esri/${dataset.name}`);
+    return utilGeoJSONToEntities(geom, tags, metadata);
   }
 
 
 }
+
@@ -0,0 +1,274 @@
+import { Extent } from '@rapid-sdk/math';
+import { deserialize as fgbDeserialize } from 'flatgeobuf/lib/mjs/geojson.js';
+
+import { AbstractSystem } from '../core/AbstractSystem';
+import { Graph, Tree } from '../core/lib';
+import { osmEntity, osmNode, osmRelation, osmWay } from '../osm';
+import { utilGeoJSONToEntities, utilPropertiesToTags } from '../util';
+
+
+/**
+ * `LocalDataService`
+ * Holds the data from files that the user has added as Rapid datasets,
+ * so their features can be accepted or ignored like features from the other Rapid services.
+ *
+ * Supported files:
+ *   `.geojson`, `.json`  GeoJSON (Point, LineString, Polygon, MultiPolygon geometries)
+ *   `.osm`               OSM XML, as written by JOSM or osmium
+ *   `.fgb`               FlatGeobuf
+ *
+ * The features get new entity IDs, so whatever IDs the file used can never clash with OSM data.
+ */
+export class LocalDataService extends AbstractSystem {
+
+  /**
+   * @constructor
+   * @param  `context`  Global shared application context
+   */
+  constructor(context) {
+    super(context);
+    this.id = 'local';
+    this.context = context;
+
+    this._datasets = {};
+  }
+
+
+  /**
+   * initAsync
+   * Called after all core objects have been constructed.
+   * @return {Promise} Promise resolved when this component has completed initialization
+   */
+  initAsync() {
+    return Promise.resolve();
+  }
+
+
+  /**
+   * startAsync
+   * Called after all core objects have been initialized.
+   * @return {Promise} Promise resolved when this component has completed startup
+   */
+  startAsync() {
+    this._started = true;
+    return Promise.resolve();
+  }
+
+
+  /**
+   * resetAsync
+   * Called after completing an edit session to reset any internal state
+   * The files can't be fetched again, so their data is kept.
+   * @return {Promise} Promise resolved when this component has completed resetting
+   */
+  resetAsync() {
+    return Promise.resolve();
+  }
+
+
+  /**
+   * getData
+   * Get already loaded data that appears in the current map view
+   * @param   {string}  datasetID - datasetID to get data for
+   * @param   {Extent}  extent - optional extent to get data for (defaults to the current map view)
+   * @return  {Array}   Array of data (OSM Entities)
+   */
+  getData(datasetID, extent) {
+    const ds = this._datasets[datasetID];
+    if (!ds) return [];
+
+    extent = extent ?? this.context.systems.map.extent();
+    return ds.tree.intersects(extent, ds.graph);
+  }
+
+
+  /**
+   * loadTiles
+   * All of the data is loaded when the file is added, so there is nothing to fetch.
+   * @param   {string}  datasetID - datasetID to load tiles for
+   */
+  loadTiles() {
+  }
+
+
+  graph(datasetID)  {
+    const ds = this._datasets[datasetID];
+    return ds?.graph;
+  }
+
+
+  /**
+   * addData
+   * Parses the contents of a file into a dataset
+   * @param   {string}  datasetID - datasetID to store the data under
+   * @param   {string}  extension - file extension, e.g. '.geojson', used to choose the parser
+   * @param   {string|ArrayBuffer}  data - file contents, an ArrayBuffer for '.fgb' files and text otherwise
+   * @return  {Extent}  Extent covered by the data
+   * @throws  Error if the file type is not supported or it contains no usable features
+   */
+  addData(datasetID, extension, data) {
+    const ds = { id: datasetID, seq: 0 };
+    let entities;
+
+    switch (extension) {
+      case '.geojson':
+      case '.json':
+        entities = this._parseGeoJSON(ds, JSON.parse(data));
+        break;
+      case '.fgb':
+        entities = this._parseGeoJSON(ds, fgbDeserialize(new Uint8Array(data)));
+        break;
+      case '.osm':
+        entities = this._parseOsmXML(ds, (new DOMParser()).parseFromString(data, 'text/xml'));
+        break;
+      default:
+        throw new Error(`Unsupported file type: ${extension}`);
+    }
+
+    if (!entities.some(entity => entity.__fbid__)) {
+      throw new Error('No features found');
+    }
+
+    ds.graph = new Graph();
+    ds.tree = new Tree(ds.graph);
+    ds.graph.rebase(entities, [ds.graph], true);
+    ds.tree.rebase(entities, true);
+    this._datasets[datasetID] = ds;
+
+    let extent = new Extent();
+    for (const entity of entities) {
+      if (entity.type === 'node') {
+        extent = extent.extend(new Extent(entity.loc));
+      }
+    }
+    return extent;
+  }
+
+
+  /**
+   * removeData
+   * @param  {string}  datasetID - datasetID to remove
+   */
+  removeData(datasetID) {
+    delete this._datasets[datasetID];
+  }
+
+
+  _metadata(ds, featureID) {
+    const id = `${ds.id}-${featureID}`;
+    return { __fbid__: id, __origid__: id, __service__: 'local', __datasetid__: ds.id };
+  }
+
+
+  _parseGeoJSON(ds, geojson) {
+    let features;
+    if (geojson?.type === 'FeatureCollection') {
+      features = geojson.features ?? [];
+    } else if (geojson?.type === 'Feature') {
+      features = [geojson];
+    } else {
+      throw new Error('Not a GeoJSON Feature or FeatureCollection');
+    }
+
+    let results = [];
+    for (const f of features) {
+      const entities = this._parseFeature(ds, f);
+      if (entities) results.push.apply(results, entities);
+    }
+    return results;
+  }
+
+
+  _parseFeature(ds, feature) {
+    const geom = feature.geometry;
+    if (!geom) return null;
+
+    const metadata = this._metadata(ds, ds.seq++);
+    const tags = utilPropertiesToTags(feature.properties);
+    return utilGeoJSONToEntities(geom, tags, metadata);
+  }
+
+
+  _parseOsmXML(ds, xml) {
+    const root = xml?.documentElement;
+    if (!root || root.nodeName !== 'osm') {
+      throw new Error('Not an OSM XML file');
+    }
+
+    // Give every element a new ID first, so that references can be remapped in any order.
+    const elements = Array.from(root.children)
+      .filter(child => ['node', 'way', 'relation'].includes(child.nodeName))
+      .filter(child => child.getAttribute('action') !== 'delete');
+
+    let idmap = new Map();   // Map(file entityID -> new entityID)
+    for (const child of elements) {
+      const fileID = osmEntity.id.fromOSM(child.nodeName, child.getAttribute('id'));
+      idmap.set(fileID, osmEntity.id(child.nodeName));
+    }
+
+    let vertexIDs = new Set();
+    for (const child of elements) {
+      if (child.nodeName !== 'way') continue;
+      for (const nd of child.getElementsByTagName('nd')) {
+        vertexIDs.add(idmap.get(`n${nd.getAttribute('ref')}`));
+      }
+    }
+
+    let entities = [];
+    for (const child of elements) {
+      const fileID = osmEntity.id.fromOSM(child.nodeName, child.getAttribute('id'));
+      const id = idmap.get(fileID);
+      const tags = getTags(child);
+      // Standalone nodes, ways, and relations are features, vertices are just part of their way.
+      const isFeature = child.nodeName !== 'node' || !vertexIDs.has(id);
+      const metadata = isFeature ? this._metadata(ds, fileID) : {};
+
+      if (child.nodeName === 'node') {
+        const loc = [parseFloat(child.getAttribute('lon')), parseFloat(child.getAttribute('lat'))];
+        if (!isFinite(loc[0]) || !isFinite(loc[1])) continue;
+        entities.push(new osmNode({ id: id, loc: loc, tags: tags }, metadata));
+
+      } else if (child.nodeName === 'way') {
+        const nodes = Array.from(child.getElementsByTagName('nd'))
+          .map(nd => idmap.get(`n${nd.getAttribute('ref')}`))
+          .filter(Boolean);    // skip nodes missing from the file
+        if (nodes.length < 2) continue;
+        entities.push(new osmWay({ id: id, nodes: nodes, tags: tags }, metadata));
+
+      } else if (child.nodeName === 'relation') {
+        const members = Array.from(child.getElementsByTagName('member'))
+          .map(member => {
+            const type = member.getAttribute('type');
+            const memberID = idmap.get(osmEntity.id.fromOSM(type, member.getAttribute('ref')));
+            return memberID && { id: memberID, type: type, role: member.getAttribute('role') ?? '' };
+          })
+          .filter(Boolean);    // skip members missing from the file
+        if (!members.length) continue;
+        entities.push(new osmRelation({ id: id, members: members, tags: tags }, metadata));
+      }
+    }
+
+    // Some elements may have been skipped above, so drop any references to them.
+    const entityIDs = new Set(entities.map(entity => entity.id));
+    return entities
+      .map(entity => {
+        if (entity.type === 'way') {
+          return entity.update({ nodes: entity.nodes.filter(nodeID => entityIDs.has(nodeID)) });
+        } else if (entity.type === 'relation') {
+          return entity.update({ members: entity.members.filter(member => entityIDs.has(member.id)) });
+        }
+        return entity;
+      })
+      .filter(entity => entity.type !== 'way' || entity.nodes.length >= 2);
+
+
+    function getTags(element) {
+      let tags = {};
+      for (const tag of element.getElementsByTagName('tag')) {
+        tags[tag.getAttribute('k')] = tag.getAttribute('v');
+      }
+      return tags;
+    }
+  }
+
+}
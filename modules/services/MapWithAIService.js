@@ -94,13 +94,14 @@ export class MapWithAIService extends AbstractSystem {
    * getData
    * Get already loaded data that appears in the current map view
    * @param   {string}  datasetID - datasetID to get data for
+   * @param   {Extent}  extent - optional extent to get data for (defaults to the current map view)
    * @return  {Array}   Array of data (OSM Entities)
    */
-  getData(datasetID) {
+  getData(datasetID, extent) {
     const ds = this._datasets[datasetID];
     if (!ds || !ds.tree || !ds.graph) return [];
 
-    const extent = this.context.systems.map.extent();
+    extent = extent ?? this.context.systems.map.extent();
     return ds.tree.intersects(extent, ds.graph);
   }
 
@@ -0,0 +1,361 @@
+import { Extent, Tiler } from '@rapid-sdk/math';
+import { utilQsString } from '@rapid-sdk/util';
+
+import { AbstractSystem } from '../core/AbstractSystem';
+import { Graph, Tree } from '../core/lib';
+import { utilFetchResponse, utilGeoJSONToEntities, utilPropertiesToTags } from '../util';
+
+
+const TILEZOOM = 14;
+const PAGESIZE = 500;
+const MAXPAGES = 20;    // per tile, in case a server keeps sending `next` links
+const CRS84 = 'http://www.opengis.net/def/crs/OGC/1.3/CRS84';
+
+
+/**
+ * `OgcFeaturesService`
+ * Loads Rapid datasets from servers that implement OGC API - Features, or WFS 2.0 with GeoJSON output.
+ * The user supplies the URL of a collection, like:
+ *   `https://example.com/ogcapi/collections/buildings`
+ *   `https://example.com/wfs?service=WFS&typeNames=ns:buildings`
+ *
+ * Features are fetched by tile and bbox, following the server's paging.
+ * Their properties are used as tags as they are.
+ *
+ * Events available:
+ *   `loadedData`
+ */
+export class OgcFeaturesService extends AbstractSystem {
+
+  /**
+   * @constructor
+   * @param  `context`  Global shared application context
+   */
+  constructor(context) {
+    super(context);
+    this.id = 'ogc';
+    this.context = context;
+
+    this._tiler = new Tiler().zoomRange(TILEZOOM);
+    this._datasets = {};
+    this._nextID = 1;
+  }
+
+
+  /**
+   * initAsync
+   * Called after all core objects have been constructed.
+   * @return {Promise} Promise resolved when this component has completed initialization
+   */
+  initAsync() {
+    return this.resetAsync();
+  }
+
+
+  /**
+   * startAsync
+   * Called after all core objects have been initialized.
+   * @return {Promise} Promise resolved when this component has completed startup
+   */
+  startAsync() {
+    this._started = true;
+    return Promise.resolve();
+  }
+
+
+  /**
+   * resetAsync
+   * Called after completing an edit session to reset any internal state
+   * @return {Promise} Promise resolved when this component has completed resetting
+   */
+  resetAsync() {
+    for (const ds of Object.values(this._datasets)) {
+      this._resetDataset(ds);
+    }
+    return Promise.resolve();
+  }
+
+
+  /**
+   * getData
+   * Get already loaded data that appears in the current map view
+   * @param   {string}  datasetID - datasetID to get data for
+   * @param   {Extent}  extent - optional extent to get data for (defaults to the current map view)
+   * @return  {Array}   Array of data (OSM Entities)
+   */
+  getData(datasetID, extent) {
+    const ds = this._datasets[datasetID];
+    if (!ds) return [];
+
+    extent = extent ?? this.context.systems.map.extent();
+    return ds.tree.intersects(extent, ds.graph);
+  }
+
+
+  /**
+   * loadTiles
+   * Schedule any data requests needed to cover the current map view
+   * @param   {string}  datasetID - datasetID to load tiles for
+   */
+  loadTiles(datasetID) {
+    const ds = this._datasets[datasetID];
+    if (!ds) return;
+
+    const cache = ds.cache;
+    const locationSystem = this.context.systems.locations;
+    const tiles = this._tiler.getTiles(this.context.projection).tiles;
+
+    // abort inflight requests that are no longer needed
+    for (const k of Object.keys(cache.inflight)) {
+      const wanted = tiles.find(tile => tile.id === k);
+      if (!wanted) {
+        cache.inflight[k].abort();
+        delete cache.inflight[k];
+      }
+    }
+
+    for (const tile of tiles) {
+      if (cache.loaded[tile.id] || cache.inflight[tile.id]) continue;
+
+      // skip tiles outside the dataset, or covering a blocked region (all corners are blocked)
+      const corners = tile.wgs84Extent.polygon().slice(0, 4);
+      const tileBlocked = corners.every(loc => locationSystem.blocksAt(loc).length);
+      if (tileBlocked || (ds.extent && !ds.extent.intersects(tile.wgs84Extent))) {
+        cache.loaded[tile.id] = true;  // don't try again
+        continue;
+      }
+
+      this._loadTilePage(ds, tile, this._itemsURL(ds, tile.wgs84Extent, 0), 0);
+    }
+  }
+
+
+  graph(datasetID)  {
+    const ds = this._datasets[datasetID];
+    return ds?.graph;
+  }
+
+
+  /**
+   * addDatasetAsync
+   * Adds a dataset from the URL of an OGC API - Features collection or a WFS feature type
+   * @param   {string}   url - URL of the collection
+   * @return  {Promise}  Promise resolved with an Object like `{ id, title, extent }`, or rejected if the URL can't be used
+   */
+  addDatasetAsync(url) {
+    let ds;
+    try {
+      ds = parseURL(url);
+    } catch (e) {
+      return Promise.reject(e);
+    }
+
+    ds.id = `ogc-${this._nextID++}`;
+    ds.title = ds.typeName ?? ds.collectionID;
+    ds.extent = null;
+
+    // WFS has its metadata in GetCapabilities XML, which can be huge, so we only read metadata from OGC API
+    const prerequisite = (ds.type === 'ogcapi') ? this._loadCollectionAsync(ds) : Promise.resolve();
+
+    return prerequisite
+      .then(() => {
+        this._resetDataset(ds);
+        this._datasets[ds.id] = ds;
+        return { id: ds.id, title: ds.title, extent: ds.extent };
+      });
+  }
+
+
+  /**
+   * removeDataset
+   * @param  {string}  datasetID - datasetID to remove
+   */
+  removeDataset(datasetID) {
+    const ds = this._datasets[datasetID];
+    if (!ds) return;
+    Object.values(ds.cache.inflight).forEach(controller => controller.abort());
+    delete this._datasets[datasetID];
+  }
+
+
+  _loadCollectionAsync(ds) {
+    const url = `${ds.baseURL}?` + utilQsString(Object.assign({}, ds.params, { f: 'json' }));
+    return fetch(url, { headers: { Accept: 'application/json' } })
+      .then(utilFetchResponse)
+      .then(json => {
+        if (!json || typeof json !== 'object') throw new Error('Not an OGC API - Features collection');
+        ds.title = json.title || ds.title;
+
+        const bbox = json.extent?.spatial?.bbox?.[0];
+        const crs = json.extent?.spatial?.crs ?? CRS84;
+        if (Array.isArray(bbox) && bbox.length >= 4 && crs === CRS84) {
+          const [minX, minY] = bbox;
+          const [maxX, maxY] = bbox.length === 6 ? bbox.slice(3, 5) : bbox.slice(2, 4);
+          ds.extent = new Extent([minX, minY], [maxX, maxY]);
+        }
+      });
+  }
+
+
+  _resetDataset(ds) {
+    if (ds.cache?.inflight) {
+      Object.values(ds.cache.inflight).forEach(controller => controller.abort());
+    }
+    ds.graph = new Graph();
+    ds.tree = new Tree(ds.graph);
+    ds.cache = { inflight: {}, loaded: {}, seen: {} };
+  }
+
+
+  // API
+  // OGC API - Features:  https://docs.ogc.org/is/17-069r4/17-069r4.html#_items_
+  // WFS 2.0:  https://docs.ogc.org/is/09-025r2/09-025r2.html#79
+  _itemsURL(ds, extent, page) {
+    if (ds.type === 'wfs') {
+      const params = Object.assign({}, ds.params, {
+        service: 'WFS',
+        version: '2.0.0',
+        request: 'GetFeature',
+        typeNames: ds.typeName,
+        outputFormat: 'application/json',
+        srsName: 'urn:ogc:def:crs:OGC:1.3:CRS84',
+        bbox: `${extent.toParam()},urn:ogc:def:crs:OGC:1.3:CRS84`,
+        count: PAGESIZE,
+        startIndex: page * PAGESIZE
+      });
+      return `${ds.baseURL}?` + utilQsString(params);
+
+    } else {
+      const params = Object.assign({}, ds.params, {
+        f: 'json',
+        bbox: extent.toParam(),
+        limit: PAGESIZE
+      });
+      return `${ds.baseURL}/items?` + utilQsString(params);
+    }
+  }
+
+
+  // The URL of the next page, if the response says there is one
+  _nextURL(ds, geojson, tile, page) {
+    if (page + 1 >= MAXPAGES) return null;
+
+    if (ds.type === 'wfs') {
+      const returned = geojson.numberReturned ?? geojson.features?.length ?? 0;
+      return (returned >= PAGESIZE) ? this._itemsURL(ds, tile.wgs84Extent, page + 1) : null;
+    } else {
+      const next = (geojson.links ?? []).find(link => link.rel === 'next');
+      return next?.href ?? null;
+    }
+  }
+
+
+  _loadTilePage(ds, tile, url, page) {
+    const cache = ds.cache;
+    if (cache.loaded[tile.id]) return;
+
+    const controller = new AbortController();
+    const headers = { Accept: 'application/geo+json, application/json' };
+
+    fetch(url, { signal: controller.signal, headers: headers })
+      .then(utilFetchResponse)
+      .then(geojson => {
+        if (!geojson) throw new Error('no geojson');
+
+        const results = this._parseFeatureCollection(ds, geojson);
+        ds.graph.rebase(results, [ds.graph], true);
+        ds.tree.rebase(results, true);
+        return this._nextURL(ds, geojson, tile, page);
+      })
+      .then(nextURL => {
+        if (nextURL) {
+          this._loadTilePage(ds, tile, nextURL, page + 1);
+        } else {
+          cache.loaded[tile.id] = true;
+          delete cache.inflight[tile.id];
+
+          this.context.deferredRedraw();
+          this.emit('loadedData');
+        }
+      })
+      .catch(e => {
+        if (e.name === 'AbortError') return;
+        cache.loaded[tile.id] = true;   // don't keep asking a server that fails
+        delete cache.inflight[tile.id];
+        console.error(e);  // eslint-disable-line
+      });
+
+    cache.inflight[tile.id] = controller;
+  }
+
+
+  _parseFeatureCollection(ds, geojson) {
+    let results = [];
+    for (const f of geojson.features ?? []) {
+      const entities = this._parseFeature(ds, f);
+      if (entities) results.push.apply(results, entities);
+    }
+    return results;
+  }
+
+
+  _parseFeature(ds, feature) {
+    const geom = feature.geometry;
+    if (!geom) return null;
+
+    // Features that cross tile edges are returned for each tile, so skip those we've seen already
+    const featureID = feature.id ?? feature.properties?.id ?? JSON.stringify(geom.coordinates);
+    if (ds.cache.seen[featureID]) return null;
+    ds.cache.seen[featureID] = true;
+
+    const id = `${ds.id}-${featureID}`;
+    const metadata = { __fbid__: id, __origid__: id, __service__: 'ogc', __datasetid__: ds.id };
+    const tags = utilPropertiesToTags(feature.properties);
+    return utilGeoJSONToEntities(geom, tags, metadata);
+  }
+
+}
+
+
+// Works out what kind of server a URL is for, and what to ask it for.
+// Other query parameters in the URL (like an API key) are kept.
+function parseURL(url) {
+  let u;
+  try {
+    u = new URL(url);
+  } catch (e) {
+    throw new Error(`Not a URL: ${url}`);
+  }
+
+  let params = {};
+  let lowerParams = new Map();
+  for (const [k, v] of u.searchParams) {
+    lowerParams.set(k.toLowerCase(), v);
+    params[k] = v;
+  }
+
+  // WFS
+  if ((lowerParams.get('service') || '').toUpperCase() === 'WFS' || lowerParams.has('typenames') || lowerParams.has('typename')) {
+    const typeName = lowerParams.get('typenames') || lowerParams.get('typename');
+    if (!typeName) throw new Error('A WFS URL needs a typeNames parameter');
+
+    // drop the parameters we set ourselves
+    const ours = ['service', 'version', 'request', 'typename', 'typenames', 'outputformat',
+      'srsname', 'bbox', 'count', 'maxfeatures', 'startindex'];
+    for (const k of Object.keys(params)) {
+      if (ours.includes(k.toLowerCase())) delete params[k];
+    }
+    return { type: 'wfs', baseURL: `${u.origin}${u.pathname}`, typeName: typeName, params: params };
+  }
+
+  // OGC API - Features
+  const match = u.pathname.match(/^(.*\/collections\/([^/]+))(\/items)?\/?$/);
+  if (match) {
+    for (const k of Object.keys(params)) {
+      if (['f', 'bbox', 'limit', 'offset'].includes(k.toLowerCase())) delete params[k];
+    }
+    return { type: 'ogcapi', baseURL: `${u.origin}${match[1]}`, collectionID: decodeURIComponent(match[2]), params: params };
+  }
+
+  throw new Error('Not the URL of an OGC API - Features collection or a WFS feature type');
+}
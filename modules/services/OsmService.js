@@ -34,6 +34,7 @@ export class OsmService extends AbstractSystem {
 
     // Some defaults that we will replace with whatever we fetch from the OSM API capabilities result.
     this._maxWayNodes = 2000;
+    this._maxChangesetElements = 10000;
     this._imageryBlocklists = [/.*\.google(apis)?\..*\/(vt|kh)[\?\/].*([xyz]=.*){3}.*/];
     this._urlroot = 'https://www.openstreetmap.org';
 
@@ -176,6 +177,11 @@ export class OsmService extends AbstractSystem {
     return this._connectionID;
   }
 
+  // Returns the id of the changeset that is currently open for uploading, if any
+  get openChangesetID() {
+    return this._changeset.openChangesetID;
+  }
+
   get urlroot() {
     return this._urlroot;
   }
@@ -189,6 +195,11 @@ export class OsmService extends AbstractSystem {
     return this._maxWayNodes;
   }
 
+  // Returns the maximum number of elements a single changeset can have
+  get maxChangesetElements() {
+    return this._maxChangesetElements;
+  }
+
 
   changesetURL(changesetID) {
     return `${this._urlroot}/changeset/${changesetID}`;
@@ -288,10 +299,7 @@ export class OsmService extends AbstractSystem {
       .then(result => done(null, result))
       .catch(err => {
         if (err.name === 'AbortError') return;  // ok
-        if (err.name === 'FetchError') {
-          done(err);
-          return;
-        }
+        done(err);   // including network failures, where fetch rejects with a `TypeError`
       });
 
     return controller;
@@ -369,6 +377,40 @@ export class OsmService extends AbstractSystem {
   }
 
 
+  // Parse an osmChange document, like the ones written by `osmChangeset.osmChangeJXON`.
+  // Entities to create usually have negative (placeholder) ids, and are returned as-is.
+  // Returns an Object with `create`, `modify`, and `delete` Arrays of entities.
+  // Throws if the text is not an osmChange document.
+  parseOsmChange(text) {
+    const xml = new DOMParser().parseFromString(text, 'text/xml');
+    const root = xml.documentElement;
+    if (!root || root.nodeName !== 'osmChange') {
+      throw new Error('Not an osmChange document');
+    }
+
+    const parsers = {
+      node: this._parseNodeXML,
+      way: this._parseWayXML,
+      relation: this._parseRelationXML
+    };
+
+    let results = { create: [], modify: [], delete: [] };
+    for (const block of Array.from(root.children)) {
+      const changeType = block.nodeName;
+      if (!results[changeType]) continue;
+
+      for (const child of Array.from(block.children)) {
+        const parser = parsers[child.nodeName];
+        if (!parser || !child.attributes.id) continue;
+        const uid = osmEntity.id.fromOSM(child.nodeName, child.attributes.id.value);
+        results[changeType].push(parser(child, uid));
+      }
+    }
+
+    return results;
+  }
+
+
   // Create a changeset
   // PUT /api/0.6/changeset/create
   createChangeset(changeset, callback) {
@@ -408,10 +450,7 @@ export class OsmService extends AbstractSystem {
       .catch(err => {
         this._changeset.inflight = null;
         if (err.name === 'AbortError') return;  // ok
-        if (err.name === 'FetchError') {
-          errback(err);
-          return;
-        }
+        errback(err);   // including network failures, where fetch rejects with a `TypeError`
       });
 
     this._changeset.inflight = controller;
@@ -430,10 +469,9 @@ export class OsmService extends AbstractSystem {
       return callback({ message: 'Changeset ID mismatch', status: -4 });
     }
 
-    const uploadedChangeset = (err, /*result*/) => {
+    const uploadedChangeset = (err, result) => {
       this._changeset.inflight = null;
-      // we do get a changeset diff result, but we don't currently use it for anything
-      callback(err, changeset);
+      callback(err, changeset, err ? undefined : this._parseDiffResult(result));
     };
 
     const errback = this._wrapcb(uploadedChangeset);
@@ -452,16 +490,59 @@ export class OsmService extends AbstractSystem {
       .catch(err => {
         this._changeset.inflight = null;
         if (err.name === 'AbortError') return;  // ok
-        if (err.name === 'FetchError') {
-          errback(err);
-          return;
-        }
+        errback(err);   // including network failures, where fetch rejects with a `TypeError`
       });
 
     this._changeset.inflight = controller;
   }
 
 
+  // Resume uploading to a changeset that was created earlier, for example before an upload failed.
+  // This only works if the changeset is still open and belongs to the current user.
+  // The callback receives the changeset details, with `resumed: true` if it will be used for the next upload.
+  // If it is the changeset that is open already, it won't be reused unless it can be resumed.
+  // GET /api/0.6/changeset/#id
+  resumeChangeset(changesetID, callback) {
+    if (this._changeset.inflight) {
+      return callback({ message: 'Changeset already inflight', status: -2 });
+    } else if (!this.authenticated()) {
+      return callback({ message: 'Not Authenticated', status: -3 });
+    }
+
+    if (this._changeset.openChangesetID === String(changesetID)) {
+      this._changeset.openChangesetID = null;
+    }
+
+    const gotChangeset = (err, result) => {
+      if (err) return callback(err);
+
+      const details = result?.changeset;
+      if (!details) return callback({ message: 'No JSON', status: -1 });
+
+      this.userDetails((err, user) => {
+        if (err) return callback(err);
+
+        const resumed = !!details.open && String(details.uid) === String(user.id);
+        if (resumed) {
+          this._changeset.openChangesetID = String(details.id);
+        }
+        callback(null, Object.assign({}, details, { resumed: resumed }));
+      });
+    };
+
+    const errback = this._wrapcb(gotChangeset);
+    const resource = this._urlroot + `/api/0.6/changeset/${changesetID}.json`;
+
+    this._oauth.fetch(resource, {})
+      .then(utilFetchResponse)
+      .then(result => errback(null, result))
+      .catch(err => {
+        if (err.name === 'AbortError') return;  // ok
+        errback(err);   // including network failures, where fetch rejects with a `TypeError`
+      });
+  }
+
+
   // Close a changeset
   // PUT /api/0.6/changeset/#id/close
   closeChangeset(changeset, callback) {
@@ -517,7 +598,7 @@ export class OsmService extends AbstractSystem {
       changeset = updated;
       if (err) { return callback(err, changeset); }
 
-      this.uploadChangeset(changeset, changes, (err, updated) => {
+      this.uploadChangeset(changeset, changes, (err, updated, diffResult) => {
         changeset = updated;
         if (err) { return callback(err, changeset); }
 
@@ -525,7 +606,7 @@ export class OsmService extends AbstractSystem {
         // Add delay to allow for postgres replication iD#1646 iD#2678
         window.setTimeout(() => {
           this._changeset.openChangesetID = null;
-          callback(null, changeset);
+          callback(null, changeset, diffResult);
         }, 2500);
 
         // Closing the changeset is optional, and we won't get a result.
@@ -681,6 +762,13 @@ export class OsmService extends AbstractSystem {
           this._maxWayNodes = maxWayNodes;
         }
 
+        // Update max elements per changeset
+        const changesets = xml.getElementsByTagName('changesets');
+        const maxElements = changesets.length && parseInt(changesets[0].getAttribute('maximum_elements'), 10);
+        if (maxElements && isFinite(maxElements)) {
+          this._maxChangesetElements = maxElements;
+        }
+
         // Update status
         const apiStatus = xml.getElementsByTagName('status');
         const val = apiStatus[0].getAttribute('api');
@@ -1433,6 +1521,33 @@ export class OsmService extends AbstractSystem {
   }
 
 
+  /**
+   * _parseDiffResult
+   * Parses the diffResult returned after uploading to a changeset
+   * @param   xml  The diffResult XML Document
+   * @return  Map(old entityID -> { newID, newVersion }), `newID` and `newVersion` are `undefined` for deleted entities
+   */
+  _parseDiffResult(xml) {
+    let results = new Map();
+    const root = xml?.documentElement;
+    if (!root || root.nodeName !== 'diffResult') return results;
+
+    for (const elem of Array.from(root.children)) {
+      const type = elem.nodeName;
+      const oldID = elem.getAttribute('old_id');
+      if (!oldID) continue;
+
+      const newID = elem.getAttribute('new_id');
+      const newVersion = elem.getAttribute('new_version');
+      results.set(osmEntity.id.fromOSM(type, oldID), {
+        newID: newID ? osmEntity.id.fromOSM(type, newID) : undefined,
+        newVersion: newVersion ?? undefined
+      });
+    }
+    return results;
+  }
+
+
   _parseNodeJSON(obj, uid) {
     return new osmNode({
       id:  uid,
@@ -1480,7 +1595,7 @@ export class OsmService extends AbstractSystem {
     return new osmNode({
       id: uid,
       visible: (!attrs.visible || attrs.visible.value !== 'false'),
-      version: attrs.version.value,
+      version: attrs.version?.value,
       changeset: attrs.changeset?.value,
       timestamp: attrs.timestamp?.value,
       user: attrs.user?.value,
@@ -1495,7 +1610,7 @@ export class OsmService extends AbstractSystem {
     return new osmWay({
       id: uid,
       visible: (!attrs.visible || attrs.visible.value !== 'false'),
-      version: attrs.version.value,
+      version: attrs.version?.value,
       changeset: attrs.changeset?.value,
       timestamp: attrs.timestamp?.value,
       user: attrs.user?.value,
@@ -1510,7 +1625,7 @@ export class OsmService extends AbstractSystem {
     return new osmRelation({
       id: uid,
       visible: (!attrs.visible || attrs.visible.value !== 'false'),
-      version: attrs.version.value,
+      version: attrs.version?.value,
       changeset: attrs.changeset?.value,
       timestamp: attrs.timestamp?.value,
       user: attrs.user?.value,
@@ -0,0 +1,189 @@
+import { AbstractSystem } from '../core/AbstractSystem';
+import { utilFetchResponse } from '../util';
+
+
+/**
+ * `TaskingManagerService`
+ * Talks to a task manager that follows the API of the HOT Tasking Manager (v2), to get the area
+ * and instructions of the task that the user is mapping, and to mark the task done afterwards.
+ *
+ * The endpoints used, relative to an API base like `https://tasks.example.com/api/v2`, are:
+ *   GET   /projects/{projectID}/?as_file=false                       -  project name, instructions, changeset comment
+ *   GET   /projects/{projectID}/tasks/?tasks={taskID}&as_file=false  -  GeoJSON FeatureCollection with the task geometry
+ *   GET   /projects/{projectID}/tasks/{taskID}/                      -  task status and per-task instructions
+ *   POST  /projects/{projectID}/tasks/actions/unlock-after-mapping/{taskID}/    -  mark the task mapped
+ *   POST  /projects/{projectID}/tasks/actions/unlock-after-validation/          -  mark the task invalidated
+ *
+ * The task manager usually needs the user's session token to change a task, see `setToken()`.
+ */
+export class TaskingManagerService extends AbstractSystem {
+
+  /**
+   * @constructor
+   * @param  `context`  Global shared application context
+   */
+  constructor(context) {
+    super(context);
+    this.id = 'taskingmanager';
+    this.context = context;
+
+    this._token = null;
+  }
+
+
+  /**
+   * initAsync
+   * Called after all core objects have been constructed.
+   * @return {Promise} Promise resolved when this component has completed initialization
+   */
+  initAsync() {
+    return this.resetAsync();
+  }
+
+
+  /**
+   * startAsync
+   * Called after all core objects have been initialized.
+   * @return {Promise} Promise resolved when this component has completed startup
+   */
+  startAsync() {
+    this._started = true;
+    return Promise.resolve();
+  }
+
+
+  /**
+   * resetAsync
+   * Called after completing an edit session to reset any internal state
+   * @return {Promise} Promise resolved when this component has completed resetting
+   */
+  resetAsync() {
+    return Promise.resolve();
+  }
+
+
+  /**
+   * setToken
+   * @param  {string}  token - The user's session token for the task manager, or `null` to forget it
+   */
+  setToken(token) {
+    this._token = token || null;
+  }
+
+
+  /**
+   * loadTaskAsync
+   * @param   {string}   apiBase - The task manager's API base url
+   * @param   {string}   projectID
+   * @param   {string}   taskID
+   * @return  {Promise}  Promise resolved with a task Object like:
+   *   {
+   *     apiBase, projectID, taskID,
+   *     projectName:       'Buildings in Lusaka',
+   *     instructions:      'Trace all the buildings...',   // project instructions (markdown)
+   *     taskInstructions:  '',                             // per-task instructions (markdown)
+   *     changesetComment:  '#hotosm-project-1234',
+   *     status:            'LOCKED_FOR_MAPPING',
+   *     geometry:          { type: 'MultiPolygon', coordinates: [...] }
+   *   }
+   */
+  loadTaskAsync(apiBase, projectID, taskID) {
+    apiBase = (apiBase || '').replace(/\/+$/, '');
+    if (!apiBase || !projectID || !taskID) {
+      return Promise.reject(new Error('A task needs an API base, project ID, and task ID'));
+    }
+
+    const project = `${apiBase}/projects/${encodeURIComponent(projectID)}`;
+
+    return Promise.all([
+        this._getJSONAsync(`${project}/?as_file=false`),
+        this._getJSONAsync(`${project}/tasks/?tasks=${encodeURIComponent(taskID)}&as_file=false`),
+        this._getJSONAsync(`${project}/tasks/${encodeURIComponent(taskID)}/`)
+      ])
+      .then(([projectInfo, taskGeoJSON, taskInfo]) => {
+        const feature = (taskGeoJSON?.features ?? [])
+          .find(f => String(f.properties?.taskId ?? taskID) === String(taskID));
+        const geometry = toMultiPolygon(feature?.geometry);
+        if (!geometry) {
+          throw new Error(`No geometry for task ${projectID}/${taskID}`);
+        }
+
+        return {
+          apiBase: apiBase,
+          projectID: String(projectID),
+          taskID: String(taskID),
+          projectName: projectInfo?.projectInfo?.name ?? '',
+          instructions: projectInfo?.projectInfo?.instructions ?? '',
+          taskInstructions: taskInfo?.perTaskInstructions ?? '',
+          changesetComment: projectInfo?.changesetComment ?? '',
+          status: taskInfo?.taskStatus ?? feature.properties?.taskStatus ?? null,
+          geometry: geometry
+        };
+      });
+  }
+
+
+  /**
+   * markDoneAsync
+   * Marks the task as mapped, and unlocks it
+   * @param   {Object}   task - a task, see `loadTaskAsync()`
+   * @param   {string}   comment - optional comment to leave on the task
+   * @return  {Promise}  Promise resolved with the new task status
+   */
+  markDoneAsync(task, comment) {
+    const url = `${task.apiBase}/projects/${encodeURIComponent(task.projectID)}/tasks/actions/unlock-after-mapping/${encodeURIComponent(task.taskID)}/`;
+    return this._postJSONAsync(url, { status: 'MAPPED', comment: comment || undefined })
+      .then(() => 'MAPPED');
+  }
+
+
+  /**
+   * invalidateAsync
+   * Marks the task as needing more mapping, and unlocks it
+   * @param   {Object}   task - a task, see `loadTaskAsync()`
+   * @param   {string}   comment - optional comment to leave on the task
+   * @return  {Promise}  Promise resolved with the new task status
+   */
+  invalidateAsync(task, comment) {
+    const url = `${task.apiBase}/projects/${encodeURIComponent(task.projectID)}/tasks/actions/unlock-after-validation/`;
+    const body = {
+      validatedTasks: [{ taskId: Number(task.taskID), status: 'INVALIDATED', comment: comment || undefined }]
+    };
+    return this._postJSONAsync(url, body)
+      .then(() => 'INVALIDATED');
+  }
+
+
+  _headers() {
+    let headers = { Accept: 'application/json' };
+    if (this._token) {
+      headers.Authorization = `Token ${this._token}`;
+    }
+    return headers;
+  }
+
+
+  _getJSONAsync(url) {
+    return fetch(url, { headers: this._headers() })
+      .then(utilFetchResponse);
+  }
+
+
+  _postJSONAsync(url, body) {
+    const headers = Object.assign(this._headers(), { 'Content-Type': 'application/json' });
+    return fetch(url, { method: 'POST', headers: headers, body: JSON.stringify(body) })
+      .then(utilFetchResponse);
+  }
+
+}
+
+
+// The task manager may give us a Polygon or a MultiPolygon, we always use MultiPolygon coordinates
+function toMultiPolygon(geometry) {
+  if (geometry?.type === 'Polygon' && geometry.coordinates?.length) {
+    return { type: 'MultiPolygon', coordinates: [geometry.coordinates] };
+  } else if (geometry?.type === 'MultiPolygon' && geometry.coordinates?.length) {
+    return { type: 'MultiPolygon', coordinates: geometry.coordinates };
+  }
+  return null;
+}
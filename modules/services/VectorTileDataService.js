@@ -0,0 +1,439 @@
+import { Extent, vecEqual } from '@rapid-sdk/math';
+import { utilHashcode } from '@rapid-sdk/util';
+import stringify from 'fast-json-stable-stringify';
+
+import { AbstractSystem } from '../core/AbstractSystem';
+import { Graph, Tree } from '../core/lib';
+import { utilApplyTagMapping, utilGeoJSONToEntities, utilPropertiesToTags, utilValidateTagMapping } from '../util';
+
+
+const WORLD = new Extent([-180, -90], [180, 90]);
+
+
+/**
+ * `VectorTileDataService`
+ * Turns a source layer of vector tile data into a Rapid dataset.
+ * The tiles are fetched and decoded by the `VectorTileService`, which also merges polygons across tile edges.
+ * Here we stitch lines back together across tile edges, and convert the features into OSM entities.
+ *
+ * The source is either a z/x/y tileserver template or a .pmtiles archive, like:
+ *   `https://example.com/tiles/{z}/{x}/{y}.mvt`
+ *   `https://example.com/buildings.pmtiles`
+ *
+ * Feature properties are used as tags as they are, unless the dataset has a tag mapping,
+ * see `utilApplyTagMapping` for the tag mapping format.
+ *
+ * Features are identified by their vector tile feature id.  Features without an id are identified
+ * by their properties and geometry, so they only keep the same identity while their geometry stays the same.
+ *
+ * Events available:
+ *   `loadedData`
+ */
+export class VectorTileDataService extends AbstractSystem {
+
+  /**
+   * @constructor
+   * @param  `context`  Global shared application context
+   */
+  constructor(context) {
+    super(context);
+    this.id = 'vectortiledata';
+    this.context = context;
+
+    this._datasets = {};
+
+    // Ensure methods used as callbacks always have `this` bound correctly.
+    this._vectorTileLoaded = this._vectorTileLoaded.bind(this);
+  }
+
+
+  /**
+   * initAsync
+   * Called after all core objects have been constructed.
+   * @return {Promise} Promise resolved when this component has completed initialization
+   */
+  initAsync() {
+    this.context.services.vectortile?.on('loadedData', this._vectorTileLoaded);
+    return this.resetAsync();
+  }
+
+
+  /**
+   * startAsync
+   * Called after all core objects have been initialized.
+   * @return {Promise} Promise resolved when this component has completed startup
+   */
+  startAsync() {
+    const vectortile = this.context.services.vectortile;
+    if (!vectortile) return Promise.reject(new Error('No Vector Tile Service'));
+
+    return vectortile.startAsync()
+      .then(() => this._started = true);
+  }
+
+
+  /**
+   * resetAsync
+   * Called after completing an edit session to reset any internal state
+   * @return {Promise} Promise resolved when this component has completed resetting
+   */
+  resetAsync() {
+    for (const ds of Object.values(this._datasets)) {
+      this._resetDataset(ds);
+    }
+    return Promise.resolve();
+  }
+
+
+  /**
+   * getData
+   * Get already loaded data that appears in the current map view
+   * @param   {string}  datasetID - datasetID to get data for
+   * @param   {Extent}  extent - optional extent to get data for (defaults to the current map view)
+   * @return  {Array}   Array of data (OSM Entities)
+   */
+  getData(datasetID, extent) {
+    const ds = this._datasets[datasetID];
+    if (!ds) return [];
+
+    if (ds.dirty) {
+      this._rebuild(ds);
+    }
+
+    extent = extent ?? this.context.systems.map.extent();
+    return ds.tree.intersects(extent, ds.graph);
+  }
+
+
+  /**
+   * loadTiles
+   * Schedule any data requests needed to cover the current map view
+   * @param   {string}  datasetID - datasetID to load tiles for
+   */
+  loadTiles(datasetID) {
+    const ds = this._datasets[datasetID];
+    if (!ds) return;
+    this.context.services.vectortile?.loadTiles(ds.template);
+  }
+
+
+  graph(datasetID)  {
+    const ds = this._datasets[datasetID];
+    if (ds?.dirty) {
+      this._rebuild(ds);
+    }
+    return ds?.graph;
+  }
+
+
+  /**
+   * addDatasetAsync
+   * Adds a dataset for a source layer of vector tile data.
+   * The dataset id is made from the source and layer, so the same layer gets the same id in later sessions.
+   * @param   {string}   template - A url template for fetching data (e.g. a z/x/y tileserver or .pmtiles)
+   * @param   {string}   layerID - The name of the source layer to use
+   * @return  {Promise}  Promise resolved with an Object like `{ id, title }`, or rejected if the source can't be used
+   */
+  addDatasetAsync(template, layerID) {
+    template = (template || '').trim();
+    layerID = (layerID || '').trim();
+
+    let url;
+    try {
+      url = new URL(template);
+    } catch (e) {
+      return Promise.reject(new Error(`Not a URL: ${template}`));
+    }
+
+    const filename = url.pathname.split('/').at(-1);
+    const isPMTiles = /\.pmtiles$/.test(filename);
+    const isTemplate = /\{z(oom)?\}/.test(template) && template.includes('{x}') && /\{[t-]?y\}/.test(template);
+    if (!isPMTiles && !isTemplate) {
+      return Promise.reject(new Error('Not a .pmtiles file or a {z}/{x}/{y} template'));
+    }
+    if (!layerID) {
+      return Promise.reject(new Error('A source layer is needed'));
+    }
+
+    const datasetID = 'vt-' + (utilHashcode(`${template} ${layerID}`) >>> 0).toString(36);
+    let ds = this._datasets[datasetID];
+    if (!ds) {
+      ds = {
+        id: datasetID,
+        template: template,
+        layerID: layerID,
+        title: `${layerID} (${isPMTiles ? filename : url.hostname})`,
+        mapping: null
+      };
+      this._resetDataset(ds);
+      this._datasets[datasetID] = ds;
+    }
+
+    return Promise.resolve({ id: ds.id, title: ds.title });
+  }
+
+
+  /**
+   * removeDataset
+   * @param  {string}  datasetID - datasetID to remove
+   */
+  removeDataset(datasetID) {
+    delete this._datasets[datasetID];
+  }
+
+
+  /**
+   * getTagMapping
+   * @param   {string}  datasetID
+   * @return  {Object}  The dataset's tag mapping, or `null` if the properties are used as tags as they are
+   */
+  getTagMapping(datasetID) {
+    return this._datasets[datasetID]?.mapping ?? null;
+  }
+
+
+  /**
+   * setTagMapping
+   * Sets the tag mapping for the dataset, and converts its features again with it.
+   * @param  {string}  datasetID
+   * @param  {Object}  mapping - the tag mapping, or `null` to use the properties as tags as they are
+   */
+  setTagMapping(datasetID, mapping) {
+    const ds = this._datasets[datasetID];
+    if (!ds) return;
+
+    ds.mapping = mapping ? utilValidateTagMapping(mapping) : null;
+    ds.parsed.clear();   // features already converted have tags from the old mapping
+    ds.dirty = true;
+    this.context.deferredRedraw();
+  }
+
+
+  /**
+   * importTagMapping
+   * Uses a tag mapping that was shared as JSON for the dataset (e.g. one exported from the Esri tag editor)
+   * @param   {string}  datasetID
+   * @param   {string}  json - JSON of a tag mapping
+   * @throws  Will throw if the JSON is not a tag mapping
+   */
+  importTagMapping(datasetID, json) {
+    const mapping = JSON.parse(json);
+    this.setTagMapping(datasetID, { fields: mapping.fields, constants: mapping.constants });
+  }
+
+
+  _vectorTileLoaded() {
+    for (const ds of Object.values(this._datasets)) {
+      ds.dirty = true;
+    }
+    this.emit('loadedData');
+  }
+
+
+  _resetDataset(ds) {
+    ds.graph = new Graph();
+    ds.tree = new Tree(ds.graph);
+    ds.parsed = new Map();   // Map(origid -> { signature, entities })
+    ds.dirty = true;
+  }
+
+
+  /**
+   * _rebuild
+   * Converts the features of the dataset's source layer that the `VectorTileService` has loaded.
+   * Entities are kept for features that haven't changed since the last time,
+   * so that a selected feature stays the same entity while more tiles load.
+   * @param  {Object}  ds - the dataset
+   */
+  _rebuild(ds) {
+    ds.dirty = false;
+
+    const vectortile = this.context.services.vectortile;
+    const features = (vectortile?.getData(ds.template, WORLD) ?? [])
+      .filter(feature => feature.layerID === ds.layerID);
+
+    const parsed = new Map();
+    for (const item of this._gatherFeatures(ds, features)) {
+      const tags = this._parseTags(ds, item.properties);
+      const signature = utilHashcode(stringify([item.geometry, tags]));
+
+      let entry = ds.parsed.get(item.origid);
+      if (entry?.signature !== signature) {
+        entry = { signature: signature, entities: this._parseFeature(ds, item.origid, item.geometry, tags) };
+      }
+      parsed.set(item.origid, entry);
+    }
+    ds.parsed = parsed;
+
+    const entities = [...parsed.values()].flatMap(entry => entry.entities);
+    ds.graph = new Graph(entities);
+    ds.tree = new Tree(ds.graph);
+    ds.tree.rebase(entities, true);
+  }
+
+
+  /**
+   * _gatherFeatures
+   * Puts the pieces of each feature back together.
+   * Polygons were already merged across tile edges by the `VectorTileService`.
+   * Lines extend past their tile into the tile buffer, so we clip them to their tile and join the pieces that meet.
+   * @param   {Object}  ds - the dataset
+   * @param   {Array}   features - features from the `VectorTileService`
+   * @return  {Array}   Array of Objects like `{ origid, properties, geometry }`
+   */
+  _gatherFeatures(ds, features) {
+    // Group the pieces by their vector tile feature id.
+    // Features without an id use the property hash as their id, so those pieces are grouped by properties.
+    const groups = new Map();   // Map(groupID -> { hasID, properties, points, lines, polygons })
+    for (const feature of features) {
+      const hasID = (feature.origID !== undefined && String(feature.origID) !== feature.prophash);
+      const groupID = hasID ? `id-${feature.origID}` : `props-${feature.prophash}`;
+      let group = groups.get(groupID);
+      if (!group) {
+        group = { hasID: hasID, id: feature.origID, prophash: feature.prophash, properties: feature.geojson.properties, points: [], lines: [], polygons: [] };
+        groups.set(groupID, group);
+      }
+
+      const geometry = feature.geojson.geometry;
+      if (geometry.type === 'Point') {
+        group.points.push(geometry.coordinates);
+      } else if (geometry.type === 'LineString') {
+        const epsilon = feature.tileExtent ? (feature.tileExtent.max[0] - feature.tileExtent.min[0]) / 1000 : 0;
+        const pieces = feature.tileExtent ? clipLine(geometry.coordinates, feature.tileExtent) : [geometry.coordinates];
+        group.epsilon = Math.max(group.epsilon ?? 0, epsilon);
+        group.lines.push(...pieces);
+      } else if (geometry.type === 'Polygon') {
+        group.polygons.push(geometry.coordinates);
+      }
+    }
+
+    const results = [];
+    for (const group of groups.values()) {
+      let parts = [];
+      if (group.polygons.length) {
+        parts = group.hasID ? [ { type: 'MultiPolygon', coordinates: group.polygons } ]
+          : group.polygons.map(polygon => ({ type: 'MultiPolygon', coordinates: [polygon] }));
+      } else if (group.lines.length) {
+        parts = stitchLines(group.lines, group.epsilon).map(line => ({ type: 'LineString', coordinates: line }));
+      } else {
+        parts = group.points.map(point => ({ type: 'Point', coordinates: point }));
+      }
+
+      parts.forEach((geometry, i) => {
+        let origid;
+        if (!group.hasID) {
+          origid = `${ds.id}-${utilHashcode(group.prophash + stringify(geometry.coordinates)) >>> 0}`;
+        } else if (parts.length > 1) {
+          origid = `${ds.id}-${group.id}-${i}`;
+        } else {
+          origid = `${ds.id}-${group.id}`;
+        }
+        results.push({ origid: origid, properties: group.properties, geometry: geometry });
+      });
+    }
+
+    return results;
+  }
+
+
+  _parseTags(ds, props) {
+    return ds.mapping ? utilApplyTagMapping(ds.mapping, props) : utilPropertiesToTags(props);
+  }
+
+
+  _parseFeature(ds, origid, geometry, tags) {
+    const metadata = { __fbid__: origid, __origid__: origid, __service__: 'vectortiledata', __datasetid__: ds.id };
+    return utilGeoJSONToEntities(geometry, tags, metadata);
+  }
+
+}
+
+
+// Clips a line to an extent, returns an Array of the pieces of the line that are inside it.
+function clipLine(coords, extent) {
+  let results = [];
+  let current = null;
+
+  for (let i = 0; i < coords.length - 1; i++) {
+    const segment = clipSegment(coords[i], coords[i + 1], extent);
+    if (!segment) {
+      if (current) results.push(current);
+      current = null;
+      continue;
+    }
+
+    const [a, b] = segment;
+    if (current && vecEqual(current.at(-1), a)) {
+      current.push(b);
+    } else {
+      if (current) results.push(current);
+      current = [a, b];
+    }
+  }
+
+  if (current) results.push(current);
+  return results;
+}
+
+
+// Liang-Barsky, returns the part of the segment a-b inside the extent, or `null` if none of it is
+function clipSegment(a, b, extent) {
+  const [minX, minY] = extent.min;
+  const [maxX, maxY] = extent.max;
+  const dx = b[0] - a[0];
+  const dy = b[1] - a[1];
+  let t0 = 0;
+  let t1 = 1;
+
+  for (const [p, q] of [[-dx, a[0] - minX], [dx, maxX - a[0]], [-dy, a[1] - minY], [dy, maxY - a[1]]]) {
+    if (p === 0) {
+      if (q < 0) return null;   // parallel to this edge and outside it
+      continue;
+    }
+    const t = q / p;
+    if (p < 0) {
+      if (t > t1) return null;
+      if (t > t0) t0 = t;
+    } else {
+      if (t < t0) return null;
+      if (t < t1) t1 = t;
+    }
+  }
+
+  return [
+    t0 === 0 ? a : [a[0] + t0 * dx, a[1] + t0 * dy],
+    t1 === 1 ? b : [a[0] + t1 * dx, a[1] + t1 * dy]
+  ];
+}
+
+
+// Joins lines where one ends where another begins.
+// The points where a line was clipped on neighboring tiles can be a little bit apart, hence the `epsilon`.
+function stitchLines(lines, epsilon) {
+  let results = lines.slice();
+
+  for (let i = 0; i < results.length; i++) {
+    let joined = true;
+    while (joined) {
+      joined = false;
+      for (let j = 0; j < results.length; j++) {
+        if (i === j) continue;
+        const a = results[i];
+        const b = results[j];
+        if (vecEqual(a.at(-1), b[0], epsilon)) {
+          results[i] = a.concat(b.slice(1));
+        } else if (vecEqual(b.at(-1), a[0], epsilon)) {
+          results[i] = b.concat(a.slice(1));
+        } else {
+          continue;
+        }
+        results.splice(j, 1);
+        if (j < i) i--;
+        joined = true;
+        break;
+      }
+    }
+  }
+
+  return results;
+}
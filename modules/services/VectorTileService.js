@@ -109,14 +109,15 @@ export class VectorTileService extends AbstractSystem {
    * getData
    * Get already loaded data that appears in the current map view
    * @param   {string}  template - template to get data for
+   * @param   {Extent}  extent - optional extent to get data for (defaults to the current map view)
    * @return  {Array}   Array of data
    */
-  getData(template) {
+  getData(template, extent) {
     const source = this._sources.get(template);
     if (!source) return [];
 
     const map = this.context.systems.map;
-    const extent = map.extent();
+    extent = extent ?? map.extent();
 
     // -1 because vector tiles are 512px, so they are offset by 1 zoom level
     // from the main map zoom, which follows 256px and OSM convention.
@@ -388,7 +389,9 @@ export class VectorTileService extends AbstractSystem {
 
           newFeatures.push({
             id: featureID,
+            origID: vtFeature.id,
             extent: extent,
+            tileExtent: tileExtent,
             layerID: layerID,
             prophash: prophash,
             geojson: geojsonRewind(geojson, true),
@@ -585,6 +588,7 @@ export class VectorTileService extends AbstractSystem {
 
       newFeatures.push({
         id: featureID,
+        origID: source.origID,
         extent: extent,
         layerID: source.layerID,
         prophash: prophash,
@@ -596,6 +600,7 @@ export class VectorTileService extends AbstractSystem {
     if (newFeatures.length) {
       this._cacheFeatures(cache, newFeatures);
       this.context.deferredRedraw();
+      this.emit('loadedData');
     }
   }
 
@@ -2,15 +2,19 @@ import { EsriService } from './EsriService';
 import { ImproveOsmService } from './ImproveOsmService';
 import { KartaviewService } from './KartaviewService';
 import { KeepRightService } from './KeepRightService';
+import { LocalDataService } from './LocalDataService';
 import { MapillaryService } from './MapillaryService';
 import { MapWithAIService } from './MapWithAIService';
 import { NominatimService } from './NominatimService';
 import { NsiService } from './NsiService';
+import { OgcFeaturesService } from './OgcFeaturesService';
 import { OsmService } from './OsmService';
 import { OsmoseService } from './OsmoseService';
 import { OsmWikibaseService } from './OsmWikibaseService';
 import { StreetsideService } from './StreetsideService';
 import { TaginfoService } from './TaginfoService';
+import { TaskingManagerService } from './TaskingManagerService';
+import { VectorTileDataService } from './VectorTileDataService';
 import { VectorTileService } from './VectorTileService';
 import { WikidataService } from './WikidataService';
 import { WikipediaService } from './WikipediaService';
@@ -20,15 +24,19 @@ export {
   ImproveOsmService,
   KartaviewService,
   KeepRightService,
+  LocalDataService,
   MapillaryService,
   MapWithAIService,
   NominatimService,
   NsiService,
+  OgcFeaturesService,
   OsmService,
   OsmoseService,
   OsmWikibaseService,
   StreetsideService,
   TaginfoService,
+  TaskingManagerService,
+  VectorTileDataService,
   VectorTileService,
   WikidataService,
   WikipediaService
@@ -43,15 +51,19 @@ services.available.set('esri', EsriService);
 services.available.set('improveOSM', ImproveOsmService);
 services.available.set('kartaview', KartaviewService);
 services.available.set('keepRight', KeepRightService);
+services.available.set('local', LocalDataService);
 services.available.set('mapillary', MapillaryService);
 services.available.set('mapwithai', MapWithAIService);
 services.available.set('nominatim', NominatimService);
 services.available.set('nsi', NsiService);
+services.available.set('ogc', OgcFeaturesService);
 services.available.set('osm', OsmService);
 services.available.set('osmose', OsmoseService);
 services.available.set('osmwikibase', OsmWikibaseService);
 services.available.set('streetside', StreetsideService);
 services.available.set('taginfo', TaginfoService);
+services.available.set('taskingmanager', TaskingManagerService);
 services.available.set('vectortile', VectorTileService);
+services.available.set('vectortiledata', VectorTileDataService);
 services.available.set('wikidata', WikidataService);
 services.available.set('wikipedia', WikipediaService);
@@ -197,6 +197,11 @@ export function uiConflicts(context) {
             .attr('class', 'conflict-choices')
             .call(addChoices);
 
+        details
+            .append('div')
+            .attr('class', 'conflict-merge')
+            .call(renderMerge);
+
         details
             .append('div')
             .attr('class', 'conflict-nav-buttons joined cf')
@@ -248,7 +253,7 @@ export function uiConflicts(context) {
             .attr('name', function(d) { return d.id; })
             .on('change', function(d3_event, d) {
                 var ul = this.parentNode.parentNode.parentNode;
-                ul.__data__.chosen = d.id;
+                ul.__data__.chosen = ul.__data__.choices.indexOf(d);
                 choose(d3_event, ul, d);
             });
 
@@ -257,25 +262,32 @@ export function uiConflicts(context) {
             .html(function(d) { return d.text; });
 
         // update
+        // Only show which choice is selected here.  The choice's action is performed when the user picks it,
+        // and the default choice is applied when the conflicts are resolved, see `UploaderSystem.processResolvedConflicts`.
         choicesEnter
             .merge(choices)
-            .each(function(d) {
+            .each(function(d, i) {
                 var ul = this.parentNode;
-                if (ul.__data__.chosen === d.id) {
-                    choose(null, ul, d);
+                if (ul.__data__.chosen === i) {
+                    showChosen(ul, d);
                 }
             });
     }
 
 
-    function choose(d3_event, ul, datum) {
-        if (d3_event) d3_event.preventDefault();
-
+    function showChosen(ul, datum) {
         d3_select(ul)
             .selectAll('li')
             .classed('active', function(d) { return d === datum; })
             .selectAll('input')
             .property('checked', function(d) { return d === datum; });
+    }
+
+
+    function choose(d3_event, ul, datum) {
+        if (d3_event) d3_event.preventDefault();
+
+        showChosen(ul, datum);
 
         var extent = new Extent();
         var entity;
@@ -289,6 +301,120 @@ export function uiConflicts(context) {
         if (entity) extent = extent.extend(entity.extent(context.graph()));
 
         showEntityID(datum.id, extent);
+
+        d3_select(ul.parentNode.parentNode)
+            .select('.conflict-merge')
+            .call(renderMerge);
+    }
+
+
+    // Shows the base, local, and remote values of each field that differs,
+    // when the user has chosen to merge field by field.
+    function renderMerge(selection) {
+        var conflict = selection.datum();
+        var choice = conflict.choices[conflict.chosen];
+        var fields = (choice && choice.merge) ? conflict.merge.fields : [];
+
+        var table = selection.selectAll('.conflict-merge-table')
+            .data(fields.length ? [0] : []);
+
+        table.exit()
+            .remove();
+
+        var tableEnter = table.enter()
+            .append('table')
+            .attr('class', 'conflict-merge-table');
+
+        tableEnter
+            .append('thead')
+            .append('tr')
+            .selectAll('th')
+            .data(['field', 'base', 'local', 'remote'])
+            .enter()
+            .append('th')
+            .text(function(d) { return context.t('save.conflict.merge.' + d); });
+
+        tableEnter
+            .append('tbody');
+
+        var rows = selection.selectAll('tbody')
+            .selectAll('tr')
+            .data(fields, function(d) { return d.id; });
+
+        var rowsEnter = rows.enter()
+            .append('tr')
+            .attr('class', function(d) { return 'conflict-merge-field conflict-merge-' + d.type; });
+
+        rowsEnter
+            .append('td')
+            .attr('class', 'conflict-merge-label')
+            .text(fieldLabel);
+
+        rowsEnter
+            .append('td')
+            .attr('class', 'conflict-merge-base')
+            .call(fieldValue, 'base');
+
+        ['local', 'remote'].forEach(function(side) {
+            var labelEnter = rowsEnter
+                .append('td')
+                .attr('class', 'conflict-merge-' + side)
+                .append('label');
+
+            labelEnter
+                .append('input')
+                .attr('type', 'radio')
+                .attr('name', function(d) { return conflict.id + '-' + d.id; })
+                .attr('value', side)
+                .on('change', function(d3_event, d) {
+                    d.choice = side;
+                    conflict.merge.choices[d.id] = side;
+                    choice.action();
+                    selection.call(renderMerge);
+                });
+
+            labelEnter
+                .call(fieldValue, side);
+        });
+
+        rows.merge(rowsEnter)
+            .selectAll('input')
+            .property('checked', function(d) { return this.value === d.choice; });
+    }
+
+
+    function fieldLabel(d) {
+        if (d.type === 'tag') {
+            return d.key;
+        } else if (d.type === 'member') {
+            return context.t('save.conflict.merge.member', { id: d.key.split('@')[0] });
+        } else {
+            return context.t('save.conflict.merge.' + d.type);
+        }
+    }
+
+
+    function fieldValue(selection, which) {
+        selection
+            .append('span')
+            .attr('class', 'conflict-merge-value')
+            .attr('title', function(d) {
+                return (d.type === 'nodes' && d[which]) ? d[which].join(', ') : null;
+            })
+            .text(function(d) {
+                var value = d[which];
+                if (value === undefined) {
+                    return context.t('save.conflict.merge.missing');
+                } else if (d.type === 'loc') {
+                    return value[1].toFixed(6) + ', ' + value[0].toFixed(6);
+                } else if (d.type === 'nodes') {
+                    return context.t('save.conflict.merge.node_count', { n: value.length });
+                } else if (d.type === 'member') {
+                    return value.role || context.t('save.conflict.merge.no_role');
+                } else {
+                    return value;
+                }
+            });
     }
 
 
@@ -317,8 +443,13 @@ export function uiConflicts(context) {
     //     chosen: 1,
     //     choices: [
     //         choice(id, keepMine, forceLocal),
-    //         choice(id, keepTheirs, forceRemote)
-    //     ]
+    //         choice(id, keepTheirs, forceRemote),
+    //         choice(id, mergeFields, custom)     // optional, with `merge: true`
+    //     ],
+    //     merge: {                                // optional, for the field by field merge
+    //         fields: custom.fields(graph),
+    //         choices: {}                         // the Object passed as `options.choices`
+    //     }
     // }
     conflicts.conflictList = function(_) {
         if (!arguments.length) return _conflictList;
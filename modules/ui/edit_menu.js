@@ -105,7 +105,7 @@ export function uiEditMenu(context) {
         .call(tooltip)
         .append('div')
         .attr('class', 'icon-wrap')
-        .call(uiIcon(`#rapid-operation-${d.id}`, 'operation'));
+        .call(uiIcon(d.icon ?? `#rapid-operation-${d.id}`, 'operation'));
     });
 
     if (showLabels) {
@@ -141,7 +141,7 @@ export function uiEditMenu(context) {
           // there are no tooltips for touch interactions so flash feedback instead
           context.systems.ui.flash
             .duration(4000)
-            .iconName(`#rapid-operation-${operation.id}`)
+            .iconName(operation.icon ?? `#rapid-operation-${operation.id}`)
             .iconClass('operation disabled')
             .label(operation.tooltip)();
         }
@@ -149,7 +149,7 @@ export function uiEditMenu(context) {
         if (_lastPointerUpType === 'touch' || _lastPointerUpType === 'pen') {
           context.systems.ui.flash
             .duration(2000)
-            .iconName(`#rapid-operation-${operation.id}`)
+            .iconName(operation.icon ?? `#rapid-operation-${operation.id}`)
             .iconClass('operation')
             .label(operation.annotation() || operation.title)();
         }
@@ -51,6 +51,7 @@ export { uiPopover } from './popover';
 export { uiPresetIcon } from './preset_icon';
 export { uiPresetList } from './preset_list';
 export { uiRapidColorpicker } from './rapid_colorpicker';
+export { uiRapidEsriTagmapEditor } from './rapid_esri_tagmap_editor';
 export { uiRapidFeatureInspector } from './rapid_feature_inspector';
 export { uiRapidFeatureToggleDialog } from './rapid_feature_toggle_dialog';
 export { uiRapidFirstEditDialog } from './rapid_first_edit_dialog';
@@ -5,8 +5,10 @@ import { uiCmd } from './cmd';
 
 import { UiPanelBackground } from './panels/UiPanelBackground';
 import { UiPanelHistory } from './panels/UiPanelHistory';
+import { UiPanelHistoryTree } from './panels/UiPanelHistoryTree';
 import { UiPanelLocation } from './panels/UiPanelLocation';
 import { UiPanelMeasurement } from './panels/UiPanelMeasurement';
+import { UiPanelTask } from './panels/UiPanelTask';
 
 
 /**
@@ -19,12 +21,12 @@ export function uiInfo(context) {
   const panels = {
     background:   new UiPanelBackground(context),
     history:      new UiPanelHistory(context),
+    history_tree: new UiPanelHistoryTree(context),
     location:     new UiPanelLocation(context),
-    measurement:  new UiPanelMeasurement(context)
+    measurement:  new UiPanelMeasurement(context),
+    task:         new UiPanelTask(context)
   };
 
-  const panelIDs = Object.keys(panels);
-
   let activeIDs = new Set();
   let wasActiveIDs = new Set();
 
@@ -89,6 +91,16 @@ export function uiInfo(context) {
     }
 
 
+    /**
+     * isActive
+     * @param   panelID  The panel to check
+     * @return  `true` if the panel is shown
+     */
+    info.isActive = function(panelID) {
+      return activeIDs.has(panelID);
+    };
+
+
     info.toggle = function(panelID) {
       if (panelID) {   // toggle one
         if (activeIDs.has(panelID)) {   // panel is active, disable it
@@ -113,7 +125,7 @@ export function uiInfo(context) {
       }
 
       // Update state of checkboxes scattered around the app in random places
-      panelIDs.forEach(id => {
+      Object.keys(panels).forEach(id => {
         context.container().selectAll(`.${id}-panel-toggle-item`)
           .classed('active', activeIDs.has(id))
           .select('input')
@@ -144,18 +156,61 @@ export function uiInfo(context) {
       });
 
     // bind keys to show/hide individual panels
-    panelIDs.forEach(k => {
+    Object.keys(panels).forEach(k => {
       const key = context.t(`info_panels.${k}.key`, { default: null });
-      if (!key) return;
-
-      context.keybinding()
-        .on(uiCmd('⌘⇧' + key), e => {
-          e.stopImmediatePropagation();
-          e.preventDefault();
-          info.toggle(k);
-        });
+      bindPanelKey(k, key);
     });
+
+
+    /**
+     * addPanel
+     * Adds a panel (e.g. from a plugin).  It starts out hidden.
+     * @param  panelID  Unique id for the panel
+     * @param  panel    A panel derived from `AbstractUiPanel`, with an optional `key` to toggle it with
+     */
+    info.addPanel = function(panelID, panel) {
+      if (panels[panelID]) {
+        throw new Error(`Panel '${panelID}' already exists`);
+      }
+      panels[panelID] = panel;
+      bindPanelKey(panelID, panel.key);
+    };
+
+
+    /**
+     * removePanel
+     * Hides and removes a panel
+     * @param  panelID  The panel to remove
+     */
+    info.removePanel = function(panelID) {
+      const panel = panels[panelID];
+      if (!panel) return;
+
+      if (activeIDs.has(panelID)) {
+        activeIDs.delete(panelID);
+        infoPanels.selectAll(`.panel-container-${panelID}`).remove();
+        panel.disable();
+      }
+      wasActiveIDs.delete(panelID);
+      if (panel.key) {
+        context.keybinding().off(uiCmd('⌘⇧' + panel.key));
+      }
+      delete panels[panelID];
+    };
   }
 
+
+  function bindPanelKey(panelID, key) {
+    if (!key) return;
+
+    context.keybinding()
+      .on(uiCmd('⌘⇧' + key), e => {
+        e.stopImmediatePropagation();
+        e.preventDefault();
+        info.toggle(panelID);
+      });
+  }
+
+
   return info;
 }
@@ -0,0 +1,376 @@
+import { select as d3_select } from 'd3-selection';
+
+import { AbstractUiPanel } from './AbstractUiPanel';
+
+const LANE_WIDTH = 14;
+const ROW_HEIGHT = 20;
+const RADIUS = 4;
+const MAX_DIFF_ITEMS = 50;
+
+
+/**
+ * UiPanelHistoryTree
+ * Draws the tree of edits kept by the EditSystem, including abandoned branches.
+ * Clicking an edit jumps to it, and any two edits can be compared.
+ * A single earlier edit can also be reverted, while keeping the edits performed after it.
+ */
+export class UiPanelHistoryTree extends AbstractUiPanel {
+
+  /**
+   * @constructor
+   * @param  `context`  Global shared application context
+   */
+  constructor(context) {
+    super(context);
+    this.id = 'history_tree';
+    this.label = context.tHtml('info_panels.history_tree.title');
+    this.key = context.t('info_panels.history_tree.key');
+
+    this._selection = d3_select(null);
+    this._compareIDs = [];   // up to 2 edit IDs to compare
+    this._conflicts = null;  // entityIDs that could not be reverted by the last revert
+
+    // Ensure methods used as callbacks always have `this` bound correctly.
+    // (This is also necessary when using `d3-selection.call`)
+    this.render = this.render.bind(this);
+    this.renderDifference = this.renderDifference.bind(this);
+    this.renderRevert = this.renderRevert.bind(this);
+  }
+
+
+  /**
+   * enable
+   * @param  `selection`  A d3-selection to a `div` that the panel should render itself into
+   */
+  enable(selection) {
+    if (this._enabled) return;
+
+    this._enabled = true;
+    this._selection = selection;
+
+    this.context.systems.edits.on('change', this.render);
+  }
+
+
+  /**
+   * disable
+   */
+  disable() {
+    if (!this._enabled) return;
+
+    this._selection.html('');  // empty DOM
+
+    this._enabled = false;
+    this._selection = d3_select(null);
+    this._compareIDs = [];
+    this._conflicts = null;
+
+    this.context.systems.edits.off('change', this.render);
+  }
+
+
+  /**
+   * render
+   */
+  render() {
+    if (!this._enabled) return;
+
+    const context = this.context;
+    const editSystem = context.systems.edits;
+    const l10n = context.systems.l10n;
+    const selection = this._selection;
+
+    // Empty out the DOM content and rebuild from scratch..
+    selection.html('');
+
+    const nodes = this._layout();
+    const nodeByID = new Map(nodes.map(d => [d.id, d]));
+    const currentID = this._displayedID(editSystem.currentEdit());
+    this._compareIDs = this._compareIDs.filter(id => nodeByID.has(id));   // edits may have been removed
+
+    const maxLane = Math.max(...nodes.map(d => d.lane));
+    const labelX = (maxLane + 1) * LANE_WIDTH;
+    const x = (d) => d.lane * LANE_WIDTH + LANE_WIDTH / 2;
+    const y = (d) => d.row * ROW_HEIGHT + ROW_HEIGHT / 2;
+
+    selection
+      .append('p')
+      .attr('class', 'history-tree-instructions')
+      .text(l10n.t('info_panels.history_tree.instructions'));
+
+    const svg = selection
+      .append('div')
+      .attr('class', 'history-tree-wrap')
+      .append('svg')
+      .attr('class', 'history-tree')
+      .attr('width', '100%')
+      .attr('height', nodes.length * ROW_HEIGHT);
+
+    svg.selectAll('.history-tree-link')
+      .data(nodes.filter(d => d.parent))
+      .enter()
+      .append('path')
+      .attr('class', d => 'history-tree-link' + (d.onPath ? ' current-path' : ''))
+      .attr('d', d => `M${x(d.parent)},${y(d.parent)} L${x(d)},${y(d.parent) + ROW_HEIGHT / 2} L${x(d)},${y(d)}`);
+
+    const rows = svg.selectAll('.history-tree-node')
+      .data(nodes)
+      .enter()
+      .append('g')
+      .attr('class', d => {
+        let klass = 'history-tree-node';
+        if (d.id === currentID) klass += ' current';
+        if (d.onPath) klass += ' current-path';
+        if (this._compareIDs.includes(d.id)) klass += ' compare';
+        return klass;
+      })
+      .on('click', (d3_event, d) => {
+        if (d3_event.shiftKey) {   // shift-click to pick edits to compare
+          this._toggleCompare(d.id);
+          this.render();
+        } else {
+          editSystem.checkout(d.id);   // will rerender on 'change'
+        }
+      });
+
+    rows
+      .append('rect')
+      .attr('class', 'history-tree-hitarea')
+      .attr('x', 0)
+      .attr('y', d => d.row * ROW_HEIGHT)
+      .attr('width', '100%')
+      .attr('height', ROW_HEIGHT);
+
+    rows
+      .append('circle')
+      .attr('cx', x)
+      .attr('cy', y)
+      .attr('r', RADIUS);
+
+    rows
+      .append('text')
+      .attr('x', labelX)
+      .attr('y', y)
+      .attr('dy', '0.35em')
+      .text(d => d.label);
+
+    rows
+      .append('title')
+      .text(d => d.label);
+
+    if (this._compareIDs.length === 2) {
+      selection.call(this.renderDifference, nodeByID.get(this._compareIDs[0]), nodeByID.get(this._compareIDs[1]));
+    } else if (this._compareIDs.length === 1) {
+      selection.call(this.renderRevert, nodeByID.get(this._compareIDs[0]));
+    } else if (this._conflicts?.length) {
+      selection.call(this.renderRevert, null);
+    }
+  }
+
+
+  /**
+   * renderRevert
+   * Offers to revert the picked edit, and shows any conflicts from the last revert
+   * @param  `selection`  A d3-selection to render into
+   * @param  `node`       The picked tree node
+   */
+  renderRevert(selection, node) {
+    const context = this.context;
+    const l10n = context.systems.l10n;
+    const editSystem = context.systems.edits;
+
+    let wrap = selection
+      .append('div')
+      .attr('class', 'history-tree-revert');
+
+    const action = node && editSystem.revertEditAction(node.id);
+    if (action && !action.disabled(context.graph())) {
+      wrap
+        .append('button')
+        .attr('class', 'button')
+        .text(l10n.t('info_panels.history_tree.revert.button', { edit: node.label }))
+        .on('click', () => {
+          context.perform(action, l10n.t('info_panels.history_tree.revert.annotation', { edit: node.label }));
+          this._conflicts = action.conflicts();
+          this._compareIDs = [];
+          this.render();
+        });
+    } else if (action) {
+      wrap
+        .append('div')
+        .text(l10n.t('info_panels.history_tree.revert.all_conflicted'));
+    }
+
+    if (this._conflicts?.length) {
+      wrap
+        .append('h4')
+        .text(l10n.t('info_panels.history_tree.revert.conflicts', { n: this._conflicts.length }));
+
+      wrap
+        .append('ul')
+        .selectAll('li')
+        .data(this._conflicts.slice(0, MAX_DIFF_ITEMS))
+        .enter()
+        .append('li')
+        .attr('class', 'history-tree-change conflict')
+        .text(d => {
+          const entity = context.hasEntity(d);
+          return entity ? l10n.displayLabel(entity, context.graph()) : d;
+        })
+        .on('click', (d3_event, d) => {
+          if (context.hasEntity(d)) {
+            context.enter('select-osm', { selectedIDs: [d] });
+          }
+        });
+    }
+  }
+
+
+  /**
+   * renderDifference
+   * @param  `selection`  A d3-selection to render into
+   * @param  `from`       The tree node to compare from
+   * @param  `to`         The tree node to compare to
+   */
+  renderDifference(selection, from, to) {
+    const context = this.context;
+    const l10n = context.systems.l10n;
+    const editSystem = context.systems.edits;
+
+    const difference = editSystem.compareEdits(from.id, to.id);
+    if (!difference) return;
+
+    const summary = [...difference.summary().values()];
+    const counts = { created: 0, modified: 0, deleted: 0 };
+    for (const item of summary) {
+      counts[item.changeType]++;
+    }
+
+    let wrap = selection
+      .append('div')
+      .attr('class', 'history-tree-difference');
+
+    wrap
+      .append('h4')
+      .text(l10n.t('info_panels.history_tree.compare', { from: from.label, to: to.label }));
+
+    wrap
+      .append('div')
+      .text(l10n.t('info_panels.history_tree.counts', counts));
+
+    let items = wrap
+      .append('ul')
+      .selectAll('li')
+      .data(summary.slice(0, MAX_DIFF_ITEMS))
+      .enter()
+      .append('li')
+      .attr('class', d => `history-tree-change ${d.changeType}`)
+      .on('click', (d3_event, d) => {
+        if (d.changeType !== 'deleted' && context.hasEntity(d.entity.id)) {
+          context.enter('select-osm', { selectedIDs: [d.entity.id] });
+        }
+      });
+
+    items
+      .append('strong')
+      .text(d => l10n.t(`commit.${d.changeType}`));
+
+    items
+      .append('span')
+      .text(d => l10n.displayLabel(d.entity, d.graph));
+
+    if (summary.length > MAX_DIFF_ITEMS) {
+      wrap
+        .append('div')
+        .text(l10n.t('info_panels.history_tree.more', { n: summary.length - MAX_DIFF_ITEMS }));
+    }
+  }
+
+
+  /**
+   * _layout
+   * Collapses the history tree to just the annotated edits (and the base),
+   * and assigns each one a row and a lane for drawing.
+   * The first child of an edit continues in its parent's lane, other children start new lanes.
+   * @return  Array of tree nodes in drawing order
+   */
+  _layout() {
+    const editSystem = this.context.systems.edits;
+    const l10n = this.context.systems.l10n;
+
+    const nodes = new Map();      // Map(editID -> tree node)
+    const children = new Map();   // Map(editID -> Array of tree nodes)
+    let root;
+
+    for (const edit of editSystem.historyEdits()) {   // in creation order, parents first
+      const displayedID = this._displayedID(edit);
+      if (displayedID !== edit.id) continue;
+
+      let label;
+      if (edit.parentID === undefined) {
+        label = l10n.t('info_panels.history_tree.base');
+      } else {
+        label = edit.annotation?.description ?? edit.annotation;
+      }
+
+      const node = {
+        id: edit.id,
+        label: label,
+        parent: null,
+        onPath: editSystem.isOnCurrentPath(edit.id),
+        lane: 0,
+        row: 0
+      };
+      nodes.set(edit.id, node);
+
+      if (edit.parentID === undefined) {
+        root = node;
+      } else {
+        const parentID = this._displayedID(this.context.systems.edits.historyEdit(edit.parentID));
+        node.parent = nodes.get(parentID);
+        if (!children.has(parentID)) children.set(parentID, []);
+        children.get(parentID).push(node);
+      }
+    }
+
+    if (!root) return [];
+
+    const results = [];
+    let nextLane = 1;
+    const visit = (node) => {
+      node.row = results.length;
+      results.push(node);
+      (children.get(node.id) ?? []).forEach((child, i) => {
+        child.lane = (i === 0) ? node.lane : nextLane++;
+        visit(child);
+      });
+    };
+    visit(root);
+
+    return results;
+  }
+
+
+  /**
+   * _displayedID
+   * Unannotated edits (e.g. the intermediate steps while drawing) are not shown in the tree.
+   * @param   edit  An edit Object
+   * @return  The id of the closest edit that is shown in the tree - the edit itself or an ancestor
+   */
+  _displayedID(edit) {
+    while (edit && edit.parentID !== undefined && !edit.annotation) {
+      edit = this.context.systems.edits.historyEdit(edit.parentID);
+    }
+    return edit?.id;
+  }
+
+
+  _toggleCompare(editID) {
+    if (this._compareIDs.includes(editID)) {
+      this._compareIDs = this._compareIDs.filter(id => id !== editID);
+    } else {
+      this._compareIDs = [...this._compareIDs, editID].slice(-2);
+    }
+  }
+
+}
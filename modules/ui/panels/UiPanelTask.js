@@ -0,0 +1,108 @@
+import { select as d3_select } from 'd3-selection';
+
+import { AbstractUiPanel } from './AbstractUiPanel';
+
+
+/**
+ * UiPanelTask
+ * Shows the instructions of the task the user is working on, see `RapidSystem.task`
+ */
+export class UiPanelTask extends AbstractUiPanel {
+
+  /**
+   * @constructor
+   * @param  `context`  Global shared application context
+   */
+  constructor(context) {
+    super(context);
+    this.id = 'task';
+    this.label = context.tHtml('info_panels.task.title');
+
+    this._selection = d3_select(null);
+
+    // Ensure methods used as callbacks always have `this` bound correctly.
+    // (This is also necessary when using `d3-selection.call`)
+    this.render = this.render.bind(this);
+  }
+
+
+  /**
+   * enable
+   * @param  `selection`  A d3-selection to a `div` that the panel should render itself into
+   */
+  enable(selection) {
+    if (this._enabled) return;
+
+    this._enabled = true;
+    this._selection = selection;
+
+    this.context.systems.rapid.on('taskchanged', this.render);
+  }
+
+
+  /**
+   * disable
+   */
+  disable() {
+    if (!this._enabled) return;
+
+    this._selection.html('');  // empty DOM
+
+    this._enabled = false;
+    this._selection = d3_select(null);
+
+    this.context.systems.rapid.off('taskchanged', this.render);
+  }
+
+
+  /**
+   * render
+   */
+  render() {
+    if (!this._enabled) return;
+
+    const context = this.context;
+    const selection = this._selection;
+    const l10n = context.systems.l10n;
+    const rapid = context.systems.rapid;
+    const task = rapid.task;
+
+    // Empty out the DOM content and rebuild from scratch..
+    selection.html('');
+
+    if (!task) {
+      selection
+        .append('p')
+        .attr('class', rapid.taskError ? 'task-error' : null)
+        .text(rapid.taskError ? l10n.t('info_panels.task.error', { error: rapid.taskError }) : l10n.t('info_panels.task.none'));
+      return;
+    }
+
+    selection
+      .append('h4')
+      .text(task.projectName || l10n.t('info_panels.task.project', { id: task.projectID }));
+
+    let list = selection
+      .append('ul');
+
+    list
+      .append('li')
+      .text(l10n.t('info_panels.task.task', { project: task.projectID, task: task.taskID }));
+
+    if (task.status) {
+      list
+        .append('li')
+        .text(l10n.t('info_panels.task.status', { status: task.status }));
+    }
+
+    // Instructions are markdown from the task manager, but we show them as text, as they are not trusted
+    for (const instructions of [task.taskInstructions, task.instructions]) {
+      if (!instructions) continue;
+      selection
+        .append('div')
+        .attr('class', 'task-instructions')
+        .text(instructions);
+    }
+  }
+
+}
@@ -1,4 +1,7 @@
+export * from './AbstractUiPanel';
 export * from './UiPanelBackground';
 export * from './UiPanelHistory';
+export * from './UiPanelHistoryTree';
 export * from './UiPanelLocation';
 export * from './UiPanelMeasurement';
+export * from './UiPanelTask';
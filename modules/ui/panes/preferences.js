@@ -1,6 +1,9 @@
 import { uiPane } from '../pane';
+import { uiSectionEditSession } from '../sections/edit_session';
 import { uiSectionPrivacy } from '../sections/privacy';
 import { uiSectionMapInteractionOptions } from '../sections/map_interaction_options';
+import { uiSectionPlugins } from '../sections/plugins';
+import { uiSectionUploadOptions } from '../sections/upload_options';
 
 
 export function uiPanePreferences(context) {
@@ -11,6 +14,9 @@ export function uiPanePreferences(context) {
     .iconName('fas-user-cog')
     .sections([
       uiSectionPrivacy(context),
-      uiSectionMapInteractionOptions(context)
+      uiSectionMapInteractionOptions(context),
+      uiSectionUploadOptions(context),
+      uiSectionEditSession(context),
+      uiSectionPlugins(context)
     ]);
 }
@@ -0,0 +1,354 @@
+import { dispatch as d3_dispatch } from 'd3-dispatch';
+import { select as d3_select } from 'd3-selection';
+
+import { uiIcon } from './icon';
+import { utilDownloadFile, utilNoAuto, utilRebind } from '../util';
+
+
+/**
+ * uiRapidEsriTagmapEditor
+ * Lets the user view and edit how the fields of an Esri dataset become OSM tags,
+ * see `EsriService` for the tag mapping format.
+ * Changes are previewed on a few sample features, and only used once the user applies them.
+ *
+ * Events available:
+ *   `close`  when the user closes the editor
+ */
+export function uiRapidEsriTagmapEditor(context) {
+  const l10n = context.systems.l10n;
+  const esri = context.services.esri;
+  const dispatch = d3_dispatch('close');
+
+  let _selection = d3_select(null);
+  let _datasetID = null;
+  let _title = '';
+  let _draft = null;      // the tag mapping being edited
+  let _samples = [];      // properties of some features, for the preview
+  let _message = null;    // error or status text
+
+
+  function load() {
+    const datasetID = _datasetID;
+    _draft = null;
+    _samples = [];
+    _message = l10n.t('rapid_feature_toggle.esri.tagmap.loading');
+
+    esri.loadLayerAsync(datasetID)
+      .then(() => {
+        if (datasetID !== _datasetID) return;
+        _draft = clone(esri.getTagMapping(datasetID));
+        _message = _draft ? null : l10n.t('rapid_feature_toggle.esri.tagmap.no_layer');
+        render(_selection);
+        return esri.loadSamplesAsync(datasetID);
+      })
+      .then(samples => {
+        if (datasetID !== _datasetID || !samples) return;
+        _samples = samples;
+        render(_selection);
+      })
+      .catch(e => console.error(e));  // eslint-disable-line no-console
+  }
+
+
+  function apply() {
+    if (!_draft) return;
+    esri.setTagMapping(_datasetID, _draft);
+    _message = l10n.t('rapid_feature_toggle.esri.tagmap.applied');
+    render(_selection);
+  }
+
+
+  function reset() {
+    esri.setTagMapping(_datasetID, null);
+    _draft = clone(esri.getTagMapping(_datasetID));
+    _message = l10n.t('rapid_feature_toggle.esri.tagmap.applied');
+    render(_selection);
+  }
+
+
+  function exportMapping() {
+    if (!_draft) return;
+    const json = JSON.stringify(Object.assign({ dataset: _datasetID }, _draft), null, 2);
+    utilDownloadFile(json, `esri-tags-${_datasetID}.json`, 'application/json');
+  }
+
+
+  function importMapping(d3_event) {
+    const file = d3_event.target.files?.[0];
+    d3_event.target.value = '';   // so choosing the same file again fires another 'change'
+    if (!file) return;
+
+    file.text()
+      .then(json => {
+        esri.importTagMapping(_datasetID, json);
+        _draft = clone(esri.getTagMapping(_datasetID));
+        _message = l10n.t('rapid_feature_toggle.esri.tagmap.applied');
+      })
+      .catch(e => {
+        _message = l10n.t('rapid_feature_toggle.esri.tagmap.import_error', { error: e.message ?? e });
+      })
+      .finally(() => render(_selection));
+  }
+
+
+  function editor(selection) {
+    _selection = selection;
+    render(selection);
+  }
+
+
+  function render(selection) {
+    let tagmap = selection.selectAll('.rapid-esri-tagmap')
+      .data(_datasetID ? [_datasetID] : [], d => d);
+
+    tagmap.exit()
+      .remove();
+
+    let tagmapEnter = tagmap.enter()
+      .append('div')
+      .attr('class', 'rapid-esri-tagmap');
+
+    let headerEnter = tagmapEnter
+      .append('div')
+      .attr('class', 'rapid-esri-tagmap-header');
+
+    headerEnter
+      .append('h3')
+      .attr('class', 'rapid-esri-tagmap-title');
+
+    headerEnter
+      .append('button')
+      .attr('class', 'rapid-esri-tagmap-close')
+      .attr('title', l10n.t('rapid_feature_toggle.esri.tagmap.close'))
+      .on('click', () => dispatch.call('close'))
+      .call(uiIcon('#rapid-icon-close'));
+
+    tagmapEnter
+      .append('p')
+      .attr('class', 'rapid-esri-tagmap-about')
+      .text(l10n.t('rapid_feature_toggle.esri.tagmap.about'));
+
+    tagmapEnter
+      .append('div')
+      .attr('class', 'rapid-esri-tagmap-message');
+
+    let tableEnter = tagmapEnter
+      .append('table')
+      .attr('class', 'rapid-esri-tagmap-fields');
+
+    let headRowEnter = tableEnter
+      .append('thead')
+      .append('tr');
+
+    ['field', 'key', 'values'].forEach(k => {
+      headRowEnter
+        .append('th')
+        .text(l10n.t(`rapid_feature_toggle.esri.tagmap.${k}`));
+    });
+
+    tableEnter
+      .append('tbody');
+
+    let constantsEnter = tagmapEnter
+      .append('label')
+      .attr('class', 'rapid-esri-tagmap-constants');
+
+    constantsEnter
+      .append('span')
+      .text(l10n.t('rapid_feature_toggle.esri.tagmap.constants'));
+
+    constantsEnter
+      .append('textarea')
+      .attr('rows', 2)
+      .attr('placeholder', 'building=yes')
+      .call(utilNoAuto)
+      .on('change', d3_event => {
+        if (!_draft) return;
+        _draft.constants = parseLines(d3_event.target.value);
+        renderPreview(_selection.selectAll('.rapid-esri-tagmap-preview'));
+      });
+
+    tagmapEnter
+      .append('div')
+      .attr('class', 'rapid-esri-tagmap-preview');
+
+    let buttonsEnter = tagmapEnter
+      .append('div')
+      .attr('class', 'rapid-esri-tagmap-buttons');
+
+    buttonsEnter
+      .append('button')
+      .attr('class', 'button action rapid-esri-tagmap-apply')
+      .on('click', apply)
+      .text(l10n.t('rapid_feature_toggle.esri.tagmap.apply'));
+
+    buttonsEnter
+      .append('button')
+      .attr('class', 'button secondary rapid-esri-tagmap-reset')
+      .on('click', reset)
+      .text(l10n.t('rapid_feature_toggle.esri.tagmap.reset'));
+
+    buttonsEnter
+      .append('button')
+      .attr('class', 'button secondary rapid-esri-tagmap-export')
+      .on('click', exportMapping)
+      .text(l10n.t('rapid_feature_toggle.esri.tagmap.export'));
+
+    let importEnter = buttonsEnter
+      .append('label')
+      .attr('class', 'button secondary rapid-esri-tagmap-import');
+
+    importEnter
+      .append('input')
+      .attr('type', 'file')
+      .attr('accept', '.json')
+      .attr('class', 'hide')
+      .on('change', importMapping);
+
+    importEnter
+      .append('span')
+      .text(l10n.t('rapid_feature_toggle.esri.tagmap.import'));
+
+    // update
+    tagmap = tagmap.merge(tagmapEnter);
+
+    tagmap.selectAll('.rapid-esri-tagmap-title')
+      .text(l10n.t('rapid_feature_toggle.esri.tagmap.title', { dataset: _title }));
+
+    tagmap.selectAll('.rapid-esri-tagmap-message')
+      .classed('hide', !_message)
+      .text(_message);
+
+    tagmap.selectAll('.rapid-esri-tagmap-reset')
+      .classed('disabled', !esri.hasCustomTagMapping(_datasetID));
+
+    tagmap.selectAll('.rapid-esri-tagmap-constants textarea')
+      .property('value', _draft ? formatLines(_draft.constants) : '');
+
+    tagmap.selectAll('.rapid-esri-tagmap-fields, .rapid-esri-tagmap-constants, .rapid-esri-tagmap-buttons')
+      .classed('hide', !_draft);
+
+    renderFields(tagmap.selectAll('.rapid-esri-tagmap-fields tbody'));
+    renderPreview(tagmap.selectAll('.rapid-esri-tagmap-preview'));
+  }
+
+
+  function renderFields(selection) {
+    const fieldNames = _draft ? Object.keys(_draft.fields) : [];
+
+    let rows = selection.selectAll('tr')
+      .data(fieldNames, d => d);
+
+    rows.exit()
+      .remove();
+
+    let rowsEnter = rows.enter()
+      .append('tr');
+
+    rowsEnter
+      .append('td')
+      .attr('class', 'rapid-esri-tagmap-field')
+      .text(d => d);
+
+    rowsEnter
+      .append('td')
+      .append('input')
+      .attr('class', 'rapid-esri-tagmap-key')
+      .attr('type', 'text')
+      .attr('placeholder', l10n.t('rapid_feature_toggle.esri.tagmap.dropped'))
+      .call(utilNoAuto)
+      .on('change', (d3_event, d) => {
+        _draft.fields[d].key = d3_event.target.value.trim() || null;
+        renderPreview(_selection.selectAll('.rapid-esri-tagmap-preview'));
+      });
+
+    rowsEnter
+      .append('td')
+      .append('textarea')
+      .attr('class', 'rapid-esri-tagmap-values')
+      .attr('rows', 1)
+      .attr('placeholder', l10n.t('rapid_feature_toggle.esri.tagmap.values_placeholder'))
+      .call(utilNoAuto)
+      .on('change', (d3_event, d) => {
+        const values = parseLines(d3_event.target.value);
+        if (Object.keys(values).length) {
+          _draft.fields[d].values = values;
+        } else {
+          delete _draft.fields[d].values;
+        }
+        renderPreview(_selection.selectAll('.rapid-esri-tagmap-preview'));
+      });
+
+    rows = rows.merge(rowsEnter);
+
+    rows.selectAll('.rapid-esri-tagmap-key')
+      .property('value', d => _draft.fields[d].key || '');
+
+    rows.selectAll('.rapid-esri-tagmap-values')
+      .property('value', d => formatLines(_draft.fields[d].values));
+  }
+
+
+  function renderPreview(selection) {
+    const samples = _draft ? _samples : [];
+
+    let heading = selection.selectAll('h4')
+      .data(samples.length ? [0] : []);
+
+    heading.exit()
+      .remove();
+
+    heading.enter()
+      .append('h4')
+      .text(l10n.t('rapid_feature_toggle.esri.tagmap.preview'));
+
+    let items = selection.selectAll('.rapid-esri-tagmap-sample')
+      .data(samples);
+
+    items.exit()
+      .remove();
+
+    items.enter()
+      .append('pre')
+      .attr('class', 'rapid-esri-tagmap-sample')
+      .merge(items)
+      .text(d => formatLines(esri.previewTags(_datasetID, d, _draft)));
+  }
+
+
+  editor.datasetID = function(val, title) {
+    if (!arguments.length) return _datasetID;
+    if (val !== _datasetID) {
+      _datasetID = val;
+      _title = title || val;
+      _message = null;
+      if (_datasetID) load();
+    }
+    return editor;
+  };
+
+
+  return utilRebind(editor, dispatch, 'on');
+}
+
+
+// Lines like `key=value` -> Object
+function parseLines(text) {
+  let result = {};
+  for (const line of text.split('\n')) {
+    const i = line.indexOf('=');
+    if (i === -1) continue;
+    const k = line.slice(0, i).trim();
+    if (k) result[k] = line.slice(i + 1).trim();
+  }
+  return result;
+}
+
+// Object -> lines like `key=value`
+function formatLines(obj) {
+  return Object.entries(obj ?? {}).map(([k, v]) => `${k}=${v}`).join('\n');
+}
+
+function clone(mapping) {
+  return mapping ? JSON.parse(JSON.stringify(mapping)) : null;
+}
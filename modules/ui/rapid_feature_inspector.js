@@ -1,32 +1,48 @@
 import { select as d3_select } from 'd3-selection';
 
-import { actionNoop, actionRapidAcceptFeature } from '../actions';
+import { actionChangeTags, actionNoop, actionRapidAcceptFeature, actionRapidReplaceGeometry } from '../actions';
+import { utilApplyTagTemplate } from '../util';
 import { uiIcon } from './icon';
 import { uiFlash } from './flash';
 import { uiTooltip } from './tooltip';
 import { uiRapidFirstEditDialog } from './rapid_first_edit_dialog';
 
-const ACCEPT_FEATURES_LIMIT = 50;
-
 
 export function uiRapidFeatureInspector(context, keybinding) {
   const rapid = context.systems.rapid;
-  const urlhash = context.systems.urlhash;
   let _datum;
+  let _ignoreReason = null;
 
 
   function isAddFeatureDisabled() {
-    // When task GPX appears in URL, "add roads" is always enabled
-    const hasTask = urlhash.initialHashParams.has('gpx');
-    if (hasTask) return false;
+    return rapid.remainingAccepts() <= 0;
+  }
 
-    // Power users aren't limited by the max features limit
-    const isPowerUser = urlhash.getParam('poweruser') === 'true';
-    if (isPowerUser) return false;
 
-    const annotations = context.systems.edits.peekAllAnnotations();
-    const aiFeatureAccepts = annotations.filter(a => a.type === 'rapid_accept_feature');
-    return aiFeatureAccepts.length >= ACCEPT_FEATURES_LIMIT;
+  function datumGraph() {
+    const service = context.services[_datum.__service__];
+    return service.graph(_datum.__datasetid__);
+  }
+
+
+  // How the feature compares with what's already in OSM, see `ConflationAnalyzer`
+  function classification() {
+    if (!_datum) return null;
+    const result = rapid.classify(_datum, datumGraph());
+    if (result.matchID && !context.hasEntity(result.matchID)) return null;
+    return result;
+  }
+
+
+  // remember sources for later when we prepare the changeset
+  function rememberSource(sourceTag, tagTemplate) {
+    rapid.sources.add('mapwithai');    // always add 'mapwithai'
+    if (sourceTag && /^esri/.test(sourceTag)) {
+      rapid.sources.add('esri');       // add 'esri' for esri sources
+    }
+    if (tagTemplate?.set?.source) {
+      rapid.sources.add(tagTemplate.set.source);   // add the source that the dataset's tag template sets
+    }
   }
 
 
@@ -38,7 +54,7 @@ export function uiRapidFeatureInspector(context, keybinding) {
         .duration(5000)
         .label(context.t(
           'rapid_feature_inspector.option_accept.disabled_flash',
-          { n: ACCEPT_FEATURES_LIMIT }
+          { n: rapid.acceptLimit }
         ));
       flash();
       return;
@@ -55,21 +71,18 @@ export function uiRapidFeatureInspector(context, keybinding) {
       origid: _datum.__origid__
     };
 
-    const service = context.services[_datum.__service__];
-    const graph = service.graph(_datum.__datasetid__);
-    const sourceTag = _datum.tags && _datum.tags.source;
+    const graph = datumGraph();
+    const tagTemplate = rapid.tagTemplateFor(_datum);
+    const sourceTag = utilApplyTagTemplate(tagTemplate, _datum.tags).source;
     if (sourceTag) annotation.source = sourceTag;
 
-    context.perform(actionRapidAcceptFeature(_datum.id, graph), annotation);
+    context.perform(actionRapidAcceptFeature(_datum.id, graph, tagTemplate), annotation);
     context.enter('select-osm', { selectedIDs: [_datum.id] });
 
     if (context.inIntro) return;
 
-    // remember sources for later when we prepare the changeset
-    rapid.sources.add('mapwithai');    // always add 'mapwithai'
-    if (sourceTag && /^esri/.test(sourceTag)) {
-      rapid.sources.add('esri');       // add 'esri' for esri sources
-    }
+    rapid.recordFeedback(_datum, 'accept');
+    rememberSource(sourceTag, tagTemplate);
 
     if (window.sessionStorage.getItem('acknowledgedLogin') === 'true') return;
     window.sessionStorage.setItem('acknowledgedLogin', 'true');
@@ -91,8 +104,58 @@ export function uiRapidFeatureInspector(context, keybinding) {
       id: _datum.id,
       origid: _datum.__origid__
     };
+    const datum = _datum;
     context.perform(actionNoop(), annotation);
     context.enter('browse');
+
+    if (context.inIntro) return;
+    rapid.recordFeedback(datum, 'ignore', _ignoreReason);
+  }
+
+
+  function onReplaceGeometry() {
+    const result = classification();
+    if (result?.type !== 'geometry') return;
+
+    const action = actionRapidReplaceGeometry(result.matchID, _datum.id, datumGraph());
+    if (action.disabled(context.graph())) return;
+
+    const annotation = {
+      type: 'rapid_replace_geometry',
+      description: context.t('rapid_feature_inspector.option_replace_geometry.annotation'),
+      id: _datum.id,
+      origid: _datum.__origid__
+    };
+    const sourceTag = _datum.tags && _datum.tags.source;
+    if (sourceTag) annotation.source = sourceTag;
+
+    const datum = _datum;
+    context.perform(action, annotation);
+    context.enter('select-osm', { selectedIDs: [result.matchID] });
+    rapid.recordFeedback(datum, 'accept');
+    rememberSource(sourceTag);
+  }
+
+
+  function onAddTags() {
+    const result = classification();
+    if (result?.type !== 'tags') return;
+
+    const entity = context.entity(result.matchID);
+    const annotation = {
+      type: 'rapid_add_tags',
+      description: context.t('rapid_feature_inspector.option_add_tags.annotation'),
+      id: _datum.id,
+      origid: _datum.__origid__
+    };
+    const sourceTag = _datum.tags && _datum.tags.source;
+    if (sourceTag) annotation.source = sourceTag;
+
+    const datum = _datum;
+    context.perform(actionChangeTags(result.matchID, Object.assign({}, entity.tags, result.tags)), annotation);
+    context.enter('select-osm', { selectedIDs: [result.matchID] });
+    rapid.recordFeedback(datum, 'accept');
+    rememberSource(sourceTag);
   }
 
 
@@ -144,6 +207,34 @@ export function uiRapidFeatureInspector(context, keybinding) {
   }
 
 
+  function conflationInfo(selection) {
+    const result = classification();
+    const l10n = context.systems.l10n;
+
+    let text = '';
+    if (result?.type === 'new') {
+      text = l10n.t('rapid_feature_inspector.conflation.new');
+    } else if (result) {
+      const label = l10n.displayLabel(context.entity(result.matchID), context.graph());
+      const tags = Object.entries(result.tags).map(([k, v]) => `${k}=${v}`).join(', ');
+      text = l10n.t(`rapid_feature_inspector.conflation.${result.type}`, { label: label, tags: tags });
+    }
+
+    let conflationInfo = selection.selectAll('.conflation-info')
+      .data(text ? [text] : []);
+
+    conflationInfo.exit()
+      .remove();
+
+    conflationInfo.enter()
+      .append('div')
+      .attr('class', 'conflation-info')
+      .merge(conflationInfo)
+      .attr('class', `conflation-info conflation-${result?.type}`)
+      .text(d => d);
+  }
+
+
   function tagInfo(selection) {
     const tags = _datum && _datum.tags;
     if (!tags) return;
@@ -224,11 +315,13 @@ export function uiRapidFeatureInspector(context, keybinding) {
     body = body
       .merge(bodyEnter)
       .call(featureInfo)
+      .call(conflationInfo)
       .call(tagInfo);
 
 
     // Choices
-    const choiceData = [
+    const result = classification();
+    let choiceData = [
       {
         key: 'accept',
         iconName: '#rapid-icon-rapid-plus-circle',
@@ -244,6 +337,28 @@ export function uiRapidFeatureInspector(context, keybinding) {
       }
     ];
 
+    // Suggestions that match an OSM feature can improve it instead
+    if (result?.type === 'geometry') {
+      const disabled = actionRapidReplaceGeometry(result.matchID, _datum.id, datumGraph()).disabled(context.graph());
+      if (!disabled) {
+        choiceData.splice(1, 0, {
+          key: 'replace_geometry',
+          iconName: '#rapid-icon-rapid-plus-circle',
+          label: context.t('rapid_feature_inspector.option_replace_geometry.label'),
+          description: context.t('rapid_feature_inspector.option_replace_geometry.description'),
+          onClick: onReplaceGeometry
+        });
+      }
+    } else if (result?.type === 'tags') {
+      choiceData.splice(1, 0, {
+        key: 'add_tags',
+        iconName: '#rapid-icon-rapid-plus-circle',
+        label: context.t('rapid_feature_inspector.option_add_tags.label'),
+        description: context.t('rapid_feature_inspector.option_add_tags.description'),
+        onClick: onAddTags
+      });
+    }
+
     let choices = body.selectAll('.rapid-inspector-choices')
       .data([0]);
 
@@ -256,12 +371,49 @@ export function uiRapidFeatureInspector(context, keybinding) {
       .append('p')
       .text(context.t('rapid_feature_inspector.prompt'));
 
-    choicesEnter.selectAll('.rapid-inspector-choice')
-      .data(choiceData, d => d.key)
-      .enter()
+    let choiceItems = choices
+      .merge(choicesEnter)
+      .selectAll('.rapid-inspector-choice')
+      .data(choiceData, d => d.key);
+
+    choiceItems.exit()
+      .remove();
+
+    choiceItems.enter()
       .append('div')
       .attr('class', d => `rapid-inspector-choice rapid-inspector-choice-${d.key}`)
-      .each(showChoice);
+      .each(showChoice)
+      .merge(choiceItems)
+      .order();
+
+    // Why the user is ignoring the feature, for the feedback log
+    let reasonEnter = choices
+      .merge(choicesEnter)
+      .selectAll('.rapid-inspector-reason')
+      .data([0])
+      .enter()
+      .append('label')
+      .attr('class', 'rapid-inspector-reason');
+
+    reasonEnter
+      .append('span')
+      .text(context.t('rapid_feature_inspector.reason.label'));
+
+    let reasonSelectEnter = reasonEnter
+      .append('select')
+      .on('change', d3_event => {
+        _ignoreReason = d3_event.target.value || null;
+      });
+
+    reasonSelectEnter.selectAll('option')
+      .data(['', ...rapid.feedbackReasons])
+      .enter()
+      .append('option')
+      .attr('value', d => d)
+      .text(d => context.t(`rapid_feature_inspector.reason.${d || 'none'}`));
+
+    inspector.selectAll('.rapid-inspector-reason select')
+      .property('value', _ignoreReason || '');
   }
 
 
@@ -290,7 +442,7 @@ export function uiRapidFeatureInspector(context, keybinding) {
     let title, keys;
     if (d.key === 'accept') {
       if (isAddFeatureDisabled()) {
-        title = context.t('rapid_feature_inspector.option_accept.disabled', { n: ACCEPT_FEATURES_LIMIT } );
+        title = context.t('rapid_feature_inspector.option_accept.disabled', { n: rapid.acceptLimit } );
         keys = [];
       } else {
         title = context.t('rapid_feature_inspector.option_accept.tooltip');
@@ -299,6 +451,9 @@ export function uiRapidFeatureInspector(context, keybinding) {
     } else if (d.key === 'ignore') {
       title = context.t('rapid_feature_inspector.option_ignore.tooltip');
       keys = [context.t('rapid_feature_inspector.option_ignore.key')];
+    } else if (d.key === 'replace_geometry' || d.key === 'add_tags') {
+      title = context.t(`rapid_feature_inspector.option_${d.key}.tooltip`);
+      keys = [];
     }
 
     if (title && keys) {
@@ -331,6 +486,7 @@ export function uiRapidFeatureInspector(context, keybinding) {
 
   rapidInspector.datum = function(val) {
     if (!arguments.length) return _datum;
+    if (val !== _datum) _ignoreReason = null;
     _datum = val;
     return this;
   };
@@ -6,6 +6,7 @@ import { uiIcon } from './icon';
 import { uiModal } from './modal';
 import { uiRapidColorpicker } from './rapid_colorpicker';
 import { uiRapidViewManageDatasets } from './rapid_view_manage_datasets';
+import { utilDownloadFile, utilNoAuto, utilParseTagTemplate, utilTagTemplateToText } from '../util';
 
 
 export function uiRapidFeatureToggleDialog(context, AIFeatureToggleKey, featureToggleKeyDispatcher) {
@@ -15,6 +16,13 @@ export function uiRapidFeatureToggleDialog(context, AIFeatureToggleKey, featureT
   let _content = d3_select(null);
   let _viewManageModal;
   let _colorpicker;
+  let _localFileError = null;
+  let _ogcError = null;
+  let _ogcLoading = false;
+  let _vectorTileError = null;
+  let _vectorTileMapping = null;   // File with a tag mapping, if the user chose one
+  let _tagTemplateID = null;       // ID of the dataset whose tag template is being edited
+  let _tagTemplateError = null;
 
 
   function datasetEnabled(d) {
@@ -22,24 +30,140 @@ export function uiRapidFeatureToggleDialog(context, AIFeatureToggleKey, featureT
     return dataset?.enabled;
   }
 
+  function updateHash() {
+    const urlhash = context.systems.urlhash;
+    const datasetIDs = [...rapid.datasets.values()]
+      .filter(ds => ds.added && ds.enabled)
+      .map(ds => ds.id)
+      .join(',');
+    urlhash.setParam('datasets', datasetIDs.length ? datasetIDs : null);
+  }
+
   function toggleDataset(event, d) {
     const dataset = rapid.datasets.get(d.id);
     if (dataset) {
       dataset.enabled = !dataset.enabled;
-
-      // update url hash
-      const urlhash = context.systems.urlhash;
-      const datasetIDs = [...rapid.datasets.values()]
-        .filter(ds => ds.added && ds.enabled)
-        .map(ds => ds.id)
-        .join(',');
-      urlhash.setParam('datasets', datasetIDs.length ? datasetIDs : null);
+      updateHash();
 
       context.scene().dirtyLayers('rapid');
       context.enter('browse');   // return to browse mode (in case something was selected)
     }
   }
 
+  function addLocalFile(d3_event) {
+    const file = d3_event.target.files?.[0];
+    d3_event.target.value = '';   // so choosing the same file again fires another 'change'
+    if (!file) return;
+
+    _localFileError = null;
+    rapid.addLocalDatasetAsync(file)
+      .then(dataset => {
+        updateHash();
+        context.scene().dirtyLayers('rapid');
+        context.systems.map.trimmedExtent(dataset.extent);
+      })
+      .catch(err => {
+        _localFileError = l10n.t('rapid_feature_toggle.local.error', { name: file.name, error: err.message ?? err });
+      })
+      .finally(() => _content.call(renderModalContent));
+  }
+
+  function addOgcDataset(d3_event) {
+    d3_event.preventDefault();
+    const input = _content.selectAll('.rapid-ogc-url').node();
+    const url = (input?.value || '').trim();
+    if (!url || _ogcLoading) return;
+
+    _ogcError = null;
+    _ogcLoading = true;
+    _content.call(renderModalContent);
+
+    rapid.addOgcDatasetAsync(url)
+      .then(dataset => {
+        input.value = '';
+        updateHash();
+        context.scene().dirtyLayers('rapid');
+        if (dataset.extent) {
+          context.systems.map.trimmedExtent(dataset.extent);
+        }
+      })
+      .catch(err => {
+        _ogcError = l10n.t('rapid_feature_toggle.ogc.error', { error: err.message ?? err });
+      })
+      .finally(() => {
+        _ogcLoading = false;
+        _content.call(renderModalContent);
+      });
+  }
+
+  function chooseVectorTileMapping(d3_event) {
+    _vectorTileMapping = d3_event.target.files?.[0] ?? null;
+    d3_event.target.value = '';   // so choosing the same file again fires another 'change'
+    _content.call(renderModalContent);
+  }
+
+  function addVectorTileDataset(d3_event) {
+    d3_event.preventDefault();
+    const urlInput = _content.selectAll('.rapid-vectortile-url').node();
+    const layerInput = _content.selectAll('.rapid-vectortile-layer').node();
+    const url = (urlInput?.value || '').trim();
+    const layerID = (layerInput?.value || '').trim();
+    if (!url) return;
+
+    _vectorTileError = null;
+    const mappingFile = _vectorTileMapping;
+    const readMapping = mappingFile ? mappingFile.text().then(json => JSON.parse(json)) : Promise.resolve(null);
+
+    readMapping
+      .then(mapping => rapid.addVectorTileDatasetAsync(url, layerID, mapping))
+      .then(() => {
+        urlInput.value = '';
+        layerInput.value = '';
+        _vectorTileMapping = null;
+        updateHash();
+        context.scene().dirtyLayers('rapid');
+      })
+      .catch(err => {
+        _vectorTileError = l10n.t('rapid_feature_toggle.vectortile.error', { error: err.message ?? err });
+      })
+      .finally(() => _content.call(renderModalContent));
+  }
+
+  function toggleTagTemplate(d3_event, d) {
+    d3_event.preventDefault();
+    _tagTemplateID = (_tagTemplateID === d.id) ? null : d.id;
+    _tagTemplateError = null;
+    _content.call(renderModalContent);
+  }
+
+  function saveTagTemplate(d3_event, d) {
+    d3_event.preventDefault();
+    const textarea = _content.selectAll('.rapid-tagtemplate-text').node();
+    try {
+      rapid.setTagTemplate(d.id, utilParseTagTemplate(textarea?.value));
+      _tagTemplateID = null;
+      _tagTemplateError = null;
+    } catch (err) {
+      _tagTemplateError = l10n.t('rapid_feature_toggle.tag_template.error', { error: err.message ?? err });
+    }
+    _content.call(renderModalContent);
+  }
+
+  function exportFeedback() {
+    if (!rapid.feedback.length) return;
+    const date = new Date().toISOString().slice(0, 10);
+    utilDownloadFile(rapid.exportFeedback(), `rapid-feedback-${date}.jsonl`, 'application/x-ndjson');
+  }
+
+  function clearFeedback() {
+    if (!rapid.feedback.length) return;
+    if (!window.confirm(l10n.t('rapid_feature_toggle.feedback.clear_confirm'))) return;
+    rapid.clearFeedback();
+    context.scene().dirtyLayers('rapid');
+    context.systems.map.immediateRedraw();
+    _content.call(renderModalContent);
+  }
+
   function changeColor(datasetID, color) {
     const dataset = rapid.datasets.get(datasetID);
     if (dataset) {
@@ -188,6 +312,219 @@ export function uiRapidFeatureToggleDialog(context, AIFeatureToggleKey, featureT
       .call(uiIcon(l10n.isRTL() ? '#rapid-icon-backward' : '#rapid-icon-forward', 'icon-30'));
 
 
+    /* Add Dataset from File */
+    let localFile = selection.selectAll('.rapid-local-file')
+      .data([0]);
+
+    let localFileEnter = localFile.enter()
+      .append('label')
+      .attr('class', 'modal-section rapid-checkbox rapid-manage-datasets rapid-local-file');
+
+    localFileEnter
+      .append('input')
+      .attr('type', 'file')
+      .attr('accept', '.geojson,.json,.osm,.fgb')
+      .attr('class', 'hide')
+      .on('change', addLocalFile);
+
+    let localFileLabelEnter = localFileEnter
+      .append('div')
+      .attr('class', 'rapid-feature-label-container');
+
+    localFileLabelEnter
+      .append('div')
+      .attr('class', 'rapid-feature-label')
+      .text(l10n.t('rapid_feature_toggle.local.add'));
+
+    localFileLabelEnter
+      .append('div')
+      .attr('class', 'rapid-feature-description rapid-local-file-error');
+
+    localFileEnter
+      .append('div')
+      .attr('class', 'rapid-checkbox-inputs')
+      .append('div')
+      .attr('class', 'rapid-checkbox-label')
+      .call(uiIcon('#rapid-icon-load', 'icon-30'));
+
+    localFile
+      .merge(localFileEnter)
+      .selectAll('.rapid-local-file-error')
+      .classed('hide', !_localFileError)
+      .text(_localFileError);
+
+
+    /* Add Dataset from OGC API - Features / WFS */
+    let ogc = selection.selectAll('.rapid-ogc')
+      .data(context.services.ogc ? [0] : []);
+
+    let ogcEnter = ogc.enter()
+      .append('form')
+      .attr('class', 'modal-section rapid-checkbox rapid-ogc')
+      .on('submit', addOgcDataset);
+
+    let ogcLabelEnter = ogcEnter
+      .append('div')
+      .attr('class', 'rapid-feature-label-container');
+
+    ogcLabelEnter
+      .append('div')
+      .attr('class', 'rapid-feature-label')
+      .text(l10n.t('rapid_feature_toggle.ogc.add'));
+
+    ogcLabelEnter
+      .append('input')
+      .attr('type', 'url')
+      .attr('class', 'rapid-ogc-url')
+      .attr('placeholder', l10n.t('rapid_feature_toggle.ogc.placeholder'))
+      .call(utilNoAuto);
+
+    ogcLabelEnter
+      .append('div')
+      .attr('class', 'rapid-feature-description rapid-ogc-error');
+
+    ogcEnter
+      .append('div')
+      .attr('class', 'rapid-checkbox-inputs')
+      .append('button')
+      .attr('type', 'submit')
+      .attr('class', 'rapid-ogc-add')
+      .call(uiIcon('#rapid-icon-plus', 'icon-30'));
+
+    ogc = ogc
+      .merge(ogcEnter);
+
+    ogc.selectAll('.rapid-ogc-add')
+      .classed('disabled', _ogcLoading)
+      .attr('title', l10n.t(_ogcLoading ? 'rapid_feature_toggle.ogc.loading' : 'rapid_feature_toggle.ogc.add'));
+
+    ogc.selectAll('.rapid-ogc-error')
+      .classed('hide', !_ogcError)
+      .text(_ogcError);
+
+
+    /* Add Dataset from Vector Tiles */
+    let vectorTile = selection.selectAll('.rapid-vectortile')
+      .data(context.services.vectortiledata ? [0] : []);
+
+    let vectorTileEnter = vectorTile.enter()
+      .append('form')
+      .attr('class', 'modal-section rapid-checkbox rapid-vectortile')
+      .on('submit', addVectorTileDataset);
+
+    let vectorTileLabelEnter = vectorTileEnter
+      .append('div')
+      .attr('class', 'rapid-feature-label-container');
+
+    vectorTileLabelEnter
+      .append('div')
+      .attr('class', 'rapid-feature-label')
+      .text(l10n.t('rapid_feature_toggle.vectortile.add'));
+
+    vectorTileLabelEnter
+      .append('input')
+      .attr('type', 'url')
+      .attr('class', 'rapid-vectortile-url')
+      .attr('placeholder', l10n.t('rapid_feature_toggle.vectortile.placeholder'))
+      .call(utilNoAuto);
+
+    vectorTileLabelEnter
+      .append('input')
+      .attr('type', 'text')
+      .attr('class', 'rapid-vectortile-layer')
+      .attr('placeholder', l10n.t('rapid_feature_toggle.vectortile.layer_placeholder'))
+      .call(utilNoAuto);
+
+    let vectorTileMappingEnter = vectorTileLabelEnter
+      .append('label')
+      .attr('class', 'rapid-vectortile-mapping');
+
+    vectorTileMappingEnter
+      .append('input')
+      .attr('type', 'file')
+      .attr('accept', '.json')
+      .attr('class', 'hide')
+      .on('change', chooseVectorTileMapping);
+
+    vectorTileMappingEnter
+      .append('span');
+
+    vectorTileLabelEnter
+      .append('div')
+      .attr('class', 'rapid-feature-description rapid-vectortile-error');
+
+    vectorTileEnter
+      .append('div')
+      .attr('class', 'rapid-checkbox-inputs')
+      .append('button')
+      .attr('type', 'submit')
+      .attr('class', 'rapid-vectortile-add')
+      .attr('title', l10n.t('rapid_feature_toggle.vectortile.add'))
+      .call(uiIcon('#rapid-icon-plus', 'icon-30'));
+
+    vectorTile = vectorTile
+      .merge(vectorTileEnter);
+
+    vectorTile.selectAll('.rapid-vectortile-mapping span')
+      .text(_vectorTileMapping ?
+        l10n.t('rapid_feature_toggle.vectortile.mapping_chosen', { name: _vectorTileMapping.name }) :
+        l10n.t('rapid_feature_toggle.vectortile.mapping')
+      );
+
+    vectorTile.selectAll('.rapid-vectortile-error')
+      .classed('hide', !_vectorTileError)
+      .text(_vectorTileError);
+
+
+    /* Feedback */
+    let feedback = selection.selectAll('.rapid-feedback')
+      .data([0]);
+
+    let feedbackEnter = feedback.enter()
+      .append('div')
+      .attr('class', 'modal-section rapid-checkbox rapid-feedback');
+
+    let feedbackLabelEnter = feedbackEnter
+      .append('div')
+      .attr('class', 'rapid-feature-label-container');
+
+    feedbackLabelEnter
+      .append('div')
+      .attr('class', 'rapid-feature-label')
+      .text(l10n.t('rapid_feature_toggle.feedback.label'));
+
+    feedbackLabelEnter
+      .append('div')
+      .attr('class', 'rapid-feature-description rapid-feedback-count');
+
+    let feedbackButtonsEnter = feedbackEnter
+      .append('div')
+      .attr('class', 'rapid-checkbox-inputs');
+
+    feedbackButtonsEnter
+      .append('button')
+      .attr('class', 'rapid-feedback-export')
+      .attr('title', l10n.t('rapid_feature_toggle.feedback.export'))
+      .on('click', exportFeedback)
+      .call(uiIcon('#rapid-icon-load'));
+
+    feedbackButtonsEnter
+      .append('button')
+      .attr('class', 'rapid-feedback-clear')
+      .attr('title', l10n.t('rapid_feature_toggle.feedback.clear'))
+      .on('click', clearFeedback)
+      .call(uiIcon('#rapid-operation-delete'));
+
+    feedback = feedback
+      .merge(feedbackEnter);
+
+    feedback.selectAll('.rapid-feedback-count')
+      .text(l10n.t('rapid_feature_toggle.feedback.count', { n: rapid.feedback.length }));
+
+    feedback.selectAll('button')
+      .classed('disabled', !rapid.feedback.length);
+
+
     /* OK Button */
     let buttonsEnter = selection.selectAll('.modal-section.buttons')
       .data([0])
@@ -293,6 +630,15 @@ export function uiRapidFeatureToggleDialog(context, AIFeatureToggleKey, featureT
                 .text(l10n.t('rapid_feature_toggle.worldwide'));
             }
           });
+
+        // line3: tags changed when accepting features
+        selection
+          .append('div')
+          .attr('class', 'rapid-feature-tagtemplate-container')
+          .append('a')
+          .attr('class', 'rapid-feature-tagtemplate-toggle')
+          .attr('href', '#')
+          .on('click', toggleTagTemplate);
       });
 
     let inputsEnter = rowsEnter
@@ -333,5 +679,54 @@ export function uiRapidFeatureToggleDialog(context, AIFeatureToggleKey, featureT
     rows.selectAll('.rapid-feature-checkbox')
       .property('checked', datasetEnabled)
       .attr('disabled', rapidLayer.enabled ? null : true);
+
+    rows.selectAll('.rapid-feature-tagtemplate-toggle')
+      .text(d => l10n.t(rapid.getTagTemplate(d.id) ? 'rapid_feature_toggle.tag_template.edit' : 'rapid_feature_toggle.tag_template.add'));
+
+    rows.selectAll('.rapid-feature-tagtemplate-container')
+      .each((d, i, nodes) => d3_select(nodes[i]).call(renderTagTemplate, d));
+  }
+
+
+  function renderTagTemplate(selection, d) {
+    let editor = selection.selectAll('.rapid-tagtemplate')
+      .data(_tagTemplateID === d.id ? [d] : [], d => d.id);
+
+    editor.exit()
+      .remove();
+
+    let editorEnter = editor.enter()
+      .append('form')
+      .attr('class', 'rapid-tagtemplate')
+      .on('submit', saveTagTemplate);
+
+    editorEnter
+      .append('div')
+      .attr('class', 'rapid-tagtemplate-help')
+      .text(l10n.t('rapid_feature_toggle.tag_template.help'));
+
+    editorEnter
+      .append('textarea')
+      .attr('class', 'rapid-tagtemplate-text')
+      .attr('rows', 4)
+      .attr('placeholder', l10n.t('rapid_feature_toggle.tag_template.placeholder'))
+      .call(utilNoAuto)
+      .on('keypress', d3_event => d3_event.stopPropagation())   // don't let typing toggle the Rapid layer
+      .property('value', d => utilTagTemplateToText(rapid.getTagTemplate(d.id)));
+
+    editorEnter
+      .append('div')
+      .attr('class', 'rapid-tagtemplate-error');
+
+    editorEnter
+      .append('button')
+      .attr('type', 'submit')
+      .attr('class', 'rapid-tagtemplate-save')
+      .text(l10n.t('rapid_feature_toggle.tag_template.save'));
+
+    editor.merge(editorEnter)
+      .selectAll('.rapid-tagtemplate-error')
+      .classed('hide', !_tagTemplateError)
+      .text(_tagTemplateError ?? '');
   }
 }
@@ -0,0 +1,231 @@
+import { select as d3_select } from 'd3-selection';
+
+import { uiIcon } from './icon';
+
+
+/**
+ * uiRapidReviewRegion
+ * The sidebar for `RapidReviewMode`.  Lists the Rapid features in the region with their
+ * validation issues, and lets the user accept all of them or the ones they leave checked.
+ * @param  context  Global shared application context
+ * @param  mode     The `RapidReviewMode`
+ */
+export function uiRapidReviewRegion(context, mode) {
+  const l10n = context.systems.l10n;
+  const rapid = context.systems.rapid;
+  let _selection = d3_select(null);
+  let _onlyWithoutIssues = false;
+  let _uncheckedIDs = new Set();   // features the user unchecked
+
+
+  function chosenFeatures() {
+    return mode.features
+      .filter(d => !_uncheckedIDs.has(d.id))
+      .filter(d => !_onlyWithoutIssues || !d.issues.length);
+  }
+
+
+  function issueMessage(issue) {
+    // Most messages look up their entities in `context.graph()`, which doesn't have these features yet
+    return issue.message(context) || l10n.t(`issues.${issue.type}.title`, { default: issue.type });
+  }
+
+
+  function onAccept() {
+    const features = chosenFeatures();
+    if (!features.length || rapid.remainingAccepts() <= 0) return;
+    mode.accept(features);   // the mode refreshes its features after the edit, which rerenders this
+  }
+
+
+  function render(selection) {
+    _selection = selection;
+
+    let review = selection.selectAll('.rapid-review')
+      .data([0]);
+
+    let reviewEnter = review.enter()
+      .append('div')
+      .attr('class', 'rapid-inspector rapid-review');
+
+    // Header
+    let headerEnter = reviewEnter
+      .append('div')
+      .attr('class', 'header');
+
+    headerEnter
+      .append('h3')
+      .text(l10n.t('rapid_review.title'));
+
+    headerEnter
+      .append('button')
+      .attr('class', 'fr rapid-inspector-close')
+      .on('click', () => context.enter('browse'))
+      .call(uiIcon('#rapid-icon-close'));
+
+    // Body
+    let bodyEnter = reviewEnter
+      .append('div')
+      .attr('class', 'body');
+
+    bodyEnter
+      .append('p')
+      .attr('class', 'rapid-review-instructions')
+      .text(l10n.t('rapid_review.instructions'));
+
+    bodyEnter
+      .append('button')
+      .attr('class', 'rapid-review-task secondary')
+      .on('click', () => mode.useTaskArea())
+      .text(l10n.t('rapid_review.use_task'));
+
+    bodyEnter
+      .append('div')
+      .attr('class', 'rapid-review-summary');
+
+    let filterEnter = bodyEnter
+      .append('label')
+      .attr('class', 'rapid-review-filter');
+
+    filterEnter
+      .append('input')
+      .attr('type', 'checkbox')
+      .on('change', d3_event => {
+        _onlyWithoutIssues = d3_event.target.checked;
+        render(_selection);
+      });
+
+    filterEnter
+      .append('span')
+      .text(l10n.t('rapid_review.only_without_issues'));
+
+    bodyEnter
+      .append('ul')
+      .attr('class', 'rapid-review-list');
+
+    bodyEnter
+      .append('div')
+      .attr('class', 'rapid-review-limit');
+
+    bodyEnter
+      .append('button')
+      .attr('class', 'rapid-review-accept')
+      .on('click', onAccept);
+
+    // Update
+    review = review.merge(reviewEnter);
+
+    const hasRegion = !!mode.polygon;
+    const chosen = chosenFeatures();
+    const remaining = rapid.remainingAccepts();
+    const count = Math.min(chosen.length, remaining);
+
+    review.selectAll('.rapid-review-task')
+      .classed('disabled', !rapid.taskExtent)
+      .attr('disabled', rapid.taskExtent ? null : true);
+
+    review.selectAll('.rapid-review-summary')
+      .text(hasRegion ? l10n.t('rapid_review.features_found', { n: mode.features.length }) : '');
+
+    review.selectAll('.rapid-review-filter')
+      .classed('hide', !hasRegion);
+
+    review.selectAll('.rapid-review-limit')
+      .classed('hide', !hasRegion || remaining >= chosen.length)
+      .text(l10n.t('rapid_review.limited', { n: remaining, limit: rapid.acceptLimit }));
+
+    review.selectAll('.rapid-review-accept')
+      .classed('hide', !hasRegion)
+      .classed('disabled', count === 0)
+      .text(l10n.t('rapid_review.accept', { n: count }));
+
+    renderList(review.selectAll('.rapid-review-list'));
+  }
+
+
+  function renderList(selection) {
+    const features = _onlyWithoutIssues ? mode.features.filter(d => !d.issues.length) : mode.features;
+
+    let items = selection.selectAll('.rapid-review-item')
+      .data(features, d => d.id);
+
+    items.exit()
+      .remove();
+
+    let itemsEnter = items.enter()
+      .append('li')
+      .attr('class', 'rapid-review-item');
+
+    let labelEnter = itemsEnter
+      .append('label');
+
+    labelEnter
+      .append('input')
+      .attr('type', 'checkbox')
+      .on('change', (d3_event, d) => {
+        if (d3_event.target.checked) {
+          _uncheckedIDs.delete(d.id);
+        } else {
+          _uncheckedIDs.add(d.id);
+        }
+        render(_selection);
+      });
+
+    labelEnter
+      .append('span')
+      .attr('class', 'rapid-review-swatch');
+
+    labelEnter
+      .append('a')
+      .attr('class', 'rapid-review-label')
+      .attr('href', '#')
+      .on('click', (d3_event, d) => {
+        d3_event.preventDefault();
+        context.systems.map.centerEase(d.entity.extent(d.graph).center());
+      });
+
+    itemsEnter
+      .append('ul')
+      .attr('class', 'rapid-review-issues');
+
+    items = items.merge(itemsEnter)
+      .classed('has-issues', d => d.issues.length > 0);
+
+    items.selectAll('input')
+      .property('checked', d => !_uncheckedIDs.has(d.id));
+
+    items.selectAll('.rapid-review-swatch')
+      .style('background', d => d.dataset.color)
+      .attr('title', d => d.dataset.label || d.dataset.id);
+
+    items.selectAll('.rapid-review-label')
+      .text(d => l10n.displayLabel(d.entity, d.graph));
+
+    let issues = items.selectAll('.rapid-review-issues')
+      .selectAll('li')
+      .data(d => d.issues, d => d.id);
+
+    issues.exit()
+      .remove();
+
+    issues.enter()
+      .append('li')
+      .merge(issues)
+      .attr('class', d => `rapid-review-issue severity-${d.severity}`)
+      .html(issueMessage);
+  }
+
+
+  render.rerender = function() {
+    if (_selection.empty()) return;
+    // Forget unchecked features that are gone (e.g. accepted)
+    const featureIDs = new Set(mode.features.map(d => d.id));
+    for (const id of _uncheckedIDs) {
+      if (!featureIDs.has(id)) _uncheckedIDs.delete(id);
+    }
+    render(_selection);
+  };
+
+
+  return render;
+}
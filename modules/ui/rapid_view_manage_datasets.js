@@ -5,6 +5,7 @@ import { marked } from 'marked';
 
 import { uiIcon } from './icon';
 import { uiCombobox} from './combobox';
+import { uiRapidEsriTagmapEditor } from './rapid_esri_tagmap_editor';
 import { utilKeybinding, utilNoAuto, utilRebind } from '../util';
 
 
@@ -18,6 +19,7 @@ export function uiRapidViewManageDatasets(context, parentModal) {
   let _filterText;
   let _filterCategory;
   let _datasetInfo;
+  let _tagmapEditor;
   let _myClose = () => true;   // custom close handler
 
 
@@ -35,6 +37,7 @@ export function uiRapidViewManageDatasets(context, parentModal) {
     _myClose = () => {
       _filterText = null;
       _filterCategory = null;
+      _tagmapEditor?.datasetID(null);
       myModal
         .transition()
         .duration(200)
@@ -191,6 +194,28 @@ export function uiRapidViewManageDatasets(context, parentModal) {
       .attr('class', 'rapid-view-manage-filter-results');
 
 
+    /* Tag mapping editor section */
+    if (!_tagmapEditor && context.services.esri) {
+      _tagmapEditor = uiRapidEsriTagmapEditor(context)
+        .on('close', () => {
+          _tagmapEditor.datasetID(null);
+          _content.call(renderModalContent);
+        });
+    }
+
+    if (_tagmapEditor) {
+      let tagmapSection = selection.selectAll('.rapid-view-manage-tagmap-section')
+        .data([0]);
+
+      tagmapSection.enter()
+        .append('div')
+        .attr('class', 'modal-section rapid-view-manage-tagmap-section')
+        .merge(tagmapSection)
+        .classed('hide', !_tagmapEditor.datasetID())
+        .call(_tagmapEditor);
+    }
+
+
     /* Dataset section */
     let dsSection = selection.selectAll('.rapid-view-manage-datasets-section')
       .data([0]);
@@ -374,6 +399,12 @@ export function uiRapidViewManageDatasets(context, parentModal) {
       .attr('class', 'rapid-view-manage-dataset-action')
       .on('click', toggleDataset);
 
+    labelsEnter
+      .append('button')
+      .attr('class', 'rapid-view-manage-dataset-action rapid-view-manage-dataset-tags secondary')
+      .on('click', editTags)
+      .text(context.t('rapid_feature_toggle.esri.edit_tags'));
+
     let thumbsEnter = datasetsEnter
       .append('div')
       .attr('class', 'rapid-view-manage-dataset-thumb');
@@ -395,7 +426,10 @@ export function uiRapidViewManageDatasets(context, parentModal) {
     datasets.selectAll('.rapid-view-manage-dataset-snippet')
       .html(d => highlight(_filterText, d.snippet));
 
-    datasets.selectAll('.rapid-view-manage-dataset-action')
+    datasets.selectAll('.rapid-view-manage-dataset-tags')
+      .classed('hide', d => !datasetAdded(d) || rapid.datasets.get(d.id).service !== 'esri');
+
+    datasets.selectAll('.rapid-view-manage-dataset-action:not(.rapid-view-manage-dataset-tags)')
       .classed('secondary', d => datasetAdded(d))
       .text(d => datasetAdded(d) ? context.t('rapid_feature_toggle.esri.remove') : context.t('rapid_feature_toggle.esri.add_to_map'));
 
@@ -490,6 +524,16 @@ export function uiRapidViewManageDatasets(context, parentModal) {
   }
 
 
+  function editTags(d3_event, d) {
+    if (!_tagmapEditor) return;
+    _tagmapEditor.datasetID(d.id, d.title);
+    _content.call(renderModalContent);
+
+    const node = _content.selectAll('.rapid-view-manage-tagmap-section').node();
+    if (node) node.scrollIntoView({ behavior: 'smooth' });
+  }
+
+
   function datasetAdded(d) {
     const ds = rapid.datasets.get(d.id);
     return ds?.added;
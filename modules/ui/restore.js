@@ -2,13 +2,17 @@ import { uiModal } from './modal';
 
 
 export function uiRestore(context) {
+  const editSystem = context.systems.edits;
+  const l10n = context.systems.l10n;
+  const hasDatabase = context.systems.storage.hasDatabase;
+
   return function(selection) {
-    if (!context.systems.edits.hasRestorableChanges()) return;
+    if (!editSystem.hasRestorableChanges()) return;
 
     let modalSelection = uiModal(selection, true);
 
     modalSelection.select('.modal')
-      .attr('class', 'modal fillL');
+      .attr('class', 'modal fillL modal-restore');
 
     let introModal = modalSelection.select('.content');
 
@@ -24,6 +28,15 @@ export function uiRestore(context) {
       .append('p')
       .text(context.t('restore.description'));
 
+    let errorSection = introModal
+      .append('div')
+      .attr('class', 'modal-section restore-error hide');
+
+    let sessionList = introModal
+      .append('div')
+      .attr('class', 'modal-section restore-sessions')
+      .append('ul');
+
     let buttonWrap = introModal
       .append('div')
       .attr('class', 'modal-actions');
@@ -32,8 +45,9 @@ export function uiRestore(context) {
       .append('button')
       .attr('class', 'restore')
       .on('click', () => {
-        context.systems.edits.restore();
-        modalSelection.remove();
+        editSystem.restore()
+          .then(() => modalSelection.remove())
+          .catch(showError);
       });
 
     restore
@@ -50,7 +64,11 @@ export function uiRestore(context) {
       .append('button')
       .attr('class', 'reset')
       .on('click', () => {
-        context.systems.edits.clearSaved();
+        // With indexedDB, the saved sessions are kept around and new edits go to a new session.
+        // Otherwise there is only one place to save history, so discard what is there.
+        if (!hasDatabase) {
+          editSystem.clearSaved();
+        }
         modalSelection.remove();
       });
 
@@ -62,8 +80,92 @@ export function uiRestore(context) {
 
     reset
       .append('div')
-      .text(context.t('restore.reset'));
+      .text(context.t(hasDatabase ? 'restore.start_new' : 'restore.reset'));
 
     restore.node().focus();
+
+    renderSessions();
+
+
+    // Lists the saved sessions, each can be restored or discarded individually
+    function renderSessions() {
+      editSystem.getRestorableSessionsAsync()
+        .then(sessions => {
+          if (!sessions.length) {   // nothing left to restore
+            modalSelection.remove();
+            return;
+          }
+
+          let items = sessionList.selectAll('.restore-session')
+            .data(sessions, d => d.id);
+
+          items.exit()
+            .remove();
+
+          let enter = items.enter()
+            .append('li')
+            .attr('class', 'restore-session');
+
+          let info = enter
+            .append('div')
+            .attr('class', 'restore-session-info');
+
+          info
+            .append('strong')
+            .attr('class', 'restore-session-name')
+            .text(d => d.name);
+
+          info
+            .append('span')
+            .attr('class', 'restore-session-summary')
+            .text(sessionSummary);
+
+          enter
+            .append('button')
+            .attr('class', 'button restore-session-restore')
+            .text(context.t('restore.restore_session'))
+            .on('click', (d3_event, d) => {
+              editSystem.restoreSessionAsync(d.id)
+                .then(() => modalSelection.remove())
+                .catch(showError);
+            });
+
+          enter
+            .append('button')
+            .attr('class', 'button restore-session-discard')
+            .text(context.t('restore.discard_session'))
+            .on('click', (d3_event, d) => {
+              editSystem.discardSessionAsync(d.id)
+                .then(renderSessions)
+                .catch(showError);
+            });
+
+          // Only offer "Restore my changes" for the most recent session if there is a choice
+          restore.classed('hide', sessions.length > 1);
+        });
+    }
+
+
+    // Keeps the dialog open, so that the user can see what went wrong and try something else
+    function showError(e) {
+      console.error(e);  // eslint-disable-line no-console
+      errorSection
+        .classed('hide', false)
+        .text(context.t('restore.error', { message: e?.message ?? e }));
+    }
+
+
+    function sessionSummary(d) {
+      let parts = [ context.t('restore.edit_count', { n: d.editCount }) ];
+      if (d.counts) {
+        parts.push(context.t('restore.entity_counts', d.counts));
+      }
+      if (d.extent) {
+        const [[minX, minY], [maxX, maxY]] = d.extent;
+        const center = [(minX + maxX) / 2, (minY + maxY) / 2];
+        parts.push(context.t('restore.location', { location: l10n.decimalCoordinatePair(center) }));
+      }
+      return parts.join(' · ');
+    }
   };
 }
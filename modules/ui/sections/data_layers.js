@@ -303,6 +303,28 @@ export function uiSectionDataLayers(context) {
       .append('span')
       .html(l10n.tHtml('map_data.history_panel.title'));
 
+    let historyTreePanelLabelEnter = panelsListEnter
+      .append('li')
+      .attr('class', 'history_tree-panel-toggle-item')
+      .append('label')
+      .call(uiTooltip(context)
+        .title(l10n.tHtml('map_data.history_tree_panel.tooltip'))
+        .keys([uiCmd('⌘⇧' + l10n.t('info_panels.history_tree.key'))])
+        .placement('top')
+      );
+
+    historyTreePanelLabelEnter
+      .append('input')
+      .attr('type', 'checkbox')
+      .on('change', d3_event => {
+        d3_event.preventDefault();
+        context.systems.ui.info.toggle('history_tree');
+      });
+
+    historyTreePanelLabelEnter
+      .append('span')
+      .html(l10n.tHtml('map_data.history_tree_panel.title'));
+
     let measurementPanelLabelEnter = panelsListEnter
       .append('li')
       .attr('class', 'measurement-panel-toggle-item')
@@ -0,0 +1,170 @@
+import { uiConfirm } from '../confirm';
+import { uiTooltip } from '../tooltip';
+import { uiSection } from '../section';
+import { utilDownloadFile } from '../../util';
+
+
+export function uiSectionEditSession(context) {
+  const editSystem = context.systems.edits;
+  const section = uiSection(context, 'preferences-edit-session')
+    .label(context.tHtml('preferences.edit_session.title'))
+    .disclosureContent(renderDisclosureContent);
+
+
+  function renderDisclosureContent(selection) {
+    let containerEnter = selection.selectAll('.edit-session-container')
+      .data([0])
+      .enter()
+      .append('div')
+      .attr('class', 'edit-session-container');
+
+    containerEnter
+      .append('p')
+      .attr('class', 'edit-session-description')
+      .text(context.t('preferences.edit_session.description'));
+
+    containerEnter
+      .append('button')
+      .attr('class', 'button edit-session-download')
+      .call(uiTooltip(context)
+        .title(context.tHtml('preferences.edit_session.download.tooltip'))
+        .placement('bottom')
+      )
+      .on('click', downloadSession)
+      .append('span')
+      .text(context.t('preferences.edit_session.download.title'));
+
+    containerEnter
+      .append('button')
+      .attr('class', 'button edit-session-upload')
+      .call(uiTooltip(context)
+        .title(context.tHtml('preferences.edit_session.upload.tooltip'))
+        .placement('bottom')
+      )
+      .on('click', () => selection.select('.edit-session-file').node().click())
+      .append('span')
+      .text(context.t('preferences.edit_session.upload.title'));
+
+    containerEnter
+      .append('input')
+      .attr('class', 'edit-session-file hide')
+      .attr('type', 'file')
+      .attr('accept', '.json,application/json')
+      .on('change', d3_event => {
+        const input = d3_event.target;
+        const file = input.files?.[0];
+        input.value = '';   // so the same file can be picked again
+        if (file) loadSession(file);
+      });
+
+    containerEnter
+      .append('button')
+      .attr('class', 'button edit-session-osc')
+      .call(uiTooltip(context)
+        .title(context.tHtml('preferences.edit_session.osc.tooltip'))
+        .placement('bottom')
+      )
+      .on('click', () => selection.select('.edit-session-osc-file').node().click())
+      .append('span')
+      .text(context.t('preferences.edit_session.osc.title'));
+
+    containerEnter
+      .append('input')
+      .attr('class', 'edit-session-osc-file hide')
+      .attr('type', 'file')
+      .attr('accept', '.osc,.xml')
+      .on('change', d3_event => {
+        const input = d3_event.target;
+        const file = input.files?.[0];
+        input.value = '';   // so the same file can be picked again
+        if (file) loadOsmChange(file);
+      });
+
+    // update
+    selection.selectAll('.edit-session-download')
+      .property('disabled', !editSystem.hasChanges());
+  }
+
+
+  function downloadSession() {
+    const data = editSystem.toSessionFile();
+    if (!data) return;
+
+    const date = new Date().toISOString().slice(0, 10);
+    utilDownloadFile(data, `rapid-edits-${date}.json`, 'application/json');
+  }
+
+
+  function loadSession(file) {
+    if (editSystem.hasChanges() && !window.confirm(context.t('preferences.edit_session.upload.lose_changes'))) return;
+
+    readFile(file, 'upload', text => {
+      context.enter('browse');
+      editSystem.fromSessionFile(text);
+    });
+  }
+
+
+  function loadOsmChange(file) {
+    readFile(file, 'osc', text => {
+      return editSystem.osmChangeActionAsync(text)
+        .then(action => {
+          if (action.disabled(context.graph())) {
+            throw new Error(`No changes in ${file.name}`);
+          }
+          context.enter('browse');
+          context.perform(action, context.t('preferences.edit_session.osc.annotation', { file: file.name }));
+
+          const conflicts = action.conflicts();
+          if (conflicts.length) {
+            showMessage(
+              context.t('preferences.edit_session.osc.conflicts.title'),
+              context.t('preferences.edit_session.osc.conflicts.message', { n: conflicts.length, ids: conflicts.join(', ') })
+            );
+          }
+        });
+    });
+  }
+
+
+  // Reads the file as text and passes it to `load`, which may return a Promise.
+  // Any error is reported using the strings for the given `type`.
+  function readFile(file, type, load) {
+    const showError = (err) => {
+      if (err) console.error(err);  // eslint-disable-line no-console
+      showMessage(
+        context.t(`preferences.edit_session.${type}.error.title`),
+        context.t(`preferences.edit_session.${type}.error.message`, { file: file.name })
+      );
+    };
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        Promise.resolve(load(e.target.result)).catch(showError);
+      } catch (err) {
+        showError(err);
+      }
+    };
+    reader.onerror = () => showError();
+    reader.readAsText(file);
+  }
+
+
+  function showMessage(title, message) {
+    const modal = uiConfirm(context, context.container()).okButton();
+
+    modal.select('.modal-section.header')
+      .append('h3')
+      .text(title);
+
+    modal.select('.modal-section.message-text')
+      .append('p')
+      .text(message);
+  }
+
+
+  editSystem.on('change', section.reRender);
+
+  return section;
+}
@@ -3,6 +3,7 @@ export { uiSectionBackgroundList } from './background_list';
 export { uiSectionBackgroundOffset } from './background_offset';
 export { uiSectionChanges } from './changes';
 export { uiSectionDataLayers } from './data_layers';
+export { uiSectionEditSession } from './edit_session';
 export { uiSectionEntityIssues } from './entity_issues';
 export { uiSectionFeatureType } from './feature_type';
 export { uiSectionMapFeatures } from './map_features';
@@ -10,12 +11,14 @@ export { uiSectionMapInteractionOptions } from './map_interaction_options';
 export { uiSectionMapStyleOptions } from './map_style_options';
 export { uiSectionOverlayList } from './overlay_list';
 export { uiSectionPhotoOverlays } from './photo_overlays';
+export { uiSectionPlugins } from './plugins';
 export { uiSectionPresetFields } from './preset_fields';
 export { uiSectionPrivacy } from './privacy';
 export { uiSectionRawMemberEditor } from './raw_member_editor';
 export { uiSectionRawMembershipEditor } from './raw_membership_editor';
 export { uiSectionRawTagEditor } from './raw_tag_editor';
 export { uiSectionSelectionList } from './selection_list';
+export { uiSectionUploadOptions } from './upload_options';
 export { uiSectionValidationIssues } from './validation_issues';
 export { uiSectionValidationOptions } from './validation_options';
 export { uiSectionValidationRules } from './validation_rules';
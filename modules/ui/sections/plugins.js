@@ -0,0 +1,123 @@
+import { uiIcon } from '../icon';
+import { uiTooltip } from '../tooltip';
+import { uiSection } from '../section';
+import { utilGetSetValue, utilNoAuto } from '../../util';
+
+
+export function uiSectionPlugins(context) {
+  const pluginSystem = context.systems.plugins;
+  const section = uiSection(context, 'preferences-plugins')
+    .label(context.tHtml('preferences.plugins.title'))
+    .disclosureContent(renderDisclosureContent);
+
+
+  function renderDisclosureContent(selection) {
+    let container = selection.selectAll('.plugins-container')
+      .data([0]);
+
+    // Enter
+    const enter = container.enter()
+      .append('div')
+      .attr('class', 'plugins-container');
+
+    enter
+      .append('p')
+      .attr('class', 'plugins-description')
+      .text(context.t('preferences.plugins.description'));
+
+    enter
+      .append('ul')
+      .attr('class', 'layer-list plugins-list');
+
+    const addEnter = enter
+      .append('div')
+      .attr('class', 'plugins-add');
+
+    addEnter
+      .append('input')
+      .attr('type', 'url')
+      .attr('class', 'plugins-url')
+      .attr('placeholder', context.t('preferences.plugins.url_placeholder'))
+      .call(utilNoAuto)
+      .on('keyup', d3_event => {
+        if (d3_event.keyCode === 13) {   // ↩ Return
+          addPlugin();
+        }
+      });
+
+    addEnter
+      .append('button')
+      .attr('class', 'button plugins-add-button')
+      .on('click', addPlugin)
+      .append('span')
+      .text(context.t('preferences.plugins.add'));
+
+    // Update
+    container = container.merge(enter);
+
+    const plugins = [...pluginSystem.plugins.values()];
+    let items = container.selectAll('.plugins-list')
+      .selectAll('li')
+      .data(plugins, d => d.url);
+
+    items.exit()
+      .remove();
+
+    const itemsEnter = items.enter()
+      .append('li')
+      .attr('class', 'plugin-item');
+
+    itemsEnter
+      .append('span')
+      .attr('class', 'plugin-name');
+
+    itemsEnter
+      .append('span')
+      .attr('class', 'plugin-status');
+
+    itemsEnter
+      .append('button')
+      .attr('class', 'plugin-remove')
+      .call(uiTooltip(context)
+        .title(context.tHtml('preferences.plugins.remove'))
+        .placement('top')
+      )
+      .on('click', (d3_event, d) => {
+        if (window.confirm(context.t('preferences.plugins.remove_confirm', { name: d.name }))) {
+          pluginSystem.remove(d.url);
+        }
+      })
+      .call(uiIcon('#rapid-operation-delete'));
+
+    items = items.merge(itemsEnter)
+      .classed('error', d => d.status === 'error')
+      .attr('title', d => d.url);
+
+    items.selectAll('.plugin-name')
+      .text(d => d.name);
+
+    items.selectAll('.plugin-status')
+      .text(d => {
+        if (d.status === 'error') return context.t('preferences.plugins.status.error', { error: d.error?.message ?? d.error });
+        return context.t(`preferences.plugins.status.${d.status}`);
+      });
+  }
+
+
+  function addPlugin() {
+    const input = section.selection().select('.plugins-url');
+    const url = utilGetSetValue(input).trim();
+    if (!url) return;
+
+    // Plugins run with the same access as Rapid itself, so make sure the user means it.
+    if (!window.confirm(context.t('plugins.confirm', { urls: url }))) return;
+
+    utilGetSetValue(input, '');
+    pluginSystem.addAsync(url).catch(() => { /* the error is shown in the list */ });
+  }
+
+
+  pluginSystem.on('pluginschange', section.reRender);
+
+  return section;
+}
@@ -0,0 +1,81 @@
+import { select as d3_select } from 'd3-selection';
+
+import { uiTooltip } from '../tooltip';
+import { uiSection } from '../section';
+import { utilGetSetValue, utilNoAuto } from '../../util';
+
+
+export function uiSectionUploadOptions(context) {
+  const uploader = context.systems.uploader;
+  const section = uiSection(context, 'preferences-upload')
+    .label(context.tHtml('preferences.upload.title'))
+    .disclosureContent(renderDisclosureContent);
+
+  const OPTIONS = ['max_elements', 'max_size'];
+
+
+  function renderDisclosureContent(selection) {
+    let container = selection.selectAll('.upload-options-list')
+      .data([0]);
+
+    // Enter
+    const enter = container.enter()
+      .append('ul')
+      .attr('class', 'layer-list upload-options-list');
+
+    let items = enter.selectAll('li')
+      .data(OPTIONS)
+      .enter()
+      .append('li')
+      .attr('class', d => `upload-option-${d}`)
+      .call(uiTooltip(context)
+        .title(d => context.t(`preferences.upload.${d}.tooltip`))
+        .placement('top')
+      );
+
+    let label = items
+      .append('label');
+
+    label
+      .append('span')
+      .text(d => context.t(`preferences.upload.${d}.title`));
+
+    label
+      .append('input')
+      .attr('type', 'number')
+      .attr('min', d => d === 'max_elements' ? '1' : '0.01')
+      .attr('step', d => d === 'max_elements' ? '100' : '0.01')
+      .attr('class', 'upload-option-input')
+      .call(utilNoAuto)
+      .on('keyup', function(d3_event) {
+        if (d3_event.keyCode === 13) {   // ↩ Return
+          this.blur();
+        }
+      })
+      .on('blur', changeOption);
+
+    // Update
+    container
+      .merge(enter)
+      .selectAll('.upload-option-input')
+      .attr('placeholder', d => d === 'max_elements' ? uploader.maxElements : context.t('preferences.upload.max_size.no_limit'))
+      .property('value', d => {
+        const val = (d === 'max_elements') ? uploader.maxElements : uploader.maxSize;
+        return isFinite(val) ? val : '';
+      });
+  }
+
+
+  function changeOption(d3_event, d) {
+    const num = parseFloat(utilGetSetValue(d3_select(this)).trim());
+    if (d === 'max_elements') {
+      uploader.maxElements = Math.round(num);   // cleared if not a positive number
+    } else {
+      uploader.maxSize = num;
+    }
+    section.reRender();
+  }
+
+
+  return section;
+}
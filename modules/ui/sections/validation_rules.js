@@ -13,6 +13,12 @@ export function uiSectionValidationRules(context) {
   const MAXSQUARE = 20;
   const DEFAULTSQUARE = 5;  // see also unsquare_way.js
 
+  const MINOVERLAP = 0;
+  const MAXOVERLAP = 100;
+  const DEFAULTOVERLAP = 20;  // see also overlapping_buildings.js
+
+  let _userRulesError = null;
+
   const section = uiSection(context, 'issues-rules')
     .disclosureContent(renderDisclosureContent)
     .label(context.tHtml('issues.rules.title'));
@@ -61,12 +67,76 @@ export function uiSectionValidationRules(context) {
         validator.disableRules([]);
       });
 
+    // Custom rules, see `validationUserRules`
+    let userRulesEnter = containerEnter
+      .append('div')
+      .attr('class', 'issue-rules-links issue-user-rules section-footer');
+
+    let userRulesLoadEnter = userRulesEnter
+      .append('span')
+      .attr('class', 'issue-rules-link issue-user-rules-load');
+
+    userRulesLoadEnter
+      .append('input')
+      .attr('type', 'file')
+      .attr('accept', '.json,.mapcss,.validator.mapcss,application/json,text/plain')
+      .attr('class', 'hide')
+      .on('change', loadUserRules);
+
+    userRulesLoadEnter
+      .append('a')
+      .attr('href', '#')
+      .html(context.tHtml('issues.user_rules.load'))
+      .on('click', d3_event => {
+        d3_event.preventDefault();
+        container.selectAll('.issue-user-rules-load input').node().click();
+      });
+
+    userRulesEnter
+      .append('a')
+      .attr('class', 'issue-rules-link issue-user-rules-remove')
+      .attr('href', '#')
+      .html(context.tHtml('issues.user_rules.remove'))
+      .on('click', d3_event => {
+        d3_event.preventDefault();
+        _userRulesError = null;
+        validator.setUserRules(null);
+      });
+
+    containerEnter
+      .append('div')
+      .attr('class', 'issue-user-rules-error');
+
     // Update
     container = container
       .merge(containerEnter);
 
     container.selectAll('.issue-rules-list')
       .call(drawListItems);
+
+    container.selectAll('.issue-user-rules-remove')
+      .classed('hide', !validator.userRules.length);
+
+    container.selectAll('.issue-user-rules-error')
+      .classed('hide', !_userRulesError)
+      .text(_userRulesError ?? '');
+  }
+
+
+  function loadUserRules(d3_event) {
+    const file = d3_event.target.files?.[0];
+    d3_event.target.value = '';   // so choosing the same file again fires another 'change'
+    if (!file) return;
+
+    file.text()
+      .then(text => {
+        validator.setUserRules(text);
+        _userRulesError = null;
+      })
+      .catch(e => {
+        _userRulesError = context.t('issues.user_rules.error', { name: file.name, error: e.message ?? e });
+      })
+      .finally(() => section.reRender());
   }
 
 
@@ -101,6 +171,8 @@ export function uiSectionValidationRules(context) {
         let params = {};
         if (d === 'unsquare_way') {
           params.val = '<span class="square-degrees"></span>';
+        } else if (d === 'overlapping_buildings') {
+          params.val = '<span class="overlap-percent"></span>';
         }
         return context.tHtml(`issues.${d}.title`, params);
       });
@@ -109,6 +181,11 @@ export function uiSectionValidationRules(context) {
     items = items
       .merge(enter);
 
+    // the number of custom rules changes when the user loads them
+    items.filter(d => d === 'user_rules')
+      .select('label > span')
+      .html(context.tHtml('issues.user_rules.title', { n: validator.userRules.length }));
+
     items
       .classed('active', isRuleEnabled)
       .selectAll('input')
@@ -149,6 +226,41 @@ export function uiSectionValidationRules(context) {
       .on('blur', changeSquare)
       .merge(input)
       .property('value', degStr);
+
+
+    // user-configurable overlap threshold
+    let percentStr = storage.getItem('validate-overlap-percent');
+    if (percentStr === null) {
+      percentStr = DEFAULTOVERLAP.toString();
+    }
+
+    let overlapSpan = items.selectAll('.overlap-percent');
+    let overlapInput = overlapSpan.selectAll('.overlap-percent-input')
+      .data([0]);
+
+    // enter / update
+    overlapInput.enter()
+      .append('input')
+      .attr('type', 'number')
+      .attr('min', MINOVERLAP.toString())
+      .attr('max', MAXOVERLAP.toString())
+      .attr('step', '5')
+      .attr('class', 'overlap-percent-input')
+      .call(utilNoAuto)
+      .on('click', function (d3_event) {
+        d3_event.preventDefault();
+        d3_event.stopPropagation();
+        this.select();
+      })
+      .on('keyup', function (d3_event) {
+        if (d3_event.keyCode === 13) { // ↩ Return
+          this.blur();
+          this.select();
+        }
+      })
+      .on('blur', changeOverlap)
+      .merge(overlapInput)
+      .property('value', percentStr);
   }
 
 
@@ -175,6 +287,30 @@ export function uiSectionValidationRules(context) {
     validator.revalidateUnsquare();
   }
 
+
+  function changeOverlap() {
+    const input = d3_select(this);
+    let percentStr = utilGetSetValue(input).trim();
+    let percentNum = parseFloat(percentStr, 10);
+
+    if (!isFinite(percentNum)) {
+      percentNum = DEFAULTOVERLAP;
+    } else if (percentNum > MAXOVERLAP) {
+      percentNum = MAXOVERLAP;
+    } else if (percentNum < MINOVERLAP) {
+      percentNum = MINOVERLAP;
+    }
+
+    percentNum = Math.round(percentNum);
+    percentStr = percentNum.toString();
+
+    input
+      .property('value', percentStr);
+
+    storage.setItem('validate-overlap-percent', percentStr);
+    validator.revalidateOverlap();
+  }
+
   function isRuleEnabled(d) {
     return validator.isRuleEnabled(d);
   }
@@ -14,6 +14,7 @@ export function uiSuccess(context) {
   const MAXEVENTS = 2;
   const dispatch = d3_dispatch('cancel');
   let _changeset;
+  let _changesets = [];
   let _location;
   getCommunityIndexAsync();   // start fetching the data
 
@@ -145,11 +146,18 @@ export function uiSuccess(context) {
       .attr('href', changesetURL)
       .html(context.tHtml('success.view_on_osm'));
 
+    // If the changes were split into several changesets, link to all of them
+    const changesets = (_changesets.length > 1) ? _changesets : [_changeset];
+    const changesetLinks = changesets.map(changeset => {
+      return `<a href="${osm.changesetURL(changeset.id)}" target="_blank">${changeset.id}</a>`;
+    });
+
     summaryDetail
       .append('div')
-      .html(context.tHtml('success.changeset_id', {
-        changeset_id: `<a href="${changesetURL}" target="_blank">${_changeset.id}</a>`
-      }));
+      .html(context.tHtml('success.changeset_id', { changeset_id: changesetLinks.join(', ') }));
+
+    body
+      .call(showTask);
 
 
     // Get OSM community index features intersecting the map..
@@ -185,6 +193,62 @@ export function uiSuccess(context) {
   }
 
 
+  // If the user is working on a task from a task manager, let them finish it
+  function showTask(selection) {
+    const rapid = context.systems.rapid;
+    const task = rapid.task;
+    if (!task) return;
+
+    let section = selection
+      .append('div')
+      .attr('class', 'save-task');
+
+    section
+      .append('h3')
+      .text(context.t('success.task.title', { project: task.projectID, task: task.taskID }));
+
+    let message = section
+      .append('p')
+      .attr('class', 'save-task-message')
+      .text(context.t('success.task.question'));
+
+    let buttons = section
+      .append('div')
+      .attr('class', 'save-task-buttons');
+
+    buttons
+      .append('button')
+      .attr('class', 'button action save-task-done')
+      .text(context.t('success.task.done'))
+      .on('click', () => finish(rapid.markTaskDoneAsync(), 'success.task.marked_done'));
+
+    buttons
+      .append('button')
+      .attr('class', 'button secondary save-task-invalidate')
+      .text(context.t('success.task.invalidate'))
+      .on('click', () => finish(rapid.invalidateTaskAsync(), 'success.task.marked_invalid'));
+
+
+    function finish(promise, stringID) {
+      buttons.selectAll('button')
+        .classed('disabled', true)
+        .attr('disabled', true);
+
+      promise
+        .then(() => {
+          message.text(context.t(stringID));
+          buttons.remove();
+        })
+        .catch(err => {
+          message.text(context.t('success.task.error', { error: err.message ?? err }));
+          buttons.selectAll('button')
+            .classed('disabled', false)
+            .attr('disabled', null);
+        });
+    }
+  }
+
+
   function showCommunityLinks(selection, resources) {
     let communityLinks = selection
       .append('div')
@@ -393,6 +457,13 @@ export function uiSuccess(context) {
   };
 
 
+  success.changesets = function(val) {
+    if (!arguments.length) return _changesets;
+    _changesets = val ?? [];
+    return success;
+  };
+
+
   success.location = function(val) {
     if (!arguments.length) return _location;
     _location = val;
@@ -1,4 +1,5 @@
 import { JXON } from '../../util/jxon';
+import { utilDownloadFile } from '../../util';
 import { osmChangeset } from '../../osm';
 import { actionDiscardTags } from '../../actions';
 import { uiIcon } from '../icon';
@@ -26,7 +27,7 @@ export function uiToolDownloadOsc(context) {
       const changes = editSystem.changes(actionDiscardTags(editSystem.difference()));
       const changeset = new osmChangeset();
       const osc = JXON.stringify(changeset.osmChangeJXON(changes));
-      downloadFile(osc, 'change.osc');
+      utilDownloadFile(osc, 'change.osc');
     }
   }
 
@@ -51,26 +52,6 @@ export function uiToolDownloadOsc(context) {
   }
 
 
-  function downloadFile(data, fileName) {
-    let a = document.createElement('a');   // Create an invisible A element
-    a.style.display = 'none';
-    document.body.appendChild(a);
-
-    // Set the HREF to a Blob representation of the data to be downloaded
-    a.href = window.URL.createObjectURL(new Blob([data]));
-
-    // Use download attribute to set set desired file name
-    a.setAttribute('download', fileName);
-
-    // Trigger the download by simulating click
-    a.click();
-
-    // Cleanup
-    window.URL.revokeObjectURL(a.href);
-    document.body.removeChild(a);
-  }
-
-
   tool.install = function(selection) {
     if (_button && _tooltip) return;  // already installed
 
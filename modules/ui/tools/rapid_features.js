@@ -1,4 +1,5 @@
 import { dispatch as d3_dispatch } from 'd3-dispatch';
+import { uiIcon } from '../icon';
 import { uiTooltip } from '../tooltip';
 import { uiCmd } from '../cmd';
 import { uiRapidFeatureToggleDialog } from '../rapid_feature_toggle_dialog';
@@ -45,6 +46,15 @@ export function uiToolRapidFeatures(context) {
   }
 
 
+  function toggleReviewMode() {
+    if (context.mode?.id === 'rapid-review') {
+      context.enter('browse');
+    } else {
+      context.enter('rapid-review', { task: !!context.systems.rapid.taskExtent });
+    }
+  }
+
+
   function update() {
     if (!_wrap) return;
 
@@ -96,6 +106,26 @@ export function uiToolRapidFeatures(context) {
       )
       .append('div')
       .attr('class', 'beta');
+
+
+    let reviewButton = _wrap.selectAll('.rapid-review-region')
+      .data(isPowerUser ? [0] : []);
+
+    reviewButton.exit()
+      .remove();
+
+    reviewButton.enter()
+      .append('button')
+      .attr('class', 'bar-button rapid-review-region')
+      .attr('tabindex', -1)
+      .on('click', toggleReviewMode)
+      .call(uiTooltip(context)
+        .placement('bottom')
+        .title(context.t('rapid_review.tooltip'))
+      )
+      .call(uiIcon('#rapid-icon-area'))
+      .merge(reviewButton)
+      .classed('active', context.mode?.id === 'rapid-review');
   }
 
 
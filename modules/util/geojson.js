@@ -0,0 +1,90 @@
+import { osmNode } from '../osm/node';
+import { osmRelation } from '../osm/relation';
+import { osmWay } from '../osm/way';
+
+
+/**
+ * utilGeoJSONToEntities
+ * Converts a GeoJSON geometry into OSM entities, for the services that load external data.
+ * Point becomes a node, LineString becomes a way, and Polygon or MultiPolygon becomes
+ *  a closed way, or a multipolygon relation if there is more than one ring.
+ * Other geometry types are not supported.
+ * @param   geometry  GeoJSON geometry
+ * @param   tags      Tags for the feature
+ * @param   metadata  Properties like `__fbid__`, `__origid__`, `__service__`, `__datasetid__`,
+ *                      given to the tagged entity
+ * @return  Array of entities, empty if the geometry can't be converted
+ */
+export function utilGeoJSONToEntities(geometry, tags, metadata) {
+  let entities = [];
+  let nodemap = new Map();
+
+  // Point:  make a single node
+  if (geometry?.type === 'Point') {
+    if (!geometry.coordinates) return [];
+    return [ new osmNode({ loc: geometry.coordinates.slice(0, 2), tags: tags }, metadata) ];
+
+  // LineString:  make nodes, single way
+  } else if (geometry?.type === 'LineString') {
+    const nodelist = parseCoordinates(geometry.coordinates);
+    if (nodelist.length < 2) return [];
+
+    entities.push(new osmWay({ nodes: nodelist, tags: tags }, metadata));
+    return entities;
+
+  // Polygon, MultiPolygon:  make nodes, way(s), possibly a relation
+  } else if (geometry?.type === 'Polygon' || geometry?.type === 'MultiPolygon') {
+    const polygons = (geometry.type === 'Polygon') ? [geometry.coordinates] : geometry.coordinates;
+    let members = [];
+    for (const polygon of polygons ?? []) {
+      for (const [i, ring] of (polygon ?? []).entries()) {
+        const nodelist = parseCoordinates(ring);
+        if (nodelist.length < 3) continue;
+
+        const first = nodelist[0];
+        const last = nodelist[nodelist.length - 1];
+        if (first !== last) nodelist.push(first);   // sanity check, ensure rings are closed
+
+        members.push({ way: new osmWay({ nodes: nodelist }), role: (i === 0 ? 'outer' : 'inner') });
+      }
+    }
+
+    if (!members.length) return [];
+
+    if (members.length === 1) {  // single ring, assign tags and return
+      entities.push(
+        members[0].way.update( Object.assign({ tags: tags }, metadata) )
+      );
+    } else {  // multiple rings, make a multipolygon relation with inner/outer members
+      const r = new osmRelation({
+        members: members.map(m => ({ id: m.way.id, role: m.role, type: 'way' })),
+        tags: Object.assign({}, tags, { type: 'multipolygon' })
+      }, metadata);
+      entities.push(...members.map(m => m.way), r);
+    }
+
+    return entities;
+  }
+
+  return [];
+
+
+  // Makes a node for each new location, and returns the Array of nodeIDs
+  function parseCoordinates(coords) {
+    let nodelist = [];
+    for (const coord of coords ?? []) {
+      const loc = coord.slice(0, 2);   // ignore elevation
+      const key = loc.toString();
+      let n = nodemap.get(key);
+      if (!n) {
+        n = new osmNode({ loc: loc });
+        entities.push(n);
+        nodemap.set(key, n);
+      }
+      if (nodelist.at(-1) !== n.id) {   // skip repeated points
+        nodelist.push(n.id);
+      }
+    }
+    return nodelist;
+  }
+}
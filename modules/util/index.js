@@ -1,14 +1,23 @@
+export { utilApplyTagMapping } from './tag_mapping';
+export { utilApplyTagTemplate } from './tag_mapping';
 export { utilDetect } from './detect';
+export { utilDownloadFile } from './util';
 export { utilFastMouse } from './util';
 export { utilFetchResponse, FetchError } from './fetch_response';
 export { utilFunctor } from './util';
+export { utilGeoJSONToEntities } from './geojson';
 export { utilGetSetValue } from './get_set_value';
 export { utilHighlightEntities } from './util';
 export { utilKeybinding } from './keybinding';
 export { utilNoAuto } from './util';
+export { utilParseOpeningHours } from './opening_hours';
+export { utilParseTagTemplate } from './tag_mapping';
+export { utilPropertiesToTags } from './tag_mapping';
 export { utilRebind } from './rebind';
 export { utilSetTransform } from './util';
+export { utilTagTemplateToText } from './tag_mapping';
 export { utilTotalExtent } from './util';
 export { utilTriggerEvent } from './trigger_event';
+export { utilValidateTagMapping } from './tag_mapping';
 export { utilWrap } from './util';
 
@@ -0,0 +1,476 @@
+// Checks `opening_hours` values against the syntax in
+//   https://wiki.openstreetmap.org/wiki/Key:opening_hours/specification
+//
+// The commonly used parts of the grammar are supported:
+//   rules separated by `;`, `,` or `||`, `24/7`, years, months and dates (`Dec 24-26`),
+//   `easter` with offsets (`easter -2 days`), weeks (`week 01-20`), weekdays with nth (`Su[-1]`),
+//   holidays (`PH`, `SH`) with offsets, holidays that are also weekdays (`SH Mo-Fr`),
+//   times and time ranges (`08:00-12:00`, `18:00+`), repeating times (`10:00-16:00/01:30`),
+//   events (`sunrise`, `(sunset-01:00)`),
+//   the `open`, `closed`, `off` and `unknown` states, and comments in double quotes.
+//
+// Common mistakes that have an obvious meaning are corrected, e.g.
+//   `Mon-Fri 8:00 - 5pm` -> `Mo-Fr 08:00-17:00`
+
+
+const WEEKDAYS = {
+  mo: 'Mo', mon: 'Mo', monday: 'Mo',
+  tu: 'Tu', tue: 'Tu', tues: 'Tu', tuesday: 'Tu',
+  we: 'We', wed: 'We', wednesday: 'We',
+  th: 'Th', thu: 'Th', thur: 'Th', thurs: 'Th', thursday: 'Th',
+  fr: 'Fr', fri: 'Fr', friday: 'Fr',
+  sa: 'Sa', sat: 'Sa', saturday: 'Sa',
+  su: 'Su', sun: 'Su', sunday: 'Su'
+};
+
+const HOLIDAYS = { ph: 'PH', sh: 'SH' };
+
+const MONTHS = {
+  jan: 'Jan', january: 'Jan', feb: 'Feb', february: 'Feb', mar: 'Mar', march: 'Mar',
+  apr: 'Apr', april: 'Apr', may: 'May', jun: 'Jun', june: 'Jun', jul: 'Jul', july: 'Jul',
+  aug: 'Aug', august: 'Aug', sep: 'Sep', sept: 'Sep', september: 'Sep',
+  oct: 'Oct', october: 'Oct', nov: 'Nov', november: 'Nov', dec: 'Dec', december: 'Dec'
+};
+
+const EVENTS = ['sunrise', 'sunset', 'dawn', 'dusk'];
+const STATES = ['open', 'closed', 'off', 'unknown'];
+
+
+/**
+ * utilParseOpeningHours
+ * @param   value  An `opening_hours` value
+ * @return  Object like `{ error, normalized }`
+ *   `error` is `null` if the value is valid, or else `{ code, params }` describing the first problem,
+ *     where `code` is one of 'empty', 'unexpected', 'unexpected_end', 'unknown_word', 'invalid_time',
+ *     'invalid_number' or 'unclosed_comment', and `params.token` is the text where the problem was found,
+ *     or 'corrected' if all of the problems could be corrected, and `params.token` is the corrected value.
+ *   `normalized` is the corrected value, if the only problems were ones that could be corrected, or else `null`.
+ *     It is the same as `value` if there was nothing to correct.
+ */
+export function utilParseOpeningHours(value) {
+  let tokens;
+  try {
+    tokens = tokenize(value);
+  } catch (e) {
+    return { error: e.syntaxError ?? { code: 'unexpected', params: { token: value } }, normalized: null };
+  }
+
+  if (!tokens.length) {
+    return { error: { code: 'empty', params: { token: '' } }, normalized: null };
+  }
+
+  const parser = new Parser(tokens);
+  try {
+    parser.parseRules();
+  } catch (e) {
+    if (!e.syntaxError) throw e;
+    return { error: e.syntaxError, normalized: null };
+  }
+
+  const normalized = tokens.map(token => token.space + token.text).join('').trim();
+  if (!parser.corrected) {
+    return { error: null, normalized: value };
+  }
+
+  const reparsed = utilParseOpeningHours(normalized);   // corrections shouldn't make new problems, but make sure
+  return { error: { code: 'corrected', params: { token: normalized } }, normalized: reparsed.error ? null : normalized };
+}
+
+
+function syntaxError(code, token) {
+  const error = new Error(code);
+  error.syntaxError = { code: code, params: { token: token ? token.text : '' } };
+  return error;
+}
+
+
+// Splits the value into tokens, keeping the whitespace before each one
+function tokenize(value) {
+  let tokens = [];
+  const re = /(\s*)("[^"]*"?|\|\||\d+|[A-Za-z]+|\S)/y;
+  let match;
+  while ((match = re.exec(value)) !== null) {
+    const token = { space: match[1], text: match[2] };
+    if (token.text[0] === '"' && (token.text.length < 2 || !token.text.endsWith('"'))) {
+      throw syntaxError('unclosed_comment', token);
+    }
+    tokens.push(token);
+  }
+  return tokens;
+}
+
+
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.pos = 0;
+    this.corrected = false;
+  }
+
+  peek(offset = 0)  { return this.tokens[this.pos + offset]; }
+  next()            { return this.tokens[this.pos++]; }
+  atEnd()           { return this.pos >= this.tokens.length; }
+
+  peekText(offset = 0) {
+    const token = this.peek(offset);
+    return token ? token.text : null;
+  }
+
+  peekWord(offset = 0) {
+    const text = this.peekText(offset);
+    return (text && /^[A-Za-z]+$/.test(text)) ? text.toLowerCase() : null;
+  }
+
+  isNumber(offset = 0) {
+    return /^\d+$/.test(this.peekText(offset) || '');
+  }
+
+  // Change a token, remembering that the value needed a correction
+  correct(token, props) {
+    for (const [k, v] of Object.entries(props)) {
+      if (token[k] !== v) {
+        token[k] = v;
+        this.corrected = true;
+      }
+    }
+  }
+
+  // A range separator, also accepting an en dash, em dash or `to`, and removes the spaces around it
+  isDash(offset = 0) {
+    const text = this.peekText(offset);
+    return text === '-' || text === '–' || text === '—' || (text && text.toLowerCase() === 'to');
+  }
+
+  nextDash() {
+    const token = this.next();
+    this.correct(token, { text: '-', space: '' });
+    const after = this.peek();
+    if (after) this.correct(after, { space: '' });
+    return token;
+  }
+
+  expectText(text) {
+    const token = this.next();
+    if (!token) throw syntaxError('unexpected_end', this.peek(-1));
+    if (token.text !== text) throw syntaxError('unexpected', token);
+    return token;
+  }
+
+  expectNumber(min, max) {
+    const token = this.next();
+    if (!token) throw syntaxError('unexpected_end', this.peek(-1));
+    if (!/^\d+$/.test(token.text)) throw syntaxError('unexpected', token);
+    const num = parseInt(token.text, 10);
+    if (num < min || num > max) throw syntaxError('invalid_number', token);
+    return num;
+  }
+
+
+  parseRules() {
+    do {
+      this.parseRule();
+      if (this.atEnd()) return;
+
+      // A new rule that starts without a separator, like `Mo-Fr 08:00-17:00 Sa 08:00-12:00`
+      if (this.isWeekdayStart() || this.isMonthStart()) {
+        this.correct(this.peek(), { space: '; ' });
+        continue;
+      }
+
+      const separator = this.next();
+      if (![';', ',', '||'].includes(separator.text)) {
+        throw syntaxError('unexpected', separator);
+      }
+      if (this.atEnd()) {   // a separator at the end does nothing
+        this.correct(separator, { text: '', space: '' });
+      }
+    } while (!this.atEnd());
+  }
+
+
+  parseRule() {
+    const start = this.pos;
+
+    if (this.peekText() === '24' && this.peekText(1) === '/' && this.peekText(2) === '7') {
+      this.pos += 3;
+    } else {
+      this.parseSelectors();
+    }
+
+    // state and comment
+    const word = this.peekWord();
+    if (word && STATES.includes(word)) {
+      this.correct(this.next(), { text: word });
+    }
+    if (this.peekText()?.startsWith('"')) {
+      this.next();
+    }
+
+    if (this.pos === start) {
+      const token = this.peek();
+      if (!token) throw syntaxError('unexpected_end', this.peek(-1));
+      throw syntaxError(/^[A-Za-z]+$/.test(token.text) ? 'unknown_word' : 'unexpected', token);
+    }
+  }
+
+
+  parseSelectors() {
+    // years, like `2024` or `2024-2026`
+    if (this.isNumber() && this.peekText().length === 4) {
+      this.parseList(() => this.parseYearRange(), () => this.isNumber() && this.peekText().length === 4);
+    }
+
+    // months and dates, like `Dec 24-26` or `Jan-Mar`, with an optional `:` after them
+    if (this.isMonthStart()) {
+      this.parseList(() => this.parseMonthRange(), () => this.isMonthStart());
+      if (this.peekText() === ':') this.next();
+    }
+
+    // weeks, like `week 01-20/2`
+    if (this.peekWord() === 'week') {
+      this.next();
+      this.parseList(() => this.parseRange(1, 53), () => this.isNumber());
+      if (this.peekText() === ':') this.next();
+    }
+
+    // weekdays and holidays, like `Mo-Fr,PH` or `Su[-1]`
+    if (this.isWeekdayStart()) {
+      const isHolidays = this.parseList(() => this.parseWeekdayRange(), () => this.isWeekdayStart());
+      // holidays followed by weekdays are the days that are both, like `SH Mo-Fr`
+      if (isHolidays.every(Boolean) && WEEKDAYS[this.peekWord()]) {
+        this.parseList(() => this.parseWeekdayRange(), () => this.isWeekdayStart());
+      }
+      if (this.peekText() === ':' && this.isTimeStart(1)) {   // e.g. `Mo-Fr: 08:00-17:00`
+        const colon = this.next();
+        this.correct(colon, { text: '', space: '' });
+      }
+    }
+
+    // times, like `08:00-12:00,13:00-17:00` or `sunrise-sunset`
+    if (this.isTimeStart()) {
+      const first = this.peek();
+      if (this.pos > 0 && !first.space && ![';', ',', '||'].includes(this.peekText(-1))) {
+        this.correct(first, { space: ' ' });
+      }
+      this.parseList(() => this.parseTimespan(), () => this.isTimeStart());
+    }
+  }
+
+
+  // Parses `item (, item)*`, where `isItemStart` says whether another item follows a comma.
+  // Otherwise the comma separates rules, and is left for `parseRules`.
+  // Returns the Array of values returned by `parseItem`
+  parseList(parseItem, isItemStart) {
+    const results = [parseItem()];
+    while (this.peekText() === ',') {
+      this.pos++;
+      if (!isItemStart()) {
+        this.pos--;
+        break;
+      }
+      results.push(parseItem());
+    }
+    return results;
+  }
+
+
+  parseRange(min, max) {
+    this.expectNumber(min, max);
+    if (this.isDash() && this.isNumber(1)) {
+      this.nextDash();
+      this.expectNumber(min, max);
+    }
+    if (this.peekText() === '/') {
+      this.next();
+      this.expectNumber(1, max);
+    }
+  }
+
+
+  parseYearRange() {
+    this.expectNumber(1900, 2200);
+    if (this.isDash() && this.isNumber(1)) {
+      this.nextDash();
+      this.expectNumber(1900, 2200);
+    } else if (this.peekText() === '+') {
+      this.next();
+    }
+    if (this.peekText() === '/') {
+      this.next();
+      this.expectNumber(1, 100);
+    }
+  }
+
+
+  isMonthStart(offset = 0) {
+    const word = this.peekWord(offset);
+    return !!word && (!!MONTHS[word] || word === 'easter');
+  }
+
+
+  parseMonthRange() {
+    this.parseMonthDate();
+    if (this.isDash()) {
+      if (this.isMonthStart(1)) {         // `Dec 24-Jan 02` or `Jan-Mar`
+        this.nextDash();
+        this.parseMonthDate();
+      } else if (this.isNumber(1) && this.peekText(1).length === 4 && this.isMonthStart(2)) {   // `2024 Dec 24-2025 Jan 02`
+        this.nextDash();
+        this.expectNumber(1900, 2200);
+        this.parseMonthDate();
+      } else if (this.isNumber(1)) {      // `Dec 24-26`
+        this.nextDash();
+        this.expectNumber(1, 31);
+      }
+    }
+  }
+
+
+  parseMonthDate() {
+    const token = this.next();
+    const word = token.text.toLowerCase();
+    if (word === 'easter') {
+      this.correct(token, { text: 'easter' });
+      this.parseDayOffset();   // `easter -2 days`
+      return;
+    }
+    this.correct(token, { text: MONTHS[word] });
+    const isTime = (this.peekText(1) === ':' && this.isNumber(2));   // `Dec 25 10:00`, but not `Sep 15: Mo-Fr`
+    if (this.isNumber() && this.peekText().length <= 2 && !isTime) {
+      this.expectNumber(1, 31);
+      this.parseDayOffset();   // `Dec 25 +1 day`
+    }
+  }
+
+
+  isWeekdayStart(offset = 0) {
+    const word = this.peekWord(offset);
+    return !!word && (!!WEEKDAYS[word] || !!HOLIDAYS[word]);
+  }
+
+
+  // Returns `true` if it was a holiday
+  parseWeekdayRange() {
+    const token = this.next();
+    const word = token.text.toLowerCase();
+
+    if (HOLIDAYS[word]) {
+      this.correct(token, { text: HOLIDAYS[word] });
+      this.parseDayOffset();
+      return true;
+    }
+
+    this.correct(token, { text: WEEKDAYS[word] });
+    if (this.isDash() && this.isWeekdayStart(1) && WEEKDAYS[this.peekWord(1)]) {
+      this.nextDash();
+      const end = this.next();
+      this.correct(end, { text: WEEKDAYS[end.text.toLowerCase()] });
+    }
+
+    // nth weekday of the month, like `Su[-1]` or `Sa[1,3]`
+    if (this.peekText() === '[') {
+      this.next();
+      this.parseList(() => {
+        if (this.peekText() === '-') this.next();
+        this.parseRange(1, 5);
+      }, () => this.isNumber() || this.peekText() === '-');
+      this.expectText(']');
+      this.parseDayOffset();
+    }
+    return false;
+  }
+
+
+  // An offset in days, like `PH +1 day`
+  parseDayOffset() {
+    if ((this.peekText() === '+' || this.peekText() === '-') && this.isNumber(1)) {
+      const word = this.peekWord(2);
+      if (word === 'day' || word === 'days') {
+        this.pos += 3;
+      }
+    }
+  }
+
+
+  isTimeStart(offset = 0) {
+    const word = this.peekWord(offset);
+    if (word) return EVENTS.includes(word);
+    if (this.peekText(offset) === '(') return true;
+    return this.isNumber(offset) && this.peekText(offset).length <= 2;
+  }
+
+
+  parseTimespan() {
+    this.parseTime(24);
+    if (this.isDash()) {
+      this.nextDash();
+      this.parseTime(48);   // times after midnight can be written like `26:00`
+
+      // repeating every so often, like `10:00-16:00/01:30` or `10:00-16:00/90`
+      if (this.peekText() === '/') {
+        this.next();
+        if (this.peekText(1) === ':') {
+          this.parseTime(24);
+        } else {
+          this.expectNumber(1, 1440);
+        }
+      }
+    }
+    if (this.peekText() === '+') {
+      this.next();
+    }
+  }
+
+
+  parseTime(maxHour) {
+    const token = this.peek();
+    if (!token) throw syntaxError('unexpected_end', this.peek(-1));
+
+    // event, like `sunrise` or `(sunset-01:00)`
+    const word = this.peekWord();
+    if (word && EVENTS.includes(word)) {
+      this.correct(this.next(), { text: word });
+      return;
+    }
+    if (token.text === '(') {
+      this.next();
+      const event = this.next();
+      if (!event || !EVENTS.includes(event.text.toLowerCase())) throw syntaxError('unexpected', event || token);
+      this.correct(event, { text: event.text.toLowerCase() });
+      const sign = this.next();
+      if (!sign || (sign.text !== '+' && sign.text !== '-')) throw syntaxError('unexpected', sign || event);
+      this.parseTime(24);
+      this.expectText(')');
+      return;
+    }
+
+    // clock time, like `08:00`, also accepting `8:00`, `8.00`, `8` and `8am`
+    if (!this.isNumber()) throw syntaxError('unexpected', token);
+    this.next();
+    let hour = parseInt(token.text, 10);
+    let minute = 0;
+    let minuteToken = null;
+
+    if ((this.peekText() === ':' || this.peekText() === '.') && this.isNumber(1) && !this.peek(1).space) {
+      const colon = this.next();
+      this.correct(colon, { text: ':' });
+      minuteToken = this.next();
+      if (minuteToken.text.length !== 2) throw syntaxError('invalid_time', minuteToken);
+      minute = parseInt(minuteToken.text, 10);
+    }
+
+    const ampm = this.peekWord();
+    if (ampm === 'am' || ampm === 'pm') {
+      if (hour < 1 || hour > 12) throw syntaxError('invalid_time', token);
+      hour = (hour % 12) + (ampm === 'pm' ? 12 : 0);
+      this.correct(this.next(), { text: '', space: '' });
+    }
+
+    if (hour > maxHour || minute > 59 || (hour === maxHour && minute > 0)) {
+      throw syntaxError('invalid_time', token);
+    }
+
+    const hh = hour.toString().padStart(2, '0');
+    this.correct(token, { text: minuteToken ? hh : `${hh}:00` });
+  }
+}
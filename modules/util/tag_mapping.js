@@ -0,0 +1,186 @@
+// A "tag mapping" says how the properties (fields) of a feature become OSM tags.
+// It is an Object like:
+//   {
+//     fields: {                       // How each field becomes a tag
+//       FIELD1: { key: 'building' },                                 // use the value as is
+//       FIELD2: { key: 'building:levels', values: { '0': '' } },     // look up values, '' drops the tag
+//       FIELD3: { key: null }                                        // drop the field
+//     },
+//     constants: { building: 'yes' }  // Tags added to every feature
+//   }
+// Fields that are not in the mapping are dropped.
+
+
+// Turns feature properties into tags, with an optional `source` tag
+export function utilApplyTagMapping(mapping, props, source) {
+  let tags = {};
+  for (const prop of Object.keys(props)) {
+    const field = mapping.fields[prop];
+    const k = clean(field?.key);
+    const raw = props[prop];
+    const lookup = (raw !== undefined && raw !== null) ? raw.toString().trim() : null;
+    let v;
+    if (lookup !== null && field?.values && Object.prototype.hasOwnProperty.call(field.values, lookup)) {
+      v = clean(field.values[lookup]);
+    } else {
+      v = clean(raw);
+    }
+    if (k && v) {
+      tags[k] = v;
+    }
+  }
+
+  if (source) {
+    tags.source = source;
+  }
+  for (const [k, v] of Object.entries(mapping.constants)) {
+    if (clean(k) && clean(v)) {
+      tags[clean(k)] = clean(v);
+    }
+  }
+  return tags;
+}
+
+
+// Turns feature properties into tags as they are, for data that has no tag mapping.
+// Empty values and nested objects are dropped.
+export function utilPropertiesToTags(props) {
+  let tags = {};
+  for (const [k, v] of Object.entries(props ?? {})) {
+    if (v === null || v === undefined || typeof v === 'object') continue;
+    const key = k.toString().trim();
+    const val = v.toString().trim();
+    if (key && val) {
+      tags[key] = val;
+    }
+  }
+  return tags;
+}
+
+
+// Checks that a tag mapping has the expected shape, and returns a copy of it
+export function utilValidateTagMapping(mapping) {
+  if (typeof mapping?.fields !== 'object' || Array.isArray(mapping.fields)) {
+    throw new Error('A tag mapping needs a `fields` object');
+  }
+
+  let result = { fields: {}, constants: {} };
+  for (const [name, field] of Object.entries(mapping.fields)) {
+    if (typeof field !== 'object' || field === null) {
+      throw new Error(`Invalid tag mapping for field ${name}`);
+    }
+    result.fields[name] = { key: field.key ? String(field.key) : null };
+    if (field.values && typeof field.values === 'object') {
+      result.fields[name].values = Object.assign({}, field.values);
+    }
+  }
+  if (mapping.constants && typeof mapping.constants === 'object') {
+    Object.assign(result.constants, mapping.constants);
+  }
+  return result;
+}
+
+
+// A "tag template" changes the tags of a Rapid feature when it is accepted.
+// It is an Object like:
+//   {
+//     replace: { 'building=yes': 'building=house', 'height_m=*': 'height=*' },   // `*` keeps the value
+//     remove: ['conn', 'internal:*'],                                          // `*` matches a key prefix
+//     set: { source: 'microsoft/BuildingFootprints' }                          // Tags added to every feature
+//   }
+// In text form it is one change per line:
+//   building=yes -> building=house
+//   -internal:*
+//   source=microsoft/BuildingFootprints
+
+
+// Applies a tag template to tags, and returns the changed copy
+export function utilApplyTagTemplate(template, tags) {
+  let result = Object.assign({}, tags);
+  if (!template) return result;
+
+  for (const [from, to] of Object.entries(template.replace ?? {})) {
+    const [fromKey, fromValue] = splitTag(from);
+    const [toKey, toValue] = splitTag(to);
+    const v = result[fromKey];
+    if (v === undefined || (fromValue !== '*' && v !== fromValue)) continue;
+    delete result[fromKey];
+    result[toKey] = (toValue === '*') ? v : toValue;
+  }
+
+  for (const remove of template.remove ?? []) {
+    const prefix = remove.endsWith('*') ? remove.slice(0, -1) : null;
+    for (const k of Object.keys(result)) {
+      if (prefix !== null ? k.startsWith(prefix) : k === remove) {
+        delete result[k];
+      }
+    }
+  }
+
+  for (const [k, v] of Object.entries(template.set ?? {})) {
+    if (clean(k) && clean(v)) {
+      result[clean(k)] = clean(v);
+    }
+  }
+  return result;
+}
+
+
+// Parses the text form of a tag template, returns `null` if it has no changes
+export function utilParseTagTemplate(text) {
+  let template = { replace: {}, remove: [], set: {} };
+  let isEmpty = true;
+
+  for (const raw of (text || '').split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) continue;
+
+    const arrow = line.split('->');
+    if (arrow.length === 2) {
+      const from = arrow[0].trim();
+      const to = arrow[1].trim();
+      if (!isTag(from) || !isTag(to)) {
+        throw new Error(`Invalid tag template line: ${line}`);
+      }
+      template.replace[from] = to;
+    } else if (arrow.length === 1 && line.startsWith('-') && line.length > 1 && !line.includes('=')) {
+      template.remove.push(line.slice(1).trim());
+    } else if (arrow.length === 1 && isTag(line)) {
+      const [k, v] = splitTag(line);
+      template.set[k] = v;
+    } else {
+      throw new Error(`Invalid tag template line: ${line}`);
+    }
+    isEmpty = false;
+  }
+
+  return isEmpty ? null : template;
+}
+
+
+// Turns a tag template back into its text form
+export function utilTagTemplateToText(template) {
+  if (!template) return '';
+  return [
+    ...Object.entries(template.replace ?? {}).map(([from, to]) => `${from} -> ${to}`),
+    ...(template.remove ?? []).map(k => `-${k}`),
+    ...Object.entries(template.set ?? {}).map(([k, v]) => `${k}=${v}`)
+  ].join('\n');
+}
+
+
+function splitTag(tag) {
+  const i = tag.indexOf('=');
+  return [tag.slice(0, i).trim(), tag.slice(i + 1).trim()];
+}
+
+
+function isTag(text) {
+  const i = text.indexOf('=');
+  return i > 0 && i < text.length - 1;
+}
+
+
+function clean(val) {
+  return val ? val.toString().trim() : null;
+}
@@ -38,6 +38,28 @@ export function utilHighlightEntities(ids, highlighted, context) {
 }
 
 
+// `utilDownloadFile`
+// Offers the given data to the user as a file download
+export function utilDownloadFile(data, fileName, type) {
+  let a = document.createElement('a');   // Create an invisible A element
+  a.style.display = 'none';
+  document.body.appendChild(a);
+
+  // Set the HREF to a Blob representation of the data to be downloaded
+  a.href = window.URL.createObjectURL(new Blob([data], type ? { type: type } : undefined));
+
+  // Use download attribute to set set desired file name
+  a.setAttribute('download', fileName);
+
+  // Trigger the download by simulating click
+  a.click();
+
+  // Cleanup
+  window.URL.revokeObjectURL(a.href);
+  document.body.removeChild(a);
+}
+
+
 // `utilSetTransform`
 // Applies a CSS transformation to the given selection
 export function utilSetTransform(selection, x, y, scale, rotate) {
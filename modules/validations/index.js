@@ -11,8 +11,13 @@ export { validationMismatchedGeometry } from './mismatched_geometry';
 export { validationMissingRole } from './missing_role';
 export { validationMissingTag } from './missing_tag';
 export { validationOutdatedTags } from './outdated_tags';
+export { validationOutsideTask } from './outside_task';
+export { validationOverlappingBuildings } from './overlapping_buildings';
 export { validationPrivateData } from './private_data';
+export { validationRouteRelation } from './route_relation';
 // export { validationShortRoad } from './short_road';
 export { validationYShapedConnection } from './y_shaped_connection';
 export { validationSuspiciousName } from './suspicious_name';
+export { validationTurnRestriction } from './turn_restriction';
 export { validationUnsquareWay } from './unsquare_way';
+export { validationUserRules } from './user_rules';
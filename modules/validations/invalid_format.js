@@ -1,12 +1,61 @@
-import { ValidationIssue } from '../core/lib';
+import { iso1A2Code } from '@rapideditor/country-coder';
 
+import { actionChangeTags } from '../actions/change_tags';
+import { utilParseOpeningHours } from '../util/opening_hours';
+import { ValidationIssue, ValidationFix } from '../core/lib';
 
+
+/**
+ * validationFormatting
+ * Checks the syntax of tag values that are meant to be machine readable,
+ * like `email`, `opening_hours`, `phone`, `maxspeed`, `colour` and dates.
+ * Where the intended value is clear, a fix offers to rewrite it in the expected format.
+ */
 export function validationFormatting(context) {
   const type = 'invalid_format';
   const l10n = context.systems.l10n;
+  let _phoneFormats = {};
+
+  // fetch example phone numbers, by country code
+  const dataLoaderSystem = context.systems.data;
+  dataLoaderSystem.getDataAsync('phone_formats')
+    .then(d => _phoneFormats = d)
+    .catch(() => { /* ignore */ });
+
+  // Each `validate` function returns `null` if the value is valid,
+  // or else `{ normalized, detail }` where `normalized` is the corrected value (or `null` if unclear),
+  // and `detail` is an optional `{ key, params }` localized string describing the problem.
+  const VALUE_CHECKS = [
+    { subtype: 'opening_hours', keys: /^(opening_hours(:(kitchen|drive_through))?|service_times|collection_times)$/, validate: checkOpeningHours },
+    { subtype: 'phone', keys: /^(contact:)?(phone|fax|mobile)$/, validate: checkPhone },
+    { subtype: 'maxspeed', keys: /^maxspeed(:(forward|backward|advisory|hgv))?$/, validate: checkMaxspeed },
+    { subtype: 'width', keys: /^(width|est_width)$/, validate: checkWidth },
+    { subtype: 'ele', keys: /^ele$/, validate: checkEle },
+    { subtype: 'colour', keys: /^([a-z_]+:)*colour$/, validate: checkColour },
+    { subtype: 'wikidata', keys: /^([a-z_]+:)*wikidata$/, validate: checkWikidata },
+    { subtype: 'date', keys: /^(([a-z_]+:)*(start_date|end_date|check_date)|opening_date|survey:date|construction:date)$/, validate: checkDate }
+  ];
 
+  // https://www.w3.org/TR/css-color-4/#named-colors
+  const CSS_COLOURS = new Set(`aliceblue antiquewhite aqua aquamarine azure beige bisque black blanchedalmond blue
+    blueviolet brown burlywood cadetblue chartreuse chocolate coral cornflowerblue cornsilk crimson cyan darkblue
+    darkcyan darkgoldenrod darkgray darkgreen darkgrey darkkhaki darkmagenta darkolivegreen darkorange darkorchid
+    darkred darksalmon darkseagreen darkslateblue darkslategray darkslategrey darkturquoise darkviolet deeppink
+    deepskyblue dimgray dimgrey dodgerblue firebrick floralwhite forestgreen fuchsia gainsboro ghostwhite gold
+    goldenrod gray green greenyellow grey honeydew hotpink indianred indigo ivory khaki lavender lavenderblush
+    lawngreen lemonchiffon lightblue lightcoral lightcyan lightgoldenrodyellow lightgray lightgreen lightgrey
+    lightpink lightsalmon lightseagreen lightskyblue lightslategray lightslategrey lightsteelblue lightyellow lime
+    limegreen linen magenta maroon mediumaquamarine mediumblue mediumorchid mediumpurple mediumseagreen
+    mediumslateblue mediumspringgreen mediumturquoise mediumvioletred midnightblue mintcream mistyrose moccasin
+    navajowhite navy oldlace olive olivedrab orange orangered orchid palegoldenrod palegreen paleturquoise
+    palevioletred papayawhip peachpuff peru pink plum powderblue purple rebeccapurple red rosybrown royalblue
+    saddlebrown salmon sandybrown seagreen seashell sienna silver skyblue slateblue slategray slategrey snow
+    springgreen steelblue tan teal thistle tomato turquoise violet wheat white whitesmoke yellow yellowgreen`.split(/\s+/));
 
-  let validation = function(entity) {
+  const MAXSPEED_KEYWORDS = ['none', 'signals', 'walk', 'variable'];
+
+
+  let validation = function(entity, graph) {
     let issues = [];
 
     function isValidEmail(email) {
@@ -94,9 +143,300 @@ export function validationFormatting(context) {
       }
     }
 
+    // Check the syntax of other values
+    for (const [k, v] of Object.entries(entity.tags)) {
+      const check = VALUE_CHECKS.find(check => check.keys.test(k));
+      if (!check) continue;
+
+      const result = check.validate(v.trim(), k, entity, graph);
+      if (result) {
+        issues.push(makeValueIssue(entity, check.subtype, k, v, result));
+      }
+    }
+
     return issues;
   };
 
+
+  function makeValueIssue(entity, subtype, key, value, result) {
+    const normalized = result.normalized;
+
+    return new ValidationIssue(context, {
+      type: type,
+      subtype: subtype,
+      severity: 'warning',
+      message: function() {
+        const entity = context.hasEntity(this.entityIds[0]);
+        return entity ? l10n.tHtml(`issues.invalid_format.${subtype}.message`,
+          { feature: l10n.displayLabel(entity, context.graph()), key: key }) : '';
+      },
+      reference: showReference,
+      entityIds: [entity.id],
+      hash: `${key}=${value}`,
+      data: { key: key, value: value, normalized: normalized },
+      dynamicFixes: function() {
+        if (!normalized) return [];
+
+        return [
+          new ValidationFix({
+            icon: 'rapid-icon-data',
+            title: l10n.tHtml('issues.fix.normalize_value.title'),
+            onClick: () => {
+              const entityID = this.entityIds[0];
+              const entity = context.hasEntity(entityID);
+              if (!entity || entity.tags[key] !== value) return;   // changed since the issue was found
+
+              const tags = Object.assign({}, entity.tags, { [key]: normalized });
+              context.perform(
+                actionChangeTags(entityID, tags),
+                l10n.t('issues.fix.normalize_value.annotation')
+              );
+            }
+          })
+        ];
+      }
+    });
+
+
+    // The values come from the user, so they're added as text, not html
+    function showReference(selection) {
+      let enter = selection.selectAll('.issue-reference')
+        .data([0])
+        .enter()
+        .append('div')
+        .attr('class', 'issue-reference');
+
+      enter
+        .append('div')
+        .html(l10n.tHtml(`issues.invalid_format.${subtype}.reference`));
+
+      if (result.detail) {
+        enter
+          .append('div')
+          .text(l10n.t(`issues.invalid_format.${subtype}.${result.detail.key}`, result.detail.params));
+      }
+
+      if (normalized) {
+        enter
+          .append('div')
+          .text(l10n.t('issues.invalid_format.suggestion', { value: normalized }));
+      }
+    }
+  }
+
+
+  // `opening_hours` and similar, see `utilParseOpeningHours` for the grammar
+  function checkOpeningHours(value) {
+    const result = utilParseOpeningHours(value);
+    if (!result.error) return null;
+
+    const error = result.error;
+    return {
+      normalized: result.normalized,
+      detail: (error.code === 'corrected') ? null : { key: `errors.${error.code}`, params: error.params }
+    };
+  }
+
+
+  // Phone numbers should be in the international format, e.g. `+44 20 7946 0000`.
+  // Numbers without the country code are only flagged if they have as many digits
+  // as the example number for the country, so that we can be sure how to fix them.
+  function checkPhone(value, key, entity, graph) {
+    let format;
+    const center = entity.extent(graph).center();
+    if (center.every(Number.isFinite)) {
+      const countryCode = iso1A2Code(center);
+      format = countryCode && _phoneFormats[countryCode.toLowerCase()];
+    }
+
+    const parts = value.split(';').map(s => s.trim());
+    let isValid = true;
+    let canFix = true;
+    const fixed = parts.map(part => {
+      const result = normalizePhone(part, format);
+      if (result !== part) {
+        isValid = false;
+        if (result === null) canFix = false;
+      }
+      return result;
+    });
+
+    if (isValid) return null;
+
+    return {
+      normalized: canFix ? fixed.join(';') : null,
+      detail: format ? { key: 'example', params: { example: format } } : null
+    };
+  }
+
+
+  // Returns the number if it looks valid, the corrected number, or `null` if it is invalid
+  function normalizePhone(number, format) {
+    const extension = number.match(/\s*(ext\.?|x)\s*\d+$/i);
+    const main = extension ? number.slice(0, extension.index) : number;
+
+    if (!/^\+?[\d\s\-()./]+$/.test(main)) return null;
+    const digits = main.replace(/\D/g, '');
+    if (digits.length < 3 || digits.length > 15) return null;   // E.164 numbers have at most 15 digits
+
+    if (main.startsWith('+') || !format) return number;
+
+    const countryCode = format.match(/^\+(\d+)/)[1];
+    if (main.startsWith('00') && countryCode !== '1') {   // `00` is the usual international prefix, except in North America
+      return '+' + number.slice(2).trim();
+    }
+    if (extension) return number;
+
+    // Fill the digits into the example number, after dropping a trunk prefix like `0`
+    const template = format.slice(countryCode.length + 1);
+    const templateDigits = template.replace(/\D/g, '');
+    let national = digits;
+    if (national.startsWith('0') && !templateDigits.startsWith('0')) {
+      national = national.slice(1);
+    }
+    if (national.length !== templateDigits.length) return number;   // maybe a short or special number
+
+    let i = 0;
+    return `+${countryCode}` + template.replace(/\d/g, () => national[i++]);
+  }
+
+
+  // `maxspeed` is in km/h unless a unit is given, e.g. `50`, `30 mph`, `none`, `DE:urban`
+  function checkMaxspeed(value) {
+    if (/^(\d+(\.\d+)?( (mph|knots))?|[A-Z]{2}(-[A-Z0-9]{1,3})?:[a-z0-9_:]+)$/.test(value)) return null;
+    if (MAXSPEED_KEYWORDS.includes(value)) return null;
+
+    const keyword = value.toLowerCase();
+    if (MAXSPEED_KEYWORDS.includes(keyword)) return { normalized: keyword };
+
+    const match = value.match(/^(\d+(?:[.,]\d+)?)\s*(km\/h|kmh|kph|mph|knots|kn)?$/i);
+    if (!match) return { normalized: null };
+
+    const number = match[1].replace(',', '.');
+    const unit = (match[2] || '').toLowerCase();
+    if (unit === 'mph') return { normalized: `${number} mph` };
+    if (unit === 'knots' || unit === 'kn') return { normalized: `${number} knots` };
+    return { normalized: number };
+  }
+
+
+  // `width` is in metres unless a unit is given, e.g. `3.5`, `12 ft`, `6'8"`
+  function checkWidth(value) {
+    if (/^\d+(\.\d+)?( (m|km|mi|nmi|ft))?$/.test(value) || /^\d+'(\d+")?$/.test(value)) return null;
+    return { normalized: normalizeMetres(value, /^(\d+(?:[.,]\d+)?)\s*(m|meters?|metres?)?$/i) };
+  }
+
+
+  // `ele` is in metres above sea level, without a unit
+  function checkEle(value) {
+    if (/^-?\d+(\.\d+)?$/.test(value)) return null;
+    return { normalized: normalizeMetres(value, /^(-?\d+(?:[.,]\d+)?)\s*(m|meters?|metres?|m\.?\s*a\.?s\.?l\.?|masl)?$/i) };
+  }
+
+
+  // Returns the number from a value in metres, or `null` if it doesn't match.
+  // A decimal comma is only replaced if it can't be a thousands separator, e.g. `2,5` but not `2,500`.
+  function normalizeMetres(value, re) {
+    const match = value.match(re);
+    if (!match) return null;
+
+    const number = match[1];
+    if (/,\d{3}$/.test(number)) return null;
+    return number.replace(',', '.');
+  }
+
+
+  // `colour` is a hex colour or a CSS colour name, e.g. `#ff0000` or `red`, multiple values are separated by `;`
+  function checkColour(value) {
+    const parts = value.split(';').map(s => s.trim());
+    if (parts.every(part => /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(part) || CSS_COLOURS.has(part))) return null;
+
+    const fixed = parts.map(part => {
+      if (/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.test(part)) {
+        return part.startsWith('#') ? part : `#${part}`;
+      }
+      const name = part.toLowerCase().replace(/[\s_-]/g, '');
+      return CSS_COLOURS.has(name) ? name : null;
+    });
+    return { normalized: fixed.includes(null) ? null : fixed.join(';') };
+  }
+
+
+  // `wikidata` is an item id, e.g. `Q64`, multiple values are separated by `;`
+  function checkWikidata(value) {
+    const parts = value.split(';').map(s => s.trim());
+    if (parts.every(part => /^Q[1-9]\d*$/.test(part))) return null;
+
+    const fixed = parts.map(part => {
+      const match = part.match(/^(?:https?:\/\/(?:www\.|m\.)?wikidata\.org\/(?:wiki|entity)\/)?([qQ][1-9]\d*)\/?$/);
+      return match ? match[1].toUpperCase() : null;
+    });
+    return { normalized: fixed.includes(null) ? null : fixed.join(';') };
+  }
+
+
+  // Dates are written as `YYYY-MM-DD`, `YYYY-MM` or `YYYY`.
+  // Most date keys also allow approximate dates like `~1850`, `before 1900`, `late 1920s`, `C18`, and ranges like `1914..1918`.
+  // https://wiki.openstreetmap.org/wiki/Key:start_date
+  function checkDate(value, key) {
+    const isStrict = /check_date$/.test(key);
+    if (isStrict ? isValidYMD(value) : isValidDateRange(value)) return null;
+
+    let match;
+    if ((match = value.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/))) {
+      return { normalized: formatYMD(match[1], match[2], match[3]) };
+    }
+    if ((match = value.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})$/))) {   // day.month.year
+      return { normalized: formatYMD(match[3], match[2], match[1]) };
+    }
+    if ((match = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/))) {   // day/month/year or month/day/year
+      const a = parseInt(match[1], 10);
+      const b = parseInt(match[2], 10);
+      if (a > 12 && b <= 12) return { normalized: formatYMD(match[3], match[2], match[1]) };
+      if (b > 12 && a <= 12) return { normalized: formatYMD(match[3], match[1], match[2]) };
+    }
+    return { normalized: null };
+  }
+
+
+  function isValidDateRange(value) {
+    const parts = value.split('..').map(s => s.trim());
+    if (parts.length > 2) return false;
+    return parts.every(part => isValidApproximateDate(part));
+  }
+
+
+  function isValidApproximateDate(value) {
+    const match = value.match(/^(~|(before|after|early|mid|late) )?(.+)$/);
+    if (!match) return false;
+    const date = match[3];
+    return isValidYMD(date) || /^\d{3}0s$/.test(date) || /^C\d{1,2}$/.test(date);
+  }
+
+
+  function isValidYMD(value) {
+    const match = value.match(/^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/);
+    if (!match) return false;
+    if (match[2] === undefined) return true;
+
+    const year = parseInt(match[1], 10);
+    const month = parseInt(match[2], 10);
+    if (month < 1 || month > 12) return false;
+    if (match[3] === undefined) return true;
+
+    const day = parseInt(match[3], 10);
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    return day >= 1 && day <= daysInMonth;
+  }
+
+
+  // Returns `YYYY-MM-DD`, or `null` if it isn't a real date
+  function formatYMD(year, month, day) {
+    const result = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+    return isValidYMD(result) ? result : null;
+  }
+
+
   validation.type = type;
 
   return validation;
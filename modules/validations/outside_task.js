@@ -0,0 +1,73 @@
+import { ValidationIssue } from '../core/lib';
+
+
+/**
+ * validationOutsideTask
+ * Flags the user's edits that leave the area of the task they are working on, see `RapidSystem.taskPolygon`.
+ * Nodes that were added or moved outside of the task are checked, so existing features that
+ * already extend into the neighbouring tasks are only flagged if the user changed their shape there.
+ */
+export function validationOutsideTask(context) {
+  const type = 'outside_task';
+  const l10n = context.systems.l10n;
+
+
+  const validation = function checkOutsideTask(entity, graph) {
+    const rapid = context.systems.rapid;
+    if (!rapid?.taskPolygon) return [];
+
+    let nodes;
+    if (entity.type === 'node') {
+      if (graph.parentWays(entity).length) return [];   // vertices are checked with their parent ways
+      nodes = [entity];
+    } else if (entity.type === 'way') {
+      nodes = graph.childNodes(entity);
+    } else {
+      return [];
+    }
+
+    // Only the nodes that the user has added or changed count
+    const outside = nodes.filter(node => isEdited(node) && !rapid.taskContains(node.loc));
+    if (!outside.length) return [];
+
+    const crossing = nodes.some(node => rapid.taskContains(node.loc));
+    const subtype = crossing ? 'crossing' : 'outside';
+    const entityID = entity.id;
+
+    return [new ValidationIssue(context, {
+      type: type,
+      subtype: subtype,
+      severity: 'warning',
+      message: () => {
+        const entity = context.hasEntity(entityID);
+        return entity ? l10n.tHtml(`issues.outside_task.${subtype}.message`, {
+          feature: l10n.displayLabel(entity, context.graph(), true /* verbose */)
+        }) : '';
+      },
+      reference: showReference,
+      entityIds: [entityID],
+      loc: outside[0].loc,
+      hash: subtype
+    })];
+
+
+    function showReference(selection) {
+      selection.selectAll('.issue-reference')
+        .data([0])
+        .enter()
+        .append('div')
+        .attr('class', 'issue-reference')
+        .html(l10n.tHtml(`issues.outside_task.${subtype}.reference`));
+    }
+  };
+
+
+  function isEdited(entity) {
+    return entity.v !== undefined || entity.isNew();
+  }
+
+
+  validation.type = type;
+
+  return validation;
+}
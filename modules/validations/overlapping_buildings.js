@@ -0,0 +1,186 @@
+import polygonClipping from 'polygon-clipping';
+
+import { actionChangeTags } from '../actions/change_tags';
+import { actionDeleteWay } from '../actions/delete_way';
+import { operationDelete } from '../operations/index';
+import { ValidationIssue, ValidationFix } from '../core/lib';
+
+
+/**
+ * validationOverlappingBuildings
+ * Flags buildings on the same layer that overlap each other by more than a threshold,
+ * measured as a percent of the smaller building.  The threshold is set by the user in the issues pane.
+ * These are often footprints that were added on top of existing buildings, for example from a Rapid dataset.
+ */
+export function validationOverlappingBuildings(context) {
+  const type = 'overlapping_buildings';
+  const l10n = context.systems.l10n;
+  const DEFAULT_OVERLAP_PERCENT = 20;   // see also validation_rules.js
+  const DUPLICATE_PERCENT = 90;         // buildings that overlap each other this much are duplicates
+
+
+  function isBuilding(entity, graph) {
+    if (entity.type !== 'way' || !entity.isClosed() || entity.geometry(graph) !== 'area') return false;
+    return entity.tags.building && entity.tags.building !== 'no';
+  }
+
+
+  const validation = function checkOverlappingBuildings(entity, graph) {
+    if (!isBuilding(entity, graph)) return [];
+
+    // user-configurable overlap threshold
+    const storageSystem = context.systems.storage;
+    const storedPercent = storageSystem.getItem('validate-overlap-percent');
+    const thresholdPercent = (storedPercent === null || isNaN(storedPercent)) ? DEFAULT_OVERLAP_PERCENT : parseFloat(storedPercent);
+
+    const ring = graph.childNodes(entity).map(node => node.loc);
+    const area = ringArea(ring);
+    if (!area) return [];
+
+    const tree = context.systems.edits.tree();
+    let issues = [];
+
+    for (const other of tree.intersects(entity.extent(graph), graph)) {
+      if (other.id === entity.id || !isBuilding(other, graph)) continue;
+      if ((entity.tags.layer || '0') !== (other.tags.layer || '0')) continue;   // e.g. a building over a passage
+
+      const otherRing = graph.childNodes(other).map(node => node.loc);
+      const otherArea = ringArea(otherRing);
+      if (!otherArea) continue;
+
+      let overlapArea = 0;
+      try {
+        overlapArea = multiPolygonArea(polygonClipping.intersection([ring], [otherRing]));
+      } catch (e) {
+        continue;   // self-intersecting buildings can't be clipped, they have other issues
+      }
+
+      const percent = 100 * overlapArea / Math.min(area, otherArea);
+      if (percent <= thresholdPercent) continue;
+
+      const isDuplicate = (100 * overlapArea / Math.max(area, otherArea)) >= DUPLICATE_PERCENT;
+      issues.push(makeIssue(entity, other, graph, isDuplicate ? 'duplicate' : 'overlapping'));
+    }
+
+    return issues;
+  };
+
+
+  function makeIssue(entity, other, graph, subtype) {
+    // The newer building is the one to delete or merge, the one the user added, or else the one they edited most recently
+    const [newer, older] = isNewer(entity, other) ? [entity, other] : [other, entity];
+    const newerID = newer.id;
+    const olderID = older.id;
+
+    return new ValidationIssue(context, {
+      type: type,
+      subtype: subtype,
+      severity: 'warning',
+      message: function() {
+        const graph = context.graph();
+        const newer = graph.hasEntity(newerID);
+        const older = graph.hasEntity(olderID);
+        return (newer && older) ? l10n.tHtml(`issues.overlapping_buildings.${subtype}.message`, {
+          feature: l10n.displayLabel(newer, graph),
+          feature2: l10n.displayLabel(older, graph)
+        }) : '';
+      },
+      reference: showReference,
+      entityIds: [newerID, olderID],
+      loc: newer.extent(graph).center(),
+      dynamicFixes: () => {
+        let fixes = [];
+
+        if (!operationDelete(context, [newerID]).disabled()) {
+          fixes.push(new ValidationFix({
+            icon: 'rapid-operation-delete',
+            title: l10n.tHtml('issues.fix.delete_newer_building.title'),
+            entityIds: [newerID],
+            onClick: () => {
+              const operation = operationDelete(context, [newerID]);
+              if (!operation.disabled()) {
+                operation();
+              }
+            }
+          }));
+
+          fixes.push(new ValidationFix({
+            icon: 'rapid-operation-merge',
+            title: l10n.tHtml('issues.fix.merge_building_tags.title'),
+            entityIds: [newerID, olderID],
+            onClick: () => {
+              const graph = context.graph();
+              const newer = graph.hasEntity(newerID);
+              const older = graph.hasEntity(olderID);
+              if (!newer || !older) return;
+
+              const tags = Object.assign({}, newer.tags, older.tags);   // the older building's tags win
+              context.perform(
+                graph => actionDeleteWay(newerID)(actionChangeTags(olderID, tags)(graph)),
+                l10n.t('issues.fix.merge_building_tags.annotation')
+              );
+              context.enter('select-osm', { selectedIDs: [olderID] });
+            }
+          }));
+        }
+
+        fixes.push(new ValidationFix({
+          title: l10n.tHtml('issues.fix.select_both.title'),
+          entityIds: [newerID, olderID],
+          onClick: () => {
+            const graph = context.graph();
+            if (!graph.hasEntity(newerID) || !graph.hasEntity(olderID)) return;
+            context.enter('select-osm', { selectedIDs: [newerID, olderID] });
+          }
+        }));
+
+        return fixes;
+      }
+    });
+
+
+    function showReference(selection) {
+      selection.selectAll('.issue-reference')
+        .data([0])
+        .enter()
+        .append('div')
+        .attr('class', 'issue-reference')
+        .html(l10n.tHtml(`issues.overlapping_buildings.${subtype}.reference`));
+    }
+  }
+
+
+  function isNewer(entity, other) {
+    if (entity.isNew() !== other.isNew()) return entity.isNew();
+    if ((entity.v || 0) !== (other.v || 0)) return (entity.v || 0) > (other.v || 0);
+    return entity.id > other.id;   // so that both buildings agree on which is newer
+  }
+
+
+  validation.type = type;
+
+  return validation;
+}
+
+
+// Area of a ring of [lon,lat] coordinates, in square degrees.
+// Only used to compare areas that are close to each other, so the distortion doesn't matter.
+function ringArea(ring) {
+  let sum = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    sum += (ring[j][0] * ring[i][1]) - (ring[i][0] * ring[j][1]);
+  }
+  return Math.abs(sum / 2);
+}
+
+
+function multiPolygonArea(coords) {
+  let area = 0;
+  for (const [outer, ...inners] of coords) {
+    area += ringArea(outer);
+    for (const inner of inners) {
+      area -= ringArea(inner);
+    }
+  }
+  return area;
+}
@@ -0,0 +1,341 @@
+import { geoSphericalDistance } from '@rapid-sdk/math';
+
+import { actionChangeMember } from '../actions/change_member';
+import { actionDeleteMember } from '../actions/delete_member';
+import { actionSortMembers } from '../actions/sort_members';
+import { osmRelation } from '../osm/relation';
+import { ValidationIssue, ValidationFix } from '../core/lib';
+
+
+/**
+ * validationRouteRelation
+ * Checks that the ways of a `type=route` relation make a continuous route: they should connect
+ * to each other in the order that they are listed, and not travel against a one-way road.
+ * Public transport routes (PTv2) should list their stops and platforms before the ways,
+ * and only the nodes on the route should have the `stop` role.
+ * Route masters should only contain the routes of their line.
+ */
+export function validationRouteRelation(context) {
+  const type = 'route_relation';
+  const l10n = context.systems.l10n;
+
+  // Routes that follow the one-way restrictions, and the `oneway:*` keys that can exempt them
+  const ONEWAY_EXEMPTIONS = {
+    bicycle:    ['bicycle'],
+    bus:        ['bus', 'psv'],
+    coach:      ['coach', 'psv'],
+    minibus:    ['minibus', 'psv'],
+    mtb:        ['bicycle'],
+    road:       [],
+    share_taxi: ['share_taxi', 'psv'],
+    trolleybus: ['trolleybus', 'psv']
+  };
+
+
+  const validation = function checkRouteRelation(entity, graph) {
+    if (entity.type !== 'relation') return [];
+
+    if (entity.tags.type === 'route_master') {
+      return checkRouteMaster(entity, graph);
+    } else if (entity.tags.type === 'route') {
+      let issues = [];
+      if (entity.tags['public_transport:version'] === '2') {
+        issues = issues.concat(checkStops(entity, graph));
+      }
+      return issues.concat(checkWays(entity, graph));
+    }
+
+    return [];
+  };
+
+
+  // The ways that the route travels along, in member order (platforms can be ways too)
+  function routeWayMembers(relation) {
+    return relation.indexedMembers().filter(member => {
+      return member.type === 'way' && !osmRelation.isStopRole(member.role);
+    });
+  }
+
+
+  // Forward and backward members are used where the route splits, like along a dual carriageway.
+  function isOneDirection(member) {
+    return member.role === 'forward' || member.role === 'backward';
+  }
+
+
+  // Returns the indexes of the ways that don't share a node with the way after them.
+  // A run of forward and backward ways is checked as a single piece, because the two
+  //  directions branch apart and rejoin, so they don't make one chain in member order.
+  function findGaps(members, ways) {
+    let pieces = [];   // Arrays of way indexes
+    for (let i = 0; i < ways.length; i++) {
+      const prev = pieces.at(-1);
+      if (prev && isOneDirection(members[i]) && isOneDirection(members[prev[0]])) {
+        prev.push(i);
+      } else {
+        pieces.push([i]);
+      }
+    }
+
+    let gaps = [];
+    for (let p = 0; p < pieces.length - 1; p++) {
+      const nodeIDs = new Set(pieces[p].flatMap(i => ways[i].nodes));
+      if (!pieces[p + 1].some(i => ways[i].nodes.some(nodeID => nodeIDs.has(nodeID)))) {
+        gaps.push(pieces[p].at(-1));
+      }
+    }
+    return gaps;
+  }
+
+
+  function checkWays(relation, graph) {
+    const members = routeWayMembers(relation);
+    if (members.some(member => !graph.hasEntity(member.id))) return [];   // can't check a partially downloaded route
+
+    const ways = members.map(member => graph.entity(member.id));
+    const gaps = findGaps(members, ways);
+
+    if (gaps.length) {
+      // If sorting the members closes some of the gaps, they are just out of order
+      const sorted = relation.sortRouteMembers(graph);
+      const sortedMembers = routeWayMembers(sorted);
+      const sortedWays = sortedMembers.map(member => graph.entity(member.id));
+      if (findGaps(sortedMembers, sortedWays).length < gaps.length) {
+        return [makeIssue('order', relation, [], { dynamicFixes: makeSortFixes })];
+      }
+
+      return gaps.map(i => makeIssue('gap', relation, [ways[i].id, ways[i + 1].id], {
+        loc: gapLoc(ways[i], ways[i + 1], graph),
+        hash: members[i].index.toString()
+      }));
+    }
+
+    return checkOneways(relation, members, ways, graph);
+  }
+
+
+  function checkOneways(relation, members, ways, graph) {
+    const exemptions = ONEWAY_EXEMPTIONS[relation.tags.route];
+    if (!exemptions) return [];
+
+    let issues = [];
+    for (let i = 0; i < ways.length; i++) {
+      const way = ways[i];
+      if (isOneDirection(members[i])) continue;  // already says which direction is used
+      if (way.isClosed()) continue;   // roundabouts can be entered anywhere
+
+      const oneway = onewayDirection(way, exemptions);
+      if (!oneway) continue;
+
+      // Which way does the route travel along this way, judging by where it connects?
+      const nodes = way.nodes;
+      const last = nodes.length - 1;
+      const entry = (i > 0) ? nodes.findIndex(nodeID => ways[i - 1].nodes.includes(nodeID)) : -1;
+      const exit = (i < ways.length - 1) ? nodes.findIndex(nodeID => ways[i + 1].nodes.includes(nodeID)) : -1;
+
+      let travel = 0;
+      if (entry !== -1 && exit !== -1) {
+        travel = Math.sign(exit - entry);
+      } else if (exit !== -1) {
+        travel = (exit === last) ? 1 : (exit === 0) ? -1 : 0;
+      } else if (entry !== -1) {
+        travel = (entry === 0) ? 1 : (entry === last) ? -1 : 0;
+      }
+
+      if (travel && travel !== oneway) {
+        issues.push(makeIssue('oneway', relation, [way.id], {
+          loc: way.extent(graph).center(),
+          hash: members[i].index.toString()
+        }));
+      }
+    }
+
+    return issues;
+  }
+
+
+  // Returns 1 for a one-way way, -1 for a one-way way in the reverse direction, or 0
+  function onewayDirection(way, exemptions) {
+    if (exemptions.some(k => way.tags[`oneway:${k}`] === 'no')) return 0;
+
+    const oneway = way.tags.oneway;
+    if (oneway === 'yes' || oneway === '1' || oneway === 'true') return 1;
+    if (oneway === '-1' || oneway === 'reverse') return -1;
+    return 0;
+  }
+
+
+  function checkStops(relation, graph) {
+    const members = relation.indexedMembers();
+    let issues = [];
+
+    const firstWay = members.findIndex(member => member.type === 'way' && !osmRelation.isStopRole(member.role));
+    if (firstWay !== -1 && members.some((member, i) => i > firstWay && osmRelation.isStopRole(member.role))) {
+      issues.push(makeIssue('stop_order', relation, [], { dynamicFixes: makeSortFixes }));
+    }
+
+    // Without all of the ways, we can't tell which nodes are on the route
+    const wayMembers = routeWayMembers(relation);
+    if (wayMembers.some(member => !graph.hasEntity(member.id))) return issues;
+
+    let routeNodeIDs = new Set();
+    for (const member of wayMembers) {
+      for (const nodeID of graph.entity(member.id).nodes) {
+        routeNodeIDs.add(nodeID);
+      }
+    }
+
+    for (const member of members) {
+      if (!osmRelation.isStopRole(member.role)) continue;
+      const entity = graph.hasEntity(member.id);
+      if (!entity) continue;
+
+      const isStop = member.role.startsWith('stop');
+      const isOnRoute = entity.type === 'node' && routeNodeIDs.has(entity.id);
+      const subtype = (isStop && !isOnRoute) ? 'stop_not_on_route' : (!isStop && isOnRoute) ? 'platform_on_route' : null;
+      if (!subtype) continue;
+
+      issues.push(makeIssue(subtype, relation, [entity.id], {
+        data: { member: member },
+        hash: member.index.toString(),
+        dynamicFixes: makeRoleFixes
+      }));
+    }
+
+    return issues;
+  }
+
+
+  function checkRouteMaster(relation, graph) {
+    let issues = [];
+    for (const member of relation.indexedMembers()) {
+      const entity = graph.hasEntity(member.id);
+      if (!entity) continue;
+
+      const isRoute = entity.type === 'relation' && entity.tags.type === 'route';
+      const isSameMode = !relation.tags.route_master || entity.tags.route === relation.tags.route_master;
+      if (isRoute && isSameMode) continue;
+
+      issues.push(makeIssue('route_master', relation, [entity.id], {
+        data: { member: member },
+        hash: member.index.toString(),
+        dynamicFixes: makeRemoveFixes
+      }));
+    }
+    return issues;
+  }
+
+
+  function makeIssue(subtype, relation, memberIDs, props) {
+    const relationID = relation.id;
+
+    return new ValidationIssue(context, Object.assign({
+      type: type,
+      subtype: subtype,
+      severity: 'warning',
+      message: () => {
+        const graph = context.graph();
+        const relation = graph.hasEntity(relationID);
+        const members = memberIDs.map(id => graph.hasEntity(id));
+        if (!relation || members.some(member => !member)) return '';
+
+        return l10n.tHtml(`issues.route_relation.${subtype}.message`, {
+          feature: l10n.displayLabel(relation, graph),
+          member: members[0] && l10n.displayLabel(members[0], graph),
+          member2: members[1] && l10n.displayLabel(members[1], graph)
+        });
+      },
+      reference: showReference,
+      entityIds: [relationID, ...memberIDs]
+    }, props));
+
+
+    function showReference(selection) {
+      selection.selectAll('.issue-reference')
+        .data([0])
+        .enter()
+        .append('div')
+        .attr('class', 'issue-reference')
+        .html(l10n.tHtml(`issues.route_relation.${subtype}.reference`));
+    }
+  }
+
+
+  // The fixes below are called with `this` bound to the issue
+
+  function makeSortFixes() {
+    const relationID = this.entityIds[0];
+    return [
+      new ValidationFix({
+        icon: 'rapid-icon-relation',
+        title: l10n.tHtml('issues.fix.sort_members.title'),
+        onClick: () => {
+          if (!context.hasEntity(relationID)) return;
+          context.perform(actionSortMembers(relationID), l10n.t('issues.fix.sort_members.annotation'));
+        }
+      })
+    ];
+  }
+
+
+  function makeRoleFixes() {
+    const relationID = this.entityIds[0];
+    const oldMember = this.data.member;
+    const isStop = oldMember.role.startsWith('stop');
+    const role = isStop ? oldMember.role.replace(/^stop/, 'platform') : oldMember.role.replace(/^platform/, 'stop');
+
+    return [
+      new ValidationFix({
+        title: l10n.tHtml(`issues.fix.set_as_${isStop ? 'platform' : 'stop'}.title`),
+        onClick: () => {
+          const member = { id: oldMember.id, type: oldMember.type, role: role };
+          context.perform(
+            actionChangeMember(relationID, member, oldMember.index),
+            l10n.t('operations.change_role.annotation', { n: 1 })
+          );
+        }
+      }),
+      ...makeRemoveFixes.call(this)
+    ];
+  }
+
+
+  function makeRemoveFixes() {
+    const relationID = this.entityIds[0];
+    const member = this.data.member;
+    return [
+      new ValidationFix({
+        icon: 'rapid-operation-delete',
+        title: l10n.tHtml('issues.fix.remove_from_relation.title'),
+        onClick: () => {
+          context.perform(
+            actionDeleteMember(relationID, member.index),
+            l10n.t('operations.delete_member.annotation', { n: 1 })
+          );
+        }
+      })
+    ];
+  }
+
+
+  // Where the gap between the end of way `a` and way `b` is
+  function gapLoc(a, b, graph) {
+    let result = null;
+    let min = Infinity;
+    for (const nodeA of [graph.entity(a.first()), graph.entity(a.last())]) {
+      for (const nodeB of [graph.entity(b.first()), graph.entity(b.last())]) {
+        const dist = geoSphericalDistance(nodeA.loc, nodeB.loc);
+        if (dist < min) {
+          min = dist;
+          result = nodeA.loc;
+        }
+      }
+    }
+    return result;
+  }
+
+
+  validation.type = type;
+
+  return validation;
+}
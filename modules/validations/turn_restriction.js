@@ -0,0 +1,238 @@
+import { actionChangeMember } from '../actions/change_member';
+import { actionDeleteRelation } from '../actions/delete_relation';
+import { osmInferRestriction, osmIntersection } from '../osm/intersection';
+import { ValidationIssue, ValidationFix } from '../core/lib';
+
+
+/**
+ * validationTurnRestriction
+ * Checks `type=restriction` relations:  they should have `from`, `via` and `to` members,
+ * a known `restriction=*` value, and the `from` and `to` ways should start or end at the `via`.
+ * Restrictions often break when the ways in them are merged, so that they no longer end at the via node.
+ * Those can usually be repaired by splitting the ways at the via node again, like the turn restriction field does.
+ */
+export function validationTurnRestriction(context) {
+  const type = 'turn_restriction';
+  const l10n = context.systems.l10n;
+
+  const TURNS = ['left_turn', 'right_turn', 'straight_on', 'u_turn'];
+  const RESTRICTIONS = new Set([
+    ...TURNS.map(turn => `no_${turn}`),
+    ...TURNS.map(turn => `only_${turn}`),
+    'no_entry', 'no_exit'
+  ]);
+
+
+  const validation = function checkTurnRestriction(entity, graph) {
+    if (entity.type !== 'relation' || !entity.isRestriction()) return [];
+
+    let issues = [];
+
+    const values = restrictionValues(entity);
+    if (!values.length || values.some(value => !RESTRICTIONS.has(value))) {
+      issues.push(makeIssue('unknown_type', entity, []));
+    }
+
+    if (!hasRequiredMembers(entity, values)) {
+      issues.push(makeIssue('missing_member', entity, []));
+      return issues;
+    }
+
+    if (!entity.isComplete(graph)) return issues;   // can't check the geometry of a partially downloaded restriction
+
+    const problem = checkConnections(entity, graph);
+    if (problem) {
+      issues.push(makeIssue(problem.subtype, entity, problem.wayIDs, problem.loc));
+    }
+
+    return issues;
+  };
+
+
+  // The `restriction` and `restriction:<mode>` values, e.g. `restriction:hgv=no_left_turn`
+  function restrictionValues(relation) {
+    let values = [];
+    for (const [k, v] of Object.entries(relation.tags)) {
+      if (k === 'restriction' || (/^restriction:/.test(k) && k !== 'restriction:conditional')) {
+        values.push(v.trim());
+      } else if (k === 'restriction:conditional') {
+        for (const part of v.split(';')) {
+          values.push(part.split('@')[0].trim());   // e.g. `no_right_turn @ (Mo-Fr 07:00-09:00)`
+        }
+      }
+    }
+    return values;
+  }
+
+
+  // Like `osmRelation.isValidRestriction`, but without checking the restriction type
+  function hasRequiredMembers(relation, values) {
+    const froms = relation.membersByRole('from');
+    const vias = relation.membersByRole('via');
+    const tos = relation.membersByRole('to');
+
+    if (!froms.length || (froms.length > 1 && !values.includes('no_entry'))) return false;
+    if (!tos.length || (tos.length > 1 && !values.includes('no_exit'))) return false;
+    if (froms.some(m => m.type !== 'way') || tos.some(m => m.type !== 'way')) return false;
+    if (!vias.length) return false;
+    if (vias.length > 1 && vias.some(m => m.type !== 'way')) return false;
+    return vias[0].type === 'node' || vias[0].type === 'way';
+  }
+
+
+  // Returns the first broken connection between the members, as `{ subtype, wayIDs, loc }`
+  //  'disconnected' - a from or to way doesn't touch the via, or the via ways don't connect
+  //  'not_split'    - a from or to way passes through the via, instead of starting or ending there
+  function checkConnections(relation, graph) {
+    const vias = relation.membersByRole('via').map(m => graph.entity(m.id));
+    const ends = relation.membersByRole('from').concat(relation.membersByRole('to')).map(m => graph.entity(m.id));
+
+    if (vias[0].type === 'node') {
+      const via = vias[0];
+      for (const way of ends) {
+        if (!way.contains(via.id)) {
+          return { subtype: 'disconnected', wayIDs: [way.id], loc: via.loc };
+        }
+        if (way.first() !== via.id && way.last() !== via.id) {
+          return { subtype: 'not_split', wayIDs: [way.id], loc: via.loc };
+        }
+      }
+      return null;
+    }
+
+    for (let i = 0; i < vias.length - 1; i++) {
+      if (!sharedEndpoint(vias[i], vias[i + 1])) {
+        return { subtype: 'disconnected', wayIDs: [vias[i].id, vias[i + 1].id] };
+      }
+    }
+    for (const way of ends) {
+      if (vias.some(via => sharedEndpoint(way, via))) continue;
+      const touches = vias.some(via => via.nodes.some(nodeID => way.contains(nodeID)));
+      return { subtype: touches ? 'not_split' : 'disconnected', wayIDs: [way.id] };
+    }
+    return null;
+  }
+
+
+  function sharedEndpoint(a, b) {
+    return [a.first(), a.last()].some(nodeID => nodeID === b.first() || nodeID === b.last());
+  }
+
+
+  function makeIssue(subtype, relation, wayIDs, loc) {
+    const relationID = relation.id;
+
+    return new ValidationIssue(context, {
+      type: type,
+      subtype: subtype,
+      severity: 'warning',
+      message: () => {
+        const graph = context.graph();
+        const relation = graph.hasEntity(relationID);
+        return relation ? l10n.tHtml(`issues.turn_restriction.${subtype}.message`, {
+          feature: l10n.displayLabel(relation, graph)
+        }) : '';
+      },
+      reference: showReference,
+      entityIds: [relationID, ...wayIDs],
+      loc: loc,
+      dynamicFixes: () => {
+        let fixes = [];
+
+        if (subtype === 'not_split' && repairActions(context.graph(), relationID)) {
+          fixes.push(new ValidationFix({
+            icon: 'rapid-operation-split',
+            title: l10n.tHtml('issues.fix.split_at_via.title'),
+            onClick: () => {
+              const actions = repairActions(context.graph(), relationID);
+              if (!actions) return;
+              context.perform(
+                graph => actions.reduce((graph, action) => action(graph), graph),
+                l10n.t('issues.fix.split_at_via.annotation')
+              );
+            }
+          }));
+        }
+
+        fixes.push(new ValidationFix({
+          icon: 'rapid-operation-delete',
+          title: l10n.tHtml('issues.fix.delete_restriction.title'),
+          onClick: () => {
+            if (!context.hasEntity(relationID)) return;
+            context.perform(
+              actionDeleteRelation(relationID),
+              l10n.t('operations.delete.annotation.relation')
+            );
+          }
+        }));
+
+        return fixes;
+      }
+    });
+
+
+    function showReference(selection) {
+      selection.selectAll('.issue-reference')
+        .data([0])
+        .enter()
+        .append('div')
+        .attr('class', 'issue-reference')
+        .html(l10n.tHtml(`issues.turn_restriction.${subtype}.reference`));
+    }
+  }
+
+
+  // Returns the actions that split the from and to ways at the via node, and then
+  // pick the parts of them that make the restricted turn, or `null` if we can't tell which.
+  // `osmIntersection` does the splitting in its virtual graph, and gives us the actions
+  // to replay on the real graph (so the new ways get the same ids as in the virtual graph).
+  function repairActions(graph, relationID) {
+    const relation = graph.hasEntity(relationID);
+    if (!relation) return null;
+
+    const from = relation.memberByRole('from');
+    const to = relation.memberByRole('to');
+    const vias = relation.membersByRole('via');
+    if (!from || !to || vias.length !== 1 || vias[0].type !== 'node') return null;
+
+    const turn = (relation.tags.restriction || '').replace(/^(no|only)_/, '');
+    if (!TURNS.includes(turn)) return null;
+
+    const viaID = vias[0].id;
+    const intersection = osmIntersection(graph, viaID);
+    const vgraph = intersection.graph;
+    const via = vgraph.hasEntity(viaID);
+    if (!via) return null;
+
+    // The parts of a way that touch the via node, after it was split there
+    function partsOf(wayID) {
+      const way = graph.entity(wayID);
+      return vgraph.parentWays(via).filter(part => {
+        return part.id === wayID || (!graph.hasEntity(part.id) && part.nodes.every(nodeID => way.contains(nodeID)));
+      });
+    }
+
+    let matches = [];
+    for (const fromPart of partsOf(from.id)) {
+      const toIDs = new Set(partsOf(to.id).map(part => part.id));
+      for (const t of intersection.turns(fromPart.id, 0)) {
+        if (t.via.node !== viaID || !toIDs.has(t.to.way)) continue;
+        if (osmInferRestriction(vgraph, t, context.projection) === `no_${turn}`) {
+          matches.push(t);
+        }
+      }
+    }
+    if (matches.length !== 1) return null;
+
+    const match = matches[0];
+    return intersection.actions.concat([
+      actionChangeMember(relationID, { id: match.from.way }, from.index),
+      actionChangeMember(relationID, { id: match.to.way }, to.index)
+    ]);
+  }
+
+
+  validation.type = type;
+
+  return validation;
+}
@@ -0,0 +1,298 @@
+import { actionChangeTags } from '../actions/change_tags';
+import { ValidationIssue, ValidationFix } from '../core/lib';
+
+
+/**
+ * validationUserRules
+ * Checks features against rules that the user loaded, see `ValidationSystem.setUserRules()`.
+ * Rules can be written as JSON, like:
+ *   [{
+ *     "id": "building_levels",
+ *     "selector": "area[building][!building:levels]",
+ *     "message": "Buildings should have building:levels",
+ *     "severity": "warning",
+ *     "fix": { "title": "Set 1 level", "add": { "building:levels": "1" }, "remove": ["levels"] }
+ *   }]
+ * or with the same selectors in a MapCSS style, like JOSM's validator rules:
+ *   area[building][!"building:levels"] {
+ *     throwWarning: "Buildings should have building:levels";
+ *     fixAdd: "building:levels=1";
+ *     fixRemove: "levels";
+ *   }
+ * A selector is a geometry (`*`, `node`, `way`, `relation`, `point`, `vertex`, `line`, `area`),
+ * followed by tag conditions: `[key]`, `[!key]`, `[key=value]`, `[key!=value]`, `[key=~/regex/]`.
+ * Several selectors can be separated with commas.
+ */
+export function validationUserRules(context) {
+  const type = 'user_rules';
+  const l10n = context.systems.l10n;
+  let _rules = [];
+
+
+  const validation = function checkUserRules(entity, graph) {
+    if (!_rules.length) return [];
+
+    let issues = [];
+    const geometry = entity.geometry(graph);
+    for (const rule of _rules) {
+      const matched = rule.selectors.some(selector => {
+        if (!matchesTags(selector.conditions, entity.tags)) return false;
+        if (selector.geometry === '*') return true;
+        if (['node', 'way', 'relation'].includes(selector.geometry)) return entity.type === selector.geometry;
+        return geometry === selector.geometry;
+      });
+      if (matched) {
+        issues.push(makeIssue(rule, entity));
+      }
+    }
+    return issues;
+  };
+
+
+  function makeIssue(rule, entity) {
+    const entityID = entity.id;
+
+    return new ValidationIssue(context, {
+      type: type,
+      subtype: rule.id,
+      severity: rule.severity,
+      message: () => {
+        const entity = context.hasEntity(entityID);
+        return entity ? l10n.tHtml('issues.user_rules.message', {
+          feature: l10n.displayLabel(entity, context.graph(), true /* verbose */),
+          message: escapeHTML(rule.message)
+        }) : '';
+      },
+      reference: showReference,
+      entityIds: [entityID],
+      hash: rule.id,
+      dynamicFixes: () => {
+        if (!rule.fix) return [];
+        return [
+          new ValidationFix({
+            title: rule.fix.title ? escapeHTML(rule.fix.title) : l10n.tHtml('issues.fix.apply_rule.title'),
+            onClick: () => {
+              const entity = context.hasEntity(entityID);
+              if (!entity) return;
+              let tags = Object.assign({}, entity.tags, rule.fix.add);
+              for (const k of rule.fix.remove) {
+                delete tags[k];
+              }
+              context.perform(actionChangeTags(entityID, tags), l10n.t('issues.fix.apply_rule.annotation'));
+            }
+          })
+        ];
+      }
+    });
+
+
+    function showReference(selection) {
+      selection.selectAll('.issue-reference')
+        .data([0])
+        .enter()
+        .append('div')
+        .attr('class', 'issue-reference')
+        .html(l10n.tHtml('issues.user_rules.reference', { id: escapeHTML(rule.id) }));
+    }
+  }
+
+
+  /**
+   * rules
+   * @return  The rules that features are checked against
+   */
+  validation.rules = function() {
+    return _rules;
+  };
+
+
+  /**
+   * setRules
+   * Parses and uses new rules, the old rules are kept if the new ones have an error.
+   * @param  text  The rules as JSON or MapCSS, or `null` to remove the rules
+   * @throws if the rules can't be parsed
+   */
+  validation.setRules = function(text) {
+    _rules = text ? parseRules(text) : [];
+  };
+
+
+  validation.type = type;
+
+  return validation;
+}
+
+
+function parseRules(text) {
+  const trimmed = text.trim();
+  const rules = (trimmed.startsWith('[') || trimmed.startsWith('{')) ? parseJSONRules(trimmed) : parseMapCSSRules(trimmed);
+
+  const seen = new Set();
+  for (const rule of rules) {
+    if (seen.has(rule.id)) {
+      throw new Error(`Duplicate rule id: ${rule.id}`);
+    }
+    seen.add(rule.id);
+  }
+  return rules;
+}
+
+
+function parseJSONRules(text) {
+  let json = JSON.parse(text);
+  if (!Array.isArray(json)) {
+    json = json.rules;
+  }
+  if (!Array.isArray(json)) {
+    throw new Error('Rules should be an Array, or an Object with a `rules` Array');
+  }
+
+  return json.map((item, i) => {
+    if (typeof item?.selector !== 'string' || !item.message) {
+      throw new Error(`Rule ${i + 1} needs a selector and a message`);
+    }
+    let fix = null;
+    if (item.fix) {
+      fix = {
+        title: item.fix.title ? String(item.fix.title) : null,
+        add: Object.assign({}, item.fix.add),
+        remove: (item.fix.remove ?? []).map(String)
+      };
+    }
+    return {
+      id: item.id ? String(item.id) : `rule${i + 1}`,
+      selectors: parseSelectors(item.selector),
+      message: String(item.message),
+      severity: parseSeverity(item.severity),
+      fix: fix
+    };
+  });
+}
+
+
+function parseMapCSSRules(text) {
+  const stripped = text
+    .replace(/\/\*[\s\S]*?\*\//g, '')     // block comments
+    .replace(/^\s*\/\/.*$/gm, '');        // line comments
+
+  let rules = [];
+  const blockRegex = /([^{}]+)\{([^{}]*)\}/g;
+  let match;
+  while ((match = blockRegex.exec(stripped)) !== null) {
+    const selectors = parseSelectors(match[1]);
+    let rule = { id: null, selectors: selectors, message: null, severity: 'warning', fix: null };
+
+    const declRegex = /\s*([\w-]+)\s*:\s*("(?:[^"\\]|\\.)*"|[^;]*?)\s*(;|$)/g;
+    let decl;
+    while ((decl = declRegex.exec(match[2])) !== null) {
+      if (!decl[0].trim()) break;
+      const property = decl[1];
+      const value = unquote(decl[2]);
+
+      if (property === 'throwError' || property === 'throwWarning' || property === 'throwOther') {
+        rule.message = value;
+        rule.severity = (property === 'throwError') ? 'error' : 'warning';
+      } else if (property === 'fixAdd') {
+        const i = value.indexOf('=');
+        if (i < 1) throw new Error(`Invalid fixAdd: ${value}`);
+        rule.fix = rule.fix ?? { title: null, add: {}, remove: [] };
+        rule.fix.add[value.slice(0, i).trim()] = value.slice(i + 1).trim();
+      } else if (property === 'fixRemove') {
+        rule.fix = rule.fix ?? { title: null, add: {}, remove: [] };
+        rule.fix.remove.push(value);
+      } else if (property === 'id') {
+        rule.id = value;
+      }
+    }
+
+    if (!rule.message) {
+      throw new Error(`Rule "${match[1].trim()}" needs a throwError or throwWarning`);
+    }
+    rule.id = rule.id ?? `rule${rules.length + 1}`;
+    rules.push(rule);
+  }
+
+  if (!rules.length && stripped.trim()) {
+    throw new Error('No rules found');
+  }
+  return rules;
+}
+
+
+const GEOMETRIES = ['*', 'node', 'way', 'relation', 'point', 'vertex', 'line', 'area'];
+
+function parseSelectors(text) {
+  return text.split(/,(?![^[]*\])/).map(part => {   // commas inside of a tag condition don't separate selectors
+    const selector = part.trim();
+    const match = selector.match(/^([\w*]*)((?:\[[^\]]*\])*)$/);
+    const geometry = match?.[1] || '*';
+    if (!match || !GEOMETRIES.includes(geometry)) {
+      throw new Error(`Invalid selector: ${selector}`);
+    }
+
+    const conditions = [];
+    const conditionRegex = /\[([^\]]*)\]/g;
+    let condition;
+    while ((condition = conditionRegex.exec(match[2])) !== null) {
+      conditions.push(parseCondition(condition[1].trim()));
+    }
+    return { geometry: geometry, conditions: conditions };
+  });
+}
+
+
+function parseCondition(text) {
+  let match;
+  if ((match = text.match(/^!\s*(.+)$/))) {
+    return { key: unquote(match[1]), op: 'absent' };
+  } else if ((match = text.match(/^(.+?)\s*=~\s*\/(.*)\/([a-z]*)$/))) {
+    return { key: unquote(match[1]), op: 'regex', regex: new RegExp(match[2], match[3]) };
+  } else if ((match = text.match(/^(.+?)\s*!=\s*(.*)$/))) {
+    return { key: unquote(match[1]), op: 'ne', value: unquote(match[2]) };
+  } else if ((match = text.match(/^(.+?)\s*=\s*(.*)$/))) {
+    return { key: unquote(match[1]), op: 'eq', value: unquote(match[2]) };
+  } else if (text) {
+    return { key: unquote(text), op: 'exists' };
+  }
+  throw new Error('Empty tag condition');
+}
+
+
+function matchesTags(conditions, tags) {
+  return conditions.every(condition => {
+    const v = tags[condition.key];
+    switch (condition.op) {
+      case 'exists': return v !== undefined;
+      case 'absent': return v === undefined;
+      case 'eq':     return v === condition.value;
+      case 'ne':     return v !== condition.value;
+      case 'regex':  return v !== undefined && condition.regex.test(v);
+    }
+    return false;
+  });
+}
+
+
+function parseSeverity(severity) {
+  if (severity === undefined || severity === 'warning') return 'warning';
+  if (severity === 'error') return 'error';
+  throw new Error(`Invalid severity: ${severity}`);
+}
+
+
+function unquote(text) {
+  const trimmed = text.trim();
+  if (trimmed.length >= 2 && trimmed.startsWith('"') && trimmed.endsWith('"')) {
+    return trimmed.slice(1, -1).replace(/\\(.)/g, '$1');
+  }
+  return trimmed;
+}
+
+
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,179 @@
+describe('PublicApi', () => {
+  let graph, api, context;
+
+  class MockEmitter {
+    constructor()        { this._handlers = new Map(); }
+    on(name, fn)         { this._handlers.set(name, fn); return this; }
+    off(name)            { this._handlers.delete(name); return this; }
+  }
+
+  class MockOsmService {
+    constructor() { }
+  }
+
+  class MockOsmServiceContext {
+    constructor() {
+      this.systems = {
+        locations: new Rapid.LocationSystem(this)
+      };
+    }
+    deferredRedraw()  { }
+  }
+
+  class MockContext {
+    constructor()   {
+      this.services = {
+        osm:  new MockOsmService()
+      };
+      this.systems = {
+        edits:      new MockEmitter(),
+        validator:  new MockEmitter()
+      };
+      this.loadEntityReplies = [];
+      this._editable = true;
+      this._handlers = new Map();
+    }
+    graph()               { return graph; }
+    hasEntity(id)         { return graph.hasEntity(id); }
+    entity(id)            { return graph.entity(id); }
+    editable()            { return this._editable; }
+    perform(action)       { graph = action(graph); }
+    on(name, fn)          { this._handlers.set(name, fn); return this; }
+    off(name)             { this._handlers.delete(name); return this; }
+
+    // Replies like `Context.loadEntity`, once for the entity and once for its parent relations
+    loadEntity(entityID, callback) {
+      for (const [err, entities] of this.loadEntityReplies) {
+        for (const entity of entities ?? []) graph = graph.replace(entity);
+        callback(err);
+      }
+    }
+  }
+
+
+  beforeEach(() => {
+    graph = new Rapid.Graph([Rapid.osmNode({ id: 'n1', loc: [0, 0] })]);
+    context = new MockContext();
+    api = new Rapid.PublicApi(context);
+  });
+
+
+  describe('#entity', () => {
+    it('returns a loaded entity', () => {
+      expect(api.entity('n1')).to.equal(graph.entity('n1'));
+    });
+
+    it('returns undefined if the entity is not loaded', () => {
+      expect(api.entity('n2')).to.eql(undefined);
+    });
+  });
+
+
+  describe('#loadEntityAsync', () => {
+    it('resolves with an entity that is already loaded', () => {
+      return api.loadEntityAsync('n1')
+        .then(entity => expect(entity.id).to.eql('n1'));
+    });
+
+    it('resolves with the entity once it has been downloaded', () => {
+      const n2 = Rapid.osmNode({ id: 'n2', loc: [1, 1] });
+      context.loadEntityReplies = [[null, []], [null, [n2]]];
+      return api.loadEntityAsync('n2')
+        .then(entity => expect(entity).to.equal(n2));
+    });
+
+    it('rejects if the download fails', () => {
+      const err = new Error('Bad Request');
+      context.loadEntityReplies = [[err], [null, []]];
+      return api.loadEntityAsync('n2')
+        .then(() => expect.fail('should reject'), e => expect(e).to.equal(err));
+    });
+
+    it('rejects if the OSM API can not be reached', () => {
+      fetchMock.mock(/api\/0\.6/, { throws: new TypeError('Failed to fetch') });
+      const osm = new Rapid.OsmService(new MockOsmServiceContext());
+      context.services.osm = osm;
+      context.loadEntity = (entityID, callback) => {   // like `Context.loadEntity`
+        osm.loadEntity(entityID, callback);
+        osm.loadEntityRelations(entityID, callback);
+      };
+
+      return osm.initAsync()
+        .then(() => api.loadEntityAsync('n2'))
+        .then(() => expect.fail('should reject'), e => expect(e.message).to.eql('Failed to fetch'))
+        .finally(() => {
+          osm.throttledReloadApiStatus.cancel();
+          fetchMock.reset();
+        });
+    });
+
+    it('rejects if the entity is not in the downloaded data', () => {
+      context.loadEntityReplies = [[null, []], [null, []]];
+      return api.loadEntityAsync('n2')
+        .then(() => expect.fail('should reject'), e => expect(e.message).to.eql('Could not load n2'));
+    });
+
+    it('rejects if there is no OSM service', () => {
+      context.services = {};
+      return api.loadEntityAsync('n2')
+        .then(() => expect.fail('should reject'), e => expect(e.message).to.eql('No OSM Service'));
+    });
+  });
+
+
+  describe('#performAsync', () => {
+    it('performs the action and resolves with the changes', () => {
+      const action = g => g.replace(g.entity('n1').move([1, 1])).replace(Rapid.osmNode({ id: 'n-1' }));
+      return api.performAsync(action, 'test')
+        .then(result => {
+          expect(result).to.eql({ created: ['n-1'], modified: ['n1'], deleted: [] });
+          expect(graph.entity('n1').loc).to.eql([1, 1]);
+        });
+    });
+
+    it('rejects an action that is disabled', () => {
+      const action = sinon.spy(g => g);
+      action.disabled = () => 'not_eligible';
+      return api.performAsync(action)
+        .then(() => expect.fail('should reject'), e => {
+          expect(e.message).to.eql('Action is disabled: not_eligible');
+          expect(action).to.have.callCount(0);
+        });
+    });
+
+    it('rejects if Rapid is not editable', () => {
+      const action = sinon.spy(g => g);
+      context._editable = false;
+      return api.performAsync(action)
+        .then(() => expect.fail('should reject'), () => expect(action).to.have.callCount(0));
+    });
+  });
+
+
+  describe('#operations', () => {
+    it('returns no operations for entities that are not loaded', () => {
+      expect(api.operations(['n2'])).to.eql([]);
+    });
+  });
+
+
+  describe('#on', () => {
+    it('subscribes to events on the system that emits them', () => {
+      const callback = () => {};
+      const unsubscribe = api.on('change', callback);
+      api.on('validated', callback);
+      api.on('modechange', callback);
+      expect(context.systems.edits._handlers.get('change')).to.equal(callback);
+      expect(context.systems.validator._handlers.get('validated')).to.equal(callback);
+      expect(context._handlers.get('modechange')).to.equal(callback);
+
+      unsubscribe();
+      expect(context.systems.edits._handlers.has('change')).to.eql(false);
+    });
+
+    it('throws on unknown events', () => {
+      expect(() => api.on('nope', () => {})).to.throw('Unknown event: nope');
+    });
+  });
+
+});
@@ -0,0 +1,96 @@
+describe('actionImportOsmChange', () => {
+
+  // n1 - n2 are used by w1, n3 is used by w1 and w2
+  function baseGraph() {
+    return new Rapid.Graph([
+      Rapid.osmNode({ id: 'n1', version: '1', loc: [0, 0] }),
+      Rapid.osmNode({ id: 'n2', version: '1', loc: [0, 1] }),
+      Rapid.osmNode({ id: 'n3', version: '1', loc: [1, 1] }),
+      Rapid.osmNode({ id: 'n4', version: '1', loc: [2, 2] }),
+      Rapid.osmWay({ id: 'w1', version: '1', nodes: ['n1', 'n2', 'n3'] }),
+      Rapid.osmWay({ id: 'w2', version: '1', nodes: ['n3', 'n4'] })
+    ]);
+  }
+
+  function osmChange(changes) {
+    return Object.assign({ create: [], modify: [], delete: [] }, changes);
+  }
+
+
+  it('deletes the nodes of a deleted way, even if they come before the way', () => {
+    const graph = baseGraph();
+    const action = Rapid.actionImportOsmChange(osmChange({
+      delete: [graph.entity('n1'), graph.entity('n2'), graph.entity('w1')]
+    }));
+    const result = action(graph);
+
+    expect(action.conflicts()).to.eql([]);
+    expect(result.hasEntity('w1')).to.eql(undefined);
+    expect(result.hasEntity('n1')).to.eql(undefined);
+    expect(result.hasEntity('n2')).to.eql(undefined);
+    expect(result.hasEntity('n3')).to.be.an.instanceof(Rapid.osmEntity);
+  });
+
+  it('does not delete a node that another way still uses', () => {
+    const graph = baseGraph();
+    const action = Rapid.actionImportOsmChange(osmChange({
+      delete: [graph.entity('n3'), graph.entity('w1')]
+    }));
+    const result = action(graph);
+
+    expect(action.conflicts()).to.eql(['n3']);
+    expect(result.hasEntity('w1')).to.eql(undefined);
+    expect(result.hasEntity('n3')).to.be.an.instanceof(Rapid.osmEntity);
+  });
+
+  it('does not delete the nodes of a way that conflicts', () => {
+    const graph = baseGraph();
+    const action = Rapid.actionImportOsmChange(osmChange({
+      delete: [graph.entity('n1'), graph.entity('w1').update({ version: '2' })]
+    }));
+    const result = action(graph);
+
+    expect(action.conflicts().sort()).to.eql(['n1', 'w1']);
+    expect(result.hasEntity('w1')).to.be.an.instanceof(Rapid.osmEntity);
+    expect(result.hasEntity('n1')).to.be.an.instanceof(Rapid.osmEntity);
+  });
+
+  it('creates ways using new and existing nodes', () => {
+    const graph = baseGraph();
+    const action = Rapid.actionImportOsmChange(osmChange({
+      create: [
+        Rapid.osmWay({ id: 'w-1', nodes: ['n4', 'n-1'] }),
+        Rapid.osmNode({ id: 'n-1', loc: [3, 3] })
+      ]
+    }));
+    const result = action(graph);
+
+    expect(action.conflicts()).to.eql([]);
+    const way = result.parentWays(result.entity('n4')).find(way => way.id !== 'w2');
+    expect(way.nodes[0]).to.eql('n4');
+    expect(result.entity(way.nodes[1]).loc).to.eql([3, 3]);
+  });
+
+  it('does not create a way that uses nodes missing from the file and the graph', () => {
+    const graph = baseGraph();
+    const action = Rapid.actionImportOsmChange(osmChange({
+      create: [Rapid.osmWay({ id: 'w-1', nodes: ['n4', 'n99'] })]
+    }));
+    const result = action(graph);
+
+    expect(action.conflicts()).to.eql(['w-1']);
+    expect(result.parentWays(result.entity('n4'))).to.have.lengthOf(1);
+  });
+
+  it('does not modify an entity whose version differs', () => {
+    const graph = baseGraph();
+    const action = Rapid.actionImportOsmChange(osmChange({
+      modify: [graph.entity('n4').update({ version: '2', loc: [5, 5] })]
+    }));
+    const result = action(graph);
+
+    expect(action.conflicts()).to.eql(['n4']);
+    expect(result.entity('n4').loc).to.eql([2, 2]);
+  });
+
+});
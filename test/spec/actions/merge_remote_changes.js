@@ -0,0 +1,122 @@
+describe('actionMergeRemoteChanges', () => {
+  let localGraph, remoteGraph;
+
+  // The node was edited both locally and remotely since it was loaded
+  beforeEach(() => {
+    const base = Rapid.osmNode({ id: 'n1', version: '1', loc: [0, 0], tags: { a: '1', b: '1', c: '1' } });
+    const local = base.update({ tags: { a: '2', b: '1', c: '1', d: '2' } });
+    const remote = base.update({ version: '2', loc: [1, 1], tags: { a: '3', b: '3', c: '1' } });
+
+    localGraph = new Rapid.Graph([base]).replace(local);
+    remoteGraph = new Rapid.Graph([remote]);
+  });
+
+
+  function customAction(choices) {
+    return Rapid.actionMergeRemoteChanges('n1', {
+      localGraph: localGraph,
+      remoteGraph: remoteGraph,
+      strategy: 'custom',
+      choices: choices
+    });
+  }
+
+
+  describe('#fields', () => {
+    it('returns the fields that differ, choosing remote values only where the local value is unchanged', () => {
+      const fields = customAction({}).fields(localGraph);
+      expect(fields.map(field => [field.id, field.choice])).to.eql([
+        ['loc', 'remote'],
+        ['tag/a', 'local'],
+        ['tag/b', 'remote'],
+        ['tag/d', 'local']
+      ]);
+
+      const a = fields.find(field => field.id === 'tag/a');
+      expect(a.base).to.eql('1');
+      expect(a.local).to.eql('2');
+      expect(a.remote).to.eql('3');
+    });
+
+    it('reflects the choices made', () => {
+      const fields = customAction({ 'tag/a': 'remote', loc: 'local' }).fields(localGraph);
+      expect(fields.find(field => field.id === 'tag/a').choice).to.eql('remote');
+      expect(fields.find(field => field.id === 'loc').choice).to.eql('local');
+    });
+
+    it('ignores tags that will be discarded', () => {
+      const action = Rapid.actionMergeRemoteChanges('n1', {
+        localGraph: localGraph,
+        remoteGraph: remoteGraph,
+        strategy: 'custom',
+        discardTags: { d: true }
+      });
+      expect(action.fields(localGraph).map(field => field.id)).not.to.include('tag/d');
+    });
+
+    it('returns no fields if the entity was deleted remotely', () => {
+      remoteGraph = remoteGraph.replace(remoteGraph.entity('n1').update({ visible: false }));
+      expect(customAction({}).fields(localGraph)).to.eql([]);
+    });
+  });
+
+
+  describe('custom strategy', () => {
+    it('uses the default choices', () => {
+      const action = customAction({});
+      const node = action(localGraph).entity('n1');
+      expect(action.conflicts()).to.eql([]);
+      expect(node.version).to.eql('2');
+      expect(node.loc).to.eql([1, 1]);
+      expect(node.tags).to.eql({ a: '2', b: '3', c: '1', d: '2' });
+    });
+
+    it('uses the values that were chosen', () => {
+      const node = customAction({ loc: 'local', 'tag/a': 'remote', 'tag/d': 'remote' })(localGraph).entity('n1');
+      expect(node.loc).to.eql([0, 0]);
+      expect(node.tags).to.eql({ a: '3', b: '3', c: '1' });
+    });
+
+    it('reads the choices again each time it runs', () => {
+      const choices = {};
+      const action = customAction(choices);
+      expect(action(localGraph).entity('n1').tags.a).to.eql('2');
+
+      choices['tag/a'] = 'remote';
+      expect(action(localGraph).entity('n1').tags.a).to.eql('3');
+    });
+
+    it('merges relation members one by one', () => {
+      const base = Rapid.osmRelation({ id: 'r1', version: '1', members: [
+        { id: 'w1', type: 'way', role: 'outer' },
+        { id: 'w2', type: 'way', role: 'inner' }
+      ]});
+      const local = base.update({ members: [
+        { id: 'w1', type: 'way', role: 'outer' },
+        { id: 'w2', type: 'way', role: 'outer' }
+      ]});
+      const remote = base.update({ version: '2', members: [
+        { id: 'w1', type: 'way', role: 'outer' },
+        { id: 'w3', type: 'way', role: 'inner' },
+        { id: 'w2', type: 'way', role: 'inner' }
+      ]});
+      localGraph = new Rapid.Graph([base]).replace(local);
+      remoteGraph = new Rapid.Graph([remote]);
+
+      const action = Rapid.actionMergeRemoteChanges('r1', {
+        localGraph: localGraph,
+        remoteGraph: remoteGraph,
+        strategy: 'custom',
+        choices: {}
+      });
+      expect(action.fields(localGraph).map(field => [field.id, field.choice])).to.eql([
+        ['member/w2', 'local'],
+        ['member/w3', 'remote']
+      ]);
+
+      const relation = action(localGraph).entity('r1');
+      expect(relation.members.map(member => `${member.id}=${member.role}`)).to.eql(['w1=outer', 'w3=inner', 'w2=outer']);
+    });
+  });
+
+});
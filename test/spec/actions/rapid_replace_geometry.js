@@ -0,0 +1,122 @@
+describe('actionRapidReplaceGeometry', () => {
+
+  // A Rapid feature with nodes at `locs`, closed if the first and last locs are the same
+  function extGraphWith(locs) {
+    const isClosed = locs.length > 2 && locs[0] === locs[locs.length - 1];
+    const nodes = (isClosed ? locs.slice(0, -1) : locs).map((loc, i) => Rapid.osmNode({ id: `n-${i + 1}`, loc: loc }));
+    const nodeIDs = nodes.map(node => node.id);
+    if (isClosed) nodeIDs.push(nodeIDs[0]);
+    return new Rapid.Graph([...nodes, Rapid.osmWay({ id: 'w-1', nodes: nodeIDs })]);
+  }
+
+  function locOf(graph, nodeID) {
+    return graph.entity(nodeID).loc.map(n => Math.round(n * 1e7) / 1e7);
+  }
+
+
+  describe('open ways', () => {
+    // The road n1 - n2 - n3, with the side road n2 - n4, and the bus stop n3
+    let graph;
+    beforeEach(() => {
+      graph = new Rapid.Graph([
+        Rapid.osmNode({ id: 'n1', loc: [0, 0] }),
+        Rapid.osmNode({ id: 'n2', loc: [0.001, 0] }),
+        Rapid.osmNode({ id: 'n3', loc: [0.002, 0] }),
+        Rapid.osmNode({ id: 'n4', loc: [0.001, -0.001] }),
+        Rapid.osmWay({ id: 'w1', nodes: ['n1', 'n2', 'n3'], tags: { highway: 'residential' } }),
+        Rapid.osmWay({ id: 'w2', nodes: ['n2', 'n4'], tags: { highway: 'service' } }),
+        Rapid.osmRelation({ id: 'r1', tags: { type: 'route', route: 'bus' }, members: [{ id: 'n3', type: 'node', role: 'stop' }] })
+      ]);
+    });
+
+    it('reuses the nodes of the way, keeping the nodes that are used elsewhere', () => {
+      const extGraph = extGraphWith([[0, 0.00001], [0.001, 0.00001], [0.002, 0.00001]]);
+      const result = Rapid.actionRapidReplaceGeometry('w1', 'w-1', extGraph)(graph);
+
+      expect(result.entity('w1').nodes).to.eql(['n1', 'n2', 'n3']);
+      expect(result.entity('w1').tags).to.eql({ highway: 'residential' });
+      expect(locOf(result, 'n1')).to.eql([0, 0.00001]);
+      expect(locOf(result, 'n2')).to.eql([0.001, 0]);   // other ways use it, so it doesn't move
+      expect(locOf(result, 'n3')).to.eql([0.002, 0.00001]);
+    });
+
+    it('snaps shared nodes that are far from the new nodes to the new geometry', () => {
+      const extGraph = extGraphWith([[0, 0.0005], [0.002, 0.0005]]);
+      const result = Rapid.actionRapidReplaceGeometry('w1', 'w-1', extGraph)(graph);
+
+      expect(result.entity('w1').nodes).to.eql(['n1', 'n2', 'n3']);
+      expect(locOf(result, 'n2')).to.eql([0.001, 0.0005]);
+      expect(result.entity('w2').nodes).to.eql(['n2', 'n4']);
+    });
+
+    it('snaps relation members that are far from the new nodes to the new geometry', () => {
+      const extGraph = extGraphWith([[0, 0.0005], [0.001, 0.0005], [0.0015, 0.0005]]);
+      const result = Rapid.actionRapidReplaceGeometry('w1', 'w-1', extGraph)(graph);
+
+      const nodeIDs = result.entity('w1').nodes;
+      expect(nodeIDs).to.include('n3');
+      expect(nodeIDs).to.include('n2');
+      expect(locOf(result, 'n3')).to.eql([0.0015, 0.0005]);
+      expect(result.entity('r1').members[0].id).to.eql('n3');
+    });
+
+    it('deletes the nodes that are left over', () => {
+      const before = graph.replace(graph.entity('w1').update({ nodes: ['n1', 'n5', 'n2', 'n3'] }))
+        .replace(Rapid.osmNode({ id: 'n5', loc: [0.0005, 0] }));
+      const extGraph = extGraphWith([[0, 0], [0.001, 0], [0.002, 0]]);
+      const result = Rapid.actionRapidReplaceGeometry('w1', 'w-1', extGraph)(before);
+
+      expect(result.entity('w1').nodes).to.eql(['n1', 'n2', 'n3']);
+      expect(result.hasEntity('n5')).to.eql(undefined);
+    });
+  });
+
+
+  describe('closed ways', () => {
+    // The building n1 - n2 - n3 - n4, where the fence n2 - n5 starts
+    let graph;
+    beforeEach(() => {
+      graph = new Rapid.Graph([
+        Rapid.osmNode({ id: 'n1', loc: [0, 0] }),
+        Rapid.osmNode({ id: 'n2', loc: [0.001, 0] }),
+        Rapid.osmNode({ id: 'n3', loc: [0.001, 0.001] }),
+        Rapid.osmNode({ id: 'n4', loc: [0, 0.001] }),
+        Rapid.osmNode({ id: 'n5', loc: [0.002, -0.001] }),
+        Rapid.osmWay({ id: 'w1', nodes: ['n1', 'n2', 'n3', 'n4', 'n1'], tags: { building: 'yes' } }),
+        Rapid.osmWay({ id: 'w2', nodes: ['n2', 'n5'], tags: { barrier: 'fence' } })
+      ]);
+    });
+
+    it('snaps a shared node to the nearest corner, and keeps the way closed', () => {
+      const a = [0.0002, 0.0002];
+      const extGraph = extGraphWith([a, [0.0008, 0.0002], [0.0008, 0.0008], [0.0002, 0.0008], a]);
+      const result = Rapid.actionRapidReplaceGeometry('w1', 'w-1', extGraph)(graph);
+
+      const way = result.entity('w1');
+      expect(way.isClosed()).to.eql(true);
+      expect(way.nodes).to.have.lengthOf(5);
+      expect(way.nodes[1]).to.eql('n2');
+      expect(locOf(result, 'n2')).to.eql([0.0008, 0.0002]);
+      expect(result.entity('w2').nodes).to.eql(['n2', 'n5']);
+    });
+
+    it('snaps a shared node to the nearest side, and keeps the way closed', () => {
+      const a = [0, 0.0002];
+      const extGraph = extGraphWith([a, [0.002, 0.0002], [0.002, 0.0008], [0, 0.0008], a]);
+      const result = Rapid.actionRapidReplaceGeometry('w1', 'w-1', extGraph)(graph);
+
+      const way = result.entity('w1');
+      expect(way.isClosed()).to.eql(true);
+      expect(way.nodes).to.have.lengthOf(6);
+      expect(way.nodes.indexOf('n2')).to.be.above(0);
+      expect(locOf(result, 'n2')).to.eql([0.001, 0.0002]);
+      expect(result.entity('w2').nodes).to.eql(['n2', 'n5']);
+    });
+
+    it('is disabled if only one of the ways is closed', () => {
+      const extGraph = extGraphWith([[0, 0], [0.001, 0]]);
+      expect(Rapid.actionRapidReplaceGeometry('w1', 'w-1', extGraph).disabled(graph)).to.eql('not_eligible');
+    });
+  });
+
+});
@@ -0,0 +1,73 @@
+describe('ConflationAnalyzer', () => {
+
+  // A square building about 22m on a side, with its nodes and way
+  function square(prefix, x, y, tags) {
+    const d = 0.0002;
+    const nodes = [
+      Rapid.osmNode({ id: `${prefix}n1`, loc: [x, y] }),
+      Rapid.osmNode({ id: `${prefix}n2`, loc: [x + d, y] }),
+      Rapid.osmNode({ id: `${prefix}n3`, loc: [x + d, y + d] }),
+      Rapid.osmNode({ id: `${prefix}n4`, loc: [x, y + d] })
+    ];
+    const way = Rapid.osmWay({ id: `${prefix}w`, tags: tags, nodes: [...nodes.map(n => n.id), nodes[0].id] });
+    return [...nodes, way];
+  }
+
+  let graph, tree, areaKeys;
+
+  // Closed ways with these keys are areas
+  before(() => {
+    areaKeys = Rapid.osmAreaKeys;
+    Rapid.osmSetAreaKeys({ building: {}, landuse: {} });
+  });
+
+  after(() => {
+    Rapid.osmSetAreaKeys(areaKeys);
+  });
+
+  beforeEach(() => {
+    const entities = square('osm-', 0, 0, { building: 'yes' });
+    graph = new Rapid.Graph(entities);
+    tree = new Rapid.Tree(graph);
+    tree.rebase(entities, true);
+  });
+
+
+  describe('#classify', () => {
+    it('classifies a suggestion with nothing nearby as new', () => {
+      const extGraph = new Rapid.Graph(square('ext-', 0.01, 0.01, { building: 'yes' }));
+      const result = new Rapid.ConflationAnalyzer().classify(extGraph.entity('ext-w'), extGraph, graph, tree);
+      expect(result.type).to.eql('new');
+      expect(result.matchID).to.eql(null);
+    });
+
+    it('classifies a suggestion that is already mapped as a duplicate', () => {
+      const extGraph = new Rapid.Graph(square('ext-', 0.000001, 0, { building: 'yes', source: 'microsoft/BuildingFootprints' }));
+      const result = new Rapid.ConflationAnalyzer().classify(extGraph.entity('ext-w'), extGraph, graph, tree);
+      expect(result.type).to.eql('duplicate');
+      expect(result.matchID).to.eql('osm-w');
+    });
+
+    it('classifies a mapped suggestion with more tags as a tag improvement', () => {
+      const extGraph = new Rapid.Graph(square('ext-', 0, 0, { building: 'yes', 'roof:shape': 'flat' }));
+      const result = new Rapid.ConflationAnalyzer().classify(extGraph.entity('ext-w'), extGraph, graph, tree);
+      expect(result.type).to.eql('tags');
+      expect(result.matchID).to.eql('osm-w');
+      expect(result.tags).to.eql({ 'roof:shape': 'flat' });
+    });
+
+    it('classifies a suggestion with a different shape as a geometry improvement', () => {
+      const extGraph = new Rapid.Graph(square('ext-', 0.00004, 0, { building: 'yes' }));
+      const result = new Rapid.ConflationAnalyzer().classify(extGraph.entity('ext-w'), extGraph, graph, tree);
+      expect(result.type).to.eql('geometry');
+      expect(result.matchID).to.eql('osm-w');
+    });
+
+    it('does not match features of a different kind', () => {
+      const extGraph = new Rapid.Graph(square('ext-', 0, 0, { landuse: 'grass' }));
+      const result = new Rapid.ConflationAnalyzer().classify(extGraph.entity('ext-w'), extGraph, graph, tree);
+      expect(result.type).to.eql('new');
+    });
+  });
+
+});
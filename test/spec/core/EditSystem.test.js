@@ -15,12 +15,20 @@ describe('EditSystem', () => {
     on()          { return this; }
   }
 
+  class MockMapSystem {
+    constructor() { }
+    initAsync()   { return Promise.resolve(); }
+    on()          { return this; }
+    transform()   { }
+  }
+
   class MockStorageSystem {
     constructor() { }
     initAsync() { return Promise.resolve(); }
     getItem()   { return ''; }
     hasItem()   { return false; }
     setItem()   { }
+    removeItem() { }
   }
 
   class MockContext {
@@ -28,13 +36,23 @@ describe('EditSystem', () => {
       this.projection = new sdk.Projection();
       this.systems = {
         storage: new MockStorageSystem(),
-        map:     new MockSystem(),
+        map:     new MockMapSystem(),
         rapid:   new MockSystem()
       };
+      this.services = {};
     }
     selectedIDs() { return []; }
   }
 
+  class MockOsmServiceContext {
+    constructor() {
+      this.systems = {
+        locations: new Rapid.LocationSystem(this)
+      };
+    }
+    deferredRedraw()  { }
+  }
+
   const context = new MockContext();
 
 
@@ -606,4 +624,258 @@ describe('EditSystem', () => {
       expect(_editSystem.difference().deleted().length).to.eql(1);
     });
   });
+
+
+  describe('history tree', () => {
+    it('keeps undone edits as an abandoned branch', () => {
+      _editSystem.perform(actionNoop(), 'annotation1');
+      _editSystem.perform(actionNoop(), 'annotation2');
+      _editSystem.undo();
+      _editSystem.perform(actionNoop(), 'annotation3');
+
+      const edits = _editSystem.historyEdits();
+      expect(edits.map(e => e.annotation)).to.eql([undefined, 'annotation1', 'annotation2', 'annotation3']);
+      expect(edits[2].parentID).to.eql(edits[1].id);
+      expect(edits[3].parentID).to.eql(edits[1].id);
+      expect(_editSystem.isOnCurrentPath(edits[2].id)).to.be.false;
+      expect(_editSystem.redoAnnotation()).to.be.undefined;
+    });
+
+    it('checks out an edit on an abandoned branch', () => {
+      _editSystem.perform(actionAddNode('n-1'), 'annotation1');
+      _editSystem.perform(actionAddNode('n-2'), 'annotation2');
+      _editSystem.undo();
+      _editSystem.perform(actionAddNode('n-3'), 'annotation3');
+
+      const branchEdit = _editSystem.historyEdits()[2];
+      _editSystem.on('change', spy);
+      _editSystem.checkout(branchEdit.id);
+      expect(_editSystem.undoAnnotation()).to.eql('annotation2');
+      expect(_editSystem.graph().hasEntity('n-2')).to.be.ok;
+      expect(_editSystem.graph().hasEntity('n-3')).to.be.not.ok;
+      expect(spy).to.have.been.called;
+
+      _editSystem.undo();
+      expect(_editSystem.redoAnnotation()).to.eql('annotation2');   // redo follows the checked out branch
+    });
+
+    it('continues to the most recent edit of the branch after checkout', () => {
+      _editSystem.perform(actionNoop(), 'annotation1');
+      _editSystem.perform(actionNoop(), 'annotation2');
+      _editSystem.checkout(0);
+      expect(_editSystem.undoAnnotation()).to.be.undefined;
+      expect(_editSystem.redoAnnotation()).to.eql('annotation1');
+    });
+
+    it('removes popped edits from the tree', () => {
+      _editSystem.perform(actionNoop(), 'annotation1');
+      _editSystem.perform(actionNoop());
+      _editSystem.pop();
+      expect(_editSystem.historyEdits()).to.have.length(2);
+    });
+
+    it('replaces the current edit in the tree, keeping the undone edits after it', () => {
+      _editSystem.perform(actionAddNode('n-1'), 'annotation1');
+      _editSystem.perform(actionAddNode('n-2'), 'annotation2');
+      _editSystem.undo();
+      _editSystem.replace(actionAddNode('n-3'), 'annotation3');
+
+      const edits = _editSystem.historyEdits();
+      expect(edits.map(e => e.annotation)).to.eql([undefined, 'annotation3', 'annotation2']);
+      expect(edits[1].graph.hasEntity('n-3')).to.have.property('id', 'n-3');
+      expect(edits[2].parentID).to.eql(edits[1].id);
+      expect(_editSystem._edits.size).to.eql(3);
+    });
+
+    it('removes the overwritten edit from the tree, not the last undone edit', () => {
+      _editSystem.perform(actionAddNode('n-1'), 'annotation1');
+      _editSystem.perform(actionAddNode('n-2'), 'annotation2');
+      _editSystem.undo();
+      _editSystem.overwrite(actionAddNode('n-3'), 'annotation3');
+
+      const edits = _editSystem.historyEdits();
+      expect(edits.map(e => e.annotation)).to.eql([undefined, 'annotation3']);
+      expect(edits[1].parentID).to.eql(0);
+      expect(_editSystem.redoAnnotation()).to.eql(undefined);
+    });
+
+    it('removes the popped edit from the tree, not the last undone edit', () => {
+      _editSystem.perform(actionAddNode('n-1'), 'annotation1');
+      _editSystem.perform(actionAddNode('n-2'), 'annotation2');
+      _editSystem.undo();
+      _editSystem.pop();
+
+      expect(_editSystem.historyEdits().map(e => e.id)).to.eql([0]);
+      expect(_editSystem.graph()).to.equal(_editSystem.base());
+      expect(_editSystem.redoAnnotation()).to.eql(undefined);
+    });
+
+    it('compares two edits', () => {
+      _editSystem.perform(actionAddNode('n-1'), 'annotation1');
+      _editSystem.undo();
+      _editSystem.perform(actionAddNode('n-2'), 'annotation2');
+
+      const [, edit1, edit2] = _editSystem.historyEdits();
+      const difference = _editSystem.compareEdits(edit1.id, edit2.id);
+      expect(difference.created().map(e => e.id)).to.eql(['n-2']);
+      expect(difference.deleted().map(e => e.id)).to.eql(['n-1']);
+    });
+  });
+
+
+  describe('#revertEditAction', () => {
+    it('reverts one earlier edit and keeps the later edits', () => {
+      _editSystem.merge([Rapid.osmNode({id: 'n1'})]);
+      _editSystem.perform(actionAddNode('n-1'), 'annotation1');
+      _editSystem.perform(Rapid.actionChangeTags('n1', {k: 'v'}), 'annotation2');
+      _editSystem.perform(actionAddNode('n-2'), 'annotation3');
+
+      const editID = _editSystem.historyEdits()[2].id;
+      const action = _editSystem.revertEditAction(editID);
+      _editSystem.perform(action, 'reverted');
+
+      const graph = _editSystem.graph();
+      expect(graph.entity('n1').tags).to.eql({});
+      expect(graph.hasEntity('n-1')).to.be.ok;
+      expect(graph.hasEntity('n-2')).to.be.ok;
+      expect(action.conflicts()).to.eql([]);
+    });
+
+    it('reports entities that were changed again later as conflicts', () => {
+      _editSystem.merge([Rapid.osmNode({id: 'n1'}), Rapid.osmNode({id: 'n2'})]);
+      _editSystem.perform(Rapid.actionChangeTags('n1', {k: 'v'}), Rapid.actionChangeTags('n2', {k: 'v'}), 'annotation1');
+      _editSystem.perform(Rapid.actionChangeTags('n2', {k: 'w'}), 'annotation2');
+
+      const editID = _editSystem.historyEdits()[1].id;
+      const action = _editSystem.revertEditAction(editID);
+      _editSystem.perform(action, 'reverted');
+
+      const graph = _editSystem.graph();
+      expect(graph.entity('n1').tags).to.eql({});
+      expect(graph.entity('n2').tags).to.eql({k: 'w'});
+      expect(action.conflicts()).to.eql(['n2']);
+    });
+
+    it('does not remove a created node that a later edit still uses', () => {
+      _editSystem.perform(actionAddNode('n-1'), 'annotation1');
+      _editSystem.perform(actionAddNode('n-2'), Rapid.actionAddEntity(Rapid.osmWay({id: 'w-1', nodes: ['n-1', 'n-2']})), 'annotation2');
+
+      const editID = _editSystem.historyEdits()[1].id;
+      const action = _editSystem.revertEditAction(editID);
+      expect(action.disabled(_editSystem.graph())).to.be.false;
+      _editSystem.perform(action, 'reverted');
+
+      expect(_editSystem.graph().hasEntity('n-1')).to.have.property('id', 'n-1');
+      expect(action.conflicts()).to.eql(['n-1']);
+    });
+
+    it('does not revert the base or edits that were undone', () => {
+      _editSystem.perform(actionNoop(), 'annotation1');
+      _editSystem.undo();
+      expect(_editSystem.revertEditAction(0)).to.be.undefined;
+      expect(_editSystem.revertEditAction(1)).to.be.undefined;
+    });
+  });
+
+
+  describe('edit sessions', () => {
+    it('stores edits as deltas that restore the same history', () => {
+      const node1 = Rapid.osmNode({id: 'n1', loc: [1, 1]});
+      const node2 = Rapid.osmNode({id: 'n2', loc: [2, 2]});
+      _editSystem.merge([node1, node2]);
+      _editSystem.perform(actionAddNode('n-1'), 'Added a point.');
+      _editSystem.perform(Rapid.actionChangeTags('n1', {k: 'v'}), 'Changed tags.');
+      _editSystem.perform(Rapid.actionDeleteNode('n2'), 'Deleted a point.');
+      _editSystem.undo();
+
+      const stack = _editSystem._stack;
+      const edits = [];
+      for (let i = 1; i < stack.length; i++) {
+        const edit = _editSystem._editRecord(stack[i - 1], stack[i]);
+        delete edit.transform;   // the mock context has no map to transform
+        edits.push(edit);
+      }
+      expect(edits[1].modified.map(e => e.id)).to.eql(['n1']);     // only the delta is stored
+      expect(edits[1].baseEntities.map(e => e.id)).to.eql(['n1']);
+      expect(edits[2].deleted).to.eql(['n2']);
+
+      const session = { id: 'test', index: 2, nextIDs: { node: -2, way: -1, relation: -1 }, updated: 0 };
+      const hist = JSON.parse(JSON.stringify(_editSystem._sessionToHistory(session, edits)));
+
+      _editSystem.reset();
+      _editSystem.fromJSON(hist);
+      expect(_editSystem.graph().hasEntity('n-1')).to.have.property('id', 'n-1');
+      expect(_editSystem.graph().entity('n1').tags).to.eql({k: 'v'});
+      expect(_editSystem.graph().hasEntity('n2')).to.be.ok;
+      expect(_editSystem.undoAnnotation()).to.eql('Changed tags.');
+      expect(_editSystem.redoAnnotation()).to.eql('Deleted a point.');
+    });
+  });
+
+
+  describe('#toSessionFile / #fromSessionFile', () => {
+    it('returns undefined if there are no changes', () => {
+      expect(_editSystem.toSessionFile()).to.eql(undefined);
+    });
+
+    it('roundtrips the edit history through a session file', () => {
+      _editSystem.perform(actionAddNode('n-1'), 'Added a point.');
+      _editSystem.perform(actionAddNode('n-2'), 'Added another point.');
+      _editSystem.undo();
+      const file = _editSystem.toSessionFile();
+      expect(JSON.parse(file)).to.include({ type: 'rapid_edit_session', version: 1 });
+
+      _editSystem.reset();
+      _editSystem.fromSessionFile(file);
+      expect(_editSystem.graph().hasEntity('n-1')).to.have.property('id', 'n-1');
+      expect(_editSystem.graph().hasEntity('n-2')).to.eql(undefined);
+      expect(_editSystem.undoAnnotation()).to.eql('Added a point.');
+      expect(_editSystem.redoAnnotation()).to.eql('Added another point.');
+    });
+
+    it('throws if the file is not an edit session file', () => {
+      expect(() => _editSystem.fromSessionFile('{"version":3}')).to.throw();
+    });
+  });
+
+
+  describe('#osmChangeActionAsync', () => {
+    const osmChange =
+`<?xml version="1.0" encoding="UTF-8"?>
+<osmChange version="0.6" generator="test">
+  <modify>
+    <node id="1" version="1" lat="0" lon="0"><tag k="amenity" v="bench"/></node>
+  </modify>
+</osmChange>`;
+
+    let osm;
+
+    beforeEach(() => {
+      fetchMock.reset();
+      osm = new Rapid.OsmService(new MockOsmServiceContext());
+      context.services.osm = osm;
+      return osm.initAsync();
+    });
+
+    afterEach(() => {
+      osm.throttledReloadApiStatus.cancel();
+      fetchMock.reset();
+      context.services = {};
+    });
+
+    it('rejects if the OSM API can not be reached', () => {
+      fetchMock.mock(/api\/0\.6/, { throws: new TypeError('Failed to fetch') });
+      return _editSystem.osmChangeActionAsync(osmChange)
+        .then(() => expect.fail('should reject'), e => expect(e.message).to.eql('Failed to fetch'));
+    });
+
+    it('resolves without loading anything if the entities are already loaded', () => {
+      _editSystem.merge([Rapid.osmNode({ id: 'n1', version: '1', loc: [0, 0] })]);
+      return _editSystem.osmChangeActionAsync(osmChange)
+        .then(action => {
+          expect(action).to.be.a('function');
+          expect(fetchMock.calls()).to.have.lengthOf(0);
+        });
+    });
+  });
 });
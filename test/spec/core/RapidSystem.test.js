@@ -0,0 +1,236 @@
+describe('RapidSystem', () => {
+
+  class MockSystem {
+    constructor() { }
+    initAsync()   { return Promise.resolve(); }
+    on()          { return this; }
+  }
+
+  class MockStorageSystem {
+    constructor() {
+      this.hasDatabase = true;
+      this._items = new Map();
+      this._feedback = new Map();
+    }
+    initAsync()   { return Promise.resolve(); }
+    getItem(k)    { return this._items.get(k) ?? null; }
+    setItem(k, v) { this._items.set(k, v); }
+    getFeedbackAsync() {
+      const keys = [...this._feedback.keys()].sort();
+      return Promise.resolve(keys.map(key => this._feedback.get(key)));
+    }
+    updateFeedbackAsync(records, keys = []) {
+      keys.forEach(key => this._feedback.delete(key));
+      records.forEach(record => this._feedback.set(record.key, record));
+      return Promise.resolve();
+    }
+    clearFeedbackAsync() {
+      this._feedback.clear();
+      return Promise.resolve();
+    }
+  }
+
+  class MockLocalizationSystem {
+    constructor() { }
+    initAsync()   { return Promise.resolve(); }
+    t()           { return ''; }
+  }
+
+  class MockUrlSystem {
+    constructor() { this.initialHashParams = new Map(); }
+    initAsync()   { return Promise.resolve(); }
+    on()          { return this; }
+  }
+
+  class MockContext {
+    constructor()   {
+      this.services = {};
+      this.systems = {
+        edits:    new MockSystem(),
+        l10n:     new MockLocalizationSystem(),
+        map:      new MockSystem(),
+        storage:  new MockStorageSystem(),
+        urlhash:  new MockUrlSystem()
+      };
+    }
+  }
+
+  function feature(id, origid) {
+    const node = Rapid.osmNode({ id: id, loc: [0, 0], tags: { amenity: 'bench' } });
+    node.__datasetid__ = 'msBuildings-conflated';
+    node.__origid__ = origid;
+    return node;
+  }
+
+  let context, rapid;
+
+  beforeEach(() => {
+    context = new MockContext();
+    rapid = new Rapid.RapidSystem(context);
+    return rapid.initAsync();
+  });
+
+
+  describe('feedback', () => {
+    it('records decisions, and remembers ignored features', () => {
+      rapid.recordFeedback(feature('n-1', 'n100'), 'accept');
+      rapid.recordFeedback(feature('n-2', 'n200'), 'ignore', 'bad_geometry');
+
+      expect(rapid.feedback).to.have.lengthOf(2);
+      expect(rapid.feedback[1]).to.include({ dataset: 'msBuildings', featureID: 'n200', decision: 'ignore', reason: 'bad_geometry' });
+      expect(rapid.isIgnored(feature('n-3', 'n200'))).to.eql(true);
+      expect(rapid.isIgnored(feature('n-4', 'n100'))).to.eql(false);
+    });
+
+    it('keeps the feedback between sessions', () => {
+      rapid.recordFeedback(feature('n-1', 'n100'), 'ignore');
+
+      const other = new Rapid.RapidSystem(context);
+      return other.initAsync()
+        .then(() => {
+          expect(other.feedback).to.have.lengthOf(1);
+          expect(other.feedback[0]).to.include({ featureID: 'n100', decision: 'ignore' });
+          expect(other.isIgnored(feature('n-2', 'n100'))).to.eql(true);
+        });
+    });
+
+    it('keeps only the ignored features in localStorage, and the feedback log in indexedDB', () => {
+      const storage = context.systems.storage;
+      rapid.recordFeedback(feature('n-1', 'n100'), 'accept');
+      rapid.recordFeedback(feature('n-2', 'n200'), 'ignore');
+
+      expect(JSON.parse(storage.getItem('rapid-feedback-ignored'))).to.eql(['msBuildings/n200']);
+      expect(storage.getItem('rapid-feedback')).to.eql(null);
+      expect(storage._feedback.size).to.eql(2);
+
+      rapid.clearFeedback();
+      expect(JSON.parse(storage.getItem('rapid-feedback-ignored'))).to.eql([]);
+      expect(storage._feedback.size).to.eql(0);
+    });
+
+    it('keeps the ignored features when indexedDB is not available', () => {
+      context.systems.storage.hasDatabase = false;
+      rapid.recordFeedback(feature('n-1', 'n100'), 'ignore');
+
+      const other = new Rapid.RapidSystem(context);
+      return other.initAsync()
+        .then(() => {
+          expect(other.feedback).to.have.lengthOf(0);
+          expect(other.isIgnored(feature('n-2', 'n100'))).to.eql(true);
+        });
+    });
+
+    it('exports the feedback as JSON Lines', () => {
+      rapid.recordFeedback(feature('n-1', 'n100'), 'accept');
+      rapid.recordFeedback(feature('n-2', 'n200'), 'ignore', 'unsure');
+
+      const lines = rapid.exportFeedback().trim().split('\n').map(line => JSON.parse(line));
+      expect(lines.map(entry => entry.featureID)).to.eql(['n100', 'n200']);
+      expect(lines[1].reason).to.eql('unsure');
+    });
+
+    it('forgets the feedback of an undone decision until it is redone', () => {
+      rapid.recordFeedback(feature('n-1', 'n100'), 'ignore');
+      const edit = { annotation: { type: 'rapid_ignore_feature', id: 'n-1', origid: 'n100' } };
+
+      rapid._editsUndone({}, edit);
+      expect(rapid.feedback).to.have.lengthOf(0);
+      expect(rapid.isIgnored(feature('n-1', 'n100'))).to.eql(false);
+      expect(context.systems.storage._feedback.size).to.eql(0);
+
+      rapid._editsRedone(edit);
+      expect(rapid.feedback).to.have.lengthOf(1);
+      expect(rapid.isIgnored(feature('n-1', 'n100'))).to.eql(true);
+      expect(context.systems.storage._feedback.size).to.eql(1);
+    });
+  });
+
+
+  describe('tag templates', () => {
+    it('keeps the tag template of a dataset between sessions', () => {
+      const template = Rapid.utilParseTagTemplate('building=yes -> building=house\n-height*\nsource=microsoft');
+      rapid.setTagTemplate('msBuildings', template);
+      expect(rapid.tagTemplateFor(feature('n-1', 'n100'))).to.eql(template);
+
+      const other = new Rapid.RapidSystem(context);
+      return other.initAsync()
+        .then(() => expect(other.getTagTemplate('msBuildings')).to.eql(template));
+    });
+
+    it('changes the tags of a feature with the tag template', () => {
+      const template = Rapid.utilParseTagTemplate('building=yes -> building=house\n-height*\nsource=microsoft');
+      const tags = { building: 'yes', height: '4', 'height:source': 'lidar', name: 'Hall' };
+      expect(Rapid.utilApplyTagTemplate(template, tags)).to.eql({ building: 'house', name: 'Hall', source: 'microsoft' });
+      expect(Rapid.utilTagTemplateToText(template)).to.eql('building=yes -> building=house\n-height*\nsource=microsoft');
+    });
+
+    it('rejects a tag template line that is not a change', () => {
+      expect(() => Rapid.utilParseTagTemplate('building')).to.throw();
+    });
+  });
+
+
+  describe('task area', () => {
+    // A triangle, with a hole in it
+    const triangle = [[
+      [[0, 0], [4, 0], [0, 4], [0, 0]],
+      [[0.5, 0.5], [1, 0.5], [0.5, 1], [0.5, 0.5]]
+    ]];
+
+    it('contains everything when there is no task', () => {
+      expect(rapid.taskContains([10, 10])).to.eql(true);
+    });
+
+    it('uses the task polygon, not its bounding box', () => {
+      rapid.setTaskPolygon(triangle);
+      expect(rapid.taskExtent.rectangle()).to.eql([0, 0, 4, 4]);
+      expect(rapid.isTaskRectangular()).to.eql(false);
+      expect(rapid.taskContains([1, 2])).to.eql(true);
+      expect(rapid.taskContains([3, 3])).to.eql(false);
+      expect(rapid.taskContains([0.6, 0.6])).to.eql(false);
+    });
+
+    it('knows whether a Rapid feature is in the task', () => {
+      rapid.setTaskPolygon(triangle);
+      const graph = new Rapid.Graph();
+      const inside = Rapid.osmNode({ loc: [2, 1] });
+      const outside = Rapid.osmNode({ loc: [3, 3] });
+      expect(rapid.isInTask(inside, graph)).to.eql(true);
+      expect(rapid.isInTask(outside, graph)).to.eql(false);
+    });
+
+    it('finds the nodes that an edit added or moved outside of the task', () => {
+      rapid.setTaskPolygon(triangle);
+      const inside = Rapid.osmNode({ id: 'n1', loc: [2, 1] });
+      const outside = Rapid.osmNode({ id: 'n2', loc: [3, 3] });
+      const base = new Rapid.Graph([inside, outside]);
+      const head = base.replace(inside.move([3, 2])).replace(outside.move([4, 4])).replace(Rapid.osmNode({ id: 'n-1', loc: [5, 5] }));
+
+      const found = rapid.nodesOutsideTask(new Rapid.Difference(base, head));
+      expect(found.map(node => node.id).sort()).to.eql(['n-1', 'n1']);
+    });
+
+    it('uses the closed track of a task GPX file as the task polygon', () => {
+      const gpx = `<?xml version="1.0" encoding="UTF-8"?>
+        <gpx xmlns="http://www.topografix.com/GPX/1/1" version="1.1" creator="test">
+          <trk><trkseg>
+            <trkpt lon="0" lat="0"/><trkpt lon="4" lat="0"/><trkpt lon="0" lat="4"/><trkpt lon="0" lat="0"/>
+          </trkseg></trk>
+        </gpx>`;
+      rapid.setTaskExtentByGpxData(gpx);
+      expect(rapid.taskPolygon).to.eql([[[[0, 0], [4, 0], [0, 4], [0, 0]]]]);
+      expect(rapid.isTaskRectangular()).to.eql(false);
+      expect(rapid.taskContains([3, 3])).to.eql(false);
+    });
+
+    it('forgets the task area when the task is removed from the url', () => {
+      rapid.setTaskPolygon(triangle);
+      rapid._hashchange(new Map(), new Map([['task', '1234/56'], ['task_api', 'https://tasks.example.com/api/v2']]));
+      expect(rapid.taskPolygon).to.eql(null);
+      expect(rapid.taskExtent).to.eql(null);
+      expect(rapid.isTaskRectangular()).to.eql(false);
+      expect(rapid.taskContains([10, 10])).to.eql(true);
+    });
+  });
+
+});
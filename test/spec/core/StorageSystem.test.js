@@ -0,0 +1,49 @@
+describe('StorageSystem', () => {
+  const DAY = 24 * 60 * 60 * 1000;
+  let storage, sessions, removed;
+
+  beforeEach(() => {
+    storage = new Rapid.StorageSystem({});
+    storage._db = {};   // pretend that indexedDB is available
+    sessions = [];
+    removed = [];
+    storage.getSessionsAsync = () => Promise.resolve(sessions.slice().sort((a, b) => b.updated - a.updated));
+    storage.removeSessionAsync = (sessionID) => {
+      removed.push(sessionID);
+      return Promise.resolve();
+    };
+  });
+
+
+  describe('#pruneSessionsAsync', () => {
+    it('keeps recent sessions', () => {
+      sessions = [{ id: 's1', updated: Date.now() - DAY }, { id: 's2', updated: Date.now() }];
+      return storage.pruneSessionsAsync()
+        .then(result => {
+          expect(result).to.eql([]);
+          expect(removed).to.eql([]);
+        });
+    });
+
+    it('removes sessions that were not saved for a long time', () => {
+      sessions = [{ id: 's1', updated: Date.now() - 100 * DAY }, { id: 's2', updated: Date.now() }];
+      return storage.pruneSessionsAsync()
+        .then(() => expect(removed).to.eql(['s1']));
+    });
+
+    it('keeps only the most recent sessions', () => {
+      for (let i = 0; i < 12; i++) {
+        sessions.push({ id: `s${i}`, updated: Date.now() - i * 1000 });
+      }
+      return storage.pruneSessionsAsync()
+        .then(() => expect(removed).to.eql(['s10', 's11']));
+    });
+
+    it('does nothing without indexedDB', () => {
+      storage._db = null;
+      sessions = [{ id: 's1', updated: 0 }];
+      return storage.pruneSessionsAsync()
+        .then(() => expect(removed).to.eql([]));
+    });
+  });
+});
@@ -0,0 +1,72 @@
+describe('UploadPlanner', () => {
+
+  function changesFor(base, head) {
+    const difference = new Rapid.Difference(base, head);
+    return {
+      created: difference.created(),
+      modified: difference.modified(),
+      deleted: difference.deleted()
+    };
+  }
+
+  function ids(chunk) {
+    return [...chunk.created, ...chunk.modified, ...chunk.deleted].map(entity => entity.id).sort();
+  }
+
+
+  describe('#plan', () => {
+    it('returns a single changeset when under the limits', () => {
+      const base = new Rapid.Graph();
+      const head = base.replace(Rapid.osmNode({ id: 'n-1', loc: [0, 0] }));
+      const chunks = new Rapid.UploadPlanner().plan(changesFor(base, head), head, base);
+      expect(chunks.length).to.eql(1);
+      expect(ids(chunks[0])).to.eql(['n-1']);
+    });
+
+    it('splits changes into changesets of at most maxElements', () => {
+      const base = new Rapid.Graph();
+      let head = base;
+      for (let i = 1; i <= 5; i++) {
+        head = head.replace(Rapid.osmNode({ id: `n-${i}`, loc: [i * 0.001, 0] }));
+      }
+      const chunks = new Rapid.UploadPlanner({ maxElements: 2 }).plan(changesFor(base, head), head, base);
+      expect(chunks.map(chunk => ids(chunk).length)).to.eql([2, 2, 1]);
+    });
+
+    it('splits changes that are far apart', () => {
+      const base = new Rapid.Graph();
+      const head = base
+        .replace(Rapid.osmNode({ id: 'n-1', loc: [0, 0] }))
+        .replace(Rapid.osmNode({ id: 'n-2', loc: [0.01, 0] }))
+        .replace(Rapid.osmNode({ id: 'n-3', loc: [5, 5] }));
+      const chunks = new Rapid.UploadPlanner({ maxSize: 0.5 }).plan(changesFor(base, head), head, base);
+      expect(chunks.map(ids)).to.eql([['n-1', 'n-2'], ['n-3']]);
+    });
+
+    it('keeps a new way together with its new nodes', () => {
+      const base = new Rapid.Graph();
+      const head = base
+        .replace(Rapid.osmNode({ id: 'n-1', loc: [0, 0] }))
+        .replace(Rapid.osmNode({ id: 'n-2', loc: [0.001, 0] }))
+        .replace(Rapid.osmNode({ id: 'n-3', loc: [0.002, 0] }))
+        .replace(Rapid.osmWay({ id: 'w-1', nodes: ['n-2', 'n-3'] }));
+      const chunks = new Rapid.UploadPlanner({ maxElements: 2 }).plan(changesFor(base, head), head, base);
+      const chunk = chunks.find(chunk => chunk.created.some(entity => entity.id === 'w-1'));
+      expect(ids(chunk)).to.eql(['n-2', 'n-3', 'w-1']);
+    });
+
+    it('keeps a deleted node together with the way that no longer uses it', () => {
+      const n1 = Rapid.osmNode({ id: 'n1', loc: [0, 0] });
+      const n2 = Rapid.osmNode({ id: 'n2', loc: [0.001, 0] });
+      const n3 = Rapid.osmNode({ id: 'n3', loc: [0.002, 0] });
+      const w1 = Rapid.osmWay({ id: 'w1', nodes: ['n1', 'n2', 'n3'] });
+      const base = new Rapid.Graph([n1, n2, n3, w1]);
+      const head = base
+        .replace(w1.removeNode('n2'))
+        .remove(n2)
+        .replace(n3.move([0.003, 0]));
+      const chunks = new Rapid.UploadPlanner({ maxElements: 1 }).plan(changesFor(base, head), head, base);
+      expect(chunks.map(ids)).to.have.deep.members([['n2', 'w1'], ['n3']]);
+    });
+  });
+});
@@ -0,0 +1,240 @@
+describe('UploaderSystem', () => {
+
+  class MockSystem {
+    constructor() { }
+    initAsync()   { return Promise.resolve(); }
+    on()          { return this; }
+  }
+
+  class MockLocalizationSystem {
+    constructor() { }
+    initAsync()   { return Promise.resolve(); }
+    t(id)         { return id; }
+  }
+
+  class MockStorageSystem {
+    constructor() { this._items = new Map(); }
+    initAsync()   { return Promise.resolve(); }
+    getItem(k)    { return this._items.get(k) ?? null; }
+    hasItem(k)    { return this._items.has(k); }
+    setItem(k, v) { this._items.set(k, v); }
+    removeItem(k) { this._items.delete(k); }
+  }
+
+  class MockOsmService {
+    constructor() {
+      this.openChangesetID = null;
+      this.resumeResult = [null, { resumed: true, changes_count: 0 }];
+      this.resumed = [];
+      this.closed = [];
+    }
+    resumeChangeset(changesetID, callback) {
+      this.resumed.push(changesetID);
+      callback(...this.resumeResult);
+    }
+    closeChangeset(changeset, callback) {
+      this.closed.push(changeset.id);
+      callback();
+    }
+    changesetURL(changesetID) { return `https://www.openstreetmap.org/changeset/${changesetID}`; }
+  }
+
+  class MockContext {
+    constructor()   {
+      this.projection = new sdk.Projection();
+      this.systems = {
+        data:     new MockSystem(),
+        l10n:     new MockLocalizationSystem(),
+        map:      new MockSystem(),
+        rapid:    new MockSystem(),
+        storage:  new MockStorageSystem()
+      };
+      this.services = {
+        osm:  new MockOsmService()
+      };
+    }
+    selectedIDs() { return []; }
+  }
+
+  let context, editSystem, uploader;
+
+  beforeEach(() => {
+    context = new MockContext();
+    editSystem = new Rapid.EditSystem(context);
+    context.systems.edits = editSystem;
+    uploader = new Rapid.UploaderSystem(context);
+    return editSystem.initAsync();
+  });
+
+
+  describe('#_applyUploaded', () => {
+    it('makes the uploaded changes part of the base graph, with their new ids and versions', () => {
+      const n1 = Rapid.osmNode({ id: 'n1', version: '1', loc: [0, 0] });
+      editSystem.merge([n1]);
+
+      const created = Rapid.osmNode({ id: 'n-1', loc: [1, 1] });
+      const way = Rapid.osmWay({ id: 'w-1', nodes: ['n1', 'n-1'] });
+      const moved = n1.move([0, 1]);
+      editSystem.perform(graph => graph.replace(created).replace(way).replace(moved), 'edit');
+
+      // Only the nodes were uploaded so far
+      uploader._uploaded = [{
+        chunk: { created: [created], modified: [moved], deleted: [] },
+        diffResult: new Map([
+          ['n-1', { newID: 'n100', newVersion: '1' }],
+          ['n1', { newID: 'n1', newVersion: '2' }]
+        ])
+      }];
+      uploader._applyUploaded();
+
+      const base = editSystem.base();
+      expect(base.entity('n100').loc).to.eql([1, 1]);
+      expect(base.entity('n100').version).to.eql('1');
+      expect(base.entity('n1').loc).to.eql([0, 1]);
+      expect(base.entity('n1').version).to.eql('2');
+
+      // The way is still an edit, and now uses the new node id
+      const graph = editSystem.graph();
+      expect(graph.hasEntity('n-1')).to.eql(undefined);
+      expect(graph.entity('w-1').nodes).to.eql(['n1', 'n100']);
+
+      const changes = editSystem.changes();
+      expect(changes.created.map(entity => entity.id)).to.eql(['w-1']);
+      expect(changes.modified).to.eql([]);
+      expect(uploader._uploaded).to.eql([]);
+    });
+
+    it('can not undo the edits that were uploaded', () => {
+      const n1 = Rapid.osmNode({ id: 'n1', version: '1', loc: [0, 0] });
+      editSystem.merge([n1]);
+
+      const created = Rapid.osmNode({ id: 'n-1', loc: [1, 1] });
+      const moved = n1.move([0, 1]);
+      editSystem.perform(graph => graph.replace(created), 'create');
+      editSystem.perform(graph => graph.replace(moved), 'move');
+      editSystem.perform(graph => graph.replace(Rapid.osmNode({ id: 'n-2', loc: [2, 2] })), 'create another');
+
+      uploader._uploaded = [{
+        chunk: { created: [created], modified: [moved], deleted: [] },
+        diffResult: new Map([
+          ['n-1', { newID: 'n100', newVersion: '1' }],
+          ['n1', { newID: 'n1', newVersion: '2' }]
+        ])
+      }];
+      uploader._applyUploaded();
+
+      // Undo can go no further back than the base graph, which has the uploaded changes now
+      editSystem.undo();
+      editSystem.undo();
+      editSystem.undo();
+      const graph = editSystem.graph();
+      expect(graph).to.equal(editSystem.base());
+      expect(graph.hasEntity('n-1')).to.eql(undefined);
+      expect(graph.entity('n100').loc).to.eql([1, 1]);
+      expect(graph.entity('n1').version).to.eql('2');
+
+      // No edit in the history still has the placeholder entity
+      for (const edit of editSystem.historyEdits()) {
+        expect(edit.graph.hasEntity('n-1')).to.eql(undefined);
+      }
+
+      editSystem.redo();
+      expect(editSystem.changes().created.map(entity => entity.id)).to.eql(['n-2']);
+      expect(editSystem.changes().modified).to.eql([]);
+    });
+
+    it('remembers the uploaded deletions in storage, and does not upload them again', () => {
+      const n1 = Rapid.osmNode({ id: 'n1', version: '1', loc: [0, 0] });
+      const n2 = Rapid.osmNode({ id: 'n2', version: '1', loc: [1, 1] });
+      editSystem.merge([n1, n2]);
+      editSystem.perform(graph => graph.remove(n1).remove(n2), 'delete');
+
+      uploader._uploaded = [{
+        chunk: { created: [], modified: [], deleted: [n1] },
+        diffResult: new Map([['n1', {}]])
+      }];
+      uploader._applyUploaded();
+      expect(JSON.parse(context.systems.storage.getItem('uploader.uploaded_deletes'))).to.eql(['n1']);
+
+      // e.g. after a reload
+      const other = new Rapid.UploaderSystem(context);
+      const sent = [];
+      context.services.osm.sendChangeset = (changeset, changes) => sent.push(changes);
+      other.changeset = new Rapid.osmChangeset();
+      other._tryUpload();
+      expect(sent).to.have.lengthOf(1);
+      expect(sent[0].deleted.map(entity => entity.id)).to.eql(['n2']);
+    });
+
+    it('does nothing if nothing was uploaded', () => {
+      editSystem.perform(graph => graph.replace(Rapid.osmNode({ id: 'n-1' })), 'edit');
+      const graph = editSystem.graph();
+      uploader._applyUploaded();
+      expect(editSystem.graph()).to.equal(graph);
+    });
+  });
+
+
+  describe('#_resumeChangeset', () => {
+    const KEY = 'uploader.open_changeset';
+
+    beforeEach(() => {
+      editSystem.perform(graph => graph, 'saving');   // `_didResultInErrors` pops this
+    });
+
+    it('continues without checking if no changeset was left open', () => {
+      const done = sinon.spy();
+      uploader._resumeChangeset(done);
+      expect(done).to.have.callCount(1);
+      expect(context.services.osm.resumed).to.eql([]);
+    });
+
+    it('continues in an empty changeset that was left open', () => {
+      const done = sinon.spy();
+      context.systems.storage.setItem(KEY, '123');
+      uploader._resumeChangeset(done);
+      expect(done).to.have.callCount(1);
+      expect(context.services.osm.resumed).to.eql(['123']);
+      expect(context.systems.storage.hasItem(KEY)).to.eql(false);
+    });
+
+    it('checks the changeset even if it is still open from this session', () => {
+      const done = sinon.spy();
+      const onErrors = sinon.spy();
+      uploader.on('resultErrors', onErrors);
+      context.systems.storage.setItem(KEY, '123');
+      context.services.osm.openChangesetID = '123';
+      context.services.osm.resumeResult = [null, { id: 123, resumed: true, changes_count: 5 }];
+
+      uploader._resumeChangeset(done);
+      expect(done).to.have.callCount(0);
+      expect(onErrors).to.have.callCount(1);
+      expect(context.services.osm.closed).to.eql(['123']);
+      expect(context.systems.storage.hasItem(KEY)).to.eql(false);
+    });
+
+    it('does not upload, and keeps the changeset id, if the changeset can not be checked', () => {
+      const done = sinon.spy();
+      const onErrors = sinon.spy();
+      uploader.on('resultErrors', onErrors);
+      context.systems.storage.setItem(KEY, '123');
+      context.services.osm.resumeResult = [new TypeError('Failed to fetch')];
+
+      uploader._resumeChangeset(done);
+      expect(done).to.have.callCount(0);
+      expect(onErrors).to.have.callCount(1);
+      expect(context.systems.storage.getItem(KEY)).to.eql('123');
+    });
+
+    it('starts a new changeset if the old one no longer exists', () => {
+      const done = sinon.spy();
+      context.systems.storage.setItem(KEY, '123');
+      context.services.osm.resumeResult = [{ status: 404 }];
+
+      uploader._resumeChangeset(done);
+      expect(done).to.have.callCount(1);
+      expect(context.systems.storage.hasItem(KEY)).to.eql(false);
+    });
+  });
+
+});
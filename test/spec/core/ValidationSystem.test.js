@@ -100,4 +100,43 @@ describe('ValidationSystem', () => {
       });
   });
 
+
+  it('addRule runs a new rule on what was already validated, removeRule removes its issues', () => {
+    const rule = (entity) => {
+      if (entity.tags.building !== 'house') return [];
+      return [new Rapid.ValidationIssue(context, {
+        type: 'test_house',
+        severity: 'warning',
+        message: () => 'house',
+        entityIds: [entity.id]
+      })];
+    };
+    rule.type = 'test_house';
+
+    _validator.addRule(rule);
+    let issues = _validator.getIssues({ what: 'all', where: 'all' }).filter(issue => issue.type === 'test_house');
+    expect(issues).to.have.lengthOf(1);
+    expect(issues[0].entityIds).to.eql(['n-1']);
+    expect(() => _validator.addRule(rule)).to.throw();
+
+    _validator.removeRule('test_house');
+    issues = _validator.getIssues({ what: 'all', where: 'all' }).filter(issue => issue.type === 'test_house');
+    expect(issues).to.have.lengthOf(0);
+    expect(_validator.getRuleKeys()).to.not.include('test_house');
+  });
+
+
+  it('validateEntity returns the issues of an entity in any graph, without caching them', () => {
+    const n2 = Rapid.osmNode({ id: 'n-2', loc: [0, 0], tags: { building: 'house', phone: '555-1212' } });
+    const graph = new Rapid.Graph([n2]);
+
+    const issues = _validator.validateEntity(n2, graph);
+    expect(issues).to.have.lengthOf(1);
+    expect(issues[0].type).to.eql('private_data');
+    expect(issues[0].entityIds).to.eql(['n-2']);
+
+    const cached = _validator.getIssues({ what: 'all', where: 'all' }).filter(issue => issue.entityIds.includes('n-2'));
+    expect(cached).to.have.lengthOf(0);
+  });
+
 });
@@ -0,0 +1,99 @@
+describe('EsriService', () => {
+  let esri;
+
+  class MockStorageSystem {
+    constructor() { this._items = new Map(); }
+    getItem(k)    { return this._items.get(k) ?? null; }
+    setItem(k, v) { this._items.set(k, v); }
+  }
+
+  class MockContext {
+    constructor() {
+      this.systems = {
+        storage: new MockStorageSystem()
+      };
+    }
+    deferredRedraw() { }
+  }
+
+  beforeEach(() => {
+    esri = new Rapid.EsriService(new MockContext());
+    return esri.initAsync()
+      .then(() => {
+        esri._parseDataset({ id: 'ds1', name: 'Buildings', licenseInfo: '' });
+        esri._datasets.ds1.layer = {
+          id: 0,
+          fields: [
+            { name: 'OBJECTID', alias: 'OBJECTID', type: 'esriFieldTypeOID', editable: false },
+            { name: 'BLDG', alias: 'building', editable: true },
+            { name: 'LEVELS', alias: 'building:levels', editable: true }
+          ],
+          tagmap: { BLDG: 'building', LEVELS: 'building:levels' }
+        };
+      });
+  });
+
+
+  describe('#getTagMapping', () => {
+    it('defaults to the tags in the layer metadata', () => {
+      expect(esri.getTagMapping('ds1')).to.eql({
+        fields: { OBJECTID: { key: null }, BLDG: { key: 'building' }, LEVELS: { key: 'building:levels' } },
+        constants: {}
+      });
+      expect(esri.hasCustomTagMapping('ds1')).to.eql(false);
+    });
+  });
+
+
+  describe('#previewTags', () => {
+    it('uses the default tag mapping', () => {
+      const tags = esri.previewTags('ds1', { OBJECTID: 1, BLDG: 'house', LEVELS: 2 });
+      expect(tags).to.eql({ building: 'house', 'building:levels': '2', source: 'esri/Buildings' });
+    });
+
+    it('supports value lookups, constants, and dropping fields', () => {
+      const mapping = {
+        fields: {
+          BLDG: { key: 'building', values: { Residential: 'residential', Unknown: '' } },
+          LEVELS: { key: null }
+        },
+        constants: { 'roof:shape': 'flat' }
+      };
+      expect(esri.previewTags('ds1', { BLDG: 'Residential', LEVELS: 2 }, mapping))
+        .to.eql({ building: 'residential', 'roof:shape': 'flat', source: 'esri/Buildings' });
+      expect(esri.previewTags('ds1', { BLDG: 'Unknown', LEVELS: 2 }, mapping))
+        .to.eql({ 'roof:shape': 'flat', source: 'esri/Buildings' });
+      expect(esri.previewTags('ds1', { BLDG: 'garage' }, mapping))
+        .to.eql({ building: 'garage', 'roof:shape': 'flat', source: 'esri/Buildings' });
+    });
+  });
+
+
+  describe('#setTagMapping', () => {
+    it('saves a custom tag mapping, and can go back to the default', () => {
+      esri.setTagMapping('ds1', { fields: { BLDG: { key: 'building' } }, constants: {} });
+      expect(esri.hasCustomTagMapping('ds1')).to.eql(true);
+      expect(esri.previewTags('ds1', { BLDG: 'yes', LEVELS: 2 })).to.eql({ building: 'yes', source: 'esri/Buildings' });
+
+      esri.setTagMapping('ds1', null);
+      expect(esri.hasCustomTagMapping('ds1')).to.eql(false);
+    });
+
+    it('rejects a tag mapping without fields', () => {
+      expect(() => esri.setTagMapping('ds1', { constants: {} })).to.throw();
+    });
+  });
+
+
+  describe('#exportTagMapping', () => {
+    it('exports a tag mapping that can be imported for another dataset', () => {
+      esri.setTagMapping('ds1', { fields: { BLDG: { key: 'building', values: { Y: 'yes' } } }, constants: { a: 'b' } });
+      const json = esri.exportTagMapping('ds1');
+
+      esri._parseDataset({ id: 'ds2', name: 'Other', licenseInfo: '' });
+      esri.importTagMapping('ds2', json);
+      expect(esri.getTagMapping('ds2')).to.eql(esri.getTagMapping('ds1'));
+    });
+  });
+
+});
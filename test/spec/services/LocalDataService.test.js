@@ -0,0 +1,100 @@
+describe('LocalDataService', () => {
+  let local;
+
+  class MockMapSystem {
+    constructor() {}
+    extent() { return new sdk.Extent([-180, -90], [180, 90]); }
+  }
+
+  class MockContext {
+    constructor() {
+      this.systems = {
+        map: new MockMapSystem(this)
+      };
+    }
+  }
+
+  beforeEach(() => {
+    local = new Rapid.LocalDataService(new MockContext());
+    return local.initAsync();
+  });
+
+
+  describe('#addData', () => {
+    it('parses GeoJSON features into Rapid features', () => {
+      const geojson = {
+        type: 'FeatureCollection',
+        features: [{
+          type: 'Feature',
+          properties: { amenity: 'bench', ignored: null },
+          geometry: { type: 'Point', coordinates: [1, 2] }
+        }, {
+          type: 'Feature',
+          properties: { building: 'yes' },
+          geometry: { type: 'Polygon', coordinates: [[[0, 0], [0, 1], [1, 1], [0, 0]]] }
+        }]
+      };
+
+      const extent = local.addData('local-1', '.geojson', JSON.stringify(geojson));
+      expect(extent.min).to.eql([0, 0]);
+      expect(extent.max).to.eql([1, 2]);
+
+      const features = local.getData('local-1').filter(entity => entity.__fbid__);
+      expect(features.length).to.eql(2);
+
+      const bench = features.find(entity => entity.type === 'node');
+      expect(bench.tags).to.eql({ amenity: 'bench' });
+      expect(bench.__service__).to.eql('local');
+      expect(bench.__datasetid__).to.eql('local-1');
+
+      const building = features.find(entity => entity.type === 'way');
+      expect(building.tags).to.eql({ building: 'yes' });
+      expect(building.isClosed()).to.eql(true);
+    });
+
+    it('parses OSM XML, giving the elements new IDs', () => {
+      const xml =
+        '<osm version="0.6">' +
+          '<node id="-1" lat="0" lon="0"/>' +
+          '<node id="-2" lat="0" lon="1"/>' +
+          '<node id="5" lat="1" lon="1"><tag k="amenity" v="bench"/></node>' +
+          '<way id="-10"><nd ref="-1"/><nd ref="-2"/><nd ref="-99"/><tag k="highway" v="path"/></way>' +
+        '</osm>';
+
+      local.addData('local-1', '.osm', xml);
+      const graph = local.graph('local-1');
+      const features = local.getData('local-1').filter(entity => entity.__fbid__);
+      expect(features.length).to.eql(2);
+
+      const way = features.find(entity => entity.type === 'way');
+      expect(way.id).to.not.eql('w-10');
+      expect(way.tags).to.eql({ highway: 'path' });
+      expect(way.nodes.length).to.eql(2);   // the missing node is skipped
+      expect(graph.entity(way.nodes[0]).__fbid__).to.eql(undefined);   // vertices aren't features
+
+      const bench = features.find(entity => entity.type === 'node');
+      expect(bench.id).to.not.eql('n5');
+      expect(bench.tags).to.eql({ amenity: 'bench' });
+    });
+
+    it('throws if the file type is not supported', () => {
+      expect(() => local.addData('local-1', '.shp', '')).to.throw();
+    });
+
+    it('throws if the file has no features', () => {
+      const geojson = { type: 'FeatureCollection', features: [] };
+      expect(() => local.addData('local-1', '.geojson', JSON.stringify(geojson))).to.throw();
+    });
+  });
+
+
+  describe('#removeData', () => {
+    it('removes a dataset', () => {
+      const geojson = { type: 'Feature', properties: {}, geometry: { type: 'Point', coordinates: [1, 2] } };
+      local.addData('local-1', '.geojson', JSON.stringify(geojson));
+      local.removeData('local-1');
+      expect(local.graph('local-1')).to.eql(undefined);
+      expect(local.getData('local-1')).to.eql([]);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+describe('OgcFeaturesService', () => {
+  let ogc;
+
+  class MockMapSystem {
+    constructor() {}
+    extent() { return new sdk.Extent([-180, -90], [180, 90]); }
+  }
+
+  class MockContext {
+    constructor() {
+      this.systems = {
+        map: new MockMapSystem(this)
+      };
+    }
+    deferredRedraw() { }
+  }
+
+  beforeEach(() => {
+    ogc = new Rapid.OgcFeaturesService(new MockContext());
+    return ogc.initAsync();
+  });
+
+
+  describe('#addDatasetAsync', () => {
+    it('adds a WFS feature type', () => {
+      return ogc.addDatasetAsync('https://example.com/wfs?SERVICE=WFS&typeNames=ns:buildings&apikey=abc')
+        .then(info => {
+          expect(info.id).to.eql('ogc-1');
+          expect(info.title).to.eql('ns:buildings');
+
+          const ds = ogc._datasets[info.id];
+          const url = new URL(ogc._itemsURL(ds, new sdk.Extent([1, 2], [3, 4]), 2));
+          expect(url.origin + url.pathname).to.eql('https://example.com/wfs');
+          expect(url.searchParams.get('typeNames')).to.eql('ns:buildings');
+          expect(url.searchParams.get('outputFormat')).to.eql('application/json');
+          expect(url.searchParams.get('apikey')).to.eql('abc');
+          expect(url.searchParams.get('startIndex')).to.eql('1000');
+          expect(url.searchParams.has('SERVICE')).to.eql(false);
+        });
+    });
+
+    it('rejects URLs that are not for a collection or feature type', () => {
+      return ogc.addDatasetAsync('https://example.com/ogcapi/conformance')
+        .then(
+          () => { throw new Error('should have rejected'); },
+          err => expect(err).to.be.an.instanceof(Error)
+        );
+    });
+  });
+
+
+  describe('#getData', () => {
+    it('parses each feature once, even when it is on several tiles', () => {
+      return ogc.addDatasetAsync('https://example.com/wfs?service=WFS&typeNames=roads')
+        .then(info => {
+          const ds = ogc._datasets[info.id];
+          const geojson = {
+            type: 'FeatureCollection',
+            features: [{
+              type: 'Feature',
+              id: 'roads.1',
+              properties: { highway: 'residential', lanes: 2, meta: { a: 1 } },
+              geometry: { type: 'LineString', coordinates: [[0, 0], [0.001, 0.001]] }
+            }]
+          };
+
+          const entities = ogc._parseFeatureCollection(ds, geojson);
+          ds.graph.rebase(entities, [ds.graph], true);
+          ds.tree.rebase(entities, true);
+          expect(ogc._parseFeatureCollection(ds, geojson)).to.eql([]);
+
+          const features = ogc.getData(info.id).filter(entity => entity.__fbid__);
+          expect(features.length).to.eql(1);
+          expect(features[0].tags).to.eql({ highway: 'residential', lanes: '2' });
+          expect(features[0].__service__).to.eql('ogc');
+          expect(features[0].__datasetid__).to.eql(info.id);
+        });
+    });
+  });
+
+});
@@ -606,6 +606,57 @@ describe('OsmService', () => {
   });
 
 
+  describe('#parseOsmChange', () => {
+    it('parses create, modify, and delete blocks into entities', () => {
+      const osc =
+`<?xml version="1.0" encoding="UTF-8"?>
+<osmChange version="0.6" generator="script">
+  <create>
+    <node id="-1" lat="1" lon="2"><tag k="amenity" v="bench"/></node>
+    <way id="-1"><nd ref="-1"/><nd ref="2"/></way>
+  </create>
+  <modify>
+    <node id="2" version="3" lat="3" lon="4"/>
+  </modify>
+  <delete>
+    <node id="5" version="1" lat="0" lon="0"/>
+  </delete>
+</osmChange>`;
+
+      const result = _osm.parseOsmChange(osc);
+      expect(result.create.map(e => e.id)).to.eql(['n-1', 'w-1']);
+      expect(result.create[0].tags).to.eql({ amenity: 'bench' });
+      expect(result.create[1].nodes).to.eql(['n-1', 'n2']);
+      expect(result.modify[0]).to.be.an.instanceof(Rapid.osmNode);
+      expect(result.modify[0].version).to.eql('3');
+      expect(result.modify[0].loc).to.eql([4, 3]);
+      expect(result.delete.map(e => e.id)).to.eql(['n5']);
+    });
+
+    it('throws if the text is not an osmChange document', () => {
+      expect(() => _osm.parseOsmChange('<osm version="0.6"/>')).to.throw();
+    });
+  });
+
+
+  describe('#_parseDiffResult', () => {
+    it('maps the uploaded entityIDs to their new ids and versions', () => {
+      const xml = new DOMParser().parseFromString(
+`<?xml version="1.0" encoding="UTF-8"?>
+<diffResult version="0.6" generator="OpenStreetMap server">
+  <node old_id="-1" new_id="100" new_version="1"/>
+  <way old_id="2" new_id="2" new_version="4"/>
+  <node old_id="3"/>
+</diffResult>`, 'text/xml');
+
+      const result = _osm._parseDiffResult(xml);
+      expect(result.get('n-1')).to.eql({ newID: 'n100', newVersion: '1' });
+      expect(result.get('w2')).to.eql({ newID: 'w2', newVersion: '4' });
+      expect(result.get('n3')).to.eql({ newID: undefined, newVersion: undefined });
+    });
+  });
+
+
   describe('#userDetails', () => {
     it('retrieves user details', done => {
       loginAsync()
@@ -0,0 +1,104 @@
+describe('TaskingManagerService', () => {
+  const API = 'https://tasks.example.com/api/v2';
+  let tm;
+
+  class MockContext {
+    constructor() { }
+  }
+
+  beforeEach(() => {
+    fetchMock.reset();
+    fetchMock.mock(`${API}/projects/1234/?as_file=false`, {
+      body: JSON.stringify({ projectInfo: { name: 'Buildings', instructions: 'Trace the buildings' }, changesetComment: '#project-1234' }),
+      status: 200,
+      headers: { 'Content-Type': 'application/json' }
+    });
+    fetchMock.mock(`${API}/projects/1234/tasks/?tasks=56&as_file=false`, {
+      body: JSON.stringify({
+        type: 'FeatureCollection',
+        features: [{
+          type: 'Feature',
+          properties: { taskId: 56, taskStatus: 'READY' },
+          geometry: { type: 'Polygon', coordinates: [[[0, 0], [2, 0], [1, 1], [0, 0]]] }
+        }]
+      }),
+      status: 200,
+      headers: { 'Content-Type': 'application/json' }
+    });
+    fetchMock.mock(`${API}/projects/1234/tasks/56/`, {
+      body: JSON.stringify({ taskId: 56, taskStatus: 'LOCKED_FOR_MAPPING', perTaskInstructions: 'Start in the north' }),
+      status: 200,
+      headers: { 'Content-Type': 'application/json' }
+    });
+
+    tm = new Rapid.TaskingManagerService(new MockContext());
+    return tm.initAsync();
+  });
+
+
+  describe('#loadTaskAsync', () => {
+    it('loads the task geometry and instructions', () => {
+      return tm.loadTaskAsync(`${API}/`, '1234', '56')
+        .then(task => {
+          expect(task.apiBase).to.eql(API);
+          expect(task.projectName).to.eql('Buildings');
+          expect(task.instructions).to.eql('Trace the buildings');
+          expect(task.taskInstructions).to.eql('Start in the north');
+          expect(task.changesetComment).to.eql('#project-1234');
+          expect(task.status).to.eql('LOCKED_FOR_MAPPING');
+          expect(task.geometry).to.eql({ type: 'MultiPolygon', coordinates: [[[[0, 0], [2, 0], [1, 1], [0, 0]]]] });
+        });
+    });
+
+    it('rejects a task without an API base', () => {
+      return tm.loadTaskAsync('', '1234', '56')
+        .then(
+          () => { throw new Error('should have rejected'); },
+          err => expect(err).to.be.an.instanceof(Error)
+        );
+    });
+  });
+
+
+  describe('#markDoneAsync', () => {
+    it('marks the task mapped, with the token', () => {
+      const url = `${API}/projects/1234/tasks/actions/unlock-after-mapping/56/`;
+      fetchMock.mock(url, {
+        body: '{"taskStatus":"MAPPED"}',
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      });
+
+      tm.setToken('secret');
+      return tm.markDoneAsync({ apiBase: API, projectID: '1234', taskID: '56' })
+        .then(status => {
+          expect(status).to.eql('MAPPED');
+          const options = fetchMock.lastOptions(url);
+          expect(options.method).to.eql('POST');
+          expect(options.headers.Authorization).to.eql('Token secret');
+          expect(JSON.parse(options.body)).to.eql({ status: 'MAPPED' });
+        });
+    });
+  });
+
+
+  describe('#invalidateAsync', () => {
+    it('marks the task invalidated', () => {
+      const url = `${API}/projects/1234/tasks/actions/unlock-after-validation/`;
+      fetchMock.mock(url, {
+        body: '{}',
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      });
+
+      return tm.invalidateAsync({ apiBase: API, projectID: '1234', taskID: '56' }, 'missing buildings')
+        .then(status => {
+          expect(status).to.eql('INVALIDATED');
+          expect(JSON.parse(fetchMock.lastOptions(url).body)).to.eql({
+            validatedTasks: [{ taskId: 56, status: 'INVALIDATED', comment: 'missing buildings' }]
+          });
+        });
+    });
+  });
+
+});
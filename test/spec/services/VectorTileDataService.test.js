@@ -0,0 +1,129 @@
+describe('VectorTileDataService', () => {
+  let vtdata, _features;
+
+  class MockVectorTileService {
+    constructor() { }
+    startAsync()  { return Promise.resolve(); }
+    on()          { return this; }
+    getData()     { return _features; }
+    loadTiles()   { }
+  }
+
+  class MockMapSystem {
+    constructor() {}
+    extent() { return new sdk.Extent([-180, -90], [180, 90]); }
+  }
+
+  class MockContext {
+    constructor() {
+      this.services = {
+        vectortile: new MockVectorTileService(this)
+      };
+      this.systems = {
+        map: new MockMapSystem(this)
+      };
+    }
+    deferredRedraw() { }
+  }
+
+  // A feature like the ones that `VectorTileService` caches
+  function feature(origID, props, geometry, tileExtent) {
+    return {
+      id: String(Math.random()),
+      origID: origID ?? 'hash',
+      prophash: 'hash',
+      layerID: 'buildings',
+      tileExtent: tileExtent,
+      geojson: { type: 'Feature', properties: props, geometry: geometry }
+    };
+  }
+
+  beforeEach(() => {
+    _features = [];
+    vtdata = new Rapid.VectorTileDataService(new MockContext());
+    return vtdata.initAsync();
+  });
+
+
+  describe('#addDatasetAsync', () => {
+    it('adds a dataset for a source layer', () => {
+      return vtdata.addDatasetAsync('https://example.com/data/buildings.pmtiles', 'buildings')
+        .then(info => {
+          expect(info.id).to.match(/^vt-/);
+          expect(info.title).to.eql('buildings (buildings.pmtiles)');
+        });
+    });
+
+    it('rejects URLs that are not vector tile sources', () => {
+      return vtdata.addDatasetAsync('https://example.com/data/buildings.geojson', 'buildings')
+        .then(
+          () => { throw new Error('should have rejected'); },
+          err => expect(err).to.be.an.instanceof(Error)
+        );
+    });
+  });
+
+
+  describe('#getData', () => {
+    it('stitches lines that were clipped by tiles back together', () => {
+      const left = new sdk.Extent([0, 0], [1, 1]);
+      const right = new sdk.Extent([1, 0], [2, 1]);
+      _features = [
+        // Each tile has the line extending into its buffer
+        feature(7, { highway: 'residential' }, { type: 'LineString', coordinates: [[0.5, 0.5], [1.5, 0.5]] }, left),
+        feature(7, { highway: 'residential' }, { type: 'LineString', coordinates: [[0.5, 0.5], [1.5, 0.5]] }, right),
+        feature(8, { building: 'yes' }, { type: 'Polygon', coordinates: [[[0.1, 0.1], [0.2, 0.1], [0.2, 0.2], [0.1, 0.1]]] })
+      ];
+
+      return vtdata.addDatasetAsync('https://example.com/{z}/{x}/{y}.mvt', 'buildings')
+        .then(info => {
+          const graph = vtdata.graph(info.id);
+          const features = vtdata.getData(info.id).filter(entity => entity.__fbid__);
+          expect(features.length).to.eql(2);
+
+          const way = features.find(entity => entity.tags.highway);
+          expect(way.__origid__).to.eql(`${info.id}-7`);
+          expect(way.__service__).to.eql('vectortiledata');
+          expect(graph.childNodes(way).map(node => node.loc)).to.eql([[0.5, 0.5], [1, 0.5], [1.5, 0.5]]);
+
+          const area = features.find(entity => entity.tags.building);
+          expect(area.isClosed()).to.eql(true);
+        });
+    });
+
+    it('keeps the same entities while the features stay the same', () => {
+      _features = [
+        feature(1, { building: 'yes' }, { type: 'Point', coordinates: [0.1, 0.1] })
+      ];
+
+      return vtdata.addDatasetAsync('https://example.com/{z}/{x}/{y}.mvt', 'buildings')
+        .then(info => {
+          const before = vtdata.getData(info.id);
+          vtdata._vectorTileLoaded();
+          const after = vtdata.getData(info.id);
+          expect(after[0]).to.equal(before[0]);
+        });
+    });
+  });
+
+
+  describe('#setTagMapping', () => {
+    it('converts the properties with the tag mapping', () => {
+      _features = [
+        feature(1, { KIND: 'res', HEIGHT: '12' }, { type: 'Point', coordinates: [0.1, 0.1] })
+      ];
+
+      return vtdata.addDatasetAsync('https://example.com/{z}/{x}/{y}.mvt', 'buildings')
+        .then(info => {
+          expect(vtdata.getData(info.id)[0].tags).to.eql({ KIND: 'res', HEIGHT: '12' });
+
+          vtdata.setTagMapping(info.id, {
+            fields: { KIND: { key: 'building', values: { res: 'residential' } } },
+            constants: { source: 'survey' }
+          });
+          expect(vtdata.getData(info.id)[0].tags).to.eql({ building: 'residential', source: 'survey' });
+        });
+    });
+  });
+
+});
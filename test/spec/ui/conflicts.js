@@ -0,0 +1,72 @@
+describe('uiConflicts', () => {
+  let graph, conflictList, wrap;
+
+  class MockMapSystem {
+    constructor() { }
+    trimmedExtent() { }
+    fitEntitiesEase() { }
+  }
+
+  class MockContext {
+    constructor()   {
+      this.services = {};
+      this.systems = {
+        map:  new MockMapSystem()
+      };
+    }
+    graph()    { return graph; }
+    surface()  { return d3.select(null); }
+    t()        { return ''; }
+    tHtml()    { return ''; }
+  }
+
+  const context = new MockContext();
+
+
+  beforeEach(() => {
+    graph = new Rapid.Graph([Rapid.osmNode({ id: 'n1', loc: [0, 0] })]);
+    conflictList = [{
+      id: 'n1',
+      name: 'Node 1',
+      details: [],
+      chosen: 1,
+      choices: [
+        { id: 'n1', text: 'keep mine', action: sinon.spy() },
+        { id: 'n1', text: 'keep theirs', action: sinon.spy() }
+      ]
+    }];
+
+    const conflicts = Rapid.uiConflicts(context)
+      .conflictList(conflictList)
+      .origChanges({ created: [], modified: [], deleted: [] });
+
+    wrap = d3.select('body')
+      .append('div')
+      .attr('class', 'ui-wrap')
+      .call(conflicts);
+  });
+
+  afterEach(() => {
+    d3.select(document).on('keydown.conflicts', null);
+    d3.selectAll('.ui-wrap').remove();
+  });
+
+
+  it('shows the default choice without performing it', () => {
+    const inputs = wrap.selectAll('.conflict-choices input').nodes();
+    expect(inputs.map(input => input.checked)).to.eql([false, true]);
+    expect(conflictList[0].choices[0].action).to.have.callCount(0);
+    expect(conflictList[0].choices[1].action).to.have.callCount(0);
+  });
+
+  it('performs a choice when the user picks it', () => {
+    const input = wrap.selectAll('.conflict-choices input').nodes()[0];
+    input.checked = true;
+    input.dispatchEvent(new Event('change'));
+
+    expect(conflictList[0].chosen).to.eql(0);
+    expect(conflictList[0].choices[0].action).to.have.callCount(1);
+    expect(conflictList[0].choices[1].action).to.have.callCount(0);
+  });
+
+});
@@ -0,0 +1,59 @@
+describe('uiRestore', () => {
+  let wrap, restoreResult;
+
+  class MockEditSystem {
+    constructor() { }
+    hasRestorableChanges()        { return true; }
+    getRestorableSessionsAsync()  { return Promise.resolve([{ id: 's1', name: 'Session 1', editCount: 1 }]); }
+    restore()                     { return restoreResult; }
+    restoreSessionAsync()         { return restoreResult; }
+  }
+
+  class MockContext {
+    constructor()   {
+      this.systems = {
+        edits:    new MockEditSystem(),
+        l10n:     { decimalCoordinatePair: () => '' },
+        storage:  { hasDatabase: true }
+      };
+    }
+    t(id, replacements)  { return replacements?.message ? `${id}: ${replacements.message}` : id; }
+  }
+
+  const context = new MockContext();
+
+
+  beforeEach(() => {
+    sinon.stub(console, 'error');
+    wrap = d3.select('body')
+      .append('div')
+      .attr('class', 'ui-wrap')
+      .call(Rapid.uiRestore(context));
+  });
+
+  afterEach(() => {
+    console.error.restore();   // eslint-disable-line no-console
+    d3.selectAll('.ui-wrap').remove();
+  });
+
+
+  it('closes the dialog when the changes are restored', () => {
+    restoreResult = Promise.resolve();
+    wrap.select('button.restore').node().click();
+    return restoreResult
+      .then(() => expect(wrap.select('.modal-restore').empty()).to.eql(true));
+  });
+
+  it('shows the error, and stays open, if the changes can not be restored', () => {
+    restoreResult = Promise.reject(new Error('Database is broken'));
+    wrap.select('button.restore').node().click();
+    return restoreResult
+      .catch(() => {})
+      .then(() => {
+        const error = wrap.select('.restore-error');
+        expect(error.classed('hide')).to.eql(false);
+        expect(error.text()).to.eql('restore.error: Database is broken');
+        expect(wrap.select('.modal-restore').empty()).to.eql(false);
+      });
+  });
+});
@@ -0,0 +1,164 @@
+describe('validationFormatting', () => {
+  let graph;
+
+  class MockLocalizationSystem {
+    constructor() {}
+    displayLabel(entity)  { return entity.id; }
+    t()                   { return ''; }
+    tHtml()               { return ''; }
+  }
+
+  const phoneFormats = Promise.resolve({ de: '+49 30 123456' });
+
+  class MockDataLoaderSystem {
+    constructor() {}
+    getDataAsync()  { return phoneFormats; }
+  }
+
+  class MockContext {
+    constructor() {
+      this.services = {};
+      this.systems = {
+        data:  new MockDataLoaderSystem(),
+        l10n:  new MockLocalizationSystem()
+      };
+    }
+    graph()              { return graph; }
+    hasEntity(id)        { return graph.hasEntity(id); }
+    perform(action)      { graph = action(graph); }
+  }
+
+  const context = new MockContext();
+  const validator = Rapid.validationFormatting(context);
+
+  before(() => phoneFormats);   // wait for the validator to receive the phone formats
+
+
+  // A node in Berlin
+  function validate(tags) {
+    const node = Rapid.osmNode({ id: 'n1', loc: [13.4, 52.5], tags: tags });
+    graph = new Rapid.Graph([node]);
+    return validator(node, graph);
+  }
+
+  // Validates the tags, and returns the fixed value of `key`
+  function normalize(tags, key) {
+    const issues = validate(tags);
+    expect(issues).to.have.lengthOf(1);
+    expect(issues[0].type).to.eql('invalid_format');
+
+    const fixes = issues[0].dynamicFixes();
+    expect(fixes).to.have.lengthOf(1);
+    fixes[0].onClick();
+    return graph.entity('n1').tags[key];
+  }
+
+
+  it('ignores valid values', () => {
+    expect(validate({
+      opening_hours: 'Mo-Fr 08:00-12:00,13:00-17:30; Sa 09:00-12:00; PH off',
+      phone: '+49 30 123456',
+      maxspeed: '30 mph',
+      width: '3.5',
+      ele: '-12.5',
+      colour: '#ff0000;navy',
+      wikidata: 'Q64',
+      start_date: 'early 1920s',
+      check_date: '2024-02-29'
+    })).to.have.lengthOf(0);
+  });
+
+  it('ignores valid opening hours with holidays that are also weekdays, intervals, offsets and date ranges', () => {
+    for (const value of [
+      'SH Mo-Fr 10:00-12:00',
+      'PH Su 10:00-12:00',
+      'Mo-Fr 08:00-18:00; SH Mo-Fr 10:00-12:00',
+      'Mo-Fr 10:00-12:00/01:00',
+      'Mo-Fr 10:00-16:00/90',
+      'easter -2 days off',
+      'Dec 25 +1 day off',
+      'Sep 15-Jun 15: Mo-Fr 08:00-16:00',
+      '2024 Dec 24-2025 Jan 02 off',
+      '2024 Jan-2024 Mar off'
+    ]) {
+      expect(validate({ opening_hours: value }), value).to.have.lengthOf(0);
+    }
+  });
+
+  it('still corrects a missing separator between rules', () => {
+    expect(normalize({ opening_hours: 'Mo-Fr 08:00-17:00 Sa 08:00-12:00' }, 'opening_hours')).to.eql('Mo-Fr 08:00-17:00; Sa 08:00-12:00');
+    expect(normalize({ opening_hours: 'PH off Mo-Fr 08:00-17:00' }, 'opening_hours')).to.eql('PH off; Mo-Fr 08:00-17:00');
+  });
+
+  it('corrects opening hours with an obvious meaning', () => {
+    expect(normalize({ opening_hours: 'Mon-Fri 8:00 - 5pm' }, 'opening_hours')).to.eql('Mo-Fr 08:00-17:00');
+  });
+
+  it('flags opening hours that can not be corrected', () => {
+    const issues = validate({ opening_hours: 'Mo-Fr 08:00-' });
+    expect(issues).to.have.lengthOf(1);
+    expect(issues[0].subtype).to.eql('opening_hours');
+    expect(issues[0].dynamicFixes()).to.have.lengthOf(0);
+  });
+
+  it('corrects phone numbers with a 00 prefix', () => {
+    expect(normalize({ phone: '0049 30 123456' }, 'phone')).to.eql('+49 30 123456');
+  });
+
+  it('adds the country code to national phone numbers', () => {
+    expect(normalize({ 'contact:phone': '030 123456' }, 'contact:phone')).to.eql('+49 30 123456');
+  });
+
+  it('ignores national phone numbers that might be short numbers', () => {
+    expect(validate({ phone: '110' })).to.have.lengthOf(0);
+  });
+
+  it('flags phone numbers with invalid characters', () => {
+    const issues = validate({ phone: 'call +49 30 123456' });
+    expect(issues).to.have.lengthOf(1);
+    expect(issues[0].subtype).to.eql('phone');
+    expect(issues[0].dynamicFixes()).to.have.lengthOf(0);
+  });
+
+  it('normalizes speed limit units', () => {
+    expect(normalize({ maxspeed: '50 km/h' }, 'maxspeed')).to.eql('50');
+    expect(normalize({ maxspeed: '20MPH' }, 'maxspeed')).to.eql('20 mph');
+  });
+
+  it('removes meters from widths and elevations', () => {
+    expect(normalize({ width: '2,5 m' }, 'width')).to.eql('2.5');
+    expect(normalize({ ele: '150m' }, 'ele')).to.eql('150');
+  });
+
+  it('does not guess whether a comma is a decimal separator', () => {
+    const issues = validate({ ele: '1,500' });
+    expect(issues).to.have.lengthOf(1);
+    expect(issues[0].dynamicFixes()).to.have.lengthOf(0);
+  });
+
+  it('adds a missing # to hex colours', () => {
+    expect(normalize({ 'roof:colour': 'ff0000' }, 'roof:colour')).to.eql('#ff0000');
+  });
+
+  it('extracts wikidata item ids from urls', () => {
+    expect(normalize({ 'brand:wikidata': 'https://www.wikidata.org/wiki/Q37158' }, 'brand:wikidata')).to.eql('Q37158');
+  });
+
+  it('reorders unambiguous dates', () => {
+    expect(normalize({ start_date: '24.12.1999' }, 'start_date')).to.eql('1999-12-24');
+    expect(normalize({ start_date: '12/24/1999' }, 'start_date')).to.eql('1999-12-24');
+  });
+
+  it('does not guess the order of ambiguous dates', () => {
+    const issues = validate({ start_date: '05/06/1999' });
+    expect(issues).to.have.lengthOf(1);
+    expect(issues[0].dynamicFixes()).to.have.lengthOf(0);
+  });
+
+  it('only allows exact dates for check_date', () => {
+    const issues = validate({ check_date: '~2020' });
+    expect(issues).to.have.lengthOf(1);
+    expect(issues[0].subtype).to.eql('date');
+  });
+
+});
@@ -0,0 +1,89 @@
+describe('validationOutsideTask', () => {
+  let graph, taskPolygon;
+
+  class MockLocalizationSystem {
+    constructor() {}
+    displayLabel(entity)  { return entity.id; }
+    t()                   { return ''; }
+    tHtml()               { return ''; }
+  }
+
+  class MockRapidSystem {
+    constructor() {}
+    get taskPolygon()     { return taskPolygon; }
+    taskContains(loc)     { return loc[0] >= 0 && loc[0] <= 1 && loc[1] >= 0 && loc[1] <= 1; }
+  }
+
+  class MockContext {
+    constructor() {
+      this.services = {};
+      this.systems = {
+        l10n:   new MockLocalizationSystem(),
+        rapid:  new MockRapidSystem()
+      };
+    }
+    graph()  { return graph; }
+  }
+
+  const context = new MockContext();
+  const validator = Rapid.validationOutsideTask(context);
+
+  beforeEach(() => {
+    graph = new Rapid.Graph();   // reset
+    taskPolygon = [[[[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]]]];
+  });
+
+
+  function validate() {
+    let issues = [];
+    for (const entity of graph.base.entities.values()) {
+      issues = issues.concat(validator(entity, graph));
+    }
+    return issues;
+  }
+
+
+  it('ignores features inside of the task', () => {
+    graph = new Rapid.Graph([ Rapid.osmNode({ id: 'n-1', loc: [0.5, 0.5] }) ]);
+    expect(validate()).to.have.lengthOf(0);
+  });
+
+  it('ignores everything when there is no task', () => {
+    taskPolygon = null;
+    graph = new Rapid.Graph([ Rapid.osmNode({ id: 'n-1', loc: [2, 2] }) ]);
+    expect(validate()).to.have.lengthOf(0);
+  });
+
+  it('flags a new point outside of the task', () => {
+    graph = new Rapid.Graph([ Rapid.osmNode({ id: 'n-1', loc: [2, 2] }) ]);
+    const issues = validate();
+    expect(issues).to.have.lengthOf(1);
+    expect(issues[0].type).to.eql('outside_task');
+    expect(issues[0].subtype).to.eql('outside');
+    expect(issues[0].entityIds).to.eql(['n-1']);
+  });
+
+  it('ignores an unedited way that leaves the task', () => {
+    graph = new Rapid.Graph([
+      Rapid.osmNode({ id: 'n1', loc: [0.5, 0.5], version: '1' }),
+      Rapid.osmNode({ id: 'n2', loc: [2, 2], version: '1' }),
+      Rapid.osmWay({ id: 'w1', nodes: ['n1', 'n2'], version: '1' })
+    ]);
+    expect(validate()).to.have.lengthOf(0);
+  });
+
+  it('flags a way that the user extended across the task boundary', () => {
+    graph = new Rapid.Graph([
+      Rapid.osmNode({ id: 'n1', loc: [0.5, 0.5], version: '1' }),
+      Rapid.osmNode({ id: 'n2', loc: [0.8, 0.5], version: '1' }),
+      Rapid.osmNode({ id: 'n-1', loc: [2, 2] }),
+      Rapid.osmWay({ id: 'w1', nodes: ['n1', 'n2', 'n-1'], version: '1' }).touch()
+    ]);
+    const issues = validate();
+    expect(issues).to.have.lengthOf(1);
+    expect(issues[0].subtype).to.eql('crossing');
+    expect(issues[0].entityIds).to.eql(['w1']);
+    expect(issues[0].loc).to.eql([2, 2]);
+  });
+
+});
@@ -0,0 +1,128 @@
+describe('validationOverlappingBuildings', () => {
+  let graph, tree, overlapPercent, areaKeys;
+
+  class MockLocalizationSystem {
+    constructor() {}
+    displayLabel(entity)  { return entity.id; }
+    t()                   { return ''; }
+    tHtml()               { return ''; }
+  }
+
+  class MockStorageSystem {
+    constructor() {}
+    getItem()             { return overlapPercent; }
+  }
+
+  class MockEditSystem {
+    constructor() {}
+    tree() {
+      if (!tree) {
+        tree = new Rapid.Tree(graph);
+        tree.rebase([...graph.base.entities.values()], true);
+      }
+      return tree;
+    }
+  }
+
+  class MockContext {
+    constructor() {
+      this.services = {};
+      this.systems = {
+        edits:    new MockEditSystem(),
+        l10n:     new MockLocalizationSystem(),
+        storage:  new MockStorageSystem()
+      };
+    }
+    graph()  { return graph; }
+  }
+
+  const context = new MockContext();
+  const validator = Rapid.validationOverlappingBuildings(context);
+
+  before(() => {
+    areaKeys = Rapid.osmAreaKeys;
+    Rapid.osmSetAreaKeys({ building: {} });
+  });
+
+  after(() => {
+    Rapid.osmSetAreaKeys(areaKeys);
+  });
+
+  beforeEach(() => {
+    graph = new Rapid.Graph();   // reset
+    tree = null;
+    overlapPercent = null;
+  });
+
+
+  function validate() {
+    let issues = [];
+    for (const entity of graph.base.entities.values()) {
+      issues = issues.concat(validator(entity, graph));
+    }
+    return issues;
+  }
+
+  function building(id, x, y, tags, version) {
+    const locs = [[x, y], [x + 0.001, y], [x + 0.001, y + 0.001], [x, y + 0.001]];
+    const nodes = locs.map((loc, i) => Rapid.osmNode({ id: `${id}_${i}`, loc: loc, version: version }));
+    const way = Rapid.osmWay({
+      id: id,
+      nodes: [...nodes.map(node => node.id), nodes[0].id],
+      tags: Object.assign({ building: 'yes' }, tags),
+      version: version
+    });
+    return [...nodes, way];
+  }
+
+
+  it('ignores buildings that do not overlap', () => {
+    graph = new Rapid.Graph([
+      ...building('w1', 0, 0, {}, '1'),
+      ...building('w2', 0.002, 0, {}, '1')
+    ]);
+    expect(validate()).to.have.lengthOf(0);
+  });
+
+  it('ignores buildings that overlap less than the threshold', () => {
+    graph = new Rapid.Graph([
+      ...building('w1', 0, 0, {}, '1'),
+      ...building('w2', 0.0009, 0, {}, '1')   // 10% overlap
+    ]);
+    expect(validate()).to.have.lengthOf(0);
+  });
+
+  it('uses the threshold that the user set', () => {
+    overlapPercent = '5';
+    graph = new Rapid.Graph([
+      ...building('w1', 0, 0, {}, '1'),
+      ...building('w2', 0.0009, 0, {}, '1')   // 10% overlap
+    ]);
+    const issues = validate();
+    expect(issues).to.have.lengthOf(2);
+    expect(issues[0].id).to.eql(issues[1].id);
+    expect(issues[0].subtype).to.eql('overlapping');
+  });
+
+  it('ignores buildings on different layers', () => {
+    graph = new Rapid.Graph([
+      ...building('w1', 0, 0, {}, '1'),
+      ...building('w2', 0, 0, { layer: '1' }, '1')
+    ]);
+    expect(validate()).to.have.lengthOf(0);
+  });
+
+  it('flags a new building on top of an existing one as a duplicate', () => {
+    graph = new Rapid.Graph([
+      ...building('w1', 0, 0, {}, '1'),
+      ...building('w-1', 0.00005, 0, { 'building:levels': '2' })
+    ]);
+    const issues = validate();
+    expect(issues).to.have.lengthOf(2);
+    expect(issues[0].type).to.eql('overlapping_buildings');
+    expect(issues[0].subtype).to.eql('duplicate');
+    expect(issues[0].entityIds).to.eql(['w-1', 'w1']);   // newer building first
+    expect(issues[0].id).to.eql(issues[1].id);
+  });
+
+});
@@ -0,0 +1,198 @@
+describe('validationRouteRelation', () => {
+  let graph;
+
+  class MockLocalizationSystem {
+    constructor() {}
+    displayLabel(entity)  { return entity.id; }
+    t()                   { return ''; }
+    tHtml()               { return ''; }
+  }
+
+  class MockContext {
+    constructor() {
+      this.services = {};
+      this.systems = {
+        l10n:  new MockLocalizationSystem()
+      };
+    }
+    graph()  { return graph; }
+  }
+
+  const context = new MockContext();
+  const validator = Rapid.validationRouteRelation(context);
+
+  beforeEach(() => {
+    graph = new Rapid.Graph();   // reset
+  });
+
+
+  function validate() {
+    let issues = [];
+    const entityIDs = new Set([...graph.base.entities.keys(), ...graph.local.entities.keys()]);
+    for (const entityID of entityIDs) {
+      const entity = graph.hasEntity(entityID);
+      if (entity) {
+        issues = issues.concat(validator(entity, graph));
+      }
+    }
+    return issues;
+  }
+
+  // A straight road n1 - n2 - n3 - n4, and a bus stop `n9` beside it
+  function createRoute(wayIDs, tags = {}, extraMembers = []) {
+    const ways = {
+      w1: Rapid.osmWay({ id: 'w1', nodes: ['n1', 'n2'], tags: { highway: 'residential' } }),
+      w2: Rapid.osmWay({ id: 'w2', nodes: ['n2', 'n3'], tags: Object.assign({ highway: 'residential' }, tags.w2) }),
+      w3: Rapid.osmWay({ id: 'w3', nodes: ['n3', 'n4'], tags: { highway: 'residential' } })
+    };
+    const members = wayIDs.map(id => ({ id: id, type: 'way', role: '' }));
+
+    graph = new Rapid.Graph([
+      Rapid.osmNode({ id: 'n1', loc: [0, 0] }),
+      Rapid.osmNode({ id: 'n2', loc: [0.001, 0] }),
+      Rapid.osmNode({ id: 'n3', loc: [0.002, 0] }),
+      Rapid.osmNode({ id: 'n4', loc: [0.003, 0] }),
+      Rapid.osmNode({ id: 'n9', loc: [0.001, 0.0001], tags: { highway: 'bus_stop' } }),
+      ...wayIDs.map(id => ways[id]),
+      Rapid.osmRelation({
+        id: 'r1',
+        tags: Object.assign({ type: 'route', route: 'bus', 'public_transport:version': '2' }, tags.r1),
+        members: members.concat(extraMembers)
+      })
+    ]);
+  }
+
+
+  it('ignores a route without problems', () => {
+    createRoute(['w1', 'w2', 'w3']);
+    expect(validate()).to.have.lengthOf(0);
+  });
+
+  it('flags a gap in the route', () => {
+    createRoute(['w1', 'w3']);
+    const issues = validate();
+    expect(issues).to.have.lengthOf(1);
+    expect(issues[0].type).to.eql('route_relation');
+    expect(issues[0].subtype).to.eql('gap');
+    expect(issues[0].entityIds).to.eql(['r1', 'w1', 'w3']);
+    expect(issues[0].loc).to.eql([0.001, 0]);
+  });
+
+  it('flags ways out of order, which sorting the members fixes', () => {
+    createRoute(['w1', 'w3', 'w2']);
+    const issues = validate();
+    expect(issues).to.have.lengthOf(1);
+    expect(issues[0].subtype).to.eql('order');
+    expect(issues[0].dynamicFixes()).to.have.lengthOf(1);
+
+    graph = Rapid.actionSortMembers('r1')(graph);
+    expect(graph.entity('r1').members.map(member => member.id)).to.eql(['w1', 'w2', 'w3']);
+    expect(validate()).to.have.lengthOf(0);
+  });
+
+  // n1 - n2 splits into one-way roads, forward n2 - n5 - n3 and backward n3 - n6 - n2, then n3 - n4.
+  // `n7 - n8` is somewhere else.
+  function createSplitRoute(members) {
+    graph = new Rapid.Graph([
+      Rapid.osmNode({ id: 'n1', loc: [0, 0] }),
+      Rapid.osmNode({ id: 'n2', loc: [0.001, 0] }),
+      Rapid.osmNode({ id: 'n3', loc: [0.003, 0] }),
+      Rapid.osmNode({ id: 'n4', loc: [0.004, 0] }),
+      Rapid.osmNode({ id: 'n5', loc: [0.002, 0.0001] }),
+      Rapid.osmNode({ id: 'n6', loc: [0.002, -0.0001] }),
+      Rapid.osmNode({ id: 'n7', loc: [0.01, 0] }),
+      Rapid.osmNode({ id: 'n8', loc: [0.011, 0] }),
+      Rapid.osmWay({ id: 'w1', nodes: ['n1', 'n2'], tags: { highway: 'primary' } }),
+      Rapid.osmWay({ id: 'w4', nodes: ['n2', 'n5'], tags: { highway: 'primary', oneway: 'yes' } }),
+      Rapid.osmWay({ id: 'w5', nodes: ['n5', 'n3'], tags: { highway: 'primary', oneway: 'yes' } }),
+      Rapid.osmWay({ id: 'w6', nodes: ['n3', 'n6'], tags: { highway: 'primary', oneway: 'yes' } }),
+      Rapid.osmWay({ id: 'w7', nodes: ['n6', 'n2'], tags: { highway: 'primary', oneway: 'yes' } }),
+      Rapid.osmWay({ id: 'w3', nodes: ['n3', 'n4'], tags: { highway: 'primary' } }),
+      Rapid.osmWay({ id: 'w8', nodes: ['n7', 'n8'], tags: { highway: 'primary' } }),
+      Rapid.osmRelation({
+        id: 'r1',
+        tags: { type: 'route', route: 'bus' },
+        members: members.map(([id, role]) => ({ id: id, type: 'way', role: role ?? '' }))
+      })
+    ]);
+  }
+
+  it('ignores a route that splits into forward and backward ways', () => {
+    createSplitRoute([['w1'], ['w4', 'forward'], ['w5', 'forward'], ['w6', 'backward'], ['w7', 'backward'], ['w3']]);
+    expect(validate()).to.have.lengthOf(0);
+  });
+
+  it('flags a gap after a route splits into forward and backward ways', () => {
+    createSplitRoute([['w1'], ['w4', 'forward'], ['w5', 'forward'], ['w6', 'backward'], ['w7', 'backward'], ['w8']]);
+    const issues = validate();
+    expect(issues).to.have.lengthOf(1);
+    expect(issues[0].subtype).to.eql('gap');
+    expect(issues[0].entityIds).to.eql(['r1', 'w7', 'w8']);
+  });
+
+  it('sorts the forward and backward ways together', () => {
+    createSplitRoute([['w3'], ['w7', 'backward'], ['w1'], ['w5', 'forward'], ['w6', 'backward'], ['w4', 'forward']]);
+    const issues = validate();
+    expect(issues).to.have.lengthOf(1);
+    expect(issues[0].subtype).to.eql('order');
+
+    graph = Rapid.actionSortMembers('r1')(graph);
+    expect(graph.entity('r1').members.map(member => member.id)).to.eql(['w1', 'w6', 'w7', 'w4', 'w5', 'w3']);
+    expect(validate()).to.have.lengthOf(0);
+  });
+
+  it('flags a route that travels against a one-way road', () => {
+    createRoute(['w1', 'w2', 'w3'], { w2: { oneway: '-1' } });
+    const issues = validate();
+    expect(issues).to.have.lengthOf(1);
+    expect(issues[0].subtype).to.eql('oneway');
+    expect(issues[0].entityIds).to.eql(['r1', 'w2']);
+  });
+
+  it('ignores a one-way road that the route is exempt from', () => {
+    createRoute(['w1', 'w2', 'w3'], { w2: { oneway: '-1', 'oneway:bus': 'no' } });
+    expect(validate()).to.have.lengthOf(0);
+  });
+
+  it('ignores one-way roads on hiking routes', () => {
+    createRoute(['w1', 'w2', 'w3'], { w2: { oneway: '-1' }, r1: { route: 'hiking' } });
+    expect(validate()).to.have.lengthOf(0);
+  });
+
+  it('flags stops that are listed after the ways, or are not on the route', () => {
+    createRoute(['w1', 'w2', 'w3'], {}, [{ id: 'n9', type: 'node', role: 'stop' }]);
+    const issues = validate();
+    expect(issues.map(issue => issue.subtype).sort()).to.eql(['stop_not_on_route', 'stop_order']);
+
+    graph = Rapid.actionSortMembers('r1')(graph);
+    expect(graph.entity('r1').members.map(member => member.id)).to.eql(['n9', 'w1', 'w2', 'w3']);
+  });
+
+  it('flags platforms on the route', () => {
+    createRoute(['w1', 'w2', 'w3']);
+    graph = graph.replace(graph.entity('r1').addMember({ id: 'n2', type: 'node', role: 'platform' }, 0));
+    const issues = validate();
+    expect(issues).to.have.lengthOf(1);
+    expect(issues[0].subtype).to.eql('platform_on_route');
+    expect(issues[0].entityIds).to.eql(['r1', 'n2']);
+  });
+
+  it('ignores stop roles on routes that are not PTv2', () => {
+    createRoute(['w1', 'w2', 'w3'], { r1: { 'public_transport:version': '1' } }, [{ id: 'n9', type: 'node', role: 'stop' }]);
+    expect(validate()).to.have.lengthOf(0);
+  });
+
+  it('flags route master members that are not routes of the same type', () => {
+    createRoute(['w1', 'w2', 'w3']);
+    graph = graph.replace(Rapid.osmRelation({
+      id: 'r2',
+      tags: { type: 'route_master', route_master: 'bus' },
+      members: [{ id: 'r1', type: 'relation', role: '' }, { id: 'w1', type: 'way', role: '' }]
+    }));
+    const issues = validate();
+    expect(issues).to.have.lengthOf(1);
+    expect(issues[0].subtype).to.eql('route_master');
+    expect(issues[0].entityIds).to.eql(['r2', 'w1']);
+  });
+
+});
@@ -0,0 +1,130 @@
+describe('validationTurnRestriction', () => {
+  let graph;
+
+  class MockLocalizationSystem {
+    constructor() {}
+    displayLabel(entity)  { return entity.id; }
+    t()                   { return ''; }
+    tHtml()               { return ''; }
+  }
+
+  class MockContext {
+    constructor() {
+      this.services = {};
+      this.systems = {
+        l10n:  new MockLocalizationSystem()
+      };
+      this.projection = {
+        project: loc => [loc[0], -loc[1]]   // screen y increases downward
+      };
+    }
+    graph()              { return graph; }
+    hasEntity(id)        { return graph.hasEntity(id); }
+    perform(action)      { graph = action(graph); }
+  }
+
+  const context = new MockContext();
+  const validator = Rapid.validationTurnRestriction(context);
+
+  beforeEach(() => {
+    graph = new Rapid.Graph();   // reset
+  });
+
+
+  function validate() {
+    let issues = [];
+    const entityIDs = new Set([...graph.base.entities.keys(), ...graph.local.entities.keys()]);
+    for (const entityID of entityIDs) {
+      const entity = graph.hasEntity(entityID);
+      if (entity) {
+        issues = issues.concat(validator(entity, graph));
+      }
+    }
+    return issues;
+  }
+
+  //
+  //          n4
+  //          |
+  //          w2
+  //          |
+  //  n1 ---- n2 ---- n3
+  //     w1       w3
+  //
+  // With `merged`, w1 continues to n3 instead of w3
+  function createIntersection(restrictionTags, members, merged) {
+    graph = new Rapid.Graph([
+      Rapid.osmNode({ id: 'n1', loc: [0, 0] }),
+      Rapid.osmNode({ id: 'n2', loc: [0.001, 0] }),
+      Rapid.osmNode({ id: 'n3', loc: [0.002, 0] }),
+      Rapid.osmNode({ id: 'n4', loc: [0.001, 0.001] }),
+      Rapid.osmWay({ id: 'w1', nodes: merged ? ['n1', 'n2', 'n3'] : ['n1', 'n2'], tags: { highway: 'residential' } }),
+      Rapid.osmWay({ id: 'w2', nodes: ['n2', 'n4'], tags: { highway: 'residential' } }),
+      ...(merged ? [] : [Rapid.osmWay({ id: 'w3', nodes: ['n2', 'n3'], tags: { highway: 'residential' } })]),
+      Rapid.osmRelation({ id: 'r1', tags: Object.assign({ type: 'restriction' }, restrictionTags), members: members })
+    ]);
+  }
+
+  const FROM_VIA_TO = [
+    { id: 'w1', type: 'way', role: 'from' },
+    { id: 'n2', type: 'node', role: 'via' },
+    { id: 'w2', type: 'way', role: 'to' }
+  ];
+
+
+  it('ignores a valid restriction', () => {
+    createIntersection({ restriction: 'no_left_turn' }, FROM_VIA_TO);
+    expect(validate()).to.have.lengthOf(0);
+  });
+
+  it('ignores a valid restriction for some vehicles', () => {
+    createIntersection({ 'restriction:hgv': 'no_left_turn', 'restriction:conditional': 'no_u_turn @ (Mo-Fr 07:00-09:00)' }, FROM_VIA_TO);
+    expect(validate()).to.have.lengthOf(0);
+  });
+
+  it('flags an unknown restriction type', () => {
+    createIntersection({ restriction: 'no_left_turns' }, FROM_VIA_TO);
+    const issues = validate();
+    expect(issues).to.have.lengthOf(1);
+    expect(issues[0].type).to.eql('turn_restriction');
+    expect(issues[0].subtype).to.eql('unknown_type');
+  });
+
+  it('flags a restriction without a to way', () => {
+    createIntersection({ restriction: 'no_left_turn' }, FROM_VIA_TO.slice(0, 2));
+    const issues = validate();
+    expect(issues).to.have.lengthOf(1);
+    expect(issues[0].subtype).to.eql('missing_member');
+  });
+
+  it('flags a from way that does not touch the via node', () => {
+    createIntersection({ restriction: 'no_left_turn' }, [
+      { id: 'w1', type: 'way', role: 'from' },
+      { id: 'n4', type: 'node', role: 'via' },
+      { id: 'w2', type: 'way', role: 'to' }
+    ]);
+    const issues = validate();
+    expect(issues).to.have.lengthOf(1);
+    expect(issues[0].subtype).to.eql('disconnected');
+    expect(issues[0].entityIds).to.eql(['r1', 'w1']);
+  });
+
+  it('repairs a restriction whose from way was merged past the via node', () => {
+    createIntersection({ restriction: 'no_right_turn' }, FROM_VIA_TO, true);
+    const issues = validate();
+    expect(issues).to.have.lengthOf(1);
+    expect(issues[0].subtype).to.eql('not_split');
+
+    const fixes = issues[0].dynamicFixes();
+    expect(fixes).to.have.lengthOf(2);   // repair, delete
+    fixes[0].onClick();
+
+    // A right turn onto w2 comes from n3, so the part of w1 from n3 to n2 is the new from way
+    const relation = graph.entity('r1');
+    const from = graph.entity(relation.memberByRole('from').id);
+    expect(from.nodes).to.eql(['n2', 'n3']);
+    expect(relation.memberByRole('to').id).to.eql('w2');
+    expect(validate()).to.have.lengthOf(0);
+  });
+
+});
@@ -0,0 +1,121 @@
+describe('validationUserRules', () => {
+  let graph, areaKeys;
+
+  class MockLocalizationSystem {
+    constructor() {}
+    displayLabel(entity)  { return entity.id; }
+    t()                   { return ''; }
+    tHtml()               { return ''; }
+  }
+
+  class MockContext {
+    constructor() {
+      this.services = {};
+      this.systems = {
+        l10n:  new MockLocalizationSystem()
+      };
+    }
+    graph()  { return graph; }
+  }
+
+  const context = new MockContext();
+  let validator;
+
+  before(() => {
+    areaKeys = Rapid.osmAreaKeys;
+    Rapid.osmSetAreaKeys({ building: {}, shop: {} });
+  });
+
+  after(() => {
+    Rapid.osmSetAreaKeys(areaKeys);
+  });
+
+  beforeEach(() => {
+    graph = new Rapid.Graph();   // reset
+    validator = Rapid.validationUserRules(context);
+  });
+
+
+  function validate() {
+    let issues = [];
+    for (const entity of graph.base.entities.values()) {
+      issues = issues.concat(validator(entity, graph));
+    }
+    return issues;
+  }
+
+  function building(id, tags) {
+    const nodes = [
+      Rapid.osmNode({ id: `${id}a`, loc: [0, 0] }),
+      Rapid.osmNode({ id: `${id}b`, loc: [0, 1] }),
+      Rapid.osmNode({ id: `${id}c`, loc: [1, 1] })
+    ];
+    const way = Rapid.osmWay({ id: id, nodes: [`${id}a`, `${id}b`, `${id}c`, `${id}a`], tags: tags });
+    return [...nodes, way];
+  }
+
+
+  it('has no issues without rules', () => {
+    graph = new Rapid.Graph(building('w1', { building: 'yes' }));
+    expect(validate()).to.have.lengthOf(0);
+  });
+
+  it('flags features matching a JSON rule', () => {
+    validator.setRules(JSON.stringify([{
+      id: 'levels',
+      selector: 'area[building][!building:levels]',
+      message: 'Buildings need levels',
+      severity: 'error',
+      fix: { add: { 'building:levels': '1' } }
+    }]));
+    graph = new Rapid.Graph([
+      ...building('w1', { building: 'yes' }),
+      ...building('w2', { building: 'yes', 'building:levels': '2' })
+    ]);
+
+    const issues = validate();
+    expect(issues).to.have.lengthOf(1);
+    expect(issues[0].type).to.eql('user_rules');
+    expect(issues[0].subtype).to.eql('levels');
+    expect(issues[0].severity).to.eql('error');
+    expect(issues[0].entityIds).to.eql(['w1']);
+    expect(issues[0].dynamicFixes()).to.have.lengthOf(1);
+  });
+
+  it('flags features matching MapCSS rules', () => {
+    validator.setRules(`
+      /* shops need names */
+      node[shop][!name], area[shop][!name] {
+        throwWarning: "Shops need a name";
+      }
+      *[highway=~/^(primary|secondary)$/][ref!="A1"] {
+        id: "ref";
+        throwError: "Main roads need a ref; check the signs";
+        fixAdd: "ref=A1";
+        fixRemove: "note";
+      }
+    `);
+    expect(validator.rules()).to.have.lengthOf(2);
+    expect(validator.rules()[1].message).to.eql('Main roads need a ref; check the signs');
+
+    graph = new Rapid.Graph([
+      Rapid.osmNode({ id: 'n1', loc: [0, 0], tags: { shop: 'bakery' } }),
+      Rapid.osmNode({ id: 'n2', loc: [0, 0], tags: { shop: 'bakery', name: 'Crumbs' } }),
+      Rapid.osmNode({ id: 'n3', loc: [0, 0] }),
+      Rapid.osmNode({ id: 'n4', loc: [1, 1] }),
+      Rapid.osmWay({ id: 'w1', nodes: ['n3', 'n4'], tags: { highway: 'primary' } })
+    ]);
+
+    const issues = validate();
+    expect(issues.map(issue => `${issue.entityIds[0]} ${issue.subtype} ${issue.severity}`).sort())
+      .to.eql(['n1 rule1 warning', 'w1 ref error']);
+  });
+
+  it('keeps the old rules when new rules have errors', () => {
+    validator.setRules('node[shop] { throwWarning: "Shop"; }');
+    expect(() => validator.setRules('node[shop] { fixAdd: "name=x"; }')).to.throw();
+    expect(() => validator.setRules('building[shop] { throwWarning: "Shop"; }')).to.throw();
+    expect(validator.rules()).to.have.lengthOf(1);
+  });
+
+});